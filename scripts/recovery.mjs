@@ -0,0 +1,41 @@
+// Recuperación del storage `file` cuando los datos no tienen el formato esperado
+// (la app muestra "No se pudieron leer los datos"). Corre en el servidor, nunca
+// por HTTP: el contenido crudo incluye credenciales.
+//
+//   npm run recovery                → informa qué haría
+//   npm run recovery -- --yes       → aparta los datos y la app vuelve al estado inicial
+//
+// Mueve TENIS_DATA_DIR (default `data/`) a `<dir>-recuperacion-<fecha>`, que
+// queda como copia para intentar recuperar el contenido a mano. El próximo
+// request de la app encuentra el directorio vacío y carga el estado inicial.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+const dir = path.resolve(process.env.TENIS_DATA_DIR || path.join(process.cwd(), "data"));
+const confirmed = process.argv.includes("--yes");
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+if (!(await exists(dir))) {
+  console.log(`No hay datos en ${dir}: la app ya arranca con el estado inicial.`);
+  process.exit(0);
+}
+
+const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+const target = `${dir}-recuperacion-${stamp}`;
+
+if (!confirmed) {
+  console.log(`Se movería ${dir} a ${target} y la app volvería al estado inicial (admin demo).`);
+  console.log("Para hacerlo: npm run recovery -- --yes");
+  process.exit(0);
+}
+
+await fs.rename(dir, target);
+console.log(`Datos apartados en ${target}. La app carga el estado inicial en el próximo ingreso.`);
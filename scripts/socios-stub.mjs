@@ -0,0 +1,28 @@
+// Servidor de prueba del sistema de socios para el proveedor "http" (ver src/lib/tenis/socios.js).
+//
+//   npm run socios:stub            → http://localhost:4010/socios?dni=30111222
+//
+// Regla: DNI terminado en 9 = no registrado (404); en par = socio activo; en impar = inactivo.
+// SOCIOS_STUB_PORT cambia el puerto y SOCIOS_STUB_DELAY_MS agrega una demora a cada respuesta.
+import { createServer } from "node:http";
+
+const port = Number(process.env.SOCIOS_STUB_PORT) || 4010;
+const delay = Number(process.env.SOCIOS_STUB_DELAY_MS) || 0;
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.end(JSON.stringify(body));
+}
+
+createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  setTimeout(() => {
+    if (req.method !== "GET" || url.pathname !== "/socios") return send(res, 404, { error: "Ruta inexistente" });
+    const dni = String(url.searchParams.get("dni") || "").replace(/\D/g, "");
+    if (!dni) return send(res, 400, { error: "Falta el DNI" });
+    if (dni.endsWith("9")) return send(res, 404, { error: "DNI no registrado" });
+    const socioActivo = Number(dni.slice(-1)) % 2 === 0;
+    console.log(`${new Date().toISOString()} dni=${dni} socioActivo=${socioActivo}`);
+    send(res, 200, { socioActivo, numeroSocio: dni.slice(-4), vencimiento: socioActivo ? "2099-12-31" : null });
+  }, delay);
+}).listen(port, () => console.log(`Sistema de socios de prueba en http://localhost:${port}/socios?dni=…`));
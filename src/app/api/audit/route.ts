@@ -0,0 +1,5 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listAudit(await requireActor(req))));
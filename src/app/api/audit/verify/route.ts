@@ -0,0 +1,8 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Recorre la cadena de hashes de la auditoría y registra el resultado.
+export const POST = handle(async (req: Request) => {
+  return json(await getService().verifyAudit(await requireActor(req)));
+});
@@ -0,0 +1,10 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Validación + resumen de diferencias, sin escribir nada.
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { archive } = await readBody(req);
+  return json(await getService().getImportPreview(by, archive));
+});
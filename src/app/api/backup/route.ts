@@ -0,0 +1,15 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Exportación del respaldo completo
+export const GET = handle(async (req: Request) => {
+  return json(await getService().exportBackup(await requireActor(req)));
+});
+
+// Importación: mode = "merge" | "replace"
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { archive, mode } = await readBody(req);
+  return json(await getService().importBackup(by, archive, mode));
+});
@@ -0,0 +1,11 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+export const DELETE = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  await getService().removeBlock(await requireActor(req), id);
+  return json({ ok: true });
+});
@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listBlocks(await requireActor(req))));
+
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { courtId, dateISO, time, durationMin, reason } = await readBody(req);
+  const id = await getService().addBlock(by, { courtId, dateISO, time, durationMin, reason });
+  return json({ id }, 201);
+});
@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor, sessionActor } from "@/lib/tenis/server/session";
+
+// Pública: también la lee la pantalla de ingreso (modo de ingreso)
+export const GET = handle(async (req: Request) => json(await getService().getConfig(await sessionActor(req))));
+
+export const PATCH = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { patch } = await readBody(req);
+  return json(await getService().setConfig(by, patch || {}));
+});
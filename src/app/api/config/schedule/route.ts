@@ -0,0 +1,10 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Reemplaza el horario completo (temporadas, canchas y feriados)
+export const PUT = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { schedule } = await readBody(req);
+  return json(await getService().setSchedule(by, schedule));
+});
@@ -0,0 +1,10 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Consulta de prueba al proveedor de socios configurado
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { dni } = await readBody(req);
+  return json(await getService().testSocioProvider(by, dni));
+});
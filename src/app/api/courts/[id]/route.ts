@@ -0,0 +1,13 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+export const PATCH = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { isActive } = await readBody(req);
+  await getService().setCourtActive(by, id, isActive);
+  return json({ ok: true });
+});
@@ -0,0 +1,4 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+
+export const GET = handle(async () => json(await getService().listCourts()));
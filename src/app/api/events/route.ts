@@ -0,0 +1,11 @@
+import { getService } from "@/lib/tenis/server";
+import { eventStream } from "@/lib/tenis/server/http";
+
+export const dynamic = "force-dynamic";
+
+// Stream de cambios (reservas, bloqueos, canchas, ...) para las vistas abiertas.
+export function GET(req: Request) {
+  return eventStream(req, (send: (event: string, data: unknown) => void) =>
+    getService().subscribe((evt: unknown) => send("change", evt))
+  );
+}
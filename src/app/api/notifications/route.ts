@@ -0,0 +1,6 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Bandeja de notificaciones: la propia, o toda para el personal que la gestiona
+export const GET = handle(async (req: Request) => json(await getService().listNotifications(await requireActor(req))));
@@ -0,0 +1,10 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Filas válidas, errores y diferencias con el padrón actual, sin escribir nada.
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { rows } = await readBody(req);
+  return json(await getService().getPadronPreview(by, rows));
+});
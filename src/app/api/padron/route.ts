@@ -0,0 +1,13 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Resumen del padrón de socios importado
+export const GET = handle(async (req: Request) => json(await getService().getPadronSummary(await requireActor(req))));
+
+// Importación: `rows` = filas de la planilla (la primera, encabezados)
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { rows, fileName } = await readBody(req);
+  return json(await getService().importPadron(by, rows, { fileName }));
+});
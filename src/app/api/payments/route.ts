@@ -0,0 +1,16 @@
+import { getService } from "@/lib/tenis/server";
+import { DomainError } from "@/lib/tenis/errors";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listPayments(await requireActor(req))));
+
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { reservationId, method } = await readBody(req);
+  const service = getService();
+  if (method === "mercadopago") await service.payWithMercadoPago(by, reservationId);
+  else if (method === "cash") await service.registerCashPayment(by, reservationId);
+  else throw new DomainError("Método de pago inválido");
+  return json({ ok: true }, 201);
+});
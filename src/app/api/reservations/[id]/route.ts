@@ -0,0 +1,17 @@
+import { getService } from "@/lib/tenis/server";
+import { DomainError } from "@/lib/tenis/errors";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+export const PATCH = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { action, reason, ...input } = await readBody(req);
+  const service = getService();
+  if (action === "reschedule") return json(await service.rescheduleReservation(by, id, input));
+  if (action === "cancel") return json({ refund: await service.cancelReservation(by, id, reason) });
+  if (action === "noShow") return json({ refund: await service.markNoShow(by, id) });
+  throw new DomainError("Acción inválida");
+});
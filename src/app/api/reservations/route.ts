@@ -0,0 +1,14 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listReservations(await requireActor(req))));
+
+// `manual: true` => reserva cargada por admin (con pago en efectivo opcional)
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { manual, ...input } = await readBody(req);
+  const service = getService();
+  const id = manual ? await service.adminCreateManualReservation(by, input) : await service.createReservation(by, input);
+  return json({ id }, 201);
+});
@@ -0,0 +1,19 @@
+import { getService } from "@/lib/tenis/server";
+import { DomainError } from "@/lib/tenis/errors";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// update: la serie completa · editDate / skipDate: una sola fecha
+export const PATCH = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { action, patch, dateISO, slot, reason } = await readBody(req);
+  const service = getService();
+  if (action === "update") return json(await service.updateSeries(by, id, patch));
+  if (action === "cancel") return json(await service.cancelSeries(by, id, reason));
+  if (action === "editDate") return json(await service.updateSeriesOccurrence(by, id, dateISO, slot));
+  if (action === "skipDate") return json(await service.skipSeriesOccurrence(by, id, dateISO, reason));
+  throw new DomainError("Acción inválida");
+});
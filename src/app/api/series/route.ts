@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listSeries(await requireActor(req))));
+
+// Alta de un turno fijo: devuelve las reservas generadas y los conflictos
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { userId, courtId, time, durationMin, startDate, endDate, interval } = await readBody(req);
+  return json(await getService().createSeries(by, { userId, courtId, time, durationMin, startDate, endDate, interval }), 201);
+});
@@ -0,0 +1,15 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { clearSessionCookie, sessionToken } from "@/lib/tenis/server/session";
+
+// Sesión de la cookie (null si venció o fue cerrada)
+export const GET = handle(async (req: Request) => json(await getService().getSession(sessionToken(req))));
+
+// Actividad del usuario: renueva el vencimiento por inactividad
+export const POST = handle(async (req: Request) => json(await getService().touchSession(sessionToken(req))));
+
+// Cerrar sesión
+export const DELETE = handle(async (req: Request) => {
+  await getService().logout(sessionToken(req));
+  return clearSessionCookie(req, json({ ok: true }));
+});
@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { clearSessionCookie, requireActor } from "@/lib/tenis/server/session";
+
+// Sesiones activas del usuario ("Dispositivos")
+export const GET = handle(async (req: Request) => json(await getService().listSessions(await requireActor(req))));
+
+// Cerrar sesión en todos los dispositivos (incluido este)
+export const DELETE = handle(async (req: Request) => {
+  const count = await getService().logoutAll(await requireActor(req, { pendingPassword: true }));
+  return clearSessionCookie(req, json({ ok: true, count }));
+});
@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Desbloqueo manual (solo administradores)
+export const DELETE = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  await getService().unlockThrottle(await requireActor(req), id);
+  return json({ ok: true });
+});
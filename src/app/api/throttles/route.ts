@@ -0,0 +1,6 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Cuentas y clientes con intentos fallidos de login / registro
+export const GET = handle(async (req: Request) => json(await getService().listThrottles(await requireActor(req))));
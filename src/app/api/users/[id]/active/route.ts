@@ -0,0 +1,13 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Desactivar / reactivar una cuenta
+export const PUT = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { active, reason } = await readBody(req);
+  return json({ changed: await getService().setUserActive(by, id, { active, reason }) });
+});
@@ -0,0 +1,16 @@
+import { getService } from "@/lib/tenis/server";
+import { DomainError } from "@/lib/tenis/errors";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Cambio de contraseña (requiere la actual)
+export const POST = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req, { pendingPassword: true });
+  if (by !== id) throw new DomainError("Solo podés cambiar tu propia contraseña", 403);
+  const { currentPassword, newPassword } = await readBody(req);
+  await getService().changePassword(by, { currentPassword, newPassword });
+  return json({ ok: true });
+});
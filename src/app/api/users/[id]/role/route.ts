@@ -0,0 +1,14 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Asignación de rol (recepción, profesor, admin, ...)
+export const PUT = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { role } = await readBody(req);
+  await getService().setUserRole(by, id, role);
+  return json({ ok: true });
+});
@@ -0,0 +1,14 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Validación manual de cuenta (email / WhatsApp) por el personal del club
+export const PATCH = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { emailOk, phoneOk, reason } = await readBody(req);
+  await getService().overrideValidation(by, id, { emailOk, phoneOk, reason });
+  return json({ ok: true });
+});
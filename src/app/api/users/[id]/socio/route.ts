@@ -0,0 +1,11 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+// Vuelve a consultar el sistema de socios con el DNI del usuario
+export const POST = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  return json(await getService().revalidateSocio(await requireActor(req), id));
+});
@@ -0,0 +1,11 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, readBody } from "@/lib/tenis/server/http";
+import { clientOf, sessionResponse, userAgentOf } from "@/lib/tenis/server/session";
+
+// Login por Email+Password o, si viene `otp`, por código (Email/WhatsApp).
+export const POST = handle(async (req: Request) => {
+  const body = { ...(await readBody(req)), userAgent: userAgentOf(req), client: clientOf(req) };
+  const service = getService();
+  const session = body.otp !== undefined ? await service.loginWithOtp(body) : await service.loginEmailPassword(body);
+  return sessionResponse(req, session);
+});
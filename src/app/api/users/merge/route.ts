@@ -0,0 +1,10 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Unificación de cuentas duplicadas: `dropId` pasa a `keepId`
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { keepId, dropId, reason } = await readBody(req);
+  return json(await getService().mergeUsers(by, { keepId, dropId, reason }));
+});
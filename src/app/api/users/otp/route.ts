@@ -0,0 +1,4 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+
+export const POST = handle(async (req: Request) => json(await getService().requestOtp(await readBody(req))));
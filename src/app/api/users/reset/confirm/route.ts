@@ -0,0 +1,9 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+
+// Nueva contraseña con el token del enlace de recuperación
+export const POST = handle(async (req: Request) => {
+  const { token, newPassword } = await readBody(req);
+  await getService().resetPassword({ token, newPassword });
+  return json({ ok: true });
+});
@@ -0,0 +1,8 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+
+// "Olvidé mi contraseña": envía el enlace de recuperación
+export const POST = handle(async (req: Request) => {
+  const { email } = await readBody(req);
+  return json(await getService().requestPasswordReset({ email }));
+});
@@ -0,0 +1,12 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { clientOf, requireActor, sessionResponse, userAgentOf } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listUsers(await requireActor(req, { pendingPassword: true }))));
+
+// Registro de usuario
+export const POST = handle(async (req: Request) => {
+  const body = { ...(await readBody(req)), userAgent: userAgentOf(req), client: clientOf(req) };
+  const session = await getService().register(body);
+  return sessionResponse(req, session, 201);
+});
@@ -0,0 +1,9 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Revalidación masiva de la condición de socio
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  return json(await getService().revalidateAllSocios(by));
+});
@@ -0,0 +1,11 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Confirma el código recibido y marca el canal como validado
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { channel, code } = await readBody(req);
+  await getService().confirmVerification(by, channel, code);
+  return json({ ok: true });
+});
@@ -0,0 +1,13 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+// Verificaciones de email / WhatsApp (sin el hash del código)
+export const GET = handle(async (req: Request) => json(await getService().listVerifications(await requireActor(req))));
+
+// Envía un código de verificación por el canal pedido
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { channel } = await readBody(req);
+  return json(await getService().requestVerification(by, channel), 201);
+});
@@ -0,0 +1,17 @@
+import { getService } from "@/lib/tenis/server";
+import { DomainError } from "@/lib/tenis/errors";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+type Ctx = { params: Promise<{ id: string }> };
+
+export const PATCH = handle(async (req: Request, { params }: Ctx) => {
+  const { id } = await params;
+  const by = await requireActor(req);
+  const { action } = await readBody(req);
+  const service = getService();
+  if (action === "accept") return json({ id: await service.acceptWaitlistOffer(by, id) });
+  if (action === "leave") await service.leaveWaitlist(by, id);
+  else throw new DomainError("Acción inválida");
+  return json({ ok: true });
+});
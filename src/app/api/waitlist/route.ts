@@ -0,0 +1,13 @@
+import { getService } from "@/lib/tenis/server";
+import { handle, json, readBody } from "@/lib/tenis/server/http";
+import { requireActor } from "@/lib/tenis/server/session";
+
+export const GET = handle(async (req: Request) => json(await getService().listWaitlist(await requireActor(req))));
+
+// `courtId: "any"` => cualquier cancha a ese horario
+export const POST = handle(async (req: Request) => {
+  const by = await requireActor(req);
+  const { dateISO, time, durationMin, courtId } = await readBody(req);
+  const id = await getService().joinWaitlist(by, { dateISO, time, durationMin, courtId });
+  return json({ id }, 201);
+});
@@ -1,2231 +1,5194 @@
-"use client";
-
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
-import {
-  Calendar,
-  Clock,
-  User,
-  Shield,
-  LogOut,
-  Search,
-  Wrench,
-  Bell,
-  CreditCard,
-  BadgeCheck,
-  AlertTriangle,
-  CheckCircle2,
-  XCircle,
-  RefreshCcw,
-  Settings,
-} from "lucide-react";
-import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
-import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
-import { Label } from "@/components/ui/label";
-import { Badge } from "@/components/ui/badge";
-import {
-  Dialog,
-  DialogContent,
-  DialogDescription,
-  DialogFooter,
-  DialogHeader,
-  DialogTitle,
-} from "@/components/ui/dialog";
-import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import {
-  Select,
-  SelectContent,
-  SelectItem,
-  SelectTrigger,
-  SelectValue,
-} from "@/components/ui/select";
-import { Switch } from "@/components/ui/switch";
-import { Separator } from "@/components/ui/separator";
-
-/**
- * DEMO / PREVIEW APP (single-file React)
- * -----------------------------------
- * Basado en el PDF "Requerimiento Técnico - Funcional" (Sistema de Reserva de Canchas de Tenis - Club Estudiantes de La Plata).
- *
- * Esta es una maqueta funcional (frontend-only) con "backend" simulado en localStorage.
- * Incluye:
- * - Registro + validación de DNI vs sistema de socios (mock endpoint)
- * - Esquemas de auth configurables: Email+Password, Email+OTP, Teléfono+OTP
- * - Validación obligatoria de cuenta (email y/o teléfono) antes de reservar/pagar
- * - 4 canchas, turnos fijos de 60 min, anticipación máx 7 días
- * - Reserva en estado Pendiente de Pago -> Confirmada
- * - Pago: Mercado Pago (simulado) o Efectivo (admin)
- * - Política no-presentación/cancelación (50% reintegro)
- * - Notificaciones (simuladas: Email/WhatsApp) por eventos
- * - Panel admin: agenda diaria/semanal, crear reservas manuales, registrar efectivo,
- *   cancelar/modificar, bloquear canchas/horarios, historial, auditoría
- *
- * Para producción:
- * - Reemplazar storage local por API real (usuarios/reservas/pagos/canchas)
- * - Integrar endpoint real de validación de socio (DNI -> flag)
- * - Integrar Mercado Pago real + Webhooks para estados
- * - Integrar WhatsApp Business (Meta) + proveedor email (SendGrid, etc.)
- */
-
-// -----------------------------
-// Utilidades
-// -----------------------------
-
-const LS_KEY = "edlp_tenis_reservas_v1";
-
-function uid(prefix = "id") {
-  return `${prefix}_${Math.random().toString(16).slice(2)}_${Date.now().toString(16)}`;
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-function startOfDay(d) {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x;
-}
-
-function addDays(d, n) {
-  const x = new Date(d);
-  x.setDate(x.getDate() + n);
-  return x;
-}
-
-function formatDateISO(d) {
-  const x = new Date(d);
-  const yyyy = x.getFullYear();
-  const mm = String(x.getMonth() + 1).padStart(2, "0");
-  const dd = String(x.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function formatDateHuman(iso) {
-  // iso YYYY-MM-DD
-  const [y, m, d] = iso.split("-").map((v) => parseInt(v, 10));
-  const x = new Date(y, m - 1, d);
-  return x.toLocaleDateString("es-AR", {
-    weekday: "short",
-    day: "2-digit",
-    month: "short",
-    year: "numeric",
-  });
-}
-
-function formatTimeLabel(t) {
-  return t;
-}
-
-function nowISOTime() {
-  return new Date().toISOString();
-}
-
-function safeParseJSON(v, fallback) {
-  try {
-    return JSON.parse(v);
-  } catch {
-    return fallback;
-  }
-}
-
-// -----------------------------
-// Mock: Validación DNI (Sistema de socios)
-// -----------------------------
-
-async function validateSocioByDNI(dni) {
-  // Simula integración online: input DNI, output flag socio activo.
-  // Regla demo: DNI termina en número par => socio activo.
-  await new Promise((r) => setTimeout(r, 450));
-  const last = String(dni || "").trim().slice(-1);
-  const n = Number(last);
-  const socioActivo = Number.isFinite(n) && n % 2 === 0;
-  return { socioActivo };
-}
-
-// -----------------------------
-// Dominio
-// -----------------------------
-
-const COURTS_DEFAULT = [
-  { id: "c1", name: "Cancha 1", isActive: true },
-  { id: "c2", name: "Cancha 2", isActive: true },
-  { id: "c3", name: "Cancha 3", isActive: true },
-  { id: "c4", name: "Cancha 4", isActive: true },
-];
-
-// Turnos: 60 min. Para demo: 08:00 a 22:00
-const SLOT_TIMES = Array.from({ length: 14 }, (_, i) => {
-  const h = 8 + i;
-  return `${String(h).padStart(2, "0")}:00`;
-});
-
-const RES_STATUS = {
-  PENDING_PAYMENT: "Pendiente de pago",
-  CONFIRMED: "Confirmada",
-  CANCELLED: "Cancelada",
-  NO_SHOW: "No presentación",
-};
-
-const PAY_STATUS = {
-  PENDING: "Pendiente",
-  APPROVED: "Aprobado",
-  REJECTED: "Rechazado",
-  REFUNDED_PARTIAL: "Reembolsado (parcial)",
-};
-
-const NOTIF_CHANNELS = ["Email", "WhatsApp Business"];
-
-// Autenticación fija: Email + Password
-const AUTH_MODE = "EMAIL_PASSWORD";
-
-const APP_CONFIG_DEFAULT = {
-  authMode: AUTH_MODE,
-  requireEmailValidation: true,
-  requirePhoneValidation: true,
-  priceSocio: 0,
-  priceNoSocio: 8000,
-  currency: "ARS",
-};
-
-// -----------------------------
-// Storage simulado
-// -----------------------------
-
-function bootstrapState() {
-  if (typeof window === "undefined") return null;
-  
-  const raw = localStorage.getItem(LS_KEY);
-  if (raw) return safeParseJSON(raw, null);
-
-  // Seed demo
-  const adminId = uid("usr");
-  const seed = {
-    config: APP_CONFIG_DEFAULT,
-    courts: COURTS_DEFAULT,
-    users: [
-      {
-        id: adminId,
-        role: "admin",
-        email: "admin@edlp.com",
-        phone: "11-0000-0000",
-        dni: "12345678",
-        userType: "Socio",
-        createdAt: nowISOTime(),
-        passwordHash: "admin", // DEMO
-        isEmailValidated: true,
-        isPhoneValidated: true,
-      },
-    ],
-    sessions: {},
-    reservations: [],
-    payments: [],
-    blocks: [], // {id, courtId, dateISO, time, reason, createdBy, createdAt}
-    audit: [
-      {
-        id: uid("aud"),
-        at: nowISOTime(),
-        by: adminId,
-        action: "Seed",
-        detail: "Sistema inicializado con usuario admin demo (admin@edlp.com / admin)",
-      },
-    ],
-    notifications: [], // {id, at, channel, to, event, payload}
-  };
-  localStorage.setItem(LS_KEY, JSON.stringify(seed));
-  return seed;
-}
-
-function persistState(state) {
-  localStorage.setItem(LS_KEY, JSON.stringify(state));
-}
-
-// -----------------------------
-// UI helpers
-// -----------------------------
-
-function Pill({ tone = "default", children, icon: Icon }) {
-  const toneCls =
-    tone === "success"
-      ? "bg-emerald-50 text-emerald-700 border-emerald-200"
-      : tone === "warning"
-        ? "bg-amber-50 text-amber-700 border-amber-200"
-        : tone === "danger"
-          ? "bg-rose-50 text-rose-700 border-rose-200"
-          : tone === "info"
-            ? "bg-sky-50 text-sky-700 border-sky-200"
-            : "bg-muted text-foreground border-border";
-
-  return (
-    <span className={`inline-flex items-center gap-1 rounded-full border px-2.5 py-1 text-xs ${toneCls}`}>
-      {Icon ? <Icon className="h-3.5 w-3.5" /> : null}
-      <span className="leading-none">{children}</span>
-    </span>
-  );
-}
-
-function SectionTitle({ icon: Icon, title, subtitle, right }) {
-  return (
-    <div className="flex items-start justify-between gap-3">
-      <div className="flex items-start gap-3">
-        <div className="mt-0.5 rounded-2xl border bg-card p-2 shadow-sm">
-          <Icon className="h-5 w-5" />
-        </div>
-        <div>
-          <div className="text-lg font-semibold leading-tight">{title}</div>
-          {subtitle ? <div className="text-sm text-muted-foreground">{subtitle}</div> : null}
-        </div>
-      </div>
-      {right}
-    </div>
-  );
-}
-
-function EmptyState({ title, desc, action }) {
-  return (
-    <div className="rounded-2xl border bg-card p-6 text-center shadow-sm">
-      <div className="mx-auto mb-2 h-10 w-10 rounded-2xl border bg-muted/40" />
-      <div className="text-base font-semibold">{title}</div>
-      <div className="mt-1 text-sm text-muted-foreground">{desc}</div>
-      {action ? <div className="mt-4 flex justify-center">{action}</div> : null}
-    </div>
-  );
-}
-
-function TopBar({ user, onLogout }) {
-  return (
-    <div className="sticky top-0 z-30 border-b bg-white">
-      <div className="mx-auto flex w-full max-w-6xl items-center justify-between gap-3 px-4 py-3">
-        <div className="flex items-center gap-3">
-          <img src="https://upload.wikimedia.org/wikipedia/commons/6/68/Escudo_del_Club_Estudiantes_de_La_Plata.svg" alt="Escudo Estudiantes" className="h-10 w-10 object-contain" />
-          <div>
-            <div className="text-sm font-semibold leading-tight">Club Estudiantes de La Plata</div>
-            <div className="text-xs text-muted-foreground">Reserva de canchas de tenis</div>
-          </div>
-        </div>
-        <div className="flex items-center gap-2">
-          {user ? (
-            <>
-              <Badge variant="secondary" className="rounded-full">
-                {user.role === "admin" ? "Admin" : user.userType}
-              </Badge>
-              <div className="hidden text-sm text-muted-foreground md:block">{user.email || user.phone}</div>
-              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={onLogout}>
-                <LogOut className="mr-2 h-4 w-4" /> Salir
-              </Button>
-            </>
-          ) : (
-            <Badge variant="secondary" className="rounded-full">
-              Demo
-            </Badge>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-}
-
-function BottomNav({ active, setActive, isAdmin }) {
-  const items = [
-    { key: "reservar", label: "Reservar", icon: Calendar },
-    { key: "mis", label: "Mis reservas", icon: Clock },
-    { key: "perfil", label: "Perfil", icon: User },
-    ...(isAdmin ? [{ key: "admin", label: "Admin", icon: Shield }] : []),
-  ];
-
-  const gridCols = isAdmin
-    ? "grid-cols-4 md:grid-cols-4"
-    : "grid-cols-3 md:grid-cols-3";
-
-  return (
-    <div className="fixed bottom-0 left-0 right-0 z-40 border-t bg-background/80 backdrop-blur">
-      <div className={`mx-auto grid w-full max-w-6xl ${gridCols} gap-2 px-3 py-2`}>
-        {items.map((it) => (
-          <button
-            key={it.key}
-            onClick={() => setActive(it.key)}
-            className={`flex items-center justify-center gap-2 rounded-2xl px-3 py-2 text-sm transition-all duration-200 ease-in-out ${
-              active === it.key ? "bg-muted font-semibold" : "hover:bg-muted/60"
-            }`}
-          >
-            <it.icon className="h-4 w-4" />
-            <span className="truncate">{it.label}</span>
-          </button>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-// -----------------------------
-// App
-// -----------------------------
-
-export default function App() {
-  const [mounted, setMounted] = useState(false);
-  const [db, setDb] = useState(null);
-  const [sessionUserId, setSessionUserId] = useState(null);
-  const [activeTab, setActiveTab] = useState("reservar");
-  const [authScreen, setAuthScreen] = useState(null);
-
-  useEffect(() => {
-    setMounted(true);
-    const initialDb = bootstrapState();
-    setDb(initialDb);
-    setSessionUserId(initialDb?.sessions?.currentUserId || null);
-  }, []);
-
-  useEffect(() => {
-    if (!db) return;
-    setDb((prev) => {
-      const next = { ...prev, sessions: { ...prev.sessions, currentUserId: sessionUserId } };
-      persistState(next);
-      return next;
-    });
-  }, [sessionUserId]);
-
-  useEffect(() => {
-    if (!user) setActiveTab("reservar");
-  }, [user]);
-
-  useEffect(() => {
-    function handler() { setActiveTab("mis"); }
-    document.addEventListener('go-to-mis', handler);
-    return () => document.removeEventListener('go-to-mis', handler);
-  }, []);
-
-  // ✅ El return condicional va AL FINAL de todos los hooks
-  const user = useMemo(() => db?.users?.find((u) => u.id === sessionUserId) || null, [db, sessionUserId]);
-  const api = useMemo(() => db ? createApi(db, setDb) : null, [db]);
-  const isAdmin = user?.role === "admin";
-
-  if (!mounted || !db) return (
-    <div className="flex items-center justify-center h-screen">
-      <p>Cargando...</p>
-    </div>
-  );
-
-  return (
-    <div className={`min-h-screen ${!user && !authScreen ? 'bg-gradient-to-br from-red-700 via-red-600 to-red-800' : 'bg-background'}`}>
-      <TopBar user={user} onLogout={() => setSessionUserId(null)} />
-
-      <div className="mx-auto w-full max-w-6xl px-4 pb-24 pt-6">
-        <AnimatePresence mode="wait" initial={false}>
-          {!user ? (
-            authScreen ? (
-              <AuthGate
-                api={api}
-                mode={authScreen}
-                onAuthed={(uid) => {
-                  setSessionUserId(uid);
-                  setAuthScreen(null);
-                }}
-                onBack={() => setAuthScreen(null)}
-              />
-            ) : (
-              <div className="flex flex-col items-center justify-center gap-6 py-16 text-center">
-                <div className="flex h-40 w-40 items-center justify-center rounded-3xl bg-white p-4 shadow-2xl">
-                  <img
-                    src="https://upload.wikimedia.org/wikipedia/commons/6/68/Escudo_del_Club_Estudiantes_de_La_Plata.svg"
-                    alt="Escudo Club Estudiantes de La Plata"
-                    className="h-full w-full object-contain"
-                  />
-                </div>
-
-                <div>
-                  <div className="text-3xl font-bold tracking-tight text-white">Club Estudiantes de La Plata</div>
-                  <div className="mt-2 text-base font-medium text-white">Sistema Oficial de Reserva de Tenis</div>
-                </div>
-
-                <div className="mt-6 flex w-full max-w-xs flex-col gap-4">
-                  <Button
-                    className="w-full rounded-2xl bg-white text-red-700 hover:bg-red-50" 
-                    onClick={() => setAuthScreen('login')}
-                  >
-                    Ingresar
-                  </Button>
-                  <Button
-                    className="w-full rounded-2xl bg-white text-red-700 hover:bg-red-50" 
-                    onClick={() => setAuthScreen('register')}
-                  >
-                    Crear cuenta
-                  </Button>
-                </div>
-              </div>
-            )
-          ) : (
-            <>
-              {activeTab === 'reservar' && (
-                <motion.div
-                  key="reservar"
-                  initial={{ opacity: 0, y: 12 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -12 }}
-                  transition={{ duration: 0.25, ease: 'easeInOut' }}
-                >
-                  <BookingView api={api} db={db} user={user} />
-                </motion.div>
-              )}
-              {activeTab === 'mis' && (
-                <motion.div
-                  key="mis"
-                  initial={{ opacity: 0, y: 12 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -12 }}
-                  transition={{ duration: 0.25, ease: 'easeInOut' }}
-                >
-                  <MyReservations api={api} db={db} user={user} goToReservar={() => setActiveTab('reservar')} />
-                </motion.div>
-              )}
-              {activeTab === 'perfil' && (
-                <motion.div
-                  key="perfil"
-                  initial={{ opacity: 0, y: 12 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -12 }}
-                  transition={{ duration: 0.25, ease: 'easeInOut' }}
-                >
-                  <ProfileView api={api} db={db} user={user} />
-                </motion.div>
-              )}
-              {activeTab === 'admin' && isAdmin && (
-                <motion.div
-                  key="admin"
-                  initial={{ opacity: 0, y: 12 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -12 }}
-                  transition={{ duration: 0.25, ease: 'easeInOut' }}
-                >
-                  <AdminView api={api} db={db} user={user} />
-                </motion.div>
-              )}
-            </>
-          )}
-        </AnimatePresence>
-      </div>
-
-      {user && (
-        <BottomNav active={activeTab} setActive={setActiveTab} isAdmin={isAdmin} />
-      )}
-    </div>
-  );
-}
-// -----------------------------
-// API local (mutaciones con auditoría + notificaciones)
-// -----------------------------
-
-function createApi(db, setDb) {
-  function commit(mutator) {
-    setDb((prev) => {
-      const next = mutator(structuredClone(prev));
-      persistState(next);
-      return next;
-    });
-  }
-
-  function audit(by, action, detail) {
-    commit((st) => {
-      st.audit.unshift({ id: uid("aud"), at: nowISOTime(), by, action, detail });
-      return st;
-    });
-  }
-
-  function notify(event, channels, to, payload) {
-    commit((st) => {
-      const created = channels.map((ch) => ({ id: uid("ntf"), at: nowISOTime(), channel: ch, to, event, payload }));
-      st.notifications.unshift(...created);
-      return st;
-    });
-  }
-
-  return {
-    getConfig: () => db.config,
-    setConfig: (by, patch) => {
-      commit((st) => {
-        st.config = { ...st.config, ...patch };
-        return st;
-      });
-      audit(by, "Config", JSON.stringify(patch));
-    },
-
-    validateSocioByDNI,
-
-    register: async ({ email, phone, dni, password }) => {
-      const dniClean = String(dni || "").trim();
-      const emailClean = String(email || "").trim().toLowerCase();
-      const phoneClean = String(phone || "").trim();
-      const pass = String(password || "");
-
-      if (!dniClean || dniClean.length < 6) throw new Error("DNI inválido");
-      if (!emailClean.includes("@")) throw new Error("Email inválido");
-      if (!phoneClean) throw new Error("Teléfono obligatorio");
-
-      // 🔐 Política de contraseña
-      const passRegex = /^(?=.*[A-Z])(?=.*[^A-Za-z0-9]).{6,}$/;
-      if (!passRegex.test(pass)) {
-        throw new Error("La contraseña debe tener mínimo 6 caracteres, 1 mayúscula y 1 símbolo (@, -, etc)");
-      }
-
-      const exists = db.users.some((u) => u.email === emailClean || u.dni === dniClean);
-      if (exists) throw new Error("Ya existe un usuario con ese email o DNI");
-
-      const { socioActivo } = await validateSocioByDNI(dniClean);
-      const userType = socioActivo ? "Socio" : "No Socio";
-
-      const id = uid("usr");
-      commit((st) => {
-        st.users.push({
-          id,
-          role: "user",
-          email: emailClean,
-          phone: phoneClean,
-          dni: dniClean,
-          userType,
-          createdAt: nowISOTime(),
-          passwordHash: pass,
-          isEmailValidated: false,
-          isPhoneValidated: false,
-        });
-        return st;
-      });
-      audit(id, "Register", `Alta usuario (${userType})`);
-      notify("Validación de cuenta", NOTIF_CHANNELS, emailClean, { msg: "Tu cuenta fue creada. Validá email/WhatsApp para reservar." });
-      return id;
-    },
-
-    loginEmailPassword: async ({ email, password }) => {
-      const e = String(email || "").trim().toLowerCase();
-      const u = db.users.find((x) => x.email === e);
-      if (!u) throw new Error("Usuario no encontrado");
-      if (u.passwordHash !== String(password || "")) throw new Error("Credenciales inválidas");
-      audit(u.id, "Login", "Email+Password");
-      return u.id;
-    },
-
-    requestOtp: async ({ channel, to }) => {
-      // DEMO: siempre 123456
-      await new Promise((r) => setTimeout(r, 350));
-      return { ok: true, code: "123456" };
-    },
-
-    loginWithOtp: async ({ mode, email, phone, otp }) => {
-      if (String(otp || "") !== "123456") throw new Error("OTP inválido (demo: 123456)");
-      const u =
-        mode === AUTH_MODES.PHONE_OTP
-          ? db.users.find((x) => x.phone === String(phone || "").trim())
-          : db.users.find((x) => x.email === String(email || "").trim().toLowerCase());
-      if (!u) throw new Error("Usuario no encontrado");
-      audit(u.id, "Login", mode);
-      return u.id;
-    },
-
-    validateAccount: (by, { emailOk, phoneOk }) => {
-      commit((st) => {
-        const u = st.users.find((x) => x.id === by);
-        if (!u) return st;
-        if (typeof emailOk === "boolean") u.isEmailValidated = emailOk;
-        if (typeof phoneOk === "boolean") u.isPhoneValidated = phoneOk;
-        return st;
-      });
-      audit(by, "Account", `Validación: email=${emailOk ?? "-"}, phone=${phoneOk ?? "-"}`);
-      const u = db.users.find((x) => x.id === by);
-      if (u) notify("Validación de cuenta", NOTIF_CHANNELS, u.email, { emailOk, phoneOk });
-    },
-
-    setCourtActive: (by, courtId, isActive) => {
-      commit((st) => {
-        const c = st.courts.find((x) => x.id === courtId);
-        if (c) c.isActive = isActive;
-        return st;
-      });
-      audit(by, "Court", `${courtId} active=${isActive}`);
-    },
-
-    addBlock: (by, { courtId, dateISO, time, reason }) => {
-      const id = uid("blk");
-      commit((st) => {
-        st.blocks.push({ id, courtId, dateISO, time, reason, createdBy: by, createdAt: nowISOTime() });
-        return st;
-      });
-      audit(by, "Block", `${courtId} ${dateISO} ${time} (${reason || "s/reason"})`);
-      return id;
-    },
-
-    removeBlock: (by, blockId) => {
-      commit((st) => {
-        st.blocks = st.blocks.filter((b) => b.id !== blockId);
-        return st;
-      });
-      audit(by, "Unblock", blockId);
-    },
-
-    createReservation: async (by, { dateISO, time, courtId, forUserId }) => {
-      const u = db.users.find((x) => x.id === (forUserId || by));
-      if (!u) throw new Error("Usuario inválido");
-
-      // Reglas: cuenta validada obligatorio
-      const cfg = db.config;
-      if (cfg.requireEmailValidation && !u.isEmailValidated) throw new Error("Debés validar tu email antes de reservar");
-      if (cfg.requirePhoneValidation && !u.isPhoneValidated) throw new Error("Debés validar tu WhatsApp antes de reservar");
-
-      // Anticipación máxima 7 días
-      const today = startOfDay(new Date());
-      const target = startOfDay(new Date(dateISO + "T00:00:00"));
-      const max = startOfDay(addDays(today, 7));
-      if (target < today) throw new Error("No podés reservar en fechas pasadas");
-      if (target > max) throw new Error("Solo podés reservar con hasta 7 días de anticipación");
-
-      // Cancha activa
-      const c = db.courts.find((x) => x.id === courtId);
-      if (!c || !c.isActive) throw new Error("Cancha no disponible");
-
-      // Bloqueos
-      const blocked = db.blocks.some((b) => b.courtId === courtId && b.dateISO === dateISO && b.time === time);
-      if (blocked) throw new Error("Horario bloqueado por mantenimiento");
-
-      // Disponibilidad: una reserva por cancha+horario
-      const conflictCourt = db.reservations.some(
-        (r) => r.courtId === courtId && r.dateISO === dateISO && r.time === time && r.status !== RES_STATUS.CANCELLED
-      );
-      if (conflictCourt) throw new Error("Ese turno ya está reservado");
-
-      // Reglas clave: usuario no puede reservar más de una cancha en el mismo horario
-      const conflictUser = db.reservations.some(
-        (r) =>
-          r.userId === u.id &&
-          r.dateISO === dateISO &&
-          r.time === time &&
-          r.status !== RES_STATUS.CANCELLED
-      );
-      if (conflictUser) throw new Error("Ya tenés una reserva en ese mismo horario");
-
-      const id = uid("res");
-      const price = u.userType === "Socio" ? db.config.priceSocio : db.config.priceNoSocio;
-
-      commit((st) => {
-        st.reservations.push({
-          id,
-          userId: u.id,
-          createdBy: by,
-          dateISO,
-          time,
-          courtId,
-          status: RES_STATUS.PENDING_PAYMENT,
-          price,
-          createdAt: nowISOTime(),
-          updatedAt: nowISOTime(),
-        });
-        // payment record
-        st.payments.push({
-          id: uid("pay"),
-          reservationId: id,
-          method: null,
-          status: PAY_STATUS.PENDING,
-          amount: price,
-          createdAt: nowISOTime(),
-          updatedAt: nowISOTime(),
-          meta: {},
-        });
-        return st;
-      });
-
-      audit(by, "Reserva", `Creada ${id} (${dateISO} ${time} ${courtId})`);
-      notify("Reserva creada", NOTIF_CHANNELS, u.email, { reservationId: id, dateISO, time, courtId, price });
-      return id;
-    },
-
-    payWithMercadoPago: async (by, reservationId) => {
-      // DEMO: aprobación inmediata
-      await new Promise((r) => setTimeout(r, 650));
-      commit((st) => {
-        const r = st.reservations.find((x) => x.id === reservationId);
-        const p = st.payments.find((x) => x.reservationId === reservationId);
-        if (!r || !p) return st;
-        p.method = "Mercado Pago";
-        p.status = PAY_STATUS.APPROVED;
-        p.updatedAt = nowISOTime();
-        p.meta = { mp: { status: "approved", operationId: uid("mp"), at: nowISOTime() } };
-        r.status = RES_STATUS.CONFIRMED;
-        r.updatedAt = nowISOTime();
-        return st;
-      });
-      audit(by, "Pago", `MP aprobado (res=${reservationId})`);
-      const r = db.reservations.find((x) => x.id === reservationId);
-      const u = r ? db.users.find((x) => x.id === r.userId) : null;
-      if (u) notify("Pago confirmado", NOTIF_CHANNELS, u.email, { reservationId });
-      return true;
-    },
-
-    registerCashPayment: (by, reservationId) => {
-      commit((st) => {
-        const r = st.reservations.find((x) => x.id === reservationId);
-        const p = st.payments.find((x) => x.reservationId === reservationId);
-        if (!r || !p) return st;
-        p.method = "Efectivo (recepción)";
-        p.status = PAY_STATUS.APPROVED;
-        p.updatedAt = nowISOTime();
-        p.meta = { cash: { by, at: nowISOTime() } };
-        r.status = RES_STATUS.CONFIRMED;
-        r.updatedAt = nowISOTime();
-        return st;
-      });
-      audit(by, "Pago", `Efectivo aprobado (res=${reservationId})`);
-      const r = db.reservations.find((x) => x.id === reservationId);
-      const u = r ? db.users.find((x) => x.id === r.userId) : null;
-      if (u) notify("Pago confirmado", NOTIF_CHANNELS, u.email, { reservationId, method: "cash" });
-    },
-
-    cancelReservation: (by, reservationId, reason) => {
-      commit((st) => {
-        const r = st.reservations.find((x) => x.id === reservationId);
-        if (!r) return st;
-        r.status = RES_STATUS.CANCELLED;
-        r.updatedAt = nowISOTime();
-        r.cancelReason = reason || "";
-        return st;
-      });
-      audit(by, "Reserva", `Cancelada ${reservationId} (${reason || "sin motivo"})`);
-      const r = db.reservations.find((x) => x.id === reservationId);
-      const u = r ? db.users.find((x) => x.id === r.userId) : null;
-      if (u) notify("Cancelación", NOTIF_CHANNELS, u.email, { reservationId, reason });
-    },
-
-    markNoShowAndRefund50: (by, reservationId) => {
-      commit((st) => {
-        const r = st.reservations.find((x) => x.id === reservationId);
-        const p = st.payments.find((x) => x.reservationId === reservationId);
-        if (!r || !p) return st;
-        r.status = RES_STATUS.NO_SHOW;
-        r.updatedAt = nowISOTime();
-        // 50% refund
-        p.status = PAY_STATUS.REFUNDED_PARTIAL;
-        p.updatedAt = nowISOTime();
-        p.meta = { ...p.meta, refund: { percent: 50, amount: Math.round((p.amount || 0) * 0.5), by, at: nowISOTime() } };
-        return st;
-      });
-      audit(by, "NoShow", `No presentación + reintegro 50% (res=${reservationId})`);
-      const r = db.reservations.find((x) => x.id === reservationId);
-      const u = r ? db.users.find((x) => x.id === r.userId) : null;
-      if (u) notify("No presentación", NOTIF_CHANNELS, u.email, { reservationId, refundPercent: 50 });
-      if (u) notify("Reintegros", NOTIF_CHANNELS, u.email, { reservationId, refundPercent: 50 });
-    },
-
-    adminCreateManualReservation: async (by, { userId, dateISO, time, courtId, markPaidCash }) => {
-      const resId = await apiShim(db, setDb).createReservation(by, { dateISO, time, courtId, forUserId: userId });
-      if (markPaidCash) apiShim(db, setDb).registerCashPayment(by, resId);
-      audit(by, "Admin", `Reserva manual ${resId}`);
-      return resId;
-    },
-  };
-
-  // Nota: Para evitar cierres viejos del memo, usamos shim puntual
-  function apiShim(db2, setDb2) {
-    return createApi(db2, setDb2);
-  }
-}
-
-// -----------------------------
-// AuthGate
-// -----------------------------
-
-function AuthGate({ api, onAuthed, mode = 'login', onBack }) {
-  const [busy, setBusy] = useState(false);
-  const [err, setErr] = useState("");
-  const [email, setEmail] = useState("");
-  const [password, setPassword] = useState("");
-  const [dni, setDni] = useState("");
-  const [phone, setPhone] = useState("");
-  const [showReset, setShowReset] = useState(false);
-
-  const passwordValid = /^(?=.*[A-Z])(?=.*[^A-Za-z0-9]).{6,}$/.test(password);
-  const emailValid = email.includes("@");
-  const dniValid = dni.trim().length >= 6;
-  const phoneValid = phone.trim().length > 0;
-  const canRegister = passwordValid && emailValid && dniValid && phoneValid && !busy;
-
-  async function doLogin() {
-    setErr("");
-    setBusy(true);
-    try {
-      const uid = await api.loginEmailPassword({ email, password });
-      onAuthed(uid);
-    } catch (e) {
-      setErr(e?.message || "Error");
-    } finally {
-      setBusy(false);
-    }
-  }
-
-  async function doRegister() {
-    setErr("");
-    setBusy(true);
-    try {
-      const uid = await api.register({ email, phone, dni, password });
-      onAuthed(uid);
-    } catch (e) {
-      setErr(e?.message || "Error");
-    } finally {
-      setBusy(false);
-    }
-  }
-
-  return (
-    <div className="mx-auto max-w-md">
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">
-            {mode === 'login' ? 'Ingresar' : 'Crear cuenta'}
-          </CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          {mode === 'login' ? (
-            <form
-              onSubmit={(e) => {
-                e.preventDefault();
-                if (!busy) doLogin();
-              }}
-            >
-              <div className="grid gap-2">
-                <Label>Email</Label>
-                <Input className="rounded-2xl" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="tu@mail.com" />
-              </div>
-              <div className="mt-4 grid gap-2">
-                <Label>Password</Label>
-                <Input className="rounded-2xl" type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
-              </div>
-
-              <div className="mt-2 text-right">
-                <button
-                  type="button"
-                  onClick={() => setShowReset(!showReset)}
-                  className="text-xs text-muted-foreground hover:underline"
-                >
-                  Olvidé mi contraseña
-                </button>
-              </div>
-
-              {showReset && (
-                <div className="mt-2 rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
-                  En producción: envío de email de recuperación.
-                </div>
-              )}
-
-              {err && <InlineError msg={err} />}
-
-              <Button
-                type="submit"
-                className="mt-4 w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-                disabled={busy}
-              >
-                {busy ? 'Procesando…' : 'Entrar'}
-              </Button>
-            </form>
-          ) : (
-            <>
-              <div className="grid gap-2">
-                <Label>DNI</Label>
-                <Input className="rounded-2xl" value={dni} onChange={(e) => setDni(e.target.value)} placeholder="12345678" />
-              </div>
-              <div className="grid gap-2">
-                <Label>Email</Label>
-                <Input className="rounded-2xl" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="tu@mail.com" />
-              </div>
-              <div className="grid gap-2">
-                <Label>Teléfono</Label>
-                <Input className="rounded-2xl" value={phone} onChange={(e) => setPhone(e.target.value)} placeholder="11-1234-5678" />
-              </div>
-              <div className="grid gap-2">
-                <Label>Password</Label>
-                <Input className="rounded-2xl" type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Mín 6 caracteres, 1 mayúscula y 1 símbolo" />
-                <div className="text-xs text-muted-foreground">
-                  Requisitos: mínimo 6 caracteres, al menos 1 mayúscula y 1 símbolo.
-                </div>
-              </div>
-
-              {err && <InlineError msg={err} />}
-
-              <Button
-                className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-                onClick={doRegister}
-                disabled={!canRegister}
-              >
-                {busy ? 'Creando…' : 'Crear cuenta'}
-              </Button>
-            </>
-          )}
-
-          {onBack && (
-            <Button
-              variant="ghost"
-              className="w-full rounded-2xl"
-              onClick={onBack}
-            >
-              Volver
-            </Button>
-          )}
-        </CardContent>
-      </Card>
-    </div>
-  );
-}
-
-function InlineError({ msg }) {
-  return (
-    <div className="flex items-start gap-2 rounded-2xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
-      <AlertTriangle className="mt-0.5 h-4 w-4" />
-      <div>{msg}</div>
-    </div>
-  );
-}
-
-// -----------------------------
-// Booking
-// -----------------------------
-
-function BookingView({ api, db, user }) {
-  const [dateISO, setDateISO] = useState(() => formatDateISO(new Date()));
-  const [time, setTime] = useState(SLOT_TIMES[0]);
-  const [courtId, setCourtId] = useState("c1");
-  const [busy, setBusy] = useState(false);
-  const [err, setErr] = useState("");
-  const [createdResId, setCreatedResId] = useState(null);
-  const [payOpen, setPayOpen] = useState(false);
-
-  const cfg = db.config;
-
-  const maxDateISO = useMemo(() => formatDateISO(addDays(startOfDay(new Date()), 7)), []);
-
-  const courts = useMemo(() => db.courts, [db.courts]);
-
-  const availability = useMemo(() => {
-    const res = db.reservations.filter((r) => r.dateISO === dateISO && r.time === time && r.status !== RES_STATUS.CANCELLED);
-    const blocks = db.blocks.filter((b) => b.dateISO === dateISO && b.time === time);
-    const byCourt = new Map();
-    for (const c of courts) {
-      const isBlocked = blocks.some((b) => b.courtId === c.id);
-      const isReserved = res.some((r) => r.courtId === c.id);
-      byCourt.set(c.id, {
-        isActive: c.isActive,
-        status: !c.isActive ? "Inactiva" : isBlocked ? "Mantenimiento" : isReserved ? "Ocupada" : "Disponible",
-      });
-    }
-    return byCourt;
-  }, [db.blocks, db.reservations, courts, dateISO, time]);
-
-  async function createReservation() {
-    setErr("");
-    setBusy(true);
-    try {
-      const id = await api.createReservation(user.id, { dateISO, time, courtId });
-      setCreatedResId(id);
-      setPayOpen(true);
-    } catch (e) {
-      setErr(e?.message || "Error");
-    } finally {
-      setBusy(false);
-    }
-  }
-
-  const price = user.userType === "Socio" ? cfg.priceSocio : cfg.priceNoSocio;
-
-  return (
-    <div className="grid gap-4">
-      <SectionTitle
-        icon={Calendar}
-        title="Reservar cancha"
-        subtitle="Turnos de 60 minutos. Anticipación máxima: 7 días. Disponibilidad en tiempo real."
-        right={
-          <Pill tone="info" icon={Bell}>
-            Notificaciones: Email + WhatsApp
-          </Pill>
-        }
-      />
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardContent className="grid gap-4 p-4 md:grid-cols-4">
-          <div className="flex flex-col justify-between gap-2">
-            <div className="grid gap-2">
-              <Label>Fecha</Label>
-              <Input
-                className="rounded-2xl"
-                type="date"
-                value={dateISO}
-                min={formatDateISO(new Date())}
-                max={maxDateISO}
-                onChange={(e) => setDateISO(e.target.value)}
-              />
-            </div>
-            <div className="h-4 text-xs text-muted-foreground">&nbsp;</div>
-          </div>
-
-          <div className="flex flex-col justify-between gap-2">
-            <div className="grid gap-2">
-              <Label>Horario</Label>
-              <Select value={time} onValueChange={(v) => setTime(v)}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {SLOT_TIMES.map((t) => (
-                    <SelectItem key={t} value={t}>
-                      {formatTimeLabel(t)}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-            <div className="h-4 text-xs text-muted-foreground">&nbsp;</div>
-          </div>
-
-          <div className="flex flex-col justify-between gap-2">
-            <div className="grid gap-2">
-              <Label>Cancha</Label>
-              <Select value={courtId} onValueChange={(v) => setCourtId(v)}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {courts.map((c) => (
-                    <SelectItem key={c.id} value={c.id}>
-                      {c.name}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-            <div className="h-4 text-xs text-muted-foreground">&nbsp;</div>
-          </div>
-
-          <div className="flex flex-col justify-between gap-2">
-            <div className="grid gap-2">
-              <Label>Precio</Label>
-              <div className="flex h-10 items-center justify-between rounded-2xl border bg-muted/30 px-3 text-sm">
-                <span>{user.userType}</span>
-                <span className="font-semibold">{formatMoney(price, cfg.currency)}</span>
-              </div>
-            </div>
-            <div className="h-4 text-xs text-muted-foreground">&nbsp;</div>
-          </div>
-
-          <div className="md:col-span-4">
-            <Separator className="my-1" />
-            <div className="grid gap-2 md:grid-cols-4">
-              {courts.map((c) => {
-                const a = availability.get(c.id);
-                const tone =
-                  !a.isActive || a.status === "Mantenimiento" ? "warning" : a.status === "Ocupada" ? "danger" : "success";
-                return (
-                  <div key={c.id} className="rounded-2xl border bg-card p-3 shadow-sm">
-                    <div className="flex items-center justify-between gap-2">
-                      <div className="text-sm font-semibold">{c.name}</div>
-                      <Pill tone={tone}>{a.status}</Pill>
-                    </div>
-                    <div className="mt-2 text-xs text-muted-foreground">{formatDateHuman(dateISO)} · {time}</div>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-
-          {err ? (
-            <div className="md:col-span-4">
-              <InlineError msg={err} />
-            </div>
-          ) : null}
-
-          <div className="md:col-span-4">
-            <PolicyBanner />
-          </div>
-
-          <div className="md:col-span-4">
-            <Button className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={createReservation} disabled={busy}>
-              {busy ? "Creando reserva…" : "Crear reserva"}
-            </Button>
-            <div className="mt-2 text-xs text-muted-foreground">
-              Regla: no podés reservar más de una cancha en el mismo horario.
-            </div>
-          </div>
-        </CardContent>
-      </Card>
-
-      <PaymentDialog
-        open={payOpen}
-        onOpenChange={setPayOpen}
-        api={api}
-        db={db}
-        user={user}
-        reservationId={createdResId}
-        onSuccess={() => {
-          setPayOpen(false);
-          window.scrollTo({ top: 0, behavior: 'smooth' });
-          // redirige automáticamente a Mis reservas
-          document.dispatchEvent(new CustomEvent('go-to-mis'));
-        }}
-      />
-    </div>
-  );
-}
-
-function PolicyBanner() {
-  return (
-    <div className="flex flex-col gap-2 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800 md:flex-row md:items-center md:justify-between">
-      <div className="flex items-start gap-2">
-        <AlertTriangle className="mt-0.5 h-4 w-4" />
-        <div>
-          <div className="font-semibold">Política de no presentación / cancelación</div>
-          <div className="text-amber-900/80">
-            Si no te presentás, se reintegra solo el <span className="font-semibold">50%</span> del valor. Esta política se
-            muestra antes de pagar.
-          </div>
-        </div>
-      </div>
-      <Pill tone="warning">Reintegro 50%</Pill>
-    </div>
-  );
-}
-
-function PaymentDialog({ open, onOpenChange, api, db, user, reservationId, onSuccess }) {
-  const [busy, setBusy] = useState(false);
-  const [err, setErr] = useState("");
-  const [success, setSuccess] = useState(false);
-
-  const reservation = useMemo(
-    () => db.reservations.find((r) => r.id === reservationId) || null,
-    [db.reservations, reservationId]
-  );
-  const payment = useMemo(
-    () => db.payments.find((p) => p.reservationId === reservationId) || null,
-    [db.payments, reservationId]
-  );
-
-  async function payMP() {
-    if (!reservationId) return;
-    setErr("");
-    setBusy(true);
-    try {
-      await api.payWithMercadoPago(user.id, reservationId);
-      setSuccess(true);
-
-      setTimeout(() => {
-        // animación suave de salida
-        setSuccess(false);
-        setTimeout(() => {
-          onOpenChange(false);
-          if (onSuccess) onSuccess();
-        }, 300);
-      }, 4000);
-    } catch (e) {
-      setErr(e?.message || "Error");
-    } finally {
-      setBusy(false);
-    }
-  }
-
-  return (
-    <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="rounded-2xl">
-        <DialogHeader>
-          <DialogTitle>Confirmar pago</DialogTitle>
-          <DialogDescription>
-            La reserva queda <span className="font-medium">pendiente</span> hasta que el pago esté <span className="font-medium">aprobado</span>.
-          </DialogDescription>
-        </DialogHeader>
-
-        <AnimatePresence mode="wait">
-          {success ? (
-            <motion.div
-              key="success"
-              initial={{ opacity: 0, scale: 0.95 }}
-              animate={{ opacity: 1, scale: 1 }}
-              exit={{ opacity: 0, scale: 0.95 }}
-              transition={{ duration: 0.3 }}
-              className="flex flex-col items-center justify-center gap-3 rounded-2xl border border-emerald-200 bg-emerald-50 p-6 text-emerald-800"
-            >
-              <CheckCircle2 className="h-8 w-8" />
-              <div className="text-base font-semibold">Pago confirmado</div>
-              <div className="text-sm text-emerald-900/80">Tu reserva fue confirmada correctamente.</div>
-            </motion.div>
-          ) : !reservation ? (
-            <div className="text-sm text-muted-foreground">No hay reserva seleccionada.</div>
-          ) : (
-            <motion.div
-              key="form"
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
-              transition={{ duration: 0.2 }}
-              className="space-y-3"
-            >
-              <div className="rounded-2xl border bg-muted/30 p-3 text-sm">
-                <div className="flex items-center justify-between">
-                  <div className="font-semibold">Reserva</div>
-                  <Badge variant="secondary" className="rounded-full">
-                    {reservation.status}
-                  </Badge>
-                </div>
-                <div className="mt-1 text-muted-foreground">{formatDateHuman(reservation.dateISO)} · {reservation.time} · {courtName(db, reservation.courtId)}</div>
-                <div className="mt-2 flex items-center justify-between">
-                  <div className="text-muted-foreground">Total</div>
-                  <div className="font-semibold">{formatMoney(reservation.price, db.config.currency)}</div>
-                </div>
-              </div>
-
-              <PolicyBanner />
-
-              <div className="rounded-2xl border bg-card p-3">
-                <div className="flex items-center justify-between gap-2">
-                  <div className="flex items-center gap-2">
-                    <CreditCard className="h-4 w-4" />
-                    <div className="text-sm font-semibold">Mercado Pago (online)</div>
-                  </div>
-                  <Pill tone="info">Demo</Pill>
-                </div>
-                <div className="mt-1 text-xs text-muted-foreground">
-                  En producción: redirección a checkout + webhooks. En demo: aprobación inmediata.
-                </div>
-                <Button className="mt-3 w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={payMP} disabled={busy || reservation.status !== RES_STATUS.PENDING_PAYMENT}>
-                  {busy ? "Procesando…" : "Pagar con Mercado Pago"}
-                </Button>
-              </div>
-
-              {payment ? (
-                <div className="text-xs text-muted-foreground">
-                  Estado del pago: <span className="font-medium text-foreground">{payment.status}</span>
-                </div>
-              ) : null}
-
-              {err ? <InlineError msg={err} /> : null}
-            </motion.div>
-          )}
-        </AnimatePresence>
-
-        {!success && (
-          <DialogFooter>
-            <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => onOpenChange(false)}>
-              Cerrar
-            </Button>
-          </DialogFooter>
-        )}
-      </DialogContent>
-    </Dialog>
-  );
-}
-
-// -----------------------------
-// Mis reservas
-// -----------------------------
-
-function MyReservations({ api, db, user, goToReservar }) {
-  const [q, setQ] = useState("");
-  const [selectedResId, setSelectedResId] = useState(null);
-  const [payOpen, setPayOpen] = useState(false);
-
-  const mine = useMemo(() => {
-    return db.reservations
-      .filter((r) => r.userId === user.id && r.status !== RES_STATUS.CANCELLED)
-      .sort((a, b) => (a.dateISO + a.time).localeCompare(b.dateISO + b.time));
-  }, [db.reservations, user.id]);
-
-  
-
-  const filtered = useMemo(() => {
-    const qq = q.trim().toLowerCase();
-    if (!qq) return mine;
-    return mine.filter((r) => `${r.dateISO} ${r.time} ${courtName(db, r.courtId)} ${r.status}`.toLowerCase().includes(qq));
-  }, [mine, q, db]);
-
-  return (
-    <div className="grid gap-4">
-      <SectionTitle
-        icon={Clock}
-        title="Mis reservas"
-        subtitle="Seguimiento de estados: pendiente, confirmada, cancelada, no presentación."
-        right={
-          <div className="flex items-center gap-2">
-            <Search className="h-4 w-4 text-muted-foreground" />
-            <Input className="w-56 rounded-2xl" value={q} onChange={(e) => setQ(e.target.value)} placeholder="Buscar…" />
-          </div>
-        }
-      />
-
-      {filtered.length === 0 ? (
-        <div className="rounded-2xl border bg-card p-6 text-center shadow-sm">
-          <div className="mx-auto mb-3 flex h-12 w-12 items-center justify-center rounded-2xl border bg-muted/40">
-            <Calendar className="h-6 w-6" />
-          </div>
-          <div className="text-base font-semibold">No tenés reservas</div>
-          <div className="mt-1 text-sm text-muted-foreground">Creá una reserva desde la sección Reservar.</div>
-          <div className="mt-4 flex justify-center">
-            <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={goToReservar}>
-              Ir a reservar
-            </Button>
-          </div>
-        </div>
-      ) : (
-        <div className="grid gap-3">
-          {filtered.map((r) => {
-            const p = db.payments.find((x) => x.reservationId === r.id);
-            return (
-              <Card key={r.id} className="rounded-2xl shadow-sm">
-                <CardContent className="flex flex-col gap-3 p-4 md:flex-row md:items-center md:justify-between">
-                  <div className="min-w-0">
-                    <div className="flex flex-wrap items-center gap-2">
-                      <div className="text-sm font-semibold">{formatDateHuman(r.dateISO)} · {r.time}</div>
-                      <Badge variant="secondary" className="rounded-full">
-                        {courtName(db, r.courtId)}
-                      </Badge>
-                      <StatusPill status={r.status} />
-                    </div>
-                    <div className="mt-1 text-xs text-muted-foreground">
-                      Pago: <span className="font-medium text-foreground">{p?.status || "-"}</span> · Total: {formatMoney(r.price, db.config.currency)}
-                    </div>
-                  </div>
-                  <div className="flex flex-wrap gap-2">
-                    {r.status === RES_STATUS.PENDING_PAYMENT ? (
-                      <Button
-                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-                        onClick={() => {
-                          setSelectedResId(r.id);
-                          setPayOpen(true);
-                        }}
-                      >
-                        Pagar
-                      </Button>
-                    ) : null}
-                    {r.status !== RES_STATUS.CANCELLED ? (
-                      <Button
-                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-                        onClick={() => api.cancelReservation(user.id, r.id, "Cancelación por usuario")}
-                      >
-                        Cancelar
-                      </Button>
-                    ) : null}
-                  </div>
-                </CardContent>
-              </Card>
-            );
-          })}
-        </div>
-      )}
-
-      <PaymentDialog
-        open={payOpen}
-        onOpenChange={setPayOpen}
-        api={api}
-        db={db}
-        user={user}
-        reservationId={selectedResId}
-        onSuccess={() => {
-          setPayOpen(false);
-          window.scrollTo({ top: 0, behavior: 'smooth' });
-          document.dispatchEvent(new CustomEvent('go-to-mis'));
-        }}
-      />
-    </div>
-  );
-}
-
-function StatusPill({ status }) {
-  const tone =
-    status === RES_STATUS.CONFIRMED
-      ? "success"
-      : status === RES_STATUS.PENDING_PAYMENT
-        ? "warning"
-        : status === RES_STATUS.NO_SHOW
-          ? "danger"
-          : "default";
-
-  const icon =
-    status === RES_STATUS.CONFIRMED
-      ? CheckCircle2
-      : status === RES_STATUS.PENDING_PAYMENT
-        ? AlertTriangle
-        : status === RES_STATUS.NO_SHOW
-          ? XCircle
-          : null;
-
-  return (
-    <Pill tone={tone} icon={icon}>
-      {status}
-    </Pill>
-  );
-}
-
-// -----------------------------
-// Perfil
-// -----------------------------
-
-function ProfileView({ api, db, user }) {
-  const cfg = db.config;
-  const needsEmail = cfg.requireEmailValidation && !user.isEmailValidated;
-  const needsPhone = cfg.requirePhoneValidation && !user.isPhoneValidated;
-
-  return (
-    <div className="grid gap-4">
-      <SectionTitle
-        icon={User}
-        title="Perfil"
-        subtitle="Datos mínimos y validación obligatoria para operar."
-        right={<Pill tone={user.userType === "Socio" ? "success" : "info"}>{user.userType}</Pill>}
-      />
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Datos personales</CardTitle>
-        </CardHeader>
-        <CardContent className="grid gap-3 text-sm md:grid-cols-2">
-          <InfoRow label="Email" value={user.email} />
-          <InfoRow label="Teléfono" value={user.phone} />
-          <InfoRow label="DNI" value={user.dni} />
-          <InfoRow label="Tipo" value={user.userType} />
-          <div className="md:col-span-2">
-            <div className="rounded-2xl border bg-muted/30 p-4 text-xs text-muted-foreground">
-              SI ALGUNO DE LOS DATOS PERSONALES SON INCORRECTOS, COMUNIQUESE CON EL AREA DE SOCIOS.
-            </div>
-          </div>
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Validación de cuenta</CardTitle>
-        </CardHeader>
-        <CardContent className="grid gap-3">
-          <div className="flex flex-wrap items-center gap-2">
-            <Pill tone={user.isEmailValidated ? "success" : "warning"} icon={user.isEmailValidated ? CheckCircle2 : AlertTriangle}>
-              Email {user.isEmailValidated ? "validado" : "pendiente"}
-            </Pill>
-            <Pill tone={user.isPhoneValidated ? "success" : "warning"} icon={user.isPhoneValidated ? CheckCircle2 : AlertTriangle}>
-              WhatsApp {user.isPhoneValidated ? "validado" : "pendiente"}
-            </Pill>
-          </div>
-
-          {(needsEmail || needsPhone) ? (
-            <div className="rounded-2xl border bg-card p-4">
-              <div className="text-sm font-semibold">Completar validación</div>
-              <div className="mt-1 text-sm text-muted-foreground">
-                Hasta no validar, no podés reservar ni pagar.
-              </div>
-              <div className="mt-3 flex flex-wrap gap-2">
-                {needsEmail ? (
-                  <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => api.validateAccount(user.id, { emailOk: true })}>
-                    Validar email (demo)
-                  </Button>
-                ) : null}
-                {needsPhone ? (
-                  <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => api.validateAccount(user.id, { phoneOk: true })}>
-                    Validar WhatsApp (demo)
-                  </Button>
-                ) : null}
-              </div>
-            </div>
-          ) : (
-            <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-4 text-sm text-emerald-800">
-              <div className="flex items-start gap-2">
-                <CheckCircle2 className="mt-0.5 h-4 w-4" />
-                <div>
-                  <div className="font-semibold">Cuenta validada</div>
-                  <div className="text-emerald-900/80">Ya podés reservar y pagar.</div>
-                </div>
-              </div>
-            </div>
-          )}
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Actividad y notificaciones</CardTitle>
-        </CardHeader>
-        <CardContent className="grid gap-3">
-          <div className="grid gap-2 md:grid-cols-2">
-            <Stat label="Reservas" value={db.reservations.filter((r) => r.userId === user.id).length} />
-            <Stat label="Notificaciones" value={db.notifications.filter((n) => n.to === user.email).length} />
-          </div>
-          <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
-            En esta demo, las notificaciones se registran internamente. En producción se envían por Email y WhatsApp Business.
-          </div>
-        </CardContent>
-      </Card>
-    </div>
-  );
-}
-
-function InfoRow({ label, value }) {
-  return (
-    <div className="rounded-2xl border bg-card p-3 shadow-sm">
-      <div className="text-xs text-muted-foreground">{label}</div>
-      <div className="mt-1 font-medium">{value || "-"}</div>
-    </div>
-  );
-}
-
-function Stat({ label, value }) {
-  return (
-    <div className="rounded-2xl border bg-card p-3 shadow-sm">
-      <div className="text-xs text-muted-foreground">{label}</div>
-      <div className="mt-1 text-lg font-semibold">{value}</div>
-    </div>
-  );
-}
-
-// -----------------------------
-// Admin
-// -----------------------------
-
-function AdminView({ api, db, user }) {
-  const [view, setView] = useState("agenda");
-
-  return (
-    <div className="grid gap-4">
-      <SectionTitle
-        icon={Shield}
-        title="Administración"
-        subtitle="Agenda, reservas manuales, pagos en efectivo, bloqueos, historial y auditoría."
-        right={
-          <div className="flex items-center gap-2">
-            <Pill tone="info" icon={Settings}>Roles + Logs</Pill>
-          </div>
-        }
-      />
-
-      <Tabs value={view} onValueChange={setView}>
-        <TabsList className="grid w-full grid-cols-2 rounded-2xl md:grid-cols-4">
-          <TabsTrigger value="agenda">Agenda</TabsTrigger>
-          <TabsTrigger value="operaciones">Operaciones</TabsTrigger>
-          <TabsTrigger value="historial">Historial</TabsTrigger>
-          <TabsTrigger value="config">Config</TabsTrigger>
-        </TabsList>
-
-        <TabsContent value="agenda" className="mt-4">
-          <AdminAgenda db={db} />
-        </TabsContent>
-
-        <TabsContent value="operaciones" className="mt-4">
-          <AdminOps api={api} db={db} admin={user} />
-        </TabsContent>
-
-        <TabsContent value="historial" className="mt-4">
-          <AdminHistory db={db} />
-        </TabsContent>
-
-        <TabsContent value="config" className="mt-4">
-          <AdminConfig api={api} db={db} admin={user} />
-        </TabsContent>
-      </Tabs>
-    </div>
-  );
-}
-
-function AdminAgenda({ db }) {
-  const [scope, setScope] = useState("daily");
-  const [dateISO, setDateISO] = useState(() => formatDateISO(new Date()));
-
-  const days = useMemo(() => {
-    if (scope === "daily") return [dateISO];
-    // weekly: 7 días desde dateISO
-    const base = startOfDay(new Date(dateISO + "T00:00:00"));
-    return Array.from({ length: 7 }, (_, i) => formatDateISO(addDays(base, i)));
-  }, [scope, dateISO]);
-
-  const rows = useMemo(() => {
-    const out = [];
-    for (const d of days) {
-      for (const t of SLOT_TIMES) {
-        for (const c of db.courts) {
-          const block = db.blocks.find((b) => b.dateISO === d && b.time === t && b.courtId === c.id);
-          const res = db.reservations.find(
-            (r) => r.dateISO === d && r.time === t && r.courtId === c.id && r.status !== RES_STATUS.CANCELLED
-          );
-          out.push({ dateISO: d, time: t, court: c, block, res });
-        }
-      }
-    }
-    return out;
-  }, [db.blocks, db.courts, db.reservations, days]);
-
-  return (
-    <Card className="rounded-2xl shadow-sm">
-      <CardHeader className="space-y-3">
-        <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
-          <div>
-            <CardTitle className="text-base">Agenda {scope === "daily" ? "diaria" : "semanal"}</CardTitle>
-            <div className="text-sm text-muted-foreground">Vista por cancha y horario.</div>
-          </div>
-          <div className="flex flex-wrap gap-2">
-            <Select value={scope} onValueChange={setScope}>
-              <SelectTrigger className="w-44 rounded-2xl">
-                <SelectValue />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="daily">Diaria</SelectItem>
-                <SelectItem value="weekly">Semanal</SelectItem>
-              </SelectContent>
-            </Select>
-            <Input className="w-44 rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
-          </div>
-        </div>
-      </CardHeader>
-      <CardContent>
-        <div className="overflow-auto rounded-2xl border">
-          <div className="min-w-[980px]">
-            <div className="grid grid-cols-12 border-b bg-muted/30 text-xs font-semibold">
-              <div className="col-span-2 p-3">Fecha</div>
-              <div className="col-span-2 p-3">Horario</div>
-              <div className="col-span-2 p-3">Cancha</div>
-              <div className="col-span-3 p-3">Estado</div>
-              <div className="col-span-3 p-3">Usuario</div>
-            </div>
-            {rows.map((r, idx) => {
-              const state = !r.court.isActive
-                ? { label: "Inactiva", tone: "warning" }
-                : r.block
-                  ? { label: "Bloqueada", tone: "danger" } // 🔴 rojo
-                  : r.res
-                    ? { label: "Reservada", tone: "warning" } // 🟡 amarillo
-                    : { label: "Disponible", tone: "success" }; // 🟢 verde
-
-              const u = r.res ? db.users.find((x) => x.id === r.res.userId) : null;
-
-              return (
-                <div key={idx} className="grid grid-cols-12 border-b text-sm">
-                  <div className="col-span-2 p-3 text-xs text-muted-foreground">{formatDateHuman(r.dateISO)}</div>
-                  <div className="col-span-2 p-3">{r.time}</div>
-                  <div className="col-span-2 p-3">{r.court.name}</div>
-                  <div className="col-span-3 p-3">
-                    <Pill tone={state.tone}>{state.label}</Pill>
-                  </div>
-                  <div className="col-span-3 p-3 text-xs text-muted-foreground">
-                    {u ? `${u.email} (${u.userType})` : "-"}
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-        </div>
-      </CardContent>
-    </Card>
-  );
-}
-
-function AdminOps({ api, db, admin }) {
-  const [dateISO, setDateISO] = useState(() => formatDateISO(new Date()));
-  const [time, setTime] = useState(SLOT_TIMES[0]);
-  const [courtId, setCourtId] = useState("c1");
-
-  const [userId, setUserId] = useState(db.users.find((u) => u.role !== "admin")?.id || db.users[0]?.id);
-  const [markPaidCash, setMarkPaidCash] = useState(false);
-  const [reason, setReason] = useState("");
-  const [busy, setBusy] = useState(false);
-  const [err, setErr] = useState("");
-
-  // Estado correcto para selección de reserva
-  const [selectedResId, setSelectedResId] = useState(null);
-
-  const eligibleUsers = useMemo(() => db.users.filter((u) => u.role !== "admin"), [db.users]);
-
-  const dayReservations = useMemo(() => {
-    return db.reservations
-      .filter((r) => r.dateISO === dateISO)
-      .sort((a, b) => (a.time + a.courtId).localeCompare(b.time + b.courtId));
-  }, [db.reservations, dateISO]);
-
-  async function createManual() {
-    setErr("");
-    setBusy(true);
-    try {
-      await api.adminCreateManualReservation(admin.id, { userId, dateISO, time, courtId, markPaidCash });
-      setMarkPaidCash(false);
-    } catch (e) {
-      setErr(e?.message || "Error");
-    } finally {
-      setBusy(false);
-    }
-  }
-
-  return (
-    <div className="grid gap-4 md:grid-cols-2">
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Crear reserva manual</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="grid gap-2">
-            <Label>Usuario</Label>
-            <Select value={userId} onValueChange={setUserId}>
-              <SelectTrigger className="rounded-2xl">
-                <SelectValue />
-              </SelectTrigger>
-              <SelectContent>
-                {eligibleUsers.length === 0 ? (
-                  <SelectItem value="none" disabled>
-                    No hay usuarios (creá uno desde Registro)
-                  </SelectItem>
-                ) : (
-                  eligibleUsers.map((u) => (
-                    <SelectItem key={u.id} value={u.id}>
-                      {u.email} ({u.userType})
-                    </SelectItem>
-                  ))
-                )}
-              </SelectContent>
-            </Select>
-          </div>
-
-          <div className="grid gap-3 md:grid-cols-3">
-            <div className="grid gap-2">
-              <Label>Fecha</Label>
-              <Input className="rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
-            </div>
-            <div className="grid gap-2">
-              <Label>Horario</Label>
-              <Select value={time} onValueChange={setTime}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {SLOT_TIMES.map((t) => (
-                    <SelectItem key={t} value={t}>
-                      {t}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-            <div className="grid gap-2">
-              <Label>Cancha</Label>
-              <Select value={courtId} onValueChange={setCourtId}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {db.courts.map((c) => (
-                    <SelectItem key={c.id} value={c.id}>
-                      {c.name}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-          </div>
-
-          <div className="flex items-center justify-between rounded-2xl border bg-card p-3">
-            <div className="text-sm">
-              <div className="font-semibold">Registrar pago en efectivo</div>
-              <div className="text-xs text-muted-foreground">Carga manual por administrador</div>
-            </div>
-            <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={markPaidCash} onCheckedChange={setMarkPaidCash} />
-          </div>
-
-          {err ? <InlineError msg={err} /> : null}
-          <Button className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={createManual} disabled={busy || eligibleUsers.length === 0}>
-            {busy ? "Creando…" : "Crear"}
-          </Button>
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Bloquear cancha / horario</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="grid gap-3 md:grid-cols-3">
-            <div className="grid gap-2">
-              <Label>Fecha</Label>
-              <Input className="rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
-            </div>
-            <div className="grid gap-2">
-              <Label>Horario</Label>
-              <Select value={time} onValueChange={setTime}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {SLOT_TIMES.map((t) => (
-                    <SelectItem key={t} value={t}>
-                      {t}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-            <div className="grid gap-2">
-              <Label>Cancha</Label>
-              <Select value={courtId} onValueChange={setCourtId}>
-                <SelectTrigger className="rounded-2xl">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  {db.courts.map((c) => (
-                    <SelectItem key={c.id} value={c.id}>
-                      {c.name}
-                    </SelectItem>
-                  ))}
-                </SelectContent>
-              </Select>
-            </div>
-          </div>
-
-          <div className="grid gap-2">
-            <Label>Motivo</Label>
-            <Input className="rounded-2xl" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Mantenimiento" />
-          </div>
-
-          <Button
-            className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-            onClick={() => {
-              api.addBlock(admin.id, { courtId, dateISO, time, reason: reason || "Mantenimiento" });
-              setReason("");
-            }}
-          >
-            <Wrench className="mr-2 h-4 w-4" /> Bloquear
-          </Button>
-
-          <Separator />
-
-          <div>
-            <div className="text-sm font-semibold">Bloqueos existentes</div>
-            <div className="mt-2 grid gap-2">
-              {db.blocks.length === 0 ? (
-                <div className="text-sm text-muted-foreground">Sin bloqueos.</div>
-              ) : (
-                db.blocks
-                  .slice()
-                  .sort((a, b) => (a.dateISO + a.time).localeCompare(b.dateISO + b.time))
-                  .map((b) => (
-                    <div key={b.id} className="flex items-center justify-between rounded-2xl border bg-card p-3 text-sm">
-                      <div className="min-w-0">
-                        <div className="font-semibold">{courtName(db, b.courtId)} · {formatDateHuman(b.dateISO)} · {b.time}</div>
-                        <div className="text-xs text-muted-foreground truncate">{b.reason || "-"}</div>
-                      </div>
-                      <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => api.removeBlock(admin.id, b.id)}>
-                        Quitar
-                      </Button>
-                    </div>
-                  ))
-              )}
-            </div>
-          </div>
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm md:col-span-2">
-        <CardHeader>
-          <CardTitle className="text-base">Operaciones sobre reservas del día</CardTitle>
-        </CardHeader>
-        <CardContent className="grid gap-3">
-          <div className="flex flex-wrap items-end justify-between gap-2">
-            <div className="grid gap-2">
-              <Label>Fecha</Label>
-              <Input className="w-52 rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
-            </div>
-            <div className="grid gap-2">
-              <Label>Seleccionada</Label>
-              <Select value={selectedResId || "none"} onValueChange={(v) => setSelectedResId(v === "none" ? null : v)}>
-                <SelectTrigger className="w-80 rounded-2xl">
-                  <SelectValue placeholder="Elegí una reserva" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="none">-</SelectItem>
-                  {dayReservations.map((r) => {
-                    const u = db.users.find((x) => x.id === r.userId);
-                    return (
-                      <SelectItem key={r.id} value={r.id}>
-                        {r.time} · {courtName(db, r.courtId)} · {u?.email || "-"} · {r.status}
-                      </SelectItem>
-                    );
-                  })}
-                </SelectContent>
-              </Select>
-            </div>
-          </div>
-
-          {selectedResId ? (
-            <AdminReservationActions api={api} db={db} admin={admin} reservationId={selectedResId} />
-          ) : (
-            <div className="rounded-2xl border bg-muted/30 p-4 text-sm text-muted-foreground">Elegí una reserva para operar.</div>
-          )}
-        </CardContent>
-      </Card>
-    </div>
-  );
-}
-
-function AdminReservationActions({ api, db, admin, reservationId }) {
-  const reservation = db.reservations.find((r) => r.id === reservationId);
-  const payment = db.payments.find((p) => p.reservationId === reservationId);
-  const u = reservation ? db.users.find((x) => x.id === reservation.userId) : null;
-
-  if (!reservation) return null;
-
-  return (
-    <div className="grid gap-3 rounded-2xl border bg-card p-4">
-      <div className="flex flex-wrap items-center justify-between gap-2">
-        <div>
-          <div className="text-sm font-semibold">{formatDateHuman(reservation.dateISO)} · {reservation.time} · {courtName(db, reservation.courtId)}</div>
-          <div className="text-xs text-muted-foreground">Usuario: {u?.email || "-"} ({u?.userType || "-"})</div>
-        </div>
-        <div className="flex flex-wrap items-center gap-2">
-          <StatusPill status={reservation.status} />
-          <Pill tone={payment?.status === PAY_STATUS.APPROVED ? "success" : "warning"}>
-            Pago: {payment?.status || "-"}
-          </Pill>
-        </div>
-      </div>
-
-      <div className="grid gap-2 md:grid-cols-3">
-        <Button
-          className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-          onClick={() => api.registerCashPayment(admin.id, reservationId)}
-          disabled={reservation.status !== RES_STATUS.PENDING_PAYMENT}
-        >
-          Registrar efectivo
-        </Button>
-        <Button
-          className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-          onClick={() => api.cancelReservation(admin.id, reservationId, "Cancelación admin")}
-          disabled={reservation.status === RES_STATUS.CANCELLED}
-        >
-          Cancelar
-        </Button>
-        <Button
-          className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-          onClick={() => api.markNoShowAndRefund50(admin.id, reservationId)}
-          disabled={reservation.status !== RES_STATUS.CONFIRMED}
-        >
-          No show + reintegro 50%
-        </Button>
-      </div>
-
-      <div className="text-xs text-muted-foreground">
-        Total: <span className="font-medium text-foreground">{formatMoney(reservation.price, db.config.currency)}</span>
-        {payment?.method ? <span> · Método: <span className="font-medium text-foreground">{payment.method}</span></span> : null}
-      </div>
-    </div>
-  );
-}
-
-function AdminHistory({ db }) {
-  const [tab, setTab] = useState("audit");
-
-  return (
-    <div className="grid gap-4 md:grid-cols-2">
-      <Card className="rounded-2xl shadow-sm md:col-span-2">
-        <CardHeader>
-          <CardTitle className="text-base">Historial</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <Tabs value={tab} onValueChange={setTab}>
-            <TabsList className="grid w-full grid-cols-2 rounded-2xl md:grid-cols-4">
-              <TabsTrigger value="audit">Auditoría</TabsTrigger>
-              <TabsTrigger value="notifs">Notificaciones</TabsTrigger>
-              <TabsTrigger value="reservas">Reservas</TabsTrigger>
-              <TabsTrigger value="pagos">Pagos</TabsTrigger>
-            </TabsList>
-
-            <TabsContent value="audit" className="mt-4">
-              <ListTable
-                cols={["Fecha", "Usuario", "Acción", "Detalle"]}
-                rows={db.audit.slice(0, 80).map((a) => [
-                  new Date(a.at).toLocaleString("es-AR"),
-                  (db.users.find((u) => u.id === a.by)?.email || a.by),
-                  a.action,
-                  a.detail,
-                ])}
-              />
-            </TabsContent>
-
-            <TabsContent value="notifs" className="mt-4">
-              <ListTable
-                cols={["Fecha", "Canal", "Destino", "Evento"]}
-                rows={db.notifications.slice(0, 80).map((n) => [
-                  new Date(n.at).toLocaleString("es-AR"),
-                  n.channel,
-                  n.to,
-                  n.event,
-                ])}
-              />
-            </TabsContent>
-
-            <TabsContent value="reservas" className="mt-4">
-              <ListTable
-                cols={["Fecha", "Horario", "Cancha", "Usuario", "Estado"]}
-                rows={db.reservations
-                  .slice()
-                  .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
-                  .slice(0, 80)
-                  .map((r) => [
-                    formatDateHuman(r.dateISO),
-                    r.time,
-                    courtName(db, r.courtId),
-                    db.users.find((u) => u.id === r.userId)?.email || "-",
-                    r.status,
-                  ])}
-              />
-            </TabsContent>
-
-            <TabsContent value="pagos" className="mt-4">
-              <ListTable
-                cols={["Reserva", "Método", "Estado", "Monto"]}
-                rows={db.payments
-                  .slice()
-                  .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
-                  .slice(0, 80)
-                  .map((p) => [
-                    p.reservationId,
-                    p.method || "-",
-                    p.status,
-                    formatMoney(p.amount, db.config.currency),
-                  ])}
-              />
-            </TabsContent>
-          </Tabs>
-        </CardContent>
-      </Card>
-    </div>
-  );
-}
-
-function ListTable({ cols, rows }) {
-  return (
-    <div className="overflow-auto rounded-2xl border">
-      <table className="w-full min-w-[780px] text-sm">
-        <thead className="bg-muted/30">
-          <tr>
-            {cols.map((c) => (
-              <th key={c} className="p-3 text-left text-xs font-semibold">
-                {c}
-              </th>
-            ))}
-          </tr>
-        </thead>
-        <tbody>
-          {rows.map((r, i) => (
-            <tr key={i} className="border-t">
-              {r.map((cell, j) => (
-                <td key={j} className="p-3 text-xs text-muted-foreground">
-                  <span className="text-foreground">{cell}</span>
-                </td>
-              ))}
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
-  );
-}
-
-function AdminConfig({ api, db, admin }) {
-  const cfg = db.config;
-  const [authMode, setAuthMode] = useState(cfg.authMode);
-  const [reqEmail, setReqEmail] = useState(cfg.requireEmailValidation);
-  const [reqPhone, setReqPhone] = useState(cfg.requirePhoneValidation);
-  const [priceSocio, setPriceSocio] = useState(cfg.priceSocio);
-  const [priceNoSocio, setPriceNoSocio] = useState(cfg.priceNoSocio);
-
-  useEffect(() => {
-    setAuthMode(cfg.authMode);
-    setReqEmail(cfg.requireEmailValidation);
-    setReqPhone(cfg.requirePhoneValidation);
-    setPriceSocio(cfg.priceSocio);
-    setPriceNoSocio(cfg.priceNoSocio);
-  }, [cfg]);
-
-  return (
-    <div className="grid gap-4 md:grid-cols-2">
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Autenticación</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="rounded-2xl border bg-muted/30 p-4 text-sm text-muted-foreground">
-            El sistema utiliza autenticación fija por <span className="font-semibold text-foreground">Email + Password</span>.
-          </div>
-          <div className="flex items-center justify-between rounded-2xl border bg-card p-3">
-            <div className="text-sm">
-              <div className="font-semibold">Validación de email obligatoria</div>
-              <div className="text-xs text-muted-foreground">Sin validar, no reserva ni paga</div>
-            </div>
-            <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={reqEmail} onCheckedChange={setReqEmail} />
-          </div>
-          <Button
-            className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-            onClick={() => api.setConfig(admin.id, { requireEmailValidation: reqEmail })}
-          >
-            Guardar
-          </Button>
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="text-base">Precios</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="grid gap-2">
-            <Label>Socio</Label>
-            <Input
-              className="rounded-2xl"
-              type="number"
-              value={priceSocio}
-              onChange={(e) => setPriceSocio(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 1000000))}
-            />
-          </div>
-          <div className="grid gap-2">
-            <Label>No socio</Label>
-            <Input
-              className="rounded-2xl"
-              type="number"
-              value={priceNoSocio}
-              onChange={(e) => setPriceNoSocio(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 1000000))}
-            />
-          </div>
-          <Button
-            className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
-            onClick={() => api.setConfig(admin.id, { priceSocio, priceNoSocio })}
-          >
-            Guardar
-          </Button>
-          <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
-            Nota: El PDF no especifica valores; se dejan configurables.
-          </div>
-        </CardContent>
-      </Card>
-
-      <Card className="rounded-2xl shadow-sm md:col-span-2">
-        <CardHeader>
-          <CardTitle className="text-base">Canchas (activar/desactivar)</CardTitle>
-        </CardHeader>
-        <CardContent className="grid gap-2 md:grid-cols-2">
-          {db.courts.map((c) => (
-            <div key={c.id} className="flex items-center justify-between rounded-2xl border bg-card p-3">
-              <div className="text-sm">
-                <div className="font-semibold">{c.name}</div>
-                <div className="text-xs text-muted-foreground">Una sola reserva por horario</div>
-              </div>
-              <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={c.isActive} onCheckedChange={(v) => api.setCourtActive(admin.id, c.id, v)} />
-            </div>
-          ))}
-        </CardContent>
-      </Card>
-    </div>
-  );
-}
-
-// -----------------------------
-// Helpers dominio
-// -----------------------------
-
-function courtName(db, courtId) {
-  return db.courts.find((c) => c.id === courtId)?.name || courtId;
-}
-
-function formatMoney(amount, currency) {
-  const n = Number(amount || 0);
-  try {
-    return new Intl.NumberFormat("es-AR", { style: "currency", currency }).format(n);
-  } catch {
-    return `$${n.toLocaleString("es-AR")}`;
-  }
-}
+"use client";
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  Calendar,
+  Clock,
+  User,
+  Shield,
+  LogOut,
+  Search,
+  Wrench,
+  Bell,
+  CreditCard,
+  BadgeCheck,
+  AlertTriangle,
+  CheckCircle2,
+  XCircle,
+  RefreshCcw,
+  Settings,
+  ShieldCheck,
+} from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Separator } from "@/components/ui/separator";
+import {
+  AUTH_MODES,
+  PAY_STATUS,
+  PASSWORD_POLICY_MSG,
+  PASSWORD_REGEX,
+  RESET_TOKEN_TTL_MIN,
+  RES_STATUS,
+  SOCIO_PRICE_POLICY_LABELS,
+} from "@/lib/tenis/constants";
+import {
+  BOOKING_DURATIONS,
+  SLOT_MINUTES,
+  WEEKDAY_LABELS,
+  allowedDurations,
+  courtSlotTimes,
+  daySlotTimes,
+  durationLabel,
+  durationOf,
+  endTime,
+  fitsSchedule,
+  fromMinutes,
+  holidayFor,
+  isSlotOpen,
+  overlaps,
+  timeRangeLabel,
+} from "@/lib/tenis/schedule";
+import { ANY_COURT, WAITLIST_STATUS, isHoldActive, isWaitlistOpen } from "@/lib/tenis/waitlist";
+import { REFUND_KINDS, describeTiers, refundRuleFor } from "@/lib/tenis/refunds";
+import { SERIES_INTERVALS, SERIES_STATUS, occurrenceDates, occurrenceSlot, weekdayName } from "@/lib/tenis/series";
+import { SOCIO_PROVIDERS, SOCIO_PROVIDER_LABELS } from "@/lib/tenis/socios";
+import { SPREADSHEET_ACCEPT, readSpreadsheet } from "@/lib/tenis/spreadsheet";
+import { addDays, clamp, formatDateISO, safeParseJSON, startOfDay } from "@/lib/tenis/utils";
+import { SNAPSHOT_COLLECTIONS, createBackend, loadSnapshot } from "@/lib/tenis/client";
+import {
+  ADMIN_ROLES,
+  CAPS,
+  METHOD_CAPABILITIES,
+  ROLES,
+  ROLE_LABELS,
+  assignableRoles,
+  can,
+  canAny,
+  isStaff,
+  permissionMessage,
+} from "@/lib/tenis/permissions";
+
+/**
+ * DEMO / PREVIEW APP (single-file React)
+ * -----------------------------------
+ * Basado en el PDF "Requerimiento Técnico - Funcional" (Sistema de Reserva de Canchas de Tenis - Club Estudiantes de La Plata).
+ *
+ * Maqueta funcional: la UI vive en este archivo y los datos los gestionan los route handlers
+ * de /api/* (reglas de negocio en src/lib/tenis/service.js, persistencia en disco).
+ * Con NEXT_PUBLIC_TENIS_BACKEND=localStorage|indexeddb|memory el mismo dominio corre en el
+ * navegador contra ese storage (ver src/lib/tenis/storage).
+ * Incluye:
+ * - Registro + validación de DNI vs sistema de socios (mock endpoint)
+ * - Esquemas de auth configurables: Email+Password, Email+OTP, Teléfono+OTP
+ * - Validación obligatoria de cuenta (email y/o teléfono) antes de reservar/pagar
+ * - 4 canchas, turnos de 60, 90 o 120 min (por cancha y franja horaria), anticipación máx 7 días
+ * - Horarios por temporada, día de la semana y cancha, con feriados (Admin → Config)
+ * - Reserva desde una grilla horario × cancha del día, con tira de los próximos 7 días
+ * - Lista de espera de turnos ocupados: al liberarse se ofrecen por orden de llegada, con retención
+ * - Turnos fijos semanales o quincenales cargados por el club (Admin → Turnos fijos)
+ * - Reserva en estado Pendiente de Pago -> Confirmada, con plazo para pagar (si vence, se libera el turno)
+ * - Reprogramación de reservas (fecha, horario, cancha o duración) conservando el pago, con saldo o reintegro de la diferencia
+ * - Pago: Mercado Pago (simulado) o Efectivo (admin)
+ * - Política de cancelación por tramos de anticipación y de no presentación, con reintegro automático
+ * - Notificaciones (simuladas: Email/WhatsApp) por eventos
+ * - Panel admin: agenda diaria/semanal, crear reservas manuales, registrar efectivo,
+ *   cancelar/modificar, bloquear canchas/horarios, historial, auditoría
+ * - Roles del personal (recepción, profesor, admin, super admin) con permisos por capacidad
+ * - Gestión de usuarios: datos de contacto, desactivación, revalidación de socio y unificación de duplicados
+ * - Revalidación periódica de la condición de socio (al ingresar, al reservar y masiva) con política de precios
+ * - Fuente de validación de socios configurable (demo, HTTP o padrón importado desde CSV / XLSX)
+ *
+ * Para producción:
+ * - Reemplazar el store JSON en disco por una base de datos
+ * - Integrar endpoint real de validación de socio (DNI -> flag)
+ * - Integrar Mercado Pago real + Webhooks para estados
+ * - Integrar WhatsApp Business (Meta) + proveedor email (SendGrid, etc.)
+ */
+
+// -----------------------------
+// Utilidades
+// -----------------------------
+
+const SESSION_KEY = "edlp_tenis_session_v1";
+
+// Sesión en este navegador: { userId, sessionId, token }. `token` solo existe
+// con backends locales; con "remote" viaja en una cookie httpOnly. Los formatos
+// anteriores (solo el id de usuario) no tienen sesión en el servidor: se ignoran.
+function readSession() {
+  const parsed = safeParseJSON(localStorage.getItem(SESSION_KEY), null);
+  return parsed?.sessionId ? parsed : null;
+}
+
+// Cada cuánto se revisa si la sesión sigue vigente (y se informa actividad).
+const SESSION_CHECK_MS = 60000;
+
+function formatDateHuman(iso) {
+  // iso YYYY-MM-DD
+  const [y, m, d] = iso.split("-").map((v) => parseInt(v, 10));
+  const x = new Date(y, m - 1, d);
+  return x.toLocaleDateString("es-AR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+function formatTimeLabel(t) {
+  return t;
+}
+
+// -----------------------------
+// UI helpers
+// -----------------------------
+
+function Pill({ tone = "default", children, icon: Icon }) {
+  const toneCls =
+    tone === "success"
+      ? "bg-emerald-50 text-emerald-700 border-emerald-200"
+      : tone === "warning"
+        ? "bg-amber-50 text-amber-700 border-amber-200"
+        : tone === "danger"
+          ? "bg-rose-50 text-rose-700 border-rose-200"
+          : tone === "info"
+            ? "bg-sky-50 text-sky-700 border-sky-200"
+            : "bg-muted text-foreground border-border";
+
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full border px-2.5 py-1 text-xs ${toneCls}`}>
+      {Icon ? <Icon className="h-3.5 w-3.5" /> : null}
+      <span className="leading-none">{children}</span>
+    </span>
+  );
+}
+
+function SectionTitle({ icon: Icon, title, subtitle, right }) {
+  return (
+    <div className="flex items-start justify-between gap-3">
+      <div className="flex items-start gap-3">
+        <div className="mt-0.5 rounded-2xl border bg-card p-2 shadow-sm">
+          <Icon className="h-5 w-5" />
+        </div>
+        <div>
+          <div className="text-lg font-semibold leading-tight">{title}</div>
+          {subtitle ? <div className="text-sm text-muted-foreground">{subtitle}</div> : null}
+        </div>
+      </div>
+      {right}
+    </div>
+  );
+}
+
+function EmptyState({ title, desc, action }) {
+  return (
+    <div className="rounded-2xl border bg-card p-6 text-center shadow-sm">
+      <div className="mx-auto mb-2 h-10 w-10 rounded-2xl border bg-muted/40" />
+      <div className="text-base font-semibold">{title}</div>
+      <div className="mt-1 text-sm text-muted-foreground">{desc}</div>
+      {action ? <div className="mt-4 flex justify-center">{action}</div> : null}
+    </div>
+  );
+}
+
+function TopBar({ user, onLogout }) {
+  return (
+    <div className="sticky top-0 z-30 border-b bg-white">
+      <div className="mx-auto flex w-full max-w-6xl items-center justify-between gap-3 px-4 py-3">
+        <div className="flex items-center gap-3">
+          <img src="https://upload.wikimedia.org/wikipedia/commons/6/68/Escudo_del_Club_Estudiantes_de_La_Plata.svg" alt="Escudo Estudiantes" className="h-10 w-10 object-contain" />
+          <div>
+            <div className="text-sm font-semibold leading-tight">Club Estudiantes de La Plata</div>
+            <div className="text-xs text-muted-foreground">Reserva de canchas de tenis</div>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {user ? (
+            <>
+              <Badge variant="secondary" className="rounded-full">
+                {isStaff(user) ? ROLE_LABELS[user.role] || user.role : user.userType}
+              </Badge>
+              <div className="hidden text-sm text-muted-foreground md:block">{user.email || user.phone}</div>
+              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={onLogout}>
+                <LogOut className="mr-2 h-4 w-4" /> Salir
+              </Button>
+            </>
+          ) : (
+            <Badge variant="secondary" className="rounded-full">
+              Demo
+            </Badge>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Pestaña del panel según el rol: "Admin", "Recepción", "Profesor".
+function staffNavLabel(user) {
+  return user.role === ROLES.SUPER_ADMIN ? "Admin" : ROLE_LABELS[user.role] || "Admin";
+}
+
+function BottomNav({ active, setActive, staffLabel }) {
+  const items = [
+    { key: "reservar", label: "Reservar", icon: Calendar },
+    { key: "mis", label: "Mis reservas", icon: Clock },
+    { key: "perfil", label: "Perfil", icon: User },
+    ...(staffLabel ? [{ key: "admin", label: staffLabel, icon: Shield }] : []),
+  ];
+
+  const gridCols = staffLabel
+    ? "grid-cols-4 md:grid-cols-4"
+    : "grid-cols-3 md:grid-cols-3";
+
+  return (
+    <div className="fixed bottom-0 left-0 right-0 z-40 border-t bg-background/80 backdrop-blur">
+      <div className={`mx-auto grid w-full max-w-6xl ${gridCols} gap-2 px-3 py-2`}>
+        {items.map((it) => (
+          <button
+            key={it.key}
+            onClick={() => setActive(it.key)}
+            className={`flex items-center justify-center gap-2 rounded-2xl px-3 py-2 text-sm transition-all duration-200 ease-in-out ${
+              active === it.key ? "bg-muted font-semibold" : "hover:bg-muted/60"
+            }`}
+          >
+            <it.icon className="h-4 w-4" />
+            <span className="truncate">{it.label}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// App
+// -----------------------------
+
+export default function App() {
+  const [backend] = useState(() => createBackend(process.env.NEXT_PUBLIC_TENIS_BACKEND));
+  const [db, setDb] = useState(null);
+  const [loadErr, setLoadErr] = useState(null);
+  const [session, setSession] = useState(readSession);
+  const [activeTab, setActiveTab] = useState("reservar");
+  // Enlace de recuperación: /?reset=<token>
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get("reset"));
+  const [authScreen, setAuthScreen] = useState(() => (resetToken ? "reset" : null));
+  const [sessionNotice, setSessionNotice] = useState("");
+
+  // Cada usuario trae solo lo que puede ver: al ingresar o salir se recarga.
+  const actorId = session?.userId ?? null;
+  const reload = useCallback(async () => {
+    try {
+      setDb(await loadSnapshot(backend, actorId));
+      setLoadErr(null);
+    } catch (e) {
+      setLoadErr(e);
+    }
+  }, [backend, actorId]);
+
+  useEffect(() => {
+    loadSnapshot(backend, actorId).then(setDb, setLoadErr);
+  }, [backend, actorId]);
+
+  // Sesión vencida o cerrada desde otro dispositivo: salida automática.
+  // `touch` informa actividad (renueva el vencimiento por inactividad).
+  const checkSession = useCallback(
+    async (touch = false) => {
+      if (!session) return;
+      let current;
+      try {
+        current = await (touch ? backend.touchSession(session.token) : backend.getSession(session.token));
+      } catch {
+        return; // sin conexión: se reintenta en la próxima revisión
+      }
+      if (current?.sessionId === session.sessionId) return;
+      setSession(null);
+      setActiveTab("reservar");
+      setSessionNotice("Tu sesión venció o fue cerrada. Ingresá de nuevo.");
+    },
+    [backend, session]
+  );
+
+  useEffect(() => {
+    if (!session) return;
+    let active = false;
+    const onActivity = () => {
+      active = true;
+    };
+    const timer = setInterval(() => {
+      checkSession(active);
+      active = false;
+    }, SESSION_CHECK_MS);
+    window.addEventListener("pointerdown", onActivity);
+    window.addEventListener("keydown", onActivity);
+    // Primera revisión al abrir la app (fuera del render del efecto).
+    const first = setTimeout(() => checkSession(true), 0);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+      window.removeEventListener("pointerdown", onActivity);
+      window.removeEventListener("keydown", onActivity);
+    };
+  }, [session, checkSession]);
+
+  // Cambios hechos en otras pestañas / dispositivos: recarga agrupada.
+  useEffect(() => {
+    let timer = null;
+    const off = backend.subscribe((evt) => {
+      if (evt?.collections?.includes("sessions")) checkSession();
+      if (evt?.collections && !evt.collections.some((c) => SNAPSHOT_COLLECTIONS.includes(c))) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, 150);
+    });
+    return () => {
+      clearTimeout(timer);
+      off();
+    };
+  }, [backend, reload, checkSession]);
+
+  // La sesión es local a este navegador.
+  useEffect(() => {
+    if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_KEY);
+  }, [session]);
+
+  useEffect(() => {
+    function handler() { setActiveTab("mis"); }
+    document.addEventListener('go-to-mis', handler);
+    return () => document.removeEventListener('go-to-mis', handler);
+  }, []);
+
+  // ✅ El return condicional va AL FINAL de todos los hooks
+  const api = useMemo(() => createApi(backend, reload), [backend, reload]);
+  const user = db?.users?.find((u) => u.id === session?.userId) || null;
+  const staffTabs = adminTabsFor(user);
+  useEffect(() => {
+    api.setActor(user);
+  }, [api, user]);
+  const mustChangePassword = Boolean(user?.mustChangePassword);
+
+  function logout() {
+    backend.logout(session?.token).catch(() => {});
+    setSession(null);
+    setActiveTab("reservar");
+  }
+
+  if (loadErr?.code === "SCHEMA") return <RecoveryScreen backend={backend} error={loadErr} onDone={reload} />;
+
+  if (!db) return (
+    <div className="flex flex-col items-center justify-center gap-3 h-screen">
+      <p>{loadErr ? "No se pudieron cargar los datos." : "Cargando..."}</p>
+      {loadErr ? (
+        <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={reload}>
+          <RefreshCcw className="mr-2 h-4 w-4" /> Reintentar
+        </Button>
+      ) : null}
+    </div>
+  );
+
+  return (
+    <div className={`min-h-screen ${!user && !authScreen ? 'bg-gradient-to-br from-red-700 via-red-600 to-red-800' : 'bg-background'}`}>
+      <TopBar user={user} onLogout={logout} />
+
+      <div className="mx-auto w-full max-w-6xl px-4 pb-24 pt-6">
+        <AnimatePresence mode="wait" initial={false}>
+          {!user ? (
+            authScreen ? (
+              <AuthGate
+                api={api}
+                mode={authScreen}
+                authMode={db.config.authMode}
+                resetToken={resetToken}
+                onAuthed={(s) => {
+                  setSession({ userId: s.userId, sessionId: s.sessionId, token: s.token });
+                  setSessionNotice("");
+                  setAuthScreen(null);
+                }}
+                onSwitch={(mode) => {
+                  if (mode !== "reset") window.history.replaceState(null, "", window.location.pathname);
+                  setAuthScreen(mode);
+                }}
+                onBack={() => setAuthScreen(null)}
+              />
+            ) : (
+              <div className="flex flex-col items-center justify-center gap-6 py-16 text-center">
+                <div className="flex h-40 w-40 items-center justify-center rounded-3xl bg-white p-4 shadow-2xl">
+                  <img
+                    src="https://upload.wikimedia.org/wikipedia/commons/6/68/Escudo_del_Club_Estudiantes_de_La_Plata.svg"
+                    alt="Escudo Club Estudiantes de La Plata"
+                    className="h-full w-full object-contain"
+                  />
+                </div>
+
+                <div>
+                  <div className="text-3xl font-bold tracking-tight text-white">Club Estudiantes de La Plata</div>
+                  <div className="mt-2 text-base font-medium text-white">Sistema Oficial de Reserva de Tenis</div>
+                </div>
+
+                {sessionNotice ? (
+                  <div className="rounded-2xl bg-white/15 px-4 py-2 text-sm text-white">{sessionNotice}</div>
+                ) : null}
+
+                <div className="mt-6 flex w-full max-w-xs flex-col gap-4">
+                  <Button
+                    className="w-full rounded-2xl bg-white text-red-700 hover:bg-red-50" 
+                    onClick={() => setAuthScreen('login')}
+                  >
+                    Ingresar
+                  </Button>
+                  <Button
+                    className="w-full rounded-2xl bg-white text-red-700 hover:bg-red-50" 
+                    onClick={() => setAuthScreen('register')}
+                  >
+                    Crear cuenta
+                  </Button>
+                </div>
+              </div>
+            )
+          ) : mustChangePassword ? (
+            <motion.div
+              key="cambiar-password"
+              initial={{ opacity: 0, y: 12 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -12 }}
+              transition={{ duration: 0.25, ease: 'easeInOut' }}
+              className="mx-auto max-w-md"
+            >
+              <Card className="rounded-2xl shadow-sm">
+                <CardHeader>
+                  <CardTitle className="text-base">Cambiá tu contraseña</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                    Esta cuenta usa la contraseña inicial. Para continuar, elegí una nueva.
+                  </div>
+                  <ChangePasswordForm api={api} user={user} />
+                  <Button variant="ghost" className="w-full rounded-2xl" onClick={logout}>
+                    Salir
+                  </Button>
+                </CardContent>
+              </Card>
+            </motion.div>
+          ) : (
+            <>
+              {activeTab === 'reservar' && (
+                <motion.div
+                  key="reservar"
+                  initial={{ opacity: 0, y: 12 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -12 }}
+                  transition={{ duration: 0.25, ease: 'easeInOut' }}
+                >
+                  <BookingView api={api} db={db} user={user} />
+                </motion.div>
+              )}
+              {activeTab === 'mis' && (
+                <motion.div
+                  key="mis"
+                  initial={{ opacity: 0, y: 12 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -12 }}
+                  transition={{ duration: 0.25, ease: 'easeInOut' }}
+                >
+                  <MyReservations api={api} db={db} user={user} goToReservar={() => setActiveTab('reservar')} />
+                </motion.div>
+              )}
+              {activeTab === 'perfil' && (
+                <motion.div
+                  key="perfil"
+                  initial={{ opacity: 0, y: 12 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -12 }}
+                  transition={{ duration: 0.25, ease: 'easeInOut' }}
+                >
+                  <ProfileView api={api} db={db} user={user} session={session} />
+                </motion.div>
+              )}
+              {activeTab === 'admin' && staffTabs.length > 0 && (
+                <motion.div
+                  key="admin"
+                  initial={{ opacity: 0, y: 12 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -12 }}
+                  transition={{ duration: 0.25, ease: 'easeInOut' }}
+                >
+                  <AdminView api={api} db={db} user={user} tabs={staffTabs} />
+                </motion.div>
+              )}
+            </>
+          )}
+        </AnimatePresence>
+      </div>
+
+      {user && !mustChangePassword && (
+        <BottomNav active={activeTab} setActive={setActiveTab} staffLabel={staffTabs.length ? staffNavLabel(user) : null} />
+      )}
+    </div>
+  );
+}
+// -----------------------------
+// Recuperación (datos guardados inválidos)
+// -----------------------------
+
+function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Con el backend `remote` descargar o reiniciar no se ofrece acá: lo hace quien
+// administra el servidor con `npm run recovery` (ver scripts/recovery.mjs).
+function RecoveryScreen({ backend, error, onDone }) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const local = Boolean(backend.getRecovery);
+
+  async function downloadBackup() {
+    setErr("");
+    try {
+      const rec = await backend.getRecovery();
+      downloadJSON(`edlp-tenis-recuperacion-${formatDateISO(new Date())}.json`, rec.raw ?? null);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  async function reset() {
+    if (!window.confirm("Se borran todos los datos guardados y se vuelve al estado inicial. ¿Continuar?")) return;
+    setErr("");
+    setBusy(true);
+    try {
+      await backend.resetState();
+      await onDone();
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mx-auto flex min-h-screen max-w-lg items-center px-4">
+      <Card className="w-full rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-base">
+            <AlertTriangle className="h-5 w-5 text-amber-600" /> No se pudieron leer los datos
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="text-sm text-muted-foreground">{error.message}</div>
+          {error.issues?.length ? (
+            <ul className="max-h-48 list-disc overflow-auto rounded-2xl border bg-muted/30 p-3 pl-7 text-xs">
+              {error.issues.map((i) => (
+                <li key={i}>{i}</li>
+              ))}
+            </ul>
+          ) : null}
+          {local ? (
+            <>
+              <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+                Descargá una copia antes de reiniciar: conserva el contenido original para intentar recuperarlo.
+              </div>
+              {err ? <InlineError msg={err} /> : null}
+              <div className="grid gap-2 md:grid-cols-2">
+                <Button variant="outline" className="rounded-2xl" onClick={downloadBackup}>
+                  Descargar copia
+                </Button>
+                <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={reset} disabled={busy}>
+                  <RefreshCcw className="mr-2 h-4 w-4" /> {busy ? "Reiniciando…" : "Reiniciar datos"}
+                </Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+                Avisá a quien administra el servidor: con <span className="font-mono">npm run recovery</span> aparta los datos
+                actuales como copia y la app vuelve al estado inicial.
+              </div>
+              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={onDone}>
+                <RefreshCcw className="mr-2 h-4 w-4" /> Reintentar
+              </Button>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// -----------------------------
+// API (backend elegido al arrancar + refresco del estado)
+// -----------------------------
+
+// Métodos de solo lectura: no disparan recarga del estado.
+const READ_METHODS = /^(list|get|subscribe)/;
+
+// Las operaciones que exigen una capacidad (METHOD_CAPABILITIES) se rechazan
+// acá si el usuario logueado (`api.setActor`) no la tiene, sin llegar al
+// backend, que igual vuelve a verificarlas.
+function createApi(backend, reload) {
+  const api = {};
+  let actor = null;
+  for (const [name, fn] of Object.entries(backend)) {
+    const cap = METHOD_CAPABILITIES[name];
+    api[name] = READ_METHODS.test(name)
+      ? fn
+      : async (...args) => {
+          if (cap && !can(actor, cap)) throw new Error(permissionMessage(cap));
+          try {
+            return await fn(...args);
+          } finally {
+            await reload();
+          }
+        };
+  }
+  api.setActor = (u) => {
+    actor = u;
+  };
+  return api;
+}
+
+// -----------------------------
+// AuthGate
+// -----------------------------
+
+function AuthGate({ api, onAuthed, mode = 'login', authMode = AUTH_MODES.EMAIL_PASSWORD, onBack, onSwitch, resetToken }) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [dni, setDni] = useState("");
+  const [phone, setPhone] = useState("");
+  const [showReset, setShowReset] = useState(false);
+  const [resetSent, setResetSent] = useState(false);
+  // En los modos OTP el personal del club puede seguir entrando con contraseña.
+  const [staffPassword, setStaffPassword] = useState(false);
+  const otpMode = authMode !== AUTH_MODES.EMAIL_PASSWORD && !staffPassword;
+
+  const passwordValid = PASSWORD_REGEX.test(password);
+  const emailValid = email.includes("@");
+  const dniValid = dni.trim().length >= 6;
+  const phoneValid = phone.trim().length > 0;
+  const canRegister = passwordValid && emailValid && dniValid && phoneValid && !busy;
+
+  async function doLogin() {
+    setErr("");
+    setBusy(true);
+    try {
+      onAuthed(await api.loginEmailPassword({ email, password, userAgent: navigator.userAgent }));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function doRequestReset() {
+    setErr("");
+    setBusy(true);
+    try {
+      await api.requestPasswordReset({ email });
+      setResetSent(true);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function doRegister() {
+    setErr("");
+    setBusy(true);
+    try {
+      onAuthed(await api.register({ email, phone, dni, password, userAgent: navigator.userAgent }));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-md">
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">
+            {mode === 'login' ? 'Ingresar' : mode === 'reset' ? 'Nueva contraseña' : 'Crear cuenta'}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {mode === 'reset' ? (
+            <ResetPasswordForm api={api} initialToken={resetToken} onDone={() => onSwitch?.('login')} />
+          ) : mode === 'login' && otpMode ? (
+            <>
+              <OtpLoginForm api={api} mode={authMode} onAuthed={onAuthed} />
+              <div className="text-center">
+                <button type="button" onClick={() => setStaffPassword(true)} className="text-xs text-muted-foreground hover:underline">
+                  Ingresar con contraseña (personal del club)
+                </button>
+              </div>
+            </>
+          ) : mode === 'login' ? (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (!busy) doLogin();
+              }}
+            >
+              <div className="grid gap-2">
+                <Label>Email</Label>
+                <Input className="rounded-2xl" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="tu@mail.com" />
+              </div>
+              <div className="mt-4 grid gap-2">
+                <Label>Password</Label>
+                <Input className="rounded-2xl" type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
+              </div>
+
+              <div className="mt-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => setShowReset(!showReset)}
+                  className="text-xs text-muted-foreground hover:underline"
+                >
+                  Olvidé mi contraseña
+                </button>
+              </div>
+
+              {showReset && (
+                <div className="mt-2 space-y-3 rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+                  {resetSent ? (
+                    <div>
+                      Si <span className="font-medium text-foreground">{email}</span> está registrado, te enviamos un
+                      enlace para elegir una nueva contraseña. Vence en {RESET_TOKEN_TTL_MIN} minutos y sirve una sola vez.
+                    </div>
+                  ) : (
+                    <div>Completá tu email arriba y te enviamos un enlace de recuperación.</div>
+                  )}
+                  <div className="flex flex-wrap gap-2">
+                    <Button
+                      type="button"
+                      className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                      disabled={busy || !email.includes("@")}
+                      onClick={doRequestReset}
+                    >
+                      {resetSent ? 'Reenviar enlace' : 'Enviar enlace'}
+                    </Button>
+                    {resetSent && onSwitch ? (
+                      <Button type="button" variant="outline" className="rounded-2xl" onClick={() => onSwitch('reset')}>
+                        Ya tengo el código
+                      </Button>
+                    ) : null}
+                  </div>
+                </div>
+              )}
+
+              {err && <InlineError msg={err} />}
+
+              <Button
+                type="submit"
+                className="mt-4 w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                disabled={busy}
+              >
+                {busy ? 'Procesando…' : 'Entrar'}
+              </Button>
+            </form>
+          ) : (
+            <>
+              <div className="grid gap-2">
+                <Label>DNI</Label>
+                <Input className="rounded-2xl" value={dni} onChange={(e) => setDni(e.target.value)} placeholder="12345678" />
+              </div>
+              <div className="grid gap-2">
+                <Label>Email</Label>
+                <Input className="rounded-2xl" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="tu@mail.com" />
+              </div>
+              <div className="grid gap-2">
+                <Label>Teléfono</Label>
+                <Input className="rounded-2xl" value={phone} onChange={(e) => setPhone(e.target.value)} placeholder="11-1234-5678" />
+              </div>
+              <div className="grid gap-2">
+                <Label>Password</Label>
+                <Input className="rounded-2xl" type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Mín 6 caracteres, 1 mayúscula y 1 símbolo" />
+                <div className="text-xs text-muted-foreground">
+                  Requisitos: mínimo 6 caracteres, al menos 1 mayúscula y 1 símbolo.
+                </div>
+              </div>
+
+              {err && <InlineError msg={err} />}
+
+              <Button
+                className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                onClick={doRegister}
+                disabled={!canRegister}
+              >
+                {busy ? 'Creando…' : 'Crear cuenta'}
+              </Button>
+            </>
+          )}
+
+          {onBack && (
+            <Button
+              variant="ghost"
+              className="w-full rounded-2xl"
+              onClick={onBack}
+            >
+              Volver
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+const OTP_COPY = {
+  [AUTH_MODES.EMAIL_OTP]: { label: "Email", placeholder: "tu@mail.com", channel: "tu email" },
+  [AUTH_MODES.PHONE_OTP]: { label: "Teléfono (WhatsApp)", placeholder: "11-1234-5678", channel: "WhatsApp" },
+};
+
+// Ingreso con código de un solo uso enviado por Email o WhatsApp.
+function OtpLoginForm({ api, mode, onAuthed }) {
+  const copy = OTP_COPY[mode];
+  const [destination, setDestination] = useState("");
+  const [code, setCode] = useState("");
+  const [sent, setSent] = useState(false);
+  const [resendAt, setResendAt] = useState(0);
+  const [now, setNow] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!resendAt) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [resendAt]);
+
+  const wait = Math.max(0, Math.ceil((resendAt - now) / 1000));
+  const input = mode === AUTH_MODES.PHONE_OTP ? { phone: destination } : { email: destination };
+
+  async function send() {
+    setErr("");
+    setBusy(true);
+    try {
+      const res = await api.requestOtp({ mode, ...input });
+      const at = Date.now();
+      setSent(true);
+      setCode("");
+      setNow(at);
+      setResendAt(at + res.resendAfterSec * 1000);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function verify() {
+    setErr("");
+    setBusy(true);
+    try {
+      onAuthed(await api.loginWithOtp({ mode, ...input, otp: code, userAgent: navigator.userAgent }));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (busy) return;
+        if (sent) verify();
+        else send();
+      }}
+    >
+      <div className="grid gap-2">
+        <Label>{copy.label}</Label>
+        <Input
+          className="rounded-2xl"
+          value={destination}
+          disabled={sent}
+          onChange={(e) => setDestination(e.target.value)}
+          placeholder={copy.placeholder}
+        />
+      </div>
+
+      {sent ? (
+        <>
+          <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+            Si el dato está registrado, te enviamos un código de 6 dígitos por {copy.channel}. Vence en pocos minutos.
+          </div>
+          <div className="grid gap-2">
+            <Label>Código</Label>
+            <Input
+              className="rounded-2xl font-mono tracking-widest"
+              inputMode="numeric"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+              placeholder="000000"
+            />
+          </div>
+        </>
+      ) : null}
+
+      {err && <InlineError msg={err} />}
+
+      <Button
+        type="submit"
+        className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+        disabled={busy || !destination.trim() || (sent && code.length !== 6)}
+      >
+        {busy ? 'Procesando…' : sent ? 'Entrar' : 'Enviar código'}
+      </Button>
+
+      {sent ? (
+        <div className="flex items-center justify-between text-xs text-muted-foreground">
+          <button type="button" className="hover:underline" onClick={() => { setSent(false); setErr(""); }}>
+            Cambiar {copy.label.toLowerCase()}
+          </button>
+          <button type="button" className="hover:underline disabled:opacity-50" disabled={busy || wait > 0} onClick={send}>
+            {wait > 0 ? `Reenviar en ${wait} s` : 'Reenviar código'}
+          </button>
+        </div>
+      ) : null}
+    </form>
+  );
+}
+
+// Restablecer con el token del enlace de recuperación (?reset=...).
+function ResetPasswordForm({ api, initialToken, onDone }) {
+  const [token, setToken] = useState(initialToken || "");
+  const [next, setNext] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [done, setDone] = useState(false);
+
+  const canSave = token.trim() && PASSWORD_REGEX.test(next) && next === repeat && !busy;
+
+  async function save() {
+    setErr("");
+    setBusy(true);
+    try {
+      await api.resetPassword({ token, newPassword: next });
+      setDone(true);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (done) {
+    return (
+      <div className="space-y-4">
+        <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-800">
+          Listo: tu contraseña fue cambiada y se cerraron las sesiones abiertas en otros dispositivos.
+        </div>
+        <Button className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={onDone}>
+          Ingresar
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (canSave) save();
+      }}
+    >
+      {!initialToken ? (
+        <div className="grid gap-2">
+          <Label>Código de recuperación</Label>
+          <Input className="rounded-2xl font-mono" value={token} onChange={(e) => setToken(e.target.value)} placeholder="Pegá el código del email" />
+        </div>
+      ) : null}
+      <div className="grid gap-2">
+        <Label>Nueva contraseña</Label>
+        <Input className="rounded-2xl" type="password" value={next} onChange={(e) => setNext(e.target.value)} placeholder="Mín 6 caracteres, 1 mayúscula y 1 símbolo" />
+        <div className="text-xs text-muted-foreground">{PASSWORD_POLICY_MSG}</div>
+      </div>
+      <div className="grid gap-2">
+        <Label>Repetir nueva contraseña</Label>
+        <Input className="rounded-2xl" type="password" value={repeat} onChange={(e) => setRepeat(e.target.value)} />
+        {repeat && next !== repeat ? <div className="text-xs text-rose-700">Las contraseñas no coinciden.</div> : null}
+      </div>
+
+      {err && <InlineError msg={err} />}
+
+      <Button type="submit" className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={!canSave}>
+        {busy ? 'Guardando…' : 'Guardar contraseña'}
+      </Button>
+    </form>
+  );
+}
+
+function ChangePasswordForm({ api, user, onDone }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [done, setDone] = useState(false);
+
+  const nextValid = PASSWORD_REGEX.test(next);
+  const canSave = current && nextValid && next === repeat && !busy;
+
+  async function save() {
+    setErr("");
+    setDone(false);
+    setBusy(true);
+    try {
+      await api.changePassword(user.id, { currentPassword: current, newPassword: next });
+      setCurrent("");
+      setNext("");
+      setRepeat("");
+      setDone(true);
+      onDone?.();
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (canSave) save();
+      }}
+    >
+      <div className="grid gap-2">
+        <Label>Contraseña actual</Label>
+        <Input className="rounded-2xl" type="password" value={current} onChange={(e) => setCurrent(e.target.value)} />
+      </div>
+      <div className="grid gap-2">
+        <Label>Nueva contraseña</Label>
+        <Input className="rounded-2xl" type="password" value={next} onChange={(e) => setNext(e.target.value)} placeholder="Mín 6 caracteres, 1 mayúscula y 1 símbolo" />
+      </div>
+      <div className="grid gap-2">
+        <Label>Repetir nueva contraseña</Label>
+        <Input className="rounded-2xl" type="password" value={repeat} onChange={(e) => setRepeat(e.target.value)} />
+        {repeat && next !== repeat ? <div className="text-xs text-rose-700">Las contraseñas no coinciden.</div> : null}
+      </div>
+
+      {err && <InlineError msg={err} />}
+      {done && <div className="text-sm text-emerald-700">Contraseña actualizada.</div>}
+
+      <Button type="submit" className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={!canSave}>
+        {busy ? 'Guardando…' : 'Cambiar contraseña'}
+      </Button>
+    </form>
+  );
+}
+
+function InlineError({ msg }) {
+  return (
+    <div className="flex items-start gap-2 rounded-2xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+      <AlertTriangle className="mt-0.5 h-4 w-4" />
+      <div>{msg}</div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Booking
+// -----------------------------
+
+// Estado de cada franja (cancha × horario) de un día: mismos estados que la
+// reserva valida en el servicio, más "Tu reserva", "Pasado" y "Otra duración"
+// (la franja está libre pero el turno elegido no entra desde ahí).
+const SLOT_STATUS_STYLES = {
+  Disponible: "border-emerald-200 bg-emerald-50 text-emerald-800 hover:bg-emerald-100",
+  "Otra duración": "border-emerald-100 bg-emerald-50/40 text-emerald-800/50",
+  "Tu reserva": "border-sky-300 bg-sky-100 text-sky-900",
+  Ocupada: "border-rose-200 bg-rose-50 text-rose-700",
+  Mantenimiento: "border-amber-200 bg-amber-50 text-amber-800",
+  Inactiva: "border-amber-200 bg-amber-50 text-amber-800",
+  Cerrada: "border-dashed border-border bg-transparent text-muted-foreground",
+  Pasado: "border-border bg-muted/40 text-muted-foreground",
+};
+
+// Filas del día: los horarios en que abre alguna cancha (config.schedule), más
+// los de reservas que quedaron fuera de un horario que se achicó después.
+function dayTimes(db, dateISO) {
+  const times = new Set(daySlotTimes(db.config.schedule, db.courts, dateISO));
+  for (const r of db.reservations) if (r.dateISO === dateISO && r.status !== RES_STATUS.CANCELLED) times.add(r.time);
+  return [...times].sort();
+}
+
+// Mapa `${time}|${courtId}` -> { status, ownerId, reservation, waiting } para `dateISO`.
+// "Disponible" = se puede empezar ahí un turno de `durationMin`. Un turno
+// retenido para otro socio de la lista de espera se ve "Ocupada"; `waiting`
+// marca los turnos en cuya lista de espera ya está el usuario.
+function dayAvailability(db, dateISO, userId, durationMin, nowSlot = currentSlotKey()) {
+  const schedule = db.config.schedule;
+  const res = db.reservations.filter((r) => r.dateISO === dateISO && r.status !== RES_STATUS.CANCELLED);
+  const blocks = db.blocks.filter((b) => b.dateISO === dateISO);
+  const holds = db.waitlist.filter((w) => w.dateISO === dateISO && w.userId !== userId && isHoldActive(w));
+  const mine = db.waitlist.filter((w) => w.dateISO === dateISO && w.userId === userId && isWaitlistOpen(w));
+  const byCell = new Map();
+  for (const time of dayTimes(db, dateISO)) {
+    const cell = { dateISO, time, durationMin: SLOT_MINUTES };
+    const turn = { dateISO, time, durationMin };
+    for (const c of db.courts) {
+      const reservation = res.find((r) => r.courtId === c.id && overlaps(r, cell));
+      const isHeld = holds.some((w) => w.offer.courtId === c.id && overlaps(w, cell));
+      const isBlocked = blocks.some((b) => b.courtId === c.id && overlaps(b, cell));
+      const fits = () =>
+        fitsSchedule(schedule, c.id, dateISO, time, durationMin) &&
+        allowedDurations(db.config.bookingDurations, c.id, time).includes(durationMin) &&
+        !res.some((r) => r.courtId === c.id && overlaps(r, turn)) &&
+        !holds.some((w) => w.offer.courtId === c.id && overlaps(w, turn)) &&
+        !blocks.some((b) => b.courtId === c.id && overlaps(b, turn));
+      const status = reservation
+        ? reservation.userId === userId
+          ? "Tu reserva"
+          : "Ocupada"
+        : isHeld
+          ? "Ocupada"
+          : !isSlotOpen(schedule, c.id, dateISO, time)
+            ? "Cerrada"
+            : !c.isActive
+              ? "Inactiva"
+              : isBlocked
+                ? "Mantenimiento"
+                : `${dateISO} ${time}` < nowSlot
+                  ? "Pasado"
+                  : fits()
+                    ? "Disponible"
+                    : "Otra duración";
+      const waiting = mine.some((w) => w.time === time && (w.courtId === c.id || w.courtId === ANY_COURT));
+      byCell.set(`${time}|${c.id}`, { status, ownerId: reservation?.userId || null, reservation, waiting });
+    }
+  }
+  return byCell;
+}
+
+// "AAAA-MM-DD HH:MM" de la franja en curso (las anteriores ya no se ofrecen).
+function currentSlotKey() {
+  const now = new Date();
+  const min = now.getHours() * 60 + Math.floor(now.getMinutes() / SLOT_MINUTES) * SLOT_MINUTES;
+  return `${formatDateISO(now)} ${fromMinutes(min)}`;
+}
+
+// Duraciones que ofrece la grilla: las permitidas en alguna cancha o franja.
+function offeredDurations(rules) {
+  return BOOKING_DURATIONS.filter((d) => rules.default.includes(d) || rules.bands.some((b) => b.durations.includes(d)));
+}
+
+function bookableDays() {
+  const today = startOfDay(new Date());
+  return Array.from({ length: 8 }, (_, i) => formatDateISO(addDays(today, i)));
+}
+
+function dayChipLabel(iso) {
+  const [y, m, d] = iso.split("-").map((v) => parseInt(v, 10));
+  const x = new Date(y, m - 1, d);
+  return { weekday: x.toLocaleDateString("es-AR", { weekday: "short" }), day: d, month: x.toLocaleDateString("es-AR", { month: "short" }) };
+}
+
+function BookingView({ api, db, user }) {
+  const days = useMemo(() => bookableDays(), []);
+  const [dateISO, setDateISO] = useState(days[0]);
+  const durations = offeredDurations(db.config.bookingDurations);
+  const [pickedDuration, setDuration] = useState(60);
+  const durationMin = durations.includes(pickedDuration) ? pickedDuration : durations[0];
+  const [slot, setSlot] = useState(null); // { time, courtId } elegido en la grilla
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [notice, setNotice] = useState("");
+  const [createdResId, setCreatedResId] = useState(null);
+  const [payOpen, setPayOpen] = useState(false);
+
+  const cfg = db.config;
+  const courts = db.courts;
+  const times = useMemo(() => dayTimes(db, dateISO), [db, dateISO]);
+  const holiday = holidayFor(cfg.schedule, dateISO);
+  // Se recalcula con cada cambio de datos (incluida la hora: los turnos pasados dejan de ofrecerse).
+  const availability = useMemo(() => dayAvailability(db, dateISO, user.id, durationMin), [db, dateISO, user.id, durationMin]);
+  const freeByDay = useMemo(
+    () =>
+      Object.fromEntries(
+        days.map((d) => [d, [...dayAvailability(db, d, user.id, durationMin).values()].filter((a) => a.status === "Disponible").length])
+      ),
+    [db, days, user.id, durationMin]
+  );
+
+  // "Turno recién tomado": la selección estaba disponible y otro la ocupó
+  // (llega por la sincronización en vivo). Se compara con el render anterior.
+  const selectedKey = slot ? `${dateISO}|${slot.time}|${slot.courtId}|${durationMin}` : null;
+  const selected = slot ? availability.get(`${slot.time}|${slot.courtId}`) : null;
+  const [seen, setSeen] = useState({ key: selectedKey, status: selected?.status });
+  const [justTaken, setJustTaken] = useState(false);
+  if (seen.key !== selectedKey || seen.status !== selected?.status) {
+    setSeen({ key: selectedKey, status: selected?.status });
+    setJustTaken(
+      seen.key === selectedKey &&
+        seen.status === "Disponible" &&
+        selected?.status !== "Disponible" &&
+        selected?.ownerId !== user.id
+    );
+  }
+
+  function pickDay(d) {
+    setDateISO(d);
+    setSlot(null);
+    setErr("");
+    setNotice("");
+  }
+
+  function pickCell(time, courtId) {
+    setErr("");
+    setNotice("");
+    setSlot({ time, courtId });
+  }
+
+  function pickDuration(d) {
+    setDuration(d);
+    setErr("");
+  }
+
+  async function createReservation() {
+    if (!slot) return;
+    setErr("");
+    setBusy(true);
+    try {
+      const id = await api.createReservation(user.id, { dateISO, time: slot.time, courtId: slot.courtId, durationMin });
+      setCreatedResId(id);
+      setSlot(null);
+      setPayOpen(true);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Turno ocupado: anotarse en la lista de espera de esa cancha o de cualquiera.
+  async function joinWaitlist(courtId) {
+    setErr("");
+    setNotice("");
+    setBusy(true);
+    try {
+      await api.joinWaitlist(user.id, { dateISO, time: slot.time, durationMin, courtId });
+      setNotice(
+        `Te anotamos en la lista de espera. Si se libera, te avisamos y te guardamos el turno ${cfg.waitlistHoldMinutes} minutos para que lo aceptes desde Mis reservas.`
+      );
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const price = bookingPrice(cfg, user.userType, durationMin);
+  const canBook = selected?.status === "Disponible";
+  const canWait = selected?.status === "Ocupada" && !selected.waiting;
+  const chosen = slot ? { dateISO, time: slot.time, durationMin } : null;
+
+  return (
+    <div className="grid gap-4">
+      <SectionTitle
+        icon={Calendar}
+        title="Reservar cancha"
+        subtitle="Turnos de 1 h, 1 h 30 (ideal para dobles) o 2 h. Anticipación máxima: 7 días. Disponibilidad en tiempo real."
+        right={
+          <Pill tone="info" icon={Bell}>
+            Notificaciones: Email + WhatsApp
+          </Pill>
+        }
+      />
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardContent className="grid gap-4 p-4">
+          <div className="-mx-1 flex snap-x snap-mandatory gap-2 overflow-x-auto px-1 pb-1">
+            {days.map((d) => {
+              const label = dayChipLabel(d);
+              const active = d === dateISO;
+              return (
+                <button
+                  key={d}
+                  onClick={() => pickDay(d)}
+                  className={`min-w-[4.5rem] shrink-0 snap-start rounded-2xl border px-3 py-2 text-center transition-all duration-200 ease-in-out ${
+                    active ? "border-red-600 bg-red-600 text-white shadow-sm" : "bg-card hover:bg-muted/60"
+                  }`}
+                >
+                  <div className="text-xs capitalize">{label.weekday}</div>
+                  <div className="text-lg font-semibold leading-tight">{label.day}</div>
+                  <div className={`text-[10px] ${active ? "text-white/80" : "text-muted-foreground"}`}>
+                    {freeByDay[d] ? `${freeByDay[d]} libres` : dayTimes(db, d).length ? "Completo" : "Cerrado"}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+
+          {durations.length > 1 ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-muted-foreground">Duración</span>
+              {durations.map((d) => (
+                <button
+                  key={d}
+                  onClick={() => pickDuration(d)}
+                  className={`rounded-full border px-3 py-1 text-sm transition-all duration-200 ease-in-out ${
+                    d === durationMin ? "border-red-600 bg-red-600 text-white" : "bg-card hover:bg-muted/60"
+                  }`}
+                >
+                  {durationLabel(d)}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="text-sm font-semibold capitalize">{formatDateHuman(dateISO)}</div>
+            <div className="flex flex-wrap gap-2 text-xs">
+              {["Disponible", "Tu reserva", "Ocupada", "Mantenimiento"].map((st) => (
+                <span key={st} className={`rounded-full border px-2 py-0.5 ${SLOT_STATUS_STYLES[st]}`}>
+                  {st}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {holiday ? (
+            <div>
+              <Pill tone={holiday.hours ? "warning" : "danger"} icon={Calendar}>
+                {holiday.name}: {holiday.hours ? `horario especial de ${holiday.hours.open} a ${holiday.hours.close}` : "el club no abre"}
+              </Pill>
+            </div>
+          ) : null}
+
+          {!times.length ? (
+            <div className="rounded-2xl border border-dashed p-6 text-center text-sm text-muted-foreground">
+              No hay turnos este día. Elegí otra fecha.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <div
+                className="grid min-w-[20rem] gap-1"
+                style={{ gridTemplateColumns: `3.5rem repeat(${courts.length}, minmax(3.5rem, 1fr))` }}
+              >
+                <div />
+                {courts.map((c) => (
+                  <div key={c.id} className="truncate px-1 pb-1 text-center text-xs font-semibold">
+                    {c.name}
+                  </div>
+                ))}
+                {times.map((t) => (
+                  <React.Fragment key={t}>
+                    <div className="flex items-center text-xs font-medium text-muted-foreground">{formatTimeLabel(t)}</div>
+                    {courts.map((c) => {
+                      const a = availability.get(`${t}|${c.id}`);
+                      const isSelected = slot?.time === t && slot?.courtId === c.id;
+                      // Franjas siguientes del turno elegido (1 h 30 = 3 franjas).
+                      const inChosen = !isSelected && slot?.courtId === c.id && overlaps(chosen, { dateISO, time: t, durationMin: SLOT_MINUTES });
+                      const free = a.status === "Disponible";
+                      // Una reserva de varias franjas se rotula solo en la primera.
+                      const continues = a.reservation && a.reservation.time !== t;
+                      return (
+                        <button
+                          key={c.id}
+                          disabled={!free && a.status !== "Ocupada"}
+                          onClick={() => pickCell(t, c.id)}
+                          title={`${c.name} · ${a.reservation ? timeRangeLabel(a.reservation) : t} · ${
+                            a.status === "Otra duración" ? `no entra un turno de ${durationLabel(durationMin)}` : a.status
+                          }`}
+                          className={`h-8 rounded-xl border text-[11px] font-medium transition-all duration-200 ease-in-out disabled:cursor-not-allowed ${
+                            SLOT_STATUS_STYLES[a.status]
+                          } ${isSelected ? "ring-2 ring-red-600 ring-offset-1" : inChosen ? "ring-2 ring-red-300" : ""} ${
+                            isSelected && justTaken ? "ring-amber-400" : ""
+                          }`}
+                        >
+                          {continues
+                            ? "·"
+                            : a.status === "Disponible"
+                              ? "Libre"
+                              : a.status === "Tu reserva"
+                                ? "Tuya"
+                                : a.status === "Pasado" || a.status === "Cerrada" || a.status === "Otra duración"
+                                  ? "—"
+                                  : a.waiting
+                                    ? "En espera"
+                                    : a.status}
+                        </button>
+                      );
+                    })}
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {justTaken ? (
+            <div className="flex items-start gap-2 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+              <RefreshCcw className="mt-0.5 h-4 w-4" />
+              <div>
+                <div className="font-semibold">Turno recién tomado</div>
+                <div className="text-amber-900/80">
+                  {courtName(db, slot.courtId)} a las {slot.time} acaba de ocuparse. Elegí otra cancha u horario.
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {err ? <InlineError msg={err} /> : null}
+          {notice ? (
+            <div className="flex items-start gap-2 rounded-2xl border border-sky-200 bg-sky-50 p-3 text-sm text-sky-800">
+              <Bell className="mt-0.5 h-4 w-4" />
+              <div>{notice}</div>
+            </div>
+          ) : null}
+
+          <PolicyBanner policy={cfg.refundPolicy} />
+
+          <div className="flex flex-col gap-3 rounded-2xl border bg-muted/30 p-3 md:flex-row md:items-center md:justify-between">
+            <div className="text-sm">
+              {slot ? (
+                <>
+                  <span className="font-semibold">{courtName(db, slot.courtId)}</span> · {formatDateHuman(dateISO)} ·{" "}
+                  {timeRangeLabel(chosen)} ({durationLabel(durationMin)})
+                </>
+              ) : (
+                <span className="text-muted-foreground">Tocá un turno libre de la grilla, o uno ocupado para anotarte en la lista de espera.</span>
+              )}
+              <div className="text-xs text-muted-foreground">
+                {user.userType}: <span className="font-semibold">{formatMoney(price, cfg.currency)}</span> · no podés reservar más de una
+                cancha en el mismo horario.
+              </div>
+            </div>
+            {selected?.status === "Ocupada" ? (
+              <div className="flex flex-col gap-2 md:flex-row">
+                <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => joinWaitlist(slot.courtId)} disabled={busy || !canWait}>
+                  {selected.waiting ? "Ya estás en espera" : "Lista de espera"}
+                </Button>
+                <Button variant="outline" className="rounded-2xl" onClick={() => joinWaitlist(ANY_COURT)} disabled={busy || !canWait}>
+                  Cualquier cancha
+                </Button>
+              </div>
+            ) : (
+              <Button
+                className="bg-red-600 hover:bg-red-700 text-white rounded-2xl md:w-56"
+                onClick={createReservation}
+                disabled={busy || !canBook}
+              >
+                {busy ? "Creando reserva…" : "Crear reserva"}
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <PaymentDialog
+        open={payOpen}
+        onOpenChange={setPayOpen}
+        api={api}
+        db={db}
+        user={user}
+        reservationId={createdResId}
+        onSuccess={() => {
+          setPayOpen(false);
+          window.scrollTo({ top: 0, behavior: 'smooth' });
+          // redirige automáticamente a Mis reservas
+          document.dispatchEvent(new CustomEvent('go-to-mis'));
+        }}
+      />
+    </div>
+  );
+}
+
+// Tramos de config.refundPolicy (ver lib/tenis/refunds.js); se muestra antes de pagar.
+function PolicyBanner({ policy }) {
+  const best = Math.max(0, ...policy.tiers.map((t) => t.percent));
+  return (
+    <div className="flex flex-col gap-2 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800 md:flex-row md:items-center md:justify-between">
+      <div className="flex items-start gap-2">
+        <AlertTriangle className="mt-0.5 h-4 w-4" />
+        <div>
+          <div className="font-semibold">Política de cancelación / no presentación</div>
+          <div className="text-amber-900/80">Si cancelás una reserva pagada, se reintegra según la anticipación:</div>
+          <ul className="mt-1 text-amber-900/80">
+            {describeTiers(policy).map((row) => (
+              <li key={row.label}>
+                {row.label}: <span className="font-semibold">{row.percent}%</span>
+              </li>
+            ))}
+            <li>
+              Si no te presentás: <span className="font-semibold">{policy.noShowPercent}%</span>
+            </li>
+          </ul>
+        </div>
+      </div>
+      <Pill tone="warning">Reintegro hasta {best}%</Pill>
+    </div>
+  );
+}
+
+// "$4.000 · Entre 24 h y 2 h: 50%" (los reintegros anteriores a la política por tramos no tienen regla).
+function refundLabel(p, currency) {
+  const refund = p?.meta?.refund;
+  if (!refund) return "-";
+  return `${formatMoney(refund.amount, currency)} · ${refund.rule || `${refund.percent}%`}`;
+}
+
+// Cuenta regresiva del plazo de pago (`payBy`); al vencer, la reserva se libera.
+function PayDeadline({ payBy }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  const left = Math.max(0, Math.ceil((Date.parse(payBy) - now) / 1000));
+  if (!left) return <Pill tone="danger" icon={AlertTriangle}>Venció el plazo para pagar</Pill>;
+  const mmss = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, "0")}`;
+  return (
+    <Pill tone={left <= 120 ? "danger" : "warning"} icon={Clock}>
+      Pagá en {mmss} o se libera el turno
+    </Pill>
+  );
+}
+
+function PaymentDialog({ open, onOpenChange, api, db, user, reservationId, onSuccess }) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [success, setSuccess] = useState(false);
+
+  const reservation = useMemo(
+    () => db.reservations.find((r) => r.id === reservationId) || null,
+    [db.reservations, reservationId]
+  );
+  const payment = useMemo(
+    () => db.payments.find((p) => p.reservationId === reservationId) || null,
+    [db.payments, reservationId]
+  );
+  // Saldo que dejó una reprogramación a un turno más caro.
+  const balanceDue = reservation?.status === RES_STATUS.CONFIRMED ? payment?.balanceDue || 0 : 0;
+
+  async function payMP() {
+    if (!reservationId) return;
+    setErr("");
+    setBusy(true);
+    try {
+      await api.payWithMercadoPago(user.id, reservationId);
+      setSuccess(true);
+
+      setTimeout(() => {
+        // animación suave de salida
+        setSuccess(false);
+        setTimeout(() => {
+          onOpenChange(false);
+          if (onSuccess) onSuccess();
+        }, 300);
+      }, 4000);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="rounded-2xl">
+        <DialogHeader>
+          <DialogTitle>Confirmar pago</DialogTitle>
+          <DialogDescription>
+            La reserva queda <span className="font-medium">pendiente</span> hasta que el pago esté <span className="font-medium">aprobado</span>.
+          </DialogDescription>
+        </DialogHeader>
+
+        <AnimatePresence mode="wait">
+          {success ? (
+            <motion.div
+              key="success"
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.95 }}
+              transition={{ duration: 0.3 }}
+              className="flex flex-col items-center justify-center gap-3 rounded-2xl border border-emerald-200 bg-emerald-50 p-6 text-emerald-800"
+            >
+              <CheckCircle2 className="h-8 w-8" />
+              <div className="text-base font-semibold">Pago confirmado</div>
+              <div className="text-sm text-emerald-900/80">Tu reserva fue confirmada correctamente.</div>
+            </motion.div>
+          ) : !reservation ? (
+            <div className="text-sm text-muted-foreground">No hay reserva seleccionada.</div>
+          ) : (
+            <motion.div
+              key="form"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.2 }}
+              className="space-y-3"
+            >
+              <div className="rounded-2xl border bg-muted/30 p-3 text-sm">
+                <div className="flex items-center justify-between">
+                  <div className="font-semibold">Reserva</div>
+                  <Badge variant="secondary" className="rounded-full">
+                    {reservation.status}
+                  </Badge>
+                </div>
+                <div className="mt-1 text-muted-foreground">{formatDateHuman(reservation.dateISO)} · {timeRangeLabel(reservation)} · {courtName(db, reservation.courtId)}</div>
+                <div className="mt-2 flex items-center justify-between">
+                  <div className="text-muted-foreground">Total</div>
+                  <div className="font-semibold">{formatMoney(reservation.price, db.config.currency)}</div>
+                </div>
+                {balanceDue ? (
+                  <div className="mt-1 flex items-center justify-between">
+                    <div className="text-muted-foreground">Saldo a pagar</div>
+                    <div className="font-semibold text-amber-800">{formatMoney(balanceDue, db.config.currency)}</div>
+                  </div>
+                ) : null}
+                {reservation.payBy && reservation.status === RES_STATUS.PENDING_PAYMENT ? (
+                  <div className="mt-2">
+                    <PayDeadline payBy={reservation.payBy} />
+                  </div>
+                ) : null}
+              </div>
+
+              <PolicyBanner policy={db.config.refundPolicy} />
+
+              <div className="rounded-2xl border bg-card p-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2">
+                    <CreditCard className="h-4 w-4" />
+                    <div className="text-sm font-semibold">Mercado Pago (online)</div>
+                  </div>
+                  <Pill tone="info">Demo</Pill>
+                </div>
+                <div className="mt-1 text-xs text-muted-foreground">
+                  En producción: redirección a checkout + webhooks. En demo: aprobación inmediata.
+                </div>
+                <Button className="mt-3 w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={payMP} disabled={busy || (reservation.status !== RES_STATUS.PENDING_PAYMENT && !balanceDue)}>
+                  {busy ? "Procesando…" : balanceDue ? "Pagar saldo con Mercado Pago" : "Pagar con Mercado Pago"}
+                </Button>
+              </div>
+
+              {payment ? (
+                <div className="text-xs text-muted-foreground">
+                  Estado del pago: <span className="font-medium text-foreground">{payment.status}</span>
+                </div>
+              ) : null}
+
+              {err ? <InlineError msg={err} /> : null}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {!success && (
+          <DialogFooter>
+            <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => onOpenChange(false)}>
+              Cerrar
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// -----------------------------
+// Mis reservas
+// -----------------------------
+
+function MyReservations({ api, db, user, goToReservar }) {
+  const [q, setQ] = useState("");
+  const [selectedResId, setSelectedResId] = useState(null);
+  const [payOpen, setPayOpen] = useState(false);
+  const [rescheduleId, setRescheduleId] = useState(null);
+  // Hora de referencia para el plazo de reprogramación (se actualiza cada minuto).
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(t);
+  }, []);
+
+  const mine = useMemo(() => {
+    return db.reservations
+      .filter((r) => r.userId === user.id && r.status !== RES_STATUS.CANCELLED)
+      .sort((a, b) => (a.dateISO + a.time).localeCompare(b.dateISO + b.time));
+  }, [db.reservations, user.id]);
+
+  
+
+  const filtered = useMemo(() => {
+    const qq = q.trim().toLowerCase();
+    if (!qq) return mine;
+    return mine.filter((r) => `${r.dateISO} ${r.time} ${courtName(db, r.courtId)} ${r.status}`.toLowerCase().includes(qq));
+  }, [mine, q, db]);
+
+  const waitlist = useMemo(() => {
+    return db.waitlist
+      .filter((w) => w.userId === user.id && isWaitlistOpen(w))
+      .sort((a, b) => (a.dateISO + a.time).localeCompare(b.dateISO + b.time));
+  }, [db.waitlist, user.id]);
+
+  return (
+    <div className="grid gap-4">
+      <SectionTitle
+        icon={Clock}
+        title="Mis reservas"
+        subtitle="Seguimiento de estados: pendiente, confirmada, cancelada, no presentación."
+        right={
+          <div className="flex items-center gap-2">
+            <Search className="h-4 w-4 text-muted-foreground" />
+            <Input className="w-56 rounded-2xl" value={q} onChange={(e) => setQ(e.target.value)} placeholder="Buscar…" />
+          </div>
+        }
+      />
+
+      {waitlist.length ? (
+        <WaitlistCard
+          api={api}
+          db={db}
+          user={user}
+          entries={waitlist}
+          onAccepted={(id) => {
+            setSelectedResId(id);
+            setPayOpen(true);
+          }}
+        />
+      ) : null}
+
+      {filtered.length === 0 ? (
+        <div className="rounded-2xl border bg-card p-6 text-center shadow-sm">
+          <div className="mx-auto mb-3 flex h-12 w-12 items-center justify-center rounded-2xl border bg-muted/40">
+            <Calendar className="h-6 w-6" />
+          </div>
+          <div className="text-base font-semibold">No tenés reservas</div>
+          <div className="mt-1 text-sm text-muted-foreground">Creá una reserva desde la sección Reservar.</div>
+          <div className="mt-4 flex justify-center">
+            <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={goToReservar}>
+              Ir a reservar
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-3">
+          {filtered.map((r) => {
+            const p = db.payments.find((x) => x.reservationId === r.id);
+            const balanceDue = r.status === RES_STATUS.CONFIRMED ? p?.balanceDue || 0 : 0;
+            const canReschedule = Date.parse(`${r.dateISO}T${r.time}:00`) - now >= db.config.rescheduleDeadlineHours * 3600000;
+            const cancelRule = p?.status === PAY_STATUS.APPROVED ? refundRuleFor(db.config.refundPolicy, r, REFUND_KINDS.CANCEL, now) : null;
+            return (
+              <Card key={r.id} className="rounded-2xl shadow-sm">
+                <CardContent className="flex flex-col gap-3 p-4 md:flex-row md:items-center md:justify-between">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <div className="text-sm font-semibold">{formatDateHuman(r.dateISO)} · {timeRangeLabel(r)} ({durationLabel(durationOf(r))})</div>
+                      <Badge variant="secondary" className="rounded-full">
+                        {courtName(db, r.courtId)}
+                      </Badge>
+                      <StatusPill status={r.status} />
+                      {r.seriesId ? <Pill tone="info">Turno fijo</Pill> : null}
+                    </div>
+                    <div className="mt-1 text-xs text-muted-foreground">
+                      Pago: <span className="font-medium text-foreground">{p?.status || "-"}</span> · Total: {formatMoney(r.price, db.config.currency)}
+                      {balanceDue ? (
+                        <span>
+                          {" "}
+                          · Saldo a pagar: <span className="font-medium text-amber-800">{formatMoney(balanceDue, db.config.currency)}</span>
+                        </span>
+                      ) : null}
+                      {p?.meta?.refund ? <span> · Reintegro: {refundLabel(p, db.config.currency)}</span> : null}
+                    </div>
+                    {cancelRule ? (
+                      <div className="mt-1 text-xs text-muted-foreground">
+                        Si cancelás ahora se reintegra el {cancelRule.percent}% del pago.
+                      </div>
+                    ) : null}
+                    {r.payBy && r.status === RES_STATUS.PENDING_PAYMENT ? (
+                      <div className="mt-2">
+                        <PayDeadline payBy={r.payBy} />
+                      </div>
+                    ) : null}
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {r.status === RES_STATUS.PENDING_PAYMENT ? (
+                      <Button
+                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                        onClick={() => {
+                          setSelectedResId(r.id);
+                          setPayOpen(true);
+                        }}
+                      >
+                        Pagar
+                      </Button>
+                    ) : null}
+                    {balanceDue ? (
+                      <Button
+                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                        onClick={() => {
+                          setSelectedResId(r.id);
+                          setPayOpen(true);
+                        }}
+                      >
+                        Pagar saldo
+                      </Button>
+                    ) : null}
+                    {r.status === RES_STATUS.PENDING_PAYMENT || r.status === RES_STATUS.CONFIRMED ? (
+                      <Button
+                        variant="outline"
+                        className="rounded-2xl"
+                        disabled={!canReschedule}
+                        title={canReschedule ? "" : `Se puede cambiar hasta ${db.config.rescheduleDeadlineHours} h antes del turno`}
+                        onClick={() => setRescheduleId(r.id)}
+                      >
+                        Cambiar
+                      </Button>
+                    ) : null}
+                    {r.status === RES_STATUS.PENDING_PAYMENT || r.status === RES_STATUS.CONFIRMED ? (
+                      <Button
+                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                        onClick={() => api.cancelReservation(user.id, r.id, "Cancelación por usuario")}
+                      >
+                        Cancelar
+                      </Button>
+                    ) : null}
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      <PaymentDialog
+        open={payOpen}
+        onOpenChange={setPayOpen}
+        api={api}
+        db={db}
+        user={user}
+        reservationId={selectedResId}
+        onSuccess={() => {
+          setPayOpen(false);
+          window.scrollTo({ top: 0, behavior: 'smooth' });
+          document.dispatchEvent(new CustomEvent('go-to-mis'));
+        }}
+      />
+
+      {rescheduleId && db.reservations.some((r) => r.id === rescheduleId) ? (
+        <RescheduleDialog
+          key={rescheduleId}
+          api={api}
+          db={db}
+          actor={user}
+          reservation={db.reservations.find((r) => r.id === rescheduleId)}
+          onClose={() => setRescheduleId(null)}
+          onDone={(res) => {
+            // Turno más caro ya pagado: se abre el pago del saldo.
+            if (res.balanceDue > 0) {
+              setSelectedResId(rescheduleId);
+              setPayOpen(true);
+            }
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+// Entradas abiertas del usuario en la lista de espera. Una oferta vigente se
+// acepta (queda una reserva pendiente de pago) o se deja pasar al siguiente.
+function WaitlistCard({ api, db, user, entries, onAccepted }) {
+  const [busyId, setBusyId] = useState(null);
+  const [err, setErr] = useState("");
+
+  async function act(w, fn) {
+    setErr("");
+    setBusyId(w.id);
+    try {
+      await fn();
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-base">Lista de espera</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-2">
+        {entries.map((w) => {
+          const offered = isHoldActive(w);
+          const until = offered ? new Date(w.offer.expiresAt).toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" }) : "";
+          return (
+            <div
+              key={w.id}
+              className={`flex flex-col gap-2 rounded-2xl border p-3 text-sm md:flex-row md:items-center md:justify-between ${
+                offered ? "border-emerald-200 bg-emerald-50" : "bg-card"
+              }`}
+            >
+              <div className="min-w-0">
+                <div className="font-semibold">
+                  {formatDateHuman(w.dateISO)} · {timeRangeLabel(w)} ·{" "}
+                  {offered ? courtName(db, w.offer.courtId) : w.courtId === ANY_COURT ? "Cualquier cancha" : courtName(db, w.courtId)}
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  {offered ? `¡Se liberó! Te lo guardamos hasta las ${until}.` : "En espera: te avisamos si se libera."}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {offered ? (
+                  <Button
+                    className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                    disabled={busyId === w.id}
+                    onClick={() => act(w, async () => onAccepted(await api.acceptWaitlistOffer(user.id, w.id)))}
+                  >
+                    Reservar
+                  </Button>
+                ) : null}
+                <Button variant="outline" className="rounded-2xl" disabled={busyId === w.id} onClick={() => act(w, () => api.leaveWaitlist(user.id, w.id))}>
+                  {w.status === WAITLIST_STATUS.OFFERED ? "Dejar pasar" : "Salir"}
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+        {err ? <InlineError msg={err} /> : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Reprogramar una reserva: otra fecha, cancha, horario o duración, con el mismo
+// pago. Los turnos libres salen de la grilla sin contar la propia reserva.
+// Se monta al abrirlo (con `key` = id de la reserva) para arrancar del turno actual.
+function RescheduleDialog({ onClose, api, db, actor, reservation, onDone }) {
+  const days = useMemo(() => bookableDays(), []);
+  const durations = offeredDurations(db.config.bookingDurations);
+  const [form, setForm] = useState(() => ({
+    dateISO: reservation.dateISO,
+    courtId: reservation.courtId,
+    time: reservation.time,
+    durationMin: durationOf(reservation),
+  }));
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const times = useMemo(() => {
+    const others = { ...db, reservations: db.reservations.filter((r) => r.id !== reservation.id) };
+    const cells = dayAvailability(others, form.dateISO, reservation.userId, form.durationMin);
+    return dayTimes(others, form.dateISO).filter((t) => cells.get(`${t}|${form.courtId}`)?.status === "Disponible");
+  }, [db, form, reservation.id, reservation.userId]);
+
+  const payment = db.payments.find((p) => p.reservationId === reservation.id);
+  const time = times.includes(form.time) ? form.time : times[0] || "";
+  const owner = db.users.find((u) => u.id === reservation.userId) || actor;
+  const price = bookingPrice(db.config, owner.userType, form.durationMin);
+  const diff = price - reservation.price;
+  const paid = reservation.status === RES_STATUS.CONFIRMED;
+  const unchanged =
+    form.dateISO === reservation.dateISO && form.courtId === reservation.courtId && time === reservation.time && form.durationMin === durationOf(reservation);
+
+  async function save() {
+    setErr("");
+    setBusy(true);
+    try {
+      const res = await api.rescheduleReservation(actor.id, reservation.id, { ...form, time });
+      onClose();
+      if (onDone) onDone(res);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const select = (value, onChange, options, placeholder) => (
+    <Select value={value} onValueChange={onChange} disabled={!options.length}>
+      <SelectTrigger className="rounded-2xl">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map(([v, label]) => (
+          <SelectItem key={v} value={v}>
+            {label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Dialog open onOpenChange={(v) => !v && onClose()}>
+      <DialogContent className="rounded-2xl">
+        <DialogHeader>
+          <DialogTitle>Reprogramar reserva</DialogTitle>
+          <DialogDescription>
+            Hoy: {formatDateHuman(reservation.dateISO)} · {timeRangeLabel(reservation)} · {courtName(db, reservation.courtId)}. El pago se mantiene.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex gap-2 overflow-x-auto pb-1">
+          {days.map((iso) => {
+            const label = dayChipLabel(iso);
+            const active = iso === form.dateISO;
+            return (
+              <button
+                key={iso}
+                type="button"
+                onClick={() => setForm({ ...form, dateISO: iso })}
+                className={`min-w-[4.5rem] shrink-0 rounded-2xl border px-3 py-2 text-center transition-all duration-200 ease-in-out ${
+                  active ? "border-red-600 bg-red-600 text-white shadow-sm" : "bg-card hover:bg-muted/60"
+                }`}
+              >
+                <div className="text-xs capitalize">{label.weekday}</div>
+                <div className="text-lg font-semibold leading-tight">{label.day}</div>
+                <div className={`text-[10px] capitalize ${active ? "text-white/80" : "text-muted-foreground"}`}>{label.month}</div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="grid gap-3 md:grid-cols-3">
+          <div className="grid gap-2">
+            <Label>Cancha</Label>
+            {select(form.courtId, (courtId) => setForm({ ...form, courtId }), db.courts.filter((c) => c.isActive).map((c) => [c.id, c.name]))}
+          </div>
+          <div className="grid gap-2">
+            <Label>Duración</Label>
+            {select(String(form.durationMin), (v) => setForm({ ...form, durationMin: Number(v) }), durations.map((d) => [String(d), durationLabel(d)]))}
+          </div>
+          <div className="grid gap-2">
+            <Label>Horario</Label>
+            {select(time, (t) => setForm({ ...form, time: t }), times.map((t) => [t, `${t}–${endTime(t, form.durationMin)}`]), "Sin turnos libres")}
+          </div>
+        </div>
+
+        <div className="rounded-2xl border bg-muted/30 p-3 text-sm">
+          <div className="flex items-center justify-between">
+            <div className="text-muted-foreground">Nuevo total</div>
+            <div className="font-semibold">{formatMoney(price, db.config.currency)}</div>
+          </div>
+          {paid && diff > 0 ? (
+            <div className="mt-1 text-xs text-amber-800">Quedan {formatMoney(diff, db.config.currency)} de diferencia para pagar.</div>
+          ) : paid && diff < 0 ? (
+            <div className="mt-1 text-xs text-emerald-800">Se reintegran {formatMoney(-diff, db.config.currency)} por {payment?.method || "el mismo medio de pago"}.</div>
+          ) : null}
+        </div>
+
+        {err ? <InlineError msg={err} /> : null}
+
+        <DialogFooter>
+          <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={busy || !time || unchanged} onClick={save}>
+            {busy ? "Guardando…" : "Reprogramar"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function StatusPill({ status }) {
+  const tone =
+    status === RES_STATUS.CONFIRMED
+      ? "success"
+      : status === RES_STATUS.PENDING_PAYMENT
+        ? "warning"
+        : status === RES_STATUS.NO_SHOW
+          ? "danger"
+          : "default";
+
+  const icon =
+    status === RES_STATUS.CONFIRMED
+      ? CheckCircle2
+      : status === RES_STATUS.PENDING_PAYMENT
+        ? AlertTriangle
+        : status === RES_STATUS.NO_SHOW
+          ? XCircle
+          : null;
+
+  return (
+    <Pill tone={tone} icon={icon}>
+      {status}
+    </Pill>
+  );
+}
+
+// -----------------------------
+// Perfil
+// -----------------------------
+
+function ProfileView({ api, db, user, session }) {
+  const cfg = db.config;
+  const needsEmail = cfg.requireEmailValidation && !user.isEmailValidated;
+  const needsPhone = cfg.requirePhoneValidation && !user.isPhoneValidated;
+
+  return (
+    <div className="grid gap-4">
+      <SectionTitle
+        icon={User}
+        title="Perfil"
+        subtitle="Datos mínimos y validación obligatoria para operar."
+        right={<Pill tone={user.userType === "Socio" ? "success" : "info"}>{user.userType}</Pill>}
+      />
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Datos personales</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 text-sm md:grid-cols-2">
+          <InfoRow label="Email" value={user.email} />
+          <InfoRow label="Teléfono" value={user.phone} />
+          <InfoRow label="DNI" value={user.dni} />
+          <InfoRow label="Tipo" value={user.userType} />
+          <InfoRow
+            label="Condición verificada"
+            value={user.socioCheckedAt ? new Date(user.socioCheckedAt).toLocaleDateString("es-AR") : "-"}
+          />
+          <div className="md:col-span-2">
+            <div className="rounded-2xl border bg-muted/30 p-4 text-xs text-muted-foreground">
+              SI ALGUNO DE LOS DATOS PERSONALES SON INCORRECTOS, COMUNIQUESE CON EL AREA DE SOCIOS.
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Validación de cuenta</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Pill tone={user.isEmailValidated ? "success" : "warning"} icon={user.isEmailValidated ? CheckCircle2 : AlertTriangle}>
+              Email {user.isEmailValidated ? "validado" : "pendiente"}
+            </Pill>
+            <Pill tone={user.isPhoneValidated ? "success" : "warning"} icon={user.isPhoneValidated ? CheckCircle2 : AlertTriangle}>
+              WhatsApp {user.isPhoneValidated ? "validado" : "pendiente"}
+            </Pill>
+          </div>
+
+          {(needsEmail || needsPhone) ? (
+            <div className="rounded-2xl border bg-card p-4">
+              <div className="text-sm font-semibold">Completar validación</div>
+              <div className="mt-1 text-sm text-muted-foreground">
+                Hasta no validar, no podés reservar ni pagar.
+              </div>
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                {needsEmail ? <VerifyChannel api={api} db={db} user={user} channel="email" /> : null}
+                {needsPhone ? <VerifyChannel api={api} db={db} user={user} channel="phone" /> : null}
+              </div>
+            </div>
+          ) : (
+            <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-4 text-sm text-emerald-800">
+              <div className="flex items-start gap-2">
+                <CheckCircle2 className="mt-0.5 h-4 w-4" />
+                <div>
+                  <div className="font-semibold">Cuenta validada</div>
+                  <div className="text-emerald-900/80">Ya podés reservar y pagar.</div>
+                </div>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <DevicesCard api={api} db={db} user={user} session={session} />
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Contraseña</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <ChangePasswordForm api={api} user={user} />
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Actividad y notificaciones</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3">
+          <div className="grid gap-2 md:grid-cols-2">
+            <Stat label="Reservas" value={db.reservations.filter((r) => r.userId === user.id).length} />
+            <Stat label="Notificaciones" value={db.notifications.filter((n) => n.to === user.email).length} />
+          </div>
+          <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+            En esta demo, las notificaciones se registran internamente. En producción se envían por Email y WhatsApp Business.
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// Envío y confirmación del código de verificación de un canal.
+function VerifyChannel({ api, db, user, channel }) {
+  const isPhone = channel === "phone";
+  const label = isPhone ? "WhatsApp" : "email";
+  const pending = pendingVerification(db, user.id, channel);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+      setCode("");
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form
+      className="space-y-3 rounded-2xl border bg-muted/30 p-3"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (pending && code.length === 6 && !busy) run(() => api.confirmVerification(user.id, channel, code));
+      }}
+    >
+      <div className="text-sm font-semibold">Validar {label}</div>
+      <div className="text-xs text-muted-foreground">
+        {pending ? (
+          <>
+            Te enviamos un código a <span className="font-medium text-foreground">{pending.destination}</span>. Vence a las{" "}
+            {new Date(pending.expiresAt).toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" })}.
+          </>
+        ) : (
+          <>Te enviamos un código de 6 dígitos a {isPhone ? user.phone : user.email}.</>
+        )}
+      </div>
+      {pending ? (
+        <div className="flex gap-2">
+          <Input
+            className="rounded-2xl font-mono tracking-widest"
+            inputMode="numeric"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+            placeholder="000000"
+          />
+          <Button type="submit" className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={busy || code.length !== 6}>
+            Verificar
+          </Button>
+        </div>
+      ) : null}
+      {err && <InlineError msg={err} />}
+      <Button
+        type="button"
+        variant="outline"
+        className="w-full rounded-2xl"
+        disabled={busy}
+        onClick={() => run(() => api.requestVerification(user.id, channel))}
+      >
+        {pending ? "Reenviar código" : "Enviar código"}
+      </Button>
+    </form>
+  );
+}
+
+// "Chrome · Android" a partir del user agent.
+function describeUserAgent(ua) {
+  if (!ua) return "Dispositivo desconocido";
+  const browser = /Edg\//.test(ua)
+    ? "Edge"
+    : /OPR\//.test(ua)
+      ? "Opera"
+      : /Firefox\//.test(ua)
+        ? "Firefox"
+        : /Chrome\//.test(ua)
+          ? "Chrome"
+          : /Safari\//.test(ua)
+            ? "Safari"
+            : ua.split(/[\s/]/)[0];
+  const os = /Android/.test(ua)
+    ? "Android"
+    : /iPhone|iPad/.test(ua)
+      ? "iOS"
+      : /Windows/.test(ua)
+        ? "Windows"
+        : /Mac OS X/.test(ua)
+          ? "macOS"
+          : /Linux/.test(ua)
+            ? "Linux"
+            : null;
+  return os ? `${browser} · ${os}` : browser;
+}
+
+// Sesiones activas de la cuenta; se recargan cuando cambian los datos.
+function DevicesCard({ api, db, user, session }) {
+  const [sessions, setSessions] = useState(null);
+  const [err, setErr] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.listSessions(user.id).then(
+      (list) => !cancelled && setSessions(list),
+      (e) => !cancelled && setErr(e?.message || "Error")
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [api, user.id, db]);
+
+  async function run(fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+      setSessions(await api.listSessions(user.id));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const fmt = (iso) => new Date(iso).toLocaleString("es-AR", { dateStyle: "short", timeStyle: "short" });
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="text-base">Dispositivos</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        {sessions === null && !err ? <div className="text-sm text-muted-foreground">Cargando…</div> : null}
+        {(sessions || []).map((s) => {
+          const current = s.sessionId === session?.sessionId;
+          return (
+            <div key={s.sessionId} className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border bg-card p-3">
+              <div className="text-sm">
+                <div className="flex items-center gap-2 font-semibold">
+                  {describeUserAgent(s.userAgent)}
+                  {current ? <Pill tone="success">Este dispositivo</Pill> : null}
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  Ingreso {fmt(s.createdAt)} · última actividad {fmt(s.lastSeenAt)} · vence{" "}
+                  {fmt(s.idleExpiresAt < s.expiresAt ? s.idleExpiresAt : s.expiresAt)}
+                </div>
+              </div>
+              {!current ? (
+                <Button
+                  variant="outline"
+                  className="rounded-2xl"
+                  disabled={busy}
+                  onClick={() => run(() => api.revokeSession(user.id, s.sessionId))}
+                >
+                  Cerrar
+                </Button>
+              ) : null}
+            </div>
+          );
+        })}
+        {err && <InlineError msg={err} />}
+        <Button
+          className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+          disabled={busy}
+          onClick={() => {
+            if (window.confirm("Se va a cerrar la sesión en todos los dispositivos, incluido este. ¿Continuar?")) {
+              run(() => api.logoutAll(user.id));
+            }
+          }}
+        >
+          <LogOut className="mr-2 h-4 w-4" /> Cerrar sesión en todos
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+function InfoRow({ label, value }) {
+  return (
+    <div className="rounded-2xl border bg-card p-3 shadow-sm">
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className="mt-1 font-medium">{value || "-"}</div>
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-2xl border bg-card p-3 shadow-sm">
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className="mt-1 text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Admin
+// -----------------------------
+
+// Pestañas del panel y las capacidades que habilitan cada una.
+const ADMIN_TABS = [
+  { key: "agenda", label: "Agenda", caps: [CAPS.AGENDA_VIEW] },
+  {
+    key: "operaciones",
+    label: "Operaciones",
+    caps: [CAPS.RESERVATIONS_MANAGE, CAPS.PAYMENTS_CASH, CAPS.BLOCKS_MANAGE, CAPS.USERS_VERIFY],
+  },
+  { key: "turnos", label: "Turnos fijos", caps: [CAPS.RESERVATIONS_MANAGE] },
+  { key: "usuarios", label: "Usuarios", caps: [CAPS.USERS_MANAGE, CAPS.USERS_MERGE, CAPS.ROLES_MANAGE] },
+  { key: "historial", label: "Historial", caps: [CAPS.AUDIT_VIEW] },
+  {
+    key: "config",
+    label: "Config",
+    caps: [CAPS.CONFIG_MANAGE, CAPS.COURTS_MANAGE, CAPS.BACKUP_MANAGE],
+  },
+];
+
+const TAB_GRID_COLS = ["", "md:grid-cols-1", "md:grid-cols-2", "md:grid-cols-3", "md:grid-cols-4", "md:grid-cols-5", "md:grid-cols-6"];
+
+function adminTabsFor(user) {
+  return user ? ADMIN_TABS.filter((t) => canAny(user, t.caps)) : [];
+}
+
+function AdminView({ api, db, user, tabs }) {
+  const [view, setView] = useState(tabs[0].key);
+  const visible = (key) => tabs.some((t) => t.key === key);
+  // Si cambia el rol, la pestaña elegida puede dejar de estar disponible.
+  const current = visible(view) ? view : tabs[0].key;
+
+  return (
+    <div className="grid gap-4">
+      <SectionTitle
+        icon={Shield}
+        title="Administración"
+        subtitle="Agenda, reservas manuales, turnos fijos, pagos en efectivo, bloqueos, usuarios, historial y auditoría."
+        right={
+          <div className="flex items-center gap-2">
+            <Pill tone="info" icon={Settings}>{ROLE_LABELS[user.role]}</Pill>
+          </div>
+        }
+      />
+
+      <Tabs value={current} onValueChange={setView}>
+        <TabsList className={`grid w-full grid-cols-2 rounded-2xl ${TAB_GRID_COLS[tabs.length]}`}>
+          {tabs.map((t) => (
+            <TabsTrigger key={t.key} value={t.key}>
+              {t.label}
+            </TabsTrigger>
+          ))}
+        </TabsList>
+
+        {visible("agenda") ? (
+          <TabsContent value="agenda" className="mt-4">
+            <AdminAgenda db={db} />
+          </TabsContent>
+        ) : null}
+
+        {visible("operaciones") ? (
+          <TabsContent value="operaciones" className="mt-4">
+            <AdminOps api={api} db={db} admin={user} />
+          </TabsContent>
+        ) : null}
+
+        {visible("turnos") ? (
+          <TabsContent value="turnos" className="mt-4">
+            <AdminSeries api={api} db={db} admin={user} />
+          </TabsContent>
+        ) : null}
+
+        {visible("usuarios") ? (
+          <TabsContent value="usuarios" className="mt-4">
+            <AdminUsers api={api} db={db} admin={user} />
+          </TabsContent>
+        ) : null}
+
+        {visible("historial") ? (
+          <TabsContent value="historial" className="mt-4">
+            <AdminHistory api={api} db={db} admin={user} />
+          </TabsContent>
+        ) : null}
+
+        {visible("config") ? (
+          <TabsContent value="config" className="mt-4">
+            <AdminConfig api={api} db={db} admin={user} />
+          </TabsContent>
+        ) : null}
+      </Tabs>
+    </div>
+  );
+}
+
+function AdminAgenda({ db }) {
+  const [scope, setScope] = useState("daily");
+  const [dateISO, setDateISO] = useState(() => formatDateISO(new Date()));
+
+  const days = useMemo(() => {
+    if (scope === "daily") return [dateISO];
+    // weekly: 7 días desde dateISO
+    const base = startOfDay(new Date(dateISO + "T00:00:00"));
+    return Array.from({ length: 7 }, (_, i) => formatDateISO(addDays(base, i)));
+  }, [scope, dateISO]);
+
+  const rows = useMemo(() => {
+    const out = [];
+    for (const d of days) {
+      const dayRows = [];
+      for (const c of db.courts) {
+        // Una fila por reserva o bloqueo (con su duración) y una por tramo libre.
+        let free = null;
+        let busyUntil = "";
+        const flush = () => {
+          if (free) dayRows.push({ dateISO: d, ...free, court: c });
+          free = null;
+        };
+        for (const t of dayTimes(db, d)) {
+          if (t < busyUntil) continue;
+          const cell = { dateISO: d, time: t, durationMin: SLOT_MINUTES };
+          const res = db.reservations.find((r) => r.courtId === c.id && r.status !== RES_STATUS.CANCELLED && overlaps(r, cell));
+          const block = db.blocks.find((b) => b.courtId === c.id && overlaps(b, cell));
+          const busy = res || block;
+          if (busy) {
+            flush();
+            const closed = res ? !fitsSchedule(db.config.schedule, c.id, d, res.time, durationOf(res)) : false;
+            dayRows.push({ dateISO: d, time: busy.time, durationMin: durationOf(busy), court: c, block: res ? null : block, res, closed });
+            busyUntil = endTime(busy.time, durationOf(busy));
+          } else if (isSlotOpen(db.config.schedule, c.id, d, t)) {
+            free = free ? { ...free, durationMin: free.durationMin + SLOT_MINUTES } : { time: t, durationMin: SLOT_MINUTES };
+          } else flush();
+        }
+        flush();
+      }
+      dayRows.sort((a, b) => a.time.localeCompare(b.time) || db.courts.indexOf(a.court) - db.courts.indexOf(b.court));
+      // Día sin turnos (feriado o cierre semanal): una sola fila.
+      if (!dayRows.length) dayRows.push({ dateISO: d, time: "-", court: null, closedDay: holidayFor(db.config.schedule, d)?.name || "Club cerrado" });
+      out.push(...dayRows);
+    }
+    return out;
+  }, [db, days]);
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="space-y-3">
+        <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+          <div>
+            <CardTitle className="text-base">Agenda {scope === "daily" ? "diaria" : "semanal"}</CardTitle>
+            <div className="text-sm text-muted-foreground">Vista por cancha y horario; los tramos libres consecutivos van en una fila.</div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Select value={scope} onValueChange={setScope}>
+              <SelectTrigger className="w-44 rounded-2xl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="daily">Diaria</SelectItem>
+                <SelectItem value="weekly">Semanal</SelectItem>
+              </SelectContent>
+            </Select>
+            <Input className="w-44 rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-auto rounded-2xl border">
+          <div className="min-w-[980px]">
+            <div className="grid grid-cols-12 border-b bg-muted/30 text-xs font-semibold">
+              <div className="col-span-2 p-3">Fecha</div>
+              <div className="col-span-2 p-3">Horario</div>
+              <div className="col-span-2 p-3">Cancha</div>
+              <div className="col-span-3 p-3">Estado</div>
+              <div className="col-span-3 p-3">Usuario</div>
+            </div>
+            {rows.map((r, idx) => {
+              const state = r.closedDay
+                ? { label: r.closedDay, tone: "default" }
+                : r.closed
+                  ? { label: "Fuera de horario", tone: "danger" }
+                  : !r.court.isActive
+                    ? { label: "Inactiva", tone: "warning" }
+                    : r.block
+                      ? { label: "Bloqueada", tone: "danger" } // 🔴 rojo
+                      : r.res
+                        ? { label: "Reservada", tone: "warning" } // 🟡 amarillo
+                        : { label: "Disponible", tone: "success" }; // 🟢 verde
+
+              const u = r.res ? db.users.find((x) => x.id === r.res.userId) : null;
+
+              return (
+                <div key={idx} className="grid grid-cols-12 border-b text-sm">
+                  <div className="col-span-2 p-3 text-xs text-muted-foreground">{formatDateHuman(r.dateISO)}</div>
+                  <div className="col-span-2 p-3">{r.court ? timeRangeLabel(r) : "-"}</div>
+                  <div className="col-span-2 p-3">{r.court?.name || "-"}</div>
+                  <div className="col-span-3 p-3">
+                    <Pill tone={state.tone}>{state.label}</Pill>
+                  </div>
+                  <div className="col-span-3 p-3 text-xs text-muted-foreground">
+                    {u ? `${u.email} (${u.userType})` : "-"}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function AdminOps({ api, db, admin }) {
+  const [dateISO, setDateISO] = useState(() => formatDateISO(new Date()));
+  const [time, setTime] = useState("");
+  const [durationMin, setDurationMin] = useState(60);
+  const [courtId, setCourtId] = useState("c1");
+
+  const [userId, setUserId] = useState(db.users.find((u) => !isStaff(u))?.id || db.users[0]?.id);
+  const [markPaidCash, setMarkPaidCash] = useState(false);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  // Estado correcto para selección de reserva
+  const [selectedResId, setSelectedResId] = useState(null);
+
+  const eligibleUsers = useMemo(() => db.users.filter((u) => !isStaff(u) && u.isActive !== false), [db.users]);
+  const canReserve = can(admin, CAPS.RESERVATIONS_MANAGE);
+  const canCash = can(admin, CAPS.PAYMENTS_CASH);
+
+  // Inicios posibles en la cancha elegida ese día para la duración elegida;
+  // si el horario elegido no existe, el primero. Los bloqueos no dependen de
+  // las duraciones permitidas para reservar.
+  const startTimes = (forBlock) =>
+    courtSlotTimes(db.config.schedule, courtId, dateISO).filter(
+      (t) =>
+        fitsSchedule(db.config.schedule, courtId, dateISO, t, durationMin) &&
+        (forBlock || allowedDurations(db.config.bookingDurations, courtId, t).includes(durationMin))
+    );
+  const slotTimes = startTimes(false);
+  const slotTime = slotTimes.includes(time) ? time : slotTimes[0] || "";
+  const blockTimes = startTimes(true);
+  const blockTime = blockTimes.includes(time) ? time : blockTimes[0] || "";
+
+  const dayReservations = useMemo(() => {
+    return db.reservations
+      .filter((r) => r.dateISO === dateISO)
+      .sort((a, b) => (a.time + a.courtId).localeCompare(b.time + b.courtId));
+  }, [db.reservations, dateISO]);
+
+  async function createManual() {
+    setErr("");
+    setBusy(true);
+    try {
+      await api.adminCreateManualReservation(admin.id, { userId, dateISO, time: slotTime, courtId, durationMin, markPaidCash });
+      setMarkPaidCash(false);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {canReserve ? (
+        <Card className="rounded-2xl shadow-sm">
+          <CardHeader>
+            <CardTitle className="text-base">Crear reserva manual</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-2">
+              <Label>Usuario</Label>
+              <Select value={userId} onValueChange={setUserId}>
+                <SelectTrigger className="rounded-2xl">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {eligibleUsers.length === 0 ? (
+                    <SelectItem value="none" disabled>
+                      No hay usuarios (creá uno desde Registro)
+                    </SelectItem>
+                  ) : (
+                    eligibleUsers.map((u) => (
+                      <SelectItem key={u.id} value={u.id}>
+                        {u.email} ({u.userType})
+                      </SelectItem>
+                    ))
+                  )}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Fecha</Label>
+                <Input className="rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Horario</Label>
+                <Select value={slotTime} onValueChange={setTime} disabled={!slotTimes.length}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue placeholder="Sin horarios" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {slotTimes.map((t) => (
+                      <SelectItem key={t} value={t}>
+                        {t}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Duración</Label>
+                <Select value={String(durationMin)} onValueChange={(v) => setDurationMin(Number(v))}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {BOOKING_DURATIONS.map((d) => (
+                      <SelectItem key={d} value={String(d)}>
+                        {durationLabel(d)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Cancha</Label>
+                <Select value={courtId} onValueChange={setCourtId}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {db.courts.map((c) => (
+                      <SelectItem key={c.id} value={c.id}>
+                        {c.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {canCash ? (
+              <div className="flex items-center justify-between rounded-2xl border bg-card p-3">
+                <div className="text-sm">
+                  <div className="font-semibold">Registrar pago en efectivo</div>
+                  <div className="text-xs text-muted-foreground">Carga manual por administrador</div>
+                </div>
+                <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={markPaidCash} onCheckedChange={setMarkPaidCash} />
+              </div>
+            ) : null}
+
+            {err ? <InlineError msg={err} /> : null}
+            <Button className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={createManual} disabled={busy || eligibleUsers.length === 0 || !slotTime}>
+              {busy ? "Creando…" : "Crear"}
+            </Button>
+          </CardContent>
+        </Card>
+      ) : null}
+
+      {can(admin, CAPS.BLOCKS_MANAGE) ? (
+        <Card className="rounded-2xl shadow-sm">
+          <CardHeader>
+            <CardTitle className="text-base">Bloquear cancha / horario</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Fecha</Label>
+                <Input className="rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Horario</Label>
+                <Select value={blockTime} onValueChange={setTime} disabled={!blockTimes.length}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue placeholder="Sin horarios" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {blockTimes.map((t) => (
+                      <SelectItem key={t} value={t}>
+                        {t}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Duración</Label>
+                <Select value={String(durationMin)} onValueChange={(v) => setDurationMin(Number(v))}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {BOOKING_DURATIONS.map((d) => (
+                      <SelectItem key={d} value={String(d)}>
+                        {durationLabel(d)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Cancha</Label>
+                <Select value={courtId} onValueChange={setCourtId}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {db.courts.map((c) => (
+                      <SelectItem key={c.id} value={c.id}>
+                        {c.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Motivo</Label>
+              <Input className="rounded-2xl" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Mantenimiento" />
+            </div>
+            <div className="text-xs text-muted-foreground">Las reservas que ya ocupan ese horario se cancelan con reintegro del 100%.</div>
+
+            <Button
+              className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+              disabled={!blockTime}
+              onClick={() => {
+                api.addBlock(admin.id, { courtId, dateISO, time: blockTime, durationMin, reason: reason || "Mantenimiento" });
+                setReason("");
+              }}
+            >
+              <Wrench className="mr-2 h-4 w-4" /> Bloquear
+            </Button>
+
+            <Separator />
+
+            <div>
+              <div className="text-sm font-semibold">Bloqueos existentes</div>
+              <div className="mt-2 grid gap-2">
+                {db.blocks.length === 0 ? (
+                  <div className="text-sm text-muted-foreground">Sin bloqueos.</div>
+                ) : (
+                  db.blocks
+                    .slice()
+                    .sort((a, b) => (a.dateISO + a.time).localeCompare(b.dateISO + b.time))
+                    .map((b) => (
+                      <div key={b.id} className="flex items-center justify-between rounded-2xl border bg-card p-3 text-sm">
+                        <div className="min-w-0">
+                          <div className="font-semibold">{courtName(db, b.courtId)} · {formatDateHuman(b.dateISO)} · {timeRangeLabel(b)}</div>
+                          <div className="text-xs text-muted-foreground truncate">{b.reason || "-"}</div>
+                        </div>
+                        <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={() => api.removeBlock(admin.id, b.id)}>
+                          Quitar
+                        </Button>
+                      </div>
+                    ))
+                )}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      ) : null}
+
+      {canReserve || canCash ? (
+        <Card className="rounded-2xl shadow-sm md:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-base">Operaciones sobre reservas del día</CardTitle>
+          </CardHeader>
+          <CardContent className="grid gap-3">
+            <div className="flex flex-wrap items-end justify-between gap-2">
+              <div className="grid gap-2">
+                <Label>Fecha</Label>
+                <Input className="w-52 rounded-2xl" type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Seleccionada</Label>
+                <Select value={selectedResId || "none"} onValueChange={(v) => setSelectedResId(v === "none" ? null : v)}>
+                  <SelectTrigger className="w-80 rounded-2xl">
+                    <SelectValue placeholder="Elegí una reserva" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">-</SelectItem>
+                    {dayReservations.map((r) => {
+                      const u = db.users.find((x) => x.id === r.userId);
+                      return (
+                        <SelectItem key={r.id} value={r.id}>
+                          {timeRangeLabel(r)} · {courtName(db, r.courtId)} · {u?.email || "-"} · {r.status}
+                        </SelectItem>
+                      );
+                    })}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {selectedResId ? (
+              <AdminReservationActions api={api} db={db} admin={admin} reservationId={selectedResId} />
+            ) : (
+              <div className="rounded-2xl border bg-muted/30 p-4 text-sm text-muted-foreground">Elegí una reserva para operar.</div>
+            )}
+          </CardContent>
+        </Card>
+      ) : null}
+
+      {can(admin, CAPS.USERS_VERIFY) ? <AdminVerifications api={api} db={db} admin={admin} /> : null}
+    </div>
+  );
+}
+
+// -----------------------------
+// Admin: turnos fijos
+// -----------------------------
+
+// Inicios posibles de un turno de `durationMin` en una cancha y fecha.
+function startTimesFor(db, courtId, dateISO, durationMin) {
+  return courtSlotTimes(db.config.schedule, courtId, dateISO).filter(
+    (t) =>
+      fitsSchedule(db.config.schedule, courtId, dateISO, t, durationMin) &&
+      allowedDurations(db.config.bookingDurations, courtId, t).includes(durationMin)
+  );
+}
+
+function seriesSummary(db, s) {
+  return `${weekdayName(s.startDate)} ${timeRangeLabel(s)} · ${courtName(db, s.courtId)} · ${SERIES_INTERVALS[s.interval].toLowerCase()}`;
+}
+
+function AdminSeries({ api, db, admin }) {
+  const today = formatDateISO(new Date());
+  const eligibleUsers = useMemo(() => db.users.filter((u) => !isStaff(u) && u.isActive !== false), [db.users]);
+  const [form, setForm] = useState(() => ({
+    userId: eligibleUsers[0]?.id || "",
+    courtId: db.courts[0]?.id || "",
+    startDate: today,
+    endDate: "",
+    time: "",
+    durationMin: 60,
+    interval: 1,
+  }));
+  const [editing, setEditing] = useState(null); // { seriesId, dateISO (null = toda la serie), courtId, time, durationMin, interval, endDate }
+  const [showCancelled, setShowCancelled] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const formTimes = startTimesFor(db, form.courtId, form.startDate, form.durationMin);
+  const formTime = formTimes.includes(form.time) ? form.time : formTimes[0] || "";
+
+  const series = db.series
+    .filter((s) => showCancelled || s.status === SERIES_STATUS.ACTIVE)
+    .slice()
+    .sort((a, b) => (a.status + a.startDate + a.time).localeCompare(b.status + b.startDate + b.time));
+
+  // Próximas fechas (4) de una serie, con su reserva si ya se generó.
+  function upcoming(s) {
+    const horizon = formatDateISO(addDays(startOfDay(new Date()), 7 * s.interval * 4));
+    return occurrenceDates(s, today, horizon)
+      .slice(0, 4)
+      .map((dateISO) => ({
+        ...occurrenceSlot(s, dateISO),
+        reservation: db.reservations.find((r) => r.seriesId === s.id && r.dateISO === dateISO && r.status !== RES_STATUS.CANCELLED),
+        conflict: s.conflicts.find((c) => c.dateISO === dateISO),
+      }));
+  }
+
+  async function run(fn, describe) {
+    setErr("");
+    setNotice("");
+    setBusy(true);
+    try {
+      const res = await fn();
+      setNotice(describe(res));
+      return true;
+    } catch (e) {
+      setErr(e?.message || "Error");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const generated = (res) =>
+    [
+      `${res.created} reserva(s) generada(s)`,
+      res.conflicts.length ? `${res.conflicts.length} fecha(s) no se pudieron reservar (quedan marcadas y se reintentan)` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  async function create() {
+    const ok = await run(
+      () => api.createSeries(admin.id, { ...form, time: formTime, endDate: form.endDate || null }),
+      (res) => `Turno fijo creado. ${generated(res)}.`
+    );
+    if (ok) setForm((f) => ({ ...f, endDate: "" }));
+  }
+
+  function openEdit(s, dateISO = null) {
+    const slot = dateISO ? occurrenceSlot(s, dateISO) : s;
+    setEditing({
+      seriesId: s.id,
+      dateISO,
+      courtId: slot.courtId,
+      time: slot.time,
+      durationMin: slot.durationMin,
+      interval: s.interval,
+      endDate: s.endDate || "",
+    });
+  }
+
+  // La fecha de referencia para ofrecer horarios: la elegida o la próxima de la serie.
+  const editSeries = editing ? db.series.find((s) => s.id === editing.seriesId) : null;
+  const editDate = editing ? editing.dateISO || occurrenceDates(editSeries, today, formatDateISO(addDays(startOfDay(new Date()), 14)))[0] || editSeries.startDate : "";
+  const editTimes = editing ? startTimesFor(db, editing.courtId, editDate, editing.durationMin) : [];
+  const editTime = editing && editTimes.includes(editing.time) ? editing.time : editTimes[0] || "";
+
+  async function applyEdit() {
+    const slot = { courtId: editing.courtId, time: editTime, durationMin: editing.durationMin };
+    const ok = editing.dateISO
+      ? await run(
+          () => api.updateSeriesOccurrence(admin.id, editing.seriesId, editing.dateISO, slot),
+          (res) => `Fecha ${formatDateHuman(editing.dateISO)} actualizada${res.moved ? " (se movió la reserva)" : ""}.`
+        )
+      : await run(
+          () => api.updateSeries(admin.id, editing.seriesId, { ...slot, interval: editing.interval, endDate: editing.endDate || null }),
+          (res) =>
+            [
+              `Turno fijo actualizado: ${res.moved} reserva(s) movida(s), ${res.cancelled} cancelada(s)`,
+              res.kept.length ? `${res.kept.length} no se pudieron mover y quedaron como estaban` : "",
+              generated(res),
+            ]
+              .filter(Boolean)
+              .join(" · ")
+        );
+    if (ok) setEditing(null);
+  }
+
+  const select = (value, onChange, options, placeholder) => (
+    <Select value={value} onValueChange={onChange} disabled={!options.length}>
+      <SelectTrigger className="rounded-2xl">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map(([v, label]) => (
+          <SelectItem key={v} value={v}>
+            {label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+  const courtOptions = db.courts.map((c) => [c.id, c.name]);
+  const durationOptions = BOOKING_DURATIONS.map((d) => [String(d), durationLabel(d)]);
+  const intervalOptions = Object.entries(SERIES_INTERVALS);
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Nuevo turno fijo</CardTitle>
+          <div className="text-sm text-muted-foreground">
+            Cada fecha se reserva sola cuando entra en la ventana de 7 días, con el precio y la política de pago de cualquier reserva.
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-2">
+            <Label>Usuario</Label>
+            {select(
+              form.userId,
+              (userId) => setForm({ ...form, userId }),
+              eligibleUsers.map((u) => [u.id, `${u.email} (${u.userType})`]),
+              "No hay usuarios"
+            )}
+          </div>
+          <div className="grid gap-3 md:grid-cols-2">
+            <div className="grid gap-2">
+              <Label>Primera fecha</Label>
+              <Input className="rounded-2xl" type="date" min={today} value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} />
+              <div className="text-xs text-muted-foreground">{form.startDate ? `Los ${weekdayName(form.startDate)}` : ""}</div>
+            </div>
+            <div className="grid gap-2">
+              <Label>Hasta (opcional)</Label>
+              <Input className="rounded-2xl" type="date" min={form.startDate} value={form.endDate} onChange={(e) => setForm({ ...form, endDate: e.target.value })} />
+            </div>
+            <div className="grid gap-2">
+              <Label>Cancha</Label>
+              {select(form.courtId, (courtId) => setForm({ ...form, courtId }), courtOptions)}
+            </div>
+            <div className="grid gap-2">
+              <Label>Duración</Label>
+              {select(String(form.durationMin), (v) => setForm({ ...form, durationMin: Number(v) }), durationOptions)}
+            </div>
+            <div className="grid gap-2">
+              <Label>Horario</Label>
+              {select(formTime, (time) => setForm({ ...form, time }), formTimes.map((t) => [t, t]), "Sin horarios")}
+            </div>
+            <div className="grid gap-2">
+              <Label>Frecuencia</Label>
+              {select(String(form.interval), (v) => setForm({ ...form, interval: Number(v) }), intervalOptions)}
+            </div>
+          </div>
+          <Button
+            className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+            disabled={busy || !form.userId || !formTime || !form.startDate}
+            onClick={create}
+          >
+            {busy ? "Creando…" : "Crear turno fijo"}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Generación</CardTitle>
+          <div className="text-sm text-muted-foreground">
+            Las reservas de los turnos fijos se generan al ingresar y al reservar. Las fechas que no se pudieron reservar (bloqueo, turno tomado,
+            feriado) quedan marcadas, se avisa al socio y se reintentan en cada pasada.
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <Button variant="outline" className="w-full rounded-2xl" disabled={busy} onClick={() => run(() => api.materializeSeries(admin.id), (res) => `${generated(res)}.`)}>
+            <RefreshCcw className="mr-2 h-4 w-4" /> Generar ahora
+          </Button>
+          <div className="flex items-center justify-between rounded-2xl border bg-card p-3 text-sm">
+            Mostrar cancelados
+            <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={showCancelled} onCheckedChange={setShowCancelled} />
+          </div>
+          {err ? <InlineError msg={err} /> : null}
+          {notice ? <div className="rounded-2xl border bg-muted/30 p-3 text-sm">{notice}</div> : null}
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl shadow-sm md:col-span-2">
+        <CardHeader>
+          <CardTitle className="text-base">Turnos fijos</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3">
+          {series.length === 0 ? <div className="text-sm text-muted-foreground">Sin turnos fijos.</div> : null}
+          {series.map((s) => {
+            const u = db.users.find((x) => x.id === s.userId);
+            const active = s.status === SERIES_STATUS.ACTIVE;
+            return (
+              <div key={s.id} className="grid gap-3 rounded-2xl border bg-card p-3 text-sm">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <div className="font-semibold">{seriesSummary(db, s)}</div>
+                      {active ? <Pill tone="success">Activo</Pill> : <Pill>Cancelado</Pill>}
+                      {s.conflicts.length ? (
+                        <Pill tone="warning" icon={AlertTriangle}>
+                          {s.conflicts.length} sin reservar
+                        </Pill>
+                      ) : null}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {u?.email || "-"} · desde {formatDateHuman(s.startDate)}
+                      {s.endDate ? ` hasta ${formatDateHuman(s.endDate)}` : ", sin fecha de fin"}
+                      {s.exceptions.length ? ` · ${s.exceptions.length} fecha(s) salteada(s)` : ""}
+                      {!active && s.cancelReason ? ` · ${s.cancelReason}` : ""}
+                    </div>
+                  </div>
+                  {active ? (
+                    <div className="flex gap-2">
+                      <Button variant="outline" className="rounded-2xl" disabled={busy} onClick={() => openEdit(s)}>
+                        Editar
+                      </Button>
+                      <Button
+                        className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                        disabled={busy}
+                        onClick={() => run(() => api.cancelSeries(admin.id, s.id, "Cancelado por el club"), (res) => `Turno fijo cancelado (${res.cancelled} reserva(s) cancelada(s)).`)}
+                      >
+                        Cancelar
+                      </Button>
+                    </div>
+                  ) : null}
+                </div>
+
+                {active ? (
+                  <div className="grid gap-2 md:grid-cols-2">
+                    {upcoming(s).map((o) => (
+                      <div key={o.dateISO} className="flex items-center justify-between gap-2 rounded-2xl border bg-muted/30 p-2">
+                        <div className="min-w-0">
+                          <div className="font-medium">
+                            {formatDateHuman(o.dateISO)} · {timeRangeLabel(o)}
+                            {o.courtId !== s.courtId ? ` · ${courtName(db, o.courtId)}` : ""}
+                          </div>
+                          <div className={`text-xs ${o.conflict ? "text-amber-700" : "text-muted-foreground"}`}>
+                            {o.reservation ? `Reservado (${o.reservation.status})` : o.conflict ? o.conflict.reason : "Todavía no se reservó"}
+                          </div>
+                        </div>
+                        <div className="flex gap-1">
+                          <Button size="sm" variant="outline" className="rounded-2xl" disabled={busy} onClick={() => openEdit(s, o.dateISO)}>
+                            Cambiar
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            className="rounded-2xl"
+                            disabled={busy}
+                            onClick={() => run(() => api.skipSeriesOccurrence(admin.id, s.id, o.dateISO, ""), () => `Se salteó el ${formatDateHuman(o.dateISO)}.`)}
+                          >
+                            Saltear
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : null}
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(editing)} onOpenChange={(v) => !v && setEditing(null)}>
+        {editing ? (
+          <DialogContent className="rounded-2xl">
+            <DialogHeader>
+              <DialogTitle>{editing.dateISO ? `Cambiar el ${formatDateHuman(editing.dateISO)}` : "Editar turno fijo"}</DialogTitle>
+              <DialogDescription>
+                {editing.dateISO
+                  ? "Solo cambia esta fecha. Si ya está reservada, se mueve la reserva."
+                  : "Cambia todas las fechas desde hoy. Las reservas ya generadas se mueven; las que no entran en el horario nuevo quedan como estaban."}
+              </DialogDescription>
+            </DialogHeader>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Cancha</Label>
+                {select(editing.courtId, (courtId) => setEditing({ ...editing, courtId }), courtOptions)}
+              </div>
+              <div className="grid gap-2">
+                <Label>Duración</Label>
+                {select(String(editing.durationMin), (v) => setEditing({ ...editing, durationMin: Number(v) }), durationOptions)}
+              </div>
+              <div className="grid gap-2">
+                <Label>Horario</Label>
+                {select(editTime, (time) => setEditing({ ...editing, time }), editTimes.map((t) => [t, t]), "Sin horarios")}
+              </div>
+              {!editing.dateISO ? (
+                <>
+                  <div className="grid gap-2">
+                    <Label>Frecuencia</Label>
+                    {select(String(editing.interval), (v) => setEditing({ ...editing, interval: Number(v) }), intervalOptions)}
+                  </div>
+                  <div className="grid gap-2">
+                    <Label>Hasta (opcional)</Label>
+                    <Input className="rounded-2xl" type="date" min={today} value={editing.endDate} onChange={(e) => setEditing({ ...editing, endDate: e.target.value })} />
+                  </div>
+                </>
+              ) : null}
+            </div>
+            {err ? <InlineError msg={err} /> : null}
+            <DialogFooter>
+              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={busy || !editTime} onClick={applyEdit}>
+                {busy ? "Guardando…" : "Guardar"}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        ) : null}
+      </Dialog>
+    </div>
+  );
+}
+
+// -----------------------------
+// Admin: usuarios
+// -----------------------------
+
+function userStatus(u) {
+  if (u.mergedInto) return { tone: "default", label: "Unificada" };
+  if (u.isActive === false) return { tone: "danger", label: "Desactivada" };
+  return { tone: "success", label: "Activa" };
+}
+
+// Búsqueda por email, DNI o teléfono (el teléfono se compara solo por dígitos).
+function matchesUserQuery(u, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  const digits = q.replace(/\D/g, "");
+  return (
+    String(u.email || "").includes(q) ||
+    String(u.dni || "").includes(q) ||
+    (digits.length >= 3 && String(u.phone || "").replace(/\D/g, "").includes(digits))
+  );
+}
+
+function AdminUsers({ api, db, admin }) {
+  const [query, setQuery] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [summary, setSummary] = useState(null);
+
+  async function revalidateAll() {
+    setErr("");
+    setSummary(null);
+    setBusy(true);
+    try {
+      setSummary(await api.revalidateAllSocios(admin.id));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const matches = db.users
+    .filter((u) => matchesUserQuery(u, query))
+    .sort((a, b) => String(a.email).localeCompare(String(b.email)))
+    .slice(0, 50);
+  const selected = db.users.find((u) => u.id === selectedId);
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3">
+      <Card className="rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-base">Usuarios</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-2.5 h-4 w-4 text-muted-foreground" />
+            <Input
+              className="rounded-2xl pl-9"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Email, DNI o teléfono"
+            />
+          </div>
+          {can(admin, CAPS.USERS_MANAGE) ? (
+            <Button variant="outline" className="w-full rounded-2xl" disabled={busy} onClick={revalidateAll}>
+              <RefreshCcw className="mr-2 h-4 w-4" /> {busy ? "Consultando el sistema de socios…" : "Revalidar todos los socios"}
+            </Button>
+          ) : null}
+          {err ? <InlineError msg={err} /> : null}
+          {summary ? (
+            <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-xs text-emerald-800">
+              {summary.checked} cuentas consultadas · {summary.changed} cambios · {summary.repriced} reservas con precio nuevo
+              {summary.failed ? ` · ${summary.failed} sin respuesta (${summary.error})` : ""}
+            </div>
+          ) : null}
+          <div className="grid max-h-[560px] gap-2 overflow-auto">
+            {matches.length === 0 ? <div className="text-sm text-muted-foreground">Sin resultados.</div> : null}
+            {matches.map((u) => {
+              const status = userStatus(u);
+              return (
+                <button
+                  key={u.id}
+                  onClick={() => setSelectedId(u.id)}
+                  className={`rounded-2xl border p-3 text-left text-sm transition-all duration-200 ease-in-out ${
+                    u.id === selectedId ? "border-red-300 bg-red-50" : "bg-card hover:bg-muted/60"
+                  }`}
+                >
+                  <div className="truncate font-semibold">{u.email}</div>
+                  <div className="mt-1 flex flex-wrap items-center gap-1 text-xs text-muted-foreground">
+                    DNI {u.dni || "-"} · {ROLE_LABELS[u.role] || u.role}
+                    {status.label !== "Activa" ? <Pill tone={status.tone}>{status.label}</Pill> : null}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="md:col-span-2">
+        {selected ? (
+          <AdminUserDetail key={selected.id} api={api} db={db} admin={admin} target={selected} onSelect={setSelectedId} />
+        ) : (
+          <EmptyState title="Elegí un usuario" desc="Buscalo por email, DNI o teléfono para ver su detalle." />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function AdminUserDetail({ api, db, admin, target: u, onSelect }) {
+  const [email, setEmail] = useState(u.email || "");
+  const [phone, setPhone] = useState(u.phone || "");
+  const [reason, setReason] = useState("");
+  const [duplicateQuery, setDuplicateQuery] = useState("");
+  const [history, setHistory] = useState("reservas");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const self = u.id === admin.id;
+  const adminAccount = ADMIN_ROLES.includes(u.role);
+  const canManage = can(admin, CAPS.USERS_MANAGE) && !self && (!adminAccount || can(admin, CAPS.ADMINS_MANAGE));
+  const roles = assignableRoles(admin);
+  const status = userStatus(u);
+
+  const reservations = db.reservations
+    .filter((r) => r.userId === u.id)
+    .sort((a, b) => (b.dateISO + b.time).localeCompare(a.dateISO + a.time));
+  const reservationIds = new Set(reservations.map((r) => r.id));
+  const payments = db.payments.filter((p) => reservationIds.has(p.reservationId));
+  const notifications = db.notifications.filter((n) => n.to === u.email || (u.phone && n.to === u.phone));
+  const audit = db.audit.filter((a) => a.by === u.id || a.entity?.id === u.id);
+  const duplicates = duplicateQuery.trim()
+    ? db.users.filter((x) => x.id !== u.id && !x.mergedInto && !isStaff(x) && matchesUserQuery(x, duplicateQuery)).slice(0, 5)
+    : [];
+
+  async function run(fn, done) {
+    setErr("");
+    setNotice("");
+    setBusy(true);
+    try {
+      const result = await fn();
+      setNotice(typeof done === "function" ? done(result) : done);
+      return true;
+    } catch (e) {
+      setErr(e?.message || "Error");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function merge(drop) {
+    if (!reason.trim()) return setErr("Indicá el motivo de la unificación.");
+    if (!window.confirm(`Se van a pasar las reservas de ${drop.email} a ${u.email} y ${drop.email} quedará desactivada. ¿Continuar?`)) return;
+    run(
+      () => api.mergeUsers(admin.id, { keepId: u.id, dropId: drop.id, reason }),
+      (r) => `Cuentas unificadas: ${r.moved} reserva(s) movidas.`
+    ).then((ok) => ok && (setReason(""), setDuplicateQuery("")));
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-base">{u.email}</CardTitle>
+          <div className="flex flex-wrap gap-2">
+            <Pill tone="info">{ROLE_LABELS[u.role] || u.role}</Pill>
+            <Pill tone={u.userType === "Socio" ? "success" : "default"}>{u.userType}</Pill>
+            <Pill tone={status.tone}>{status.label}</Pill>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-3 text-sm md:grid-cols-3">
+          <InfoRow label="DNI" value={u.dni || "-"} />
+          <InfoRow label="Alta" value={u.createdAt ? new Date(u.createdAt).toLocaleDateString("es-AR") : "-"} />
+          <InfoRow label="Socio verificado" value={u.socioCheckedAt ? new Date(u.socioCheckedAt).toLocaleString("es-AR") : "-"} />
+        </div>
+        {u.isActive === false ? (
+          <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-800">
+            Desactivada el {new Date(u.deactivatedAt).toLocaleString("es-AR")}: {u.deactivationReason || "-"}
+            {u.mergedInto ? (
+              <Button variant="link" className="h-auto p-0 pl-2 text-rose-800 underline" onClick={() => onSelect(u.mergedInto)}>
+                Ver cuenta unificada
+              </Button>
+            ) : null}
+          </div>
+        ) : null}
+
+        {err ? <InlineError msg={err} /> : null}
+        {notice ? <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-800">{notice}</div> : null}
+
+        {canManage ? (
+          <div className="grid gap-3 rounded-2xl border bg-card p-4">
+            <div className="text-sm font-semibold">Datos de contacto</div>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Email</Label>
+                <Input className="rounded-2xl" value={email} onChange={(e) => setEmail(e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Teléfono</Label>
+                <Input className="rounded-2xl" value={phone} onChange={(e) => setPhone(e.target.value)} />
+              </div>
+            </div>
+            <div className="text-xs text-muted-foreground">Un email o teléfono nuevo queda pendiente de verificación y se le envía el código.</div>
+            <div className="grid gap-2 md:grid-cols-2">
+              <Button
+                className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                disabled={busy}
+                onClick={() =>
+                  run(() => api.updateUserContact(admin.id, u.id, { email, phone }), (changed) => (changed ? "Datos actualizados." : "Sin cambios."))
+                }
+              >
+                Guardar datos
+              </Button>
+              <Button
+                variant="outline"
+                className="rounded-2xl"
+                disabled={busy}
+                onClick={() => run(() => api.revalidateSocio(admin.id, u.id), (r) => `Sistema de socios: ${r.userType}.`)}
+              >
+                <RefreshCcw className="mr-2 h-4 w-4" /> Revalidar socio
+              </Button>
+            </div>
+          </div>
+        ) : null}
+
+        {roles.includes(u.role) && !self ? (
+          <div className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border bg-card p-4">
+            <div className="text-sm font-semibold">Rol</div>
+            <Select value={u.role} onValueChange={(role) => run(() => api.setUserRole(admin.id, u.id, role), "Rol actualizado.")}>
+              <SelectTrigger className="w-56 rounded-2xl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {roles.map((r) => (
+                  <SelectItem key={r} value={r}>
+                    {ROLE_LABELS[r]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ) : null}
+
+        {canManage && !u.mergedInto ? (
+          <div className="grid gap-3 rounded-2xl border bg-card p-4">
+            <div className="text-sm font-semibold">Estado de la cuenta</div>
+            <div className="grid gap-2">
+              <Label>Motivo</Label>
+              <Input
+                className="rounded-2xl"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Ej: pedido del socio, cuenta duplicada"
+              />
+            </div>
+            {u.isActive === false ? (
+              <Button
+                variant="outline"
+                className="rounded-2xl"
+                disabled={busy}
+                onClick={() => run(() => api.setUserActive(admin.id, u.id, { active: true, reason }), "Cuenta reactivada.")}
+              >
+                Reactivar
+              </Button>
+            ) : (
+              <Button
+                className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                disabled={busy}
+                onClick={() => run(() => api.setUserActive(admin.id, u.id, { active: false, reason }), "Cuenta desactivada.")}
+              >
+                Desactivar (cierra sus sesiones)
+              </Button>
+            )}
+
+            {can(admin, CAPS.USERS_MERGE) && u.isActive !== false ? (
+              <>
+                <Separator />
+                <div className="text-sm font-semibold">Unificar una cuenta duplicada en esta</div>
+                <Input
+                  className="rounded-2xl"
+                  value={duplicateQuery}
+                  onChange={(e) => setDuplicateQuery(e.target.value)}
+                  placeholder="Email, DNI o teléfono de la cuenta duplicada"
+                />
+                {duplicates.map((d) => (
+                  <div key={d.id} className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border p-3 text-sm">
+                    <div>
+                      <div className="font-semibold">{d.email}</div>
+                      <div className="text-xs text-muted-foreground">
+                        DNI {d.dni || "-"} · {d.phone || "-"} · {db.reservations.filter((r) => r.userId === d.id).length} reserva(s)
+                      </div>
+                    </div>
+                    <Button variant="outline" className="rounded-2xl" disabled={busy} onClick={() => merge(d)}>
+                      Unificar
+                    </Button>
+                  </div>
+                ))}
+              </>
+            ) : null}
+          </div>
+        ) : null}
+
+        <Tabs value={history} onValueChange={setHistory}>
+          <TabsList className="grid w-full grid-cols-2 rounded-2xl md:grid-cols-4">
+            <TabsTrigger value="reservas">Reservas ({reservations.length})</TabsTrigger>
+            <TabsTrigger value="pagos">Pagos ({payments.length})</TabsTrigger>
+            <TabsTrigger value="notifs">Notificaciones ({notifications.length})</TabsTrigger>
+            <TabsTrigger value="audit">Auditoría ({audit.length})</TabsTrigger>
+          </TabsList>
+          <TabsContent value="reservas" className="mt-4">
+            <ListTable
+              cols={["Fecha", "Horario", "Cancha", "Estado", "Total"]}
+              rows={reservations.map((r) => [
+                formatDateHuman(r.dateISO),
+                timeRangeLabel(r),
+                courtName(db, r.courtId),
+                <StatusPill key="status" status={r.status} />,
+                formatMoney(r.price, db.config.currency),
+              ])}
+            />
+          </TabsContent>
+          <TabsContent value="pagos" className="mt-4">
+            <ListTable
+              cols={["Reserva", "Método", "Estado", "Monto", "Reintegro"]}
+              rows={payments.map((p) => [p.reservationId, p.method || "-", p.status, formatMoney(p.amount, db.config.currency), refundLabel(p, db.config.currency)])}
+            />
+          </TabsContent>
+          <TabsContent value="notifs" className="mt-4">
+            <ListTable
+              cols={["Fecha", "Canal", "Evento", "Mensaje"]}
+              rows={notifications.slice(0, 80).map((n) => [new Date(n.at).toLocaleString("es-AR"), n.channel, n.event, n.payload?.msg || "-"])}
+            />
+          </TabsContent>
+          <TabsContent value="audit" className="mt-4">
+            <ListTable
+              cols={["Fecha", "Usuario", "Acción", "Detalle"]}
+              rows={audit.slice(0, 80).map((a) => [
+                new Date(a.at).toLocaleString("es-AR"),
+                db.users.find((x) => x.id === a.by)?.email || a.by || "-",
+                a.action,
+                a.detail,
+              ])}
+            />
+          </TabsContent>
+        </Tabs>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Código pendiente más reciente de un usuario para el canal ("email" | "phone").
+function pendingVerification(db, userId, channel) {
+  return (db.verifications || [])
+    .filter((v) => v.userId === userId && v.channel === channel && !v.verifiedAt && !v.revokedAt)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+}
+
+function AdminVerifications({ api, db, admin }) {
+  const [reason, setReason] = useState("");
+  const [err, setErr] = useState("");
+
+  const users = db.users.filter((u) => !u.isEmailValidated || !u.isPhoneValidated);
+
+  function channelState(u, channel) {
+    const flag = channel === "phone" ? u.isPhoneValidated : u.isEmailValidated;
+    if (flag) return <Pill tone="success">Validado</Pill>;
+    const v = pendingVerification(db, u.id, channel);
+    if (!v) return <Pill tone="warning">Sin código</Pill>;
+    return (
+      <span>
+        Código enviado {new Date(v.createdAt).toLocaleString("es-AR")} · vence{" "}
+        {new Date(v.expiresAt).toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" })} · {v.attempts} intento(s)
+      </span>
+    );
+  }
+
+  async function override(u, flags) {
+    setErr("");
+    if (!reason.trim()) return setErr("Indicá el motivo de la validación manual.");
+    try {
+      await api.overrideValidation(admin.id, u.id, { ...flags, reason });
+      setReason("");
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Verificaciones de cuenta pendientes</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {users.length === 0 ? (
+          <div className="rounded-2xl border bg-muted/30 p-4 text-sm text-muted-foreground">Todas las cuentas están validadas.</div>
+        ) : (
+          <>
+            <div className="grid gap-2">
+              <Label>Motivo de la validación manual</Label>
+              <Input
+                className="rounded-2xl"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Ej: verificado en recepción con DNI"
+              />
+            </div>
+            {err && <InlineError msg={err} />}
+            <ListTable
+              cols={["Usuario", "Email", "WhatsApp", "Validación manual"]}
+              rows={users.map((u) => [
+                u.email,
+                channelState(u, "email"),
+                channelState(u, "phone"),
+                <div key="actions" className="flex flex-wrap gap-2">
+                  {!u.isEmailValidated ? (
+                    <Button size="sm" variant="outline" className="rounded-2xl" onClick={() => override(u, { emailOk: true })}>
+                      Validar email
+                    </Button>
+                  ) : null}
+                  {!u.isPhoneValidated ? (
+                    <Button size="sm" variant="outline" className="rounded-2xl" onClick={() => override(u, { phoneOk: true })}>
+                      Validar WhatsApp
+                    </Button>
+                  ) : null}
+                </div>,
+              ])}
+            />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function AdminReservationActions({ api, db, admin, reservationId }) {
+  const reservation = db.reservations.find((r) => r.id === reservationId);
+  const payment = db.payments.find((p) => p.reservationId === reservationId);
+  const u = reservation ? db.users.find((x) => x.id === reservation.userId) : null;
+  const [rescheduling, setRescheduling] = useState(false);
+
+  if (!reservation) return null;
+  const balanceDue = reservation.status === RES_STATUS.CONFIRMED ? payment?.balanceDue || 0 : 0;
+
+  return (
+    <div className="grid gap-3 rounded-2xl border bg-card p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="text-sm font-semibold">{formatDateHuman(reservation.dateISO)} · {timeRangeLabel(reservation)} · {courtName(db, reservation.courtId)}</div>
+          <div className="text-xs text-muted-foreground">Usuario: {u?.email || "-"} ({u?.userType || "-"})</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <StatusPill status={reservation.status} />
+          <Pill tone={payment?.status === PAY_STATUS.APPROVED ? "success" : "warning"}>
+            Pago: {payment?.status || "-"}
+          </Pill>
+        </div>
+      </div>
+
+      <div className="grid gap-2 md:grid-cols-3">
+        {can(admin, CAPS.PAYMENTS_CASH) ? (
+          <Button
+            className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+            onClick={() => api.registerCashPayment(admin.id, reservationId)}
+            disabled={reservation.status !== RES_STATUS.PENDING_PAYMENT && !balanceDue}
+          >
+            {balanceDue ? "Cobrar saldo en efectivo" : "Registrar efectivo"}
+          </Button>
+        ) : null}
+        {can(admin, CAPS.RESERVATIONS_MANAGE) ? (
+          <>
+            <Button
+              className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+              onClick={() => api.cancelReservation(admin.id, reservationId, "Cancelación admin")}
+              disabled={reservation.status !== RES_STATUS.PENDING_PAYMENT && reservation.status !== RES_STATUS.CONFIRMED}
+            >
+              Cancelar
+            </Button>
+            <Button
+              className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+              onClick={() => api.markNoShow(admin.id, reservationId)}
+              disabled={reservation.status !== RES_STATUS.CONFIRMED}
+            >
+              No show + reintegro {db.config.refundPolicy.noShowPercent}%
+            </Button>
+            <Button
+              className="bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+              onClick={() => setRescheduling(true)}
+              disabled={reservation.status !== RES_STATUS.PENDING_PAYMENT && reservation.status !== RES_STATUS.CONFIRMED}
+            >
+              Reprogramar
+            </Button>
+          </>
+        ) : null}
+      </div>
+
+      <div className="text-xs text-muted-foreground">
+        Total: <span className="font-medium text-foreground">{formatMoney(reservation.price, db.config.currency)}</span>
+        {payment?.method ? <span> · Método: <span className="font-medium text-foreground">{payment.method}</span></span> : null}
+        {balanceDue ? <span> · Saldo a pagar: <span className="font-medium text-amber-800">{formatMoney(balanceDue, db.config.currency)}</span></span> : null}
+        {payment?.meta?.refund ? <span> · Reintegro: <span className="font-medium text-foreground">{refundLabel(payment, db.config.currency)}</span></span> : null}
+      </div>
+
+      {rescheduling ? (
+        <RescheduleDialog key={reservation.id} api={api} db={db} actor={admin} reservation={reservation} onClose={() => setRescheduling(false)} />
+      ) : null}
+    </div>
+  );
+}
+
+// Campos que cambiaron según los snapshots before/after de una entrada de auditoría.
+function auditChanges(a) {
+  if (!a.before && !a.after) return "-";
+  const out = [];
+  for (const type of Object.keys({ ...a.before, ...a.after })) {
+    const before = a.before?.[type];
+    const after = a.after?.[type];
+    if (!before) out.push(`${type}: alta`);
+    else if (!after) out.push(`${type}: baja`);
+    else {
+      const fields = Object.keys({ ...before, ...after }).filter(
+        (k) => k !== "updatedAt" && JSON.stringify(before[k]) !== JSON.stringify(after[k])
+      );
+      if (fields.length) out.push(`${type}: ${fields.map((k) => `${k} ${JSON.stringify(before[k] ?? null)} → ${JSON.stringify(after[k] ?? null)}`).join(", ")}`);
+    }
+  }
+  return out.join(" · ") || "-";
+}
+
+function AuditVerifyCard({ api, admin }) {
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function verify() {
+    setErr("");
+    setBusy(true);
+    try {
+      setResult(await api.verifyAudit(admin.id));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mb-4 space-y-3 rounded-2xl border bg-muted/30 p-4 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-muted-foreground">
+          Cada entrada queda encadenada a la anterior por hash: cualquier edición o borrado se detecta al verificar.
+        </div>
+        <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={busy} onClick={verify}>
+          <ShieldCheck className="mr-2 h-4 w-4" /> {busy ? "Verificando..." : "Verificar integridad"}
+        </Button>
+      </div>
+      {err ? <div className="text-red-600">{err}</div> : null}
+      {result?.ok ? (
+        <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-emerald-800">
+          Cadena íntegra: {result.total} entradas verificadas. Último hash{" "}
+          <span className="font-mono">{result.headHash.slice(0, 16)}…</span>
+        </div>
+      ) : null}
+      {result && !result.ok ? (
+        <div className="rounded-2xl border border-red-200 bg-red-50 p-3 text-red-800">
+          Cadena rota en la entrada #{result.brokenAt.position} de {result.total} ({result.brokenAt.id},{" "}
+          {result.brokenAt.at ? new Date(result.brokenAt.at).toLocaleString("es-AR") : "sin fecha"}): {result.brokenAt.reason}.
+          Las {result.checked} entradas anteriores son íntegras.
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const THROTTLE_KIND_LABELS = { account: "Cuenta", client: "Cliente (IP)", register: "Registro (IP)" };
+
+// Estado actual de un registro de intentos fallidos.
+function throttleState(t) {
+  const nowISO = new Date().toISOString();
+  if (t.lockedUntil && t.lockedUntil > nowISO) {
+    return { tone: "danger", label: `Bloqueado hasta ${new Date(t.lockedUntil).toLocaleTimeString("es-AR")}` };
+  }
+  if (t.nextAttemptAt && t.nextAttemptAt > nowISO) return { tone: "warning", label: "Demorado" };
+  return { tone: "default", label: "Con fallos" };
+}
+
+// Cuentas y clientes con intentos fallidos de login / registro; el admin puede desbloquearlos.
+function AdminThrottles({ api, db, admin }) {
+  const [err, setErr] = useState("");
+
+  async function unlock(t) {
+    setErr("");
+    try {
+      await api.unlockThrottle(admin.id, t.id);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  const rows = (db.throttles || [])
+    .slice()
+    .sort((a, b) => (b.lockedUntil || "").localeCompare(a.lockedUntil || "") || b.lastFailureAt.localeCompare(a.lastFailureAt));
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-muted-foreground">
+        Tras varios intentos fallidos el ingreso se demora y luego se bloquea por un tiempo. Desbloquear borra el contador.
+      </div>
+      {err ? <InlineError msg={err} /> : null}
+      {rows.length ? (
+        <ListTable
+          cols={["Tipo", "Cuenta / cliente", "Fallos", "Último fallo", "Estado", ""]}
+          rows={rows.map((t) => {
+            const state = throttleState(t);
+            return [
+              THROTTLE_KIND_LABELS[t.kind] || t.kind,
+              <span key="key" className="font-mono">{t.key}</span>,
+              t.failures,
+              new Date(t.lastFailureAt).toLocaleString("es-AR"),
+              <Pill key="state" tone={state.tone}>{state.label}</Pill>,
+              can(admin, CAPS.SECURITY_MANAGE) ? (
+                <Button key="unlock" variant="outline" className="rounded-2xl" onClick={() => unlock(t)}>
+                  Desbloquear
+                </Button>
+              ) : null,
+            ];
+          })}
+        />
+      ) : (
+        <div className="rounded-2xl border bg-muted/30 p-4 text-sm text-muted-foreground">No hay cuentas ni clientes con intentos fallidos.</div>
+      )}
+    </div>
+  );
+}
+
+function AdminHistory({ api, db, admin }) {
+  const [tab, setTab] = useState("audit");
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      <Card className="rounded-2xl shadow-sm md:col-span-2">
+        <CardHeader>
+          <CardTitle className="text-base">Historial</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Tabs value={tab} onValueChange={setTab}>
+            <TabsList className="grid w-full grid-cols-3 rounded-2xl md:grid-cols-5">
+              <TabsTrigger value="audit">Auditoría</TabsTrigger>
+              <TabsTrigger value="notifs">Notificaciones</TabsTrigger>
+              <TabsTrigger value="reservas">Reservas</TabsTrigger>
+              <TabsTrigger value="pagos">Pagos</TabsTrigger>
+              <TabsTrigger value="bloqueos">Bloqueos</TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="audit" className="mt-4">
+              <AuditVerifyCard api={api} admin={admin} />
+              <ListTable
+                cols={["Fecha", "Usuario", "Acción", "Detalle", "Cambios", "Hash"]}
+                rows={db.audit.slice(0, 80).map((a) => [
+                  new Date(a.at).toLocaleString("es-AR"),
+                  (db.users.find((u) => u.id === a.by)?.email || a.by),
+                  a.action,
+                  a.detail,
+                  auditChanges(a),
+                  <span key="hash" className="font-mono" title={a.hash}>{a.hash?.slice(0, 10) || "-"}</span>,
+                ])}
+              />
+            </TabsContent>
+
+            <TabsContent value="notifs" className="mt-4">
+              <ListTable
+                cols={["Fecha", "Canal", "Destino", "Evento", "Mensaje"]}
+                rows={db.notifications.slice(0, 80).map((n) => [
+                  new Date(n.at).toLocaleString("es-AR"),
+                  n.channel,
+                  n.to,
+                  n.event,
+                  n.payload?.msg || "-",
+                ])}
+              />
+            </TabsContent>
+
+            <TabsContent value="reservas" className="mt-4">
+              <ListTable
+                cols={["Fecha", "Horario", "Cancha", "Usuario", "Estado"]}
+                rows={db.reservations
+                  .slice()
+                  .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
+                  .slice(0, 80)
+                  .map((r) => [
+                    formatDateHuman(r.dateISO),
+                    timeRangeLabel(r),
+                    courtName(db, r.courtId),
+                    db.users.find((u) => u.id === r.userId)?.email || "-",
+                    r.status,
+                  ])}
+              />
+            </TabsContent>
+
+            <TabsContent value="bloqueos" className="mt-4">
+              <AdminThrottles api={api} db={db} admin={admin} />
+            </TabsContent>
+
+            <TabsContent value="pagos" className="mt-4">
+              <ListTable
+                cols={["Reserva", "Método", "Estado", "Monto", "Reintegro"]}
+                rows={db.payments
+                  .slice()
+                  .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
+                  .slice(0, 80)
+                  .map((p) => [
+                    p.reservationId,
+                    p.method || "-",
+                    p.status,
+                    formatMoney(p.amount, db.config.currency),
+                    refundLabel(p, db.config.currency),
+                  ])}
+              />
+            </TabsContent>
+          </Tabs>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function ListTable({ cols, rows }) {
+  return (
+    <div className="overflow-auto rounded-2xl border">
+      <table className="w-full min-w-[780px] text-sm">
+        <thead className="bg-muted/30">
+          <tr>
+            {cols.map((c) => (
+              <th key={c} className="p-3 text-left text-xs font-semibold">
+                {c}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className="border-t">
+              {r.map((cell, j) => (
+                <td key={j} className="p-3 text-xs text-muted-foreground">
+                  <span className="text-foreground">{cell}</span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const AUTH_MODE_LABELS = {
+  [AUTH_MODES.EMAIL_PASSWORD]: "Email + contraseña",
+  [AUTH_MODES.EMAIL_OTP]: "Email + código",
+  [AUTH_MODES.PHONE_OTP]: "WhatsApp + código",
+};
+
+function AdminConfig({ api, db, admin }) {
+  const cfg = db.config;
+  const [authMode, setAuthMode] = useState(cfg.authMode);
+  const [reqEmail, setReqEmail] = useState(cfg.requireEmailValidation);
+  const [reqPhone, setReqPhone] = useState(cfg.requirePhoneValidation);
+  const [priceSocio, setPriceSocio] = useState(cfg.priceSocio);
+  const [priceNoSocio, setPriceNoSocio] = useState(cfg.priceNoSocio);
+  const [holdMinutes, setHoldMinutes] = useState(cfg.waitlistHoldMinutes);
+  const [payMinutes, setPayMinutes] = useState(cfg.paymentHoldMinutes);
+  const [rescheduleHours, setRescheduleHours] = useState(cfg.rescheduleDeadlineHours);
+
+  useEffect(() => {
+    setAuthMode(cfg.authMode);
+    setReqEmail(cfg.requireEmailValidation);
+    setReqPhone(cfg.requirePhoneValidation);
+    setPriceSocio(cfg.priceSocio);
+    setPriceNoSocio(cfg.priceNoSocio);
+    setHoldMinutes(cfg.waitlistHoldMinutes);
+    setPayMinutes(cfg.paymentHoldMinutes);
+    setRescheduleHours(cfg.rescheduleDeadlineHours);
+  }, [cfg]);
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {can(admin, CAPS.CONFIG_MANAGE) ? (
+        <>
+          <Card className="rounded-2xl shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-base">Autenticación</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid gap-2">
+                <Label>Método de ingreso</Label>
+                <Select value={authMode} onValueChange={setAuthMode}>
+                  <SelectTrigger className="rounded-2xl">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(AUTH_MODE_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <div className="text-xs text-muted-foreground">
+                  Con código, el personal del club puede seguir entrando con contraseña.
+                </div>
+              </div>
+              <div className="flex items-center justify-between rounded-2xl border bg-card p-3">
+                <div className="text-sm">
+                  <div className="font-semibold">Validación de email obligatoria</div>
+                  <div className="text-xs text-muted-foreground">Sin validar, no reserva ni paga</div>
+                </div>
+                <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={reqEmail} onCheckedChange={setReqEmail} />
+              </div>
+              <Button
+                className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                onClick={() => api.setConfig(admin.id, { authMode, requireEmailValidation: reqEmail })}
+              >
+                Guardar
+              </Button>
+            </CardContent>
+          </Card>
+
+          <Card className="rounded-2xl shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-base">Precios</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid gap-2">
+                <Label>Socio</Label>
+                <Input
+                  className="rounded-2xl"
+                  type="number"
+                  value={priceSocio}
+                  onChange={(e) => setPriceSocio(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 1000000))}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label>No socio</Label>
+                <Input
+                  className="rounded-2xl"
+                  type="number"
+                  value={priceNoSocio}
+                  onChange={(e) => setPriceNoSocio(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 1000000))}
+                />
+              </div>
+              <Button
+                className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                onClick={() => api.setConfig(admin.id, { priceSocio, priceNoSocio })}
+              >
+                Guardar
+              </Button>
+              <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+                Nota: El PDF no especifica valores; se dejan configurables.
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card className="rounded-2xl shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-base">Plazos</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid gap-2">
+                <Label>Minutos para pagar una reserva</Label>
+                <Input
+                  className="rounded-2xl"
+                  type="number"
+                  min={0}
+                  value={payMinutes}
+                  onChange={(e) => setPayMinutes(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 1440))}
+                />
+                <div className="text-xs text-muted-foreground">
+                  Si el socio no paga a tiempo, la reserva se cancela y el turno se libera. No vencen las reservas sin precio ni las que carga el club
+                  (0 = no vencen nunca).
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label>Minutos para aceptar un turno liberado</Label>
+                <Input
+                  className="rounded-2xl"
+                  type="number"
+                  min={1}
+                  value={holdMinutes}
+                  onChange={(e) => setHoldMinutes(clamp(parseInt(e.target.value || "0", 10) || 0, 1, 1440))}
+                />
+                <div className="text-xs text-muted-foreground">
+                  El turno queda retenido para el primero de la lista hasta que vence (nunca después del inicio); si no lo acepta, pasa al siguiente.
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label>Horas antes del turno para reprogramar</Label>
+                <Input
+                  className="rounded-2xl"
+                  type="number"
+                  min={0}
+                  value={rescheduleHours}
+                  onChange={(e) => setRescheduleHours(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 168))}
+                />
+                <div className="text-xs text-muted-foreground">
+                  Hasta entonces el socio puede cambiar fecha, horario, cancha o duración conservando el pago; el club puede reprogramar siempre.
+                </div>
+              </div>
+              <Button
+                className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl"
+                onClick={() => api.setConfig(admin.id, { paymentHoldMinutes: payMinutes, waitlistHoldMinutes: holdMinutes, rescheduleDeadlineHours: rescheduleHours })}
+              >
+                Guardar
+              </Button>
+            </CardContent>
+          </Card>
+
+          <ScheduleCard api={api} admin={admin} db={db} />
+          <DurationsCard api={api} admin={admin} db={db} />
+          <RefundPolicyCard api={api} admin={admin} db={db} />
+          <SocioConfigCard api={api} admin={admin} cfg={cfg} />
+          <PadronCard api={api} admin={admin} />
+        </>
+      ) : null}
+
+      {can(admin, CAPS.COURTS_MANAGE) ? (
+        <Card className="rounded-2xl shadow-sm md:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-base">Canchas (activar/desactivar)</CardTitle>
+          </CardHeader>
+          <CardContent className="grid gap-2 md:grid-cols-2">
+            {db.courts.map((c) => (
+              <div key={c.id} className="flex items-center justify-between rounded-2xl border bg-card p-3">
+                <div className="text-sm">
+                  <div className="font-semibold">{c.name}</div>
+                  <div className="text-xs text-muted-foreground">Una sola reserva por horario</div>
+                </div>
+                <Switch
+                  className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200"
+                  checked={c.isActive}
+                  onCheckedChange={(v) => {
+                    if (!v && !window.confirm(`Se cancelan las reservas futuras de ${c.name} con reintegro del 100%. ¿Continuar?`)) return;
+                    api.setCourtActive(admin.id, c.id, v);
+                  }}
+                />
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      ) : null}
+
+      {can(admin, CAPS.BACKUP_MANAGE) ? <BackupCard api={api} admin={admin} /> : null}
+    </div>
+  );
+}
+
+// Horarios por temporada, día y cancha, y feriados (ver lib/tenis/schedule.js).
+const HOUR_OPTIONS = Array.from({ length: 25 }, (_, h) => `${String(h).padStart(2, "0")}:00`);
+
+function hoursLabel(value) {
+  if (value === undefined) return "Como el club";
+  if (!value) return "Cerrado";
+  return `${value.open.slice(0, 2)}–${value.close.slice(0, 2)}`;
+}
+
+function ScheduleCard({ api, admin, db }) {
+  const saved = db.config.schedule;
+  const [draft, setDraft] = useState(() => structuredClone(saved));
+  const [seasonId, setSeasonId] = useState(saved.seasons[0].id);
+  const [editing, setEditing] = useState(null); // { scope, weekday, mode, open, close, allDays }
+  const [holiday, setHoliday] = useState({ dateISO: "", name: "", closed: true, open: "08:00", close: "13:00" });
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    setDraft(structuredClone(saved));
+  }, [saved]);
+
+  const season = draft.seasons.find((s) => s.id === seasonId) || draft.seasons[0];
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved);
+
+  function update(fn) {
+    setDraft((d) => {
+      const next = structuredClone(d);
+      fn(next);
+      return next;
+    });
+  }
+
+  function addSeason() {
+    const id = `season_${Date.now().toString(36)}`;
+    update((d) => d.seasons.push({ ...structuredClone(season), id, name: "Nueva temporada", from: "12-21", to: "03-20" }));
+    setSeasonId(id);
+  }
+
+  function removeSeason() {
+    update((d) => {
+      d.seasons = d.seasons.filter((s) => s.id !== season.id);
+    });
+    setSeasonId(draft.seasons.find((s) => !s.from).id);
+  }
+
+  function openCell(scope, weekday) {
+    const value = season.hours[scope]?.[weekday];
+    const club = season.hours.all[weekday];
+    setEditing({
+      scope,
+      weekday,
+      mode: value === undefined ? "inherit" : value ? "open" : "closed",
+      open: (value || club)?.open || "08:00",
+      close: (value || club)?.close || "22:00",
+      allDays: false,
+    });
+  }
+
+  function applyCell() {
+    const { scope, weekday, mode, open, close, allDays } = editing;
+    update((d) => {
+      const s = d.seasons.find((x) => x.id === season.id);
+      s.hours[scope] = s.hours[scope] || {};
+      for (const day of allDays ? WEEKDAY_LABELS.map((_, i) => i) : [weekday]) {
+        if (mode === "inherit") delete s.hours[scope][day];
+        else s.hours[scope][day] = mode === "open" ? { open, close } : null;
+      }
+      if (scope !== "all" && !Object.keys(s.hours[scope]).length) delete s.hours[scope];
+    });
+    setEditing(null);
+  }
+
+  function addHoliday() {
+    const { dateISO, name, closed, open, close } = holiday;
+    update((d) => {
+      d.holidays = [...d.holidays.filter((h) => h.dateISO !== dateISO), { dateISO, name, hours: closed ? null : { open, close } }].sort(
+        (a, b) => a.dateISO.localeCompare(b.dateISO)
+      );
+    });
+    setHoliday((h) => ({ ...h, dateISO: "", name: "" }));
+  }
+
+  async function save() {
+    setErr("");
+    setNotice("");
+    setBusy(true);
+    try {
+      const { outside } = await api.setSchedule(admin.id, draft);
+      if (outside.length) setNotice(`${outside.length} reserva(s) ya tomadas quedaron fuera del horario nuevo. Revisalas en Operaciones.`);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const hourSelect = (value, onChange) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="rounded-2xl">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {HOUR_OPTIONS.map((h) => (
+          <SelectItem key={h} value={h}>
+            {h}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Horarios y feriados</CardTitle>
+        <div className="text-sm text-muted-foreground">
+          Los turnos empiezan cada 30 minutos y terminan antes del cierre. Una cancha puede abrir más tarde o cerrar antes que el club, nunca al revés.
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="grid gap-2">
+            <Label>Temporada</Label>
+            <Select value={season.id} onValueChange={setSeasonId}>
+              <SelectTrigger className="w-56 rounded-2xl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {draft.seasons.map((s) => (
+                  <SelectItem key={s.id} value={s.id}>
+                    {s.name}
+                    {s.from ? ` (${s.from} a ${s.to})` : ""}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button variant="outline" className="rounded-2xl" onClick={addSeason}>
+            Nueva temporada
+          </Button>
+          {season.from ? (
+            <Button variant="outline" className="rounded-2xl" onClick={removeSeason}>
+              Eliminar temporada
+            </Button>
+          ) : null}
+        </div>
+
+        <div className="grid gap-3 md:grid-cols-3">
+          <div className="grid gap-2">
+            <Label>Nombre</Label>
+            <Input className="rounded-2xl" value={season.name} onChange={(e) => update((d) => (d.seasons.find((s) => s.id === season.id).name = e.target.value))} />
+          </div>
+          {season.from ? (
+            <>
+              <div className="grid gap-2">
+                <Label>Desde (MM-DD)</Label>
+                <Input className="rounded-2xl" value={season.from} onChange={(e) => update((d) => (d.seasons.find((s) => s.id === season.id).from = e.target.value))} placeholder="12-21" />
+              </div>
+              <div className="grid gap-2">
+                <Label>Hasta (MM-DD)</Label>
+                <Input className="rounded-2xl" value={season.to} onChange={(e) => update((d) => (d.seasons.find((s) => s.id === season.id).to = e.target.value))} placeholder="03-20" />
+              </div>
+            </>
+          ) : (
+            <div className="flex items-end pb-2 text-xs text-muted-foreground md:col-span-2">Rige todo el año salvo en las fechas de otras temporadas.</div>
+          )}
+        </div>
+
+        <div className="overflow-x-auto rounded-2xl border">
+          <div className="grid min-w-[40rem] text-xs" style={{ gridTemplateColumns: `7rem repeat(${WEEKDAY_LABELS.length}, minmax(0, 1fr))` }}>
+            <div className="border-b bg-muted/30 p-2 font-semibold" />
+            {WEEKDAY_LABELS.map((w) => (
+              <div key={w} className="border-b bg-muted/30 p-2 text-center font-semibold">
+                {w}
+              </div>
+            ))}
+            {[{ id: "all", name: "Club" }, ...db.courts].map((row) => (
+              <React.Fragment key={row.id}>
+                <div className={`border-b p-2 ${row.id === "all" ? "font-semibold" : ""}`}>{row.name}</div>
+                {WEEKDAY_LABELS.map((_, wd) => {
+                  const value = season.hours[row.id]?.[wd];
+                  return (
+                    <button
+                      key={wd}
+                      onClick={() => openCell(row.id, wd)}
+                      className={`border-b p-2 text-center transition-colors hover:bg-muted/60 ${
+                        value === null ? "text-rose-700" : value === undefined ? "text-muted-foreground" : ""
+                      }`}
+                    >
+                      {hoursLabel(value)}
+                    </button>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+
+        <Separator />
+
+        <div className="grid gap-2">
+          <Label>Feriados y cierres especiales</Label>
+          <div className="grid gap-2 md:grid-cols-5">
+            <Input className="rounded-2xl" type="date" value={holiday.dateISO} onChange={(e) => setHoliday({ ...holiday, dateISO: e.target.value })} />
+            <Input className="rounded-2xl md:col-span-2" value={holiday.name} onChange={(e) => setHoliday({ ...holiday, name: e.target.value })} placeholder="Navidad" />
+            <div className="flex items-center justify-between rounded-2xl border bg-card px-3 py-2 text-sm">
+              Cerrado
+              <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={holiday.closed} onCheckedChange={(v) => setHoliday({ ...holiday, closed: v })} />
+            </div>
+            <Button variant="outline" className="rounded-2xl" disabled={!holiday.dateISO} onClick={addHoliday}>
+              Agregar
+            </Button>
+          </div>
+          {!holiday.closed ? (
+            <div className="grid gap-2 md:w-1/2 md:grid-cols-2">
+              {hourSelect(holiday.open, (v) => setHoliday({ ...holiday, open: v }))}
+              {hourSelect(holiday.close, (v) => setHoliday({ ...holiday, close: v }))}
+            </div>
+          ) : null}
+          {draft.holidays.length ? (
+            <div className="grid gap-2 md:grid-cols-2">
+              {draft.holidays.map((h) => (
+                <div key={h.dateISO} className="flex items-center justify-between rounded-2xl border bg-card p-3 text-sm">
+                  <div>
+                    <div className="font-semibold">{h.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {formatDateHuman(h.dateISO)} · {h.hours ? `${h.hours.open} a ${h.hours.close}` : "cerrado"}
+                    </div>
+                  </div>
+                  <Button
+                    variant="outline"
+                    className="rounded-2xl"
+                    onClick={() => update((d) => (d.holidays = d.holidays.filter((x) => x.dateISO !== h.dateISO)))}
+                  >
+                    Quitar
+                  </Button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-xs text-muted-foreground">Sin feriados cargados.</div>
+          )}
+        </div>
+
+        {err ? <InlineError msg={err} /> : null}
+        {notice ? (
+          <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">{notice}</div>
+        ) : null}
+        <div className="flex gap-2">
+          <Button className="flex-1 bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={busy || !dirty} onClick={save}>
+            {busy ? "Guardando…" : "Guardar horarios"}
+          </Button>
+          <Button variant="outline" className="rounded-2xl" disabled={busy || !dirty} onClick={() => setDraft(structuredClone(saved))}>
+            Descartar
+          </Button>
+        </div>
+      </CardContent>
+
+      <Dialog open={Boolean(editing)} onOpenChange={(v) => !v && setEditing(null)}>
+        {editing ? (
+          <DialogContent className="rounded-2xl">
+            <DialogHeader>
+              <DialogTitle>
+                {editing.scope === "all" ? "Club" : courtName(db, editing.scope)} · {WEEKDAY_LABELS[editing.weekday]}
+              </DialogTitle>
+              <DialogDescription>{season.name}</DialogDescription>
+            </DialogHeader>
+            <div className="grid gap-3">
+              <Select value={editing.mode} onValueChange={(mode) => setEditing({ ...editing, mode })}>
+                <SelectTrigger className="rounded-2xl">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {editing.scope !== "all" ? <SelectItem value="inherit">Como el club</SelectItem> : null}
+                  <SelectItem value="open">{editing.scope === "all" ? "Abierto" : "Horario propio"}</SelectItem>
+                  <SelectItem value="closed">Cerrado</SelectItem>
+                </SelectContent>
+              </Select>
+              {editing.mode === "open" ? (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="grid gap-2">
+                    <Label>Abre</Label>
+                    {hourSelect(editing.open, (open) => setEditing({ ...editing, open }))}
+                  </div>
+                  <div className="grid gap-2">
+                    <Label>Cierra</Label>
+                    {hourSelect(editing.close, (close) => setEditing({ ...editing, close }))}
+                  </div>
+                </div>
+              ) : null}
+              <div className="flex items-center justify-between rounded-2xl border bg-card p-3 text-sm">
+                Aplicar a todos los días
+                <Switch className="data-[state=checked]:bg-red-600 data-[state=unchecked]:bg-red-200" checked={editing.allDays} onCheckedChange={(allDays) => setEditing({ ...editing, allDays })} />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={applyCell}>
+                Aplicar
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        ) : null}
+      </Dialog>
+    </Card>
+  );
+}
+
+// Duraciones permitidas por cancha y franja horaria (config.bookingDurations).
+function DurationsCard({ api, admin, db }) {
+  const saved = db.config.bookingDurations;
+  const [draft, setDraft] = useState(() => structuredClone(saved));
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setDraft(structuredClone(saved));
+  }, [saved]);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved);
+  const toggle = (list, d) => (list.includes(d) ? list.filter((x) => x !== d) : [...list, d].sort((a, b) => a - b));
+  const setBand = (i, patch) => setDraft((x) => ({ ...x, bands: x.bands.map((b, j) => (j === i ? { ...b, ...patch } : b)) }));
+
+  async function save() {
+    setErr("");
+    try {
+      await api.setConfig(admin.id, { bookingDurations: draft });
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  const chips = (list, onToggle) => (
+    <div className="flex flex-wrap gap-2">
+      {BOOKING_DURATIONS.map((d) => (
+        <button
+          key={d}
+          onClick={() => onToggle(d)}
+          className={`rounded-full border px-3 py-1 text-sm transition-all duration-200 ease-in-out ${
+            list.includes(d) ? "border-red-600 bg-red-600 text-white" : "bg-card hover:bg-muted/60"
+          }`}
+        >
+          {durationLabel(d)}
+        </button>
+      ))}
+    </div>
+  );
+
+  const hourSelect = (value, onChange) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-24 rounded-2xl">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {HOUR_OPTIONS.map((h) => (
+          <SelectItem key={h} value={h}>
+            {h}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Duración de los turnos</CardTitle>
+        <div className="text-sm text-muted-foreground">
+          El precio configurado es por hora: un turno de 1 h 30 cuesta 1,5 veces. Las franjas se evalúan en orden y gana la primera que
+          coincide con la cancha y el horario de inicio.
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-2">
+          <Label>Duraciones por defecto</Label>
+          {chips(draft.default, (d) => setDraft((x) => ({ ...x, default: toggle(x.default, d) })))}
+        </div>
+
+        {draft.bands.map((b, i) => (
+          <div key={b.id} className="flex flex-wrap items-center gap-2 rounded-2xl border bg-card p-3">
+            <Select value={b.courtId} onValueChange={(courtId) => setBand(i, { courtId })}>
+              <SelectTrigger className="w-40 rounded-2xl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Todas las canchas</SelectItem>
+                {db.courts.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>
+                    {c.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <span className="text-sm text-muted-foreground">de</span>
+            {hourSelect(b.from, (from) => setBand(i, { from }))}
+            <span className="text-sm text-muted-foreground">a</span>
+            {hourSelect(b.to, (to) => setBand(i, { to }))}
+            {chips(b.durations, (d) => setBand(i, { durations: toggle(b.durations, d) }))}
+            <Button variant="outline" className="ml-auto rounded-2xl" onClick={() => setDraft((x) => ({ ...x, bands: x.bands.filter((_, j) => j !== i) }))}>
+              Quitar
+            </Button>
+          </div>
+        ))}
+
+        <Button
+          variant="outline"
+          className="rounded-2xl"
+          onClick={() =>
+            setDraft((x) => ({
+              ...x,
+              bands: [...x.bands, { id: `band_${Date.now().toString(36)}`, courtId: "all", from: "18:00", to: "22:00", durations: [90] }],
+            }))
+          }
+        >
+          Agregar franja
+        </Button>
+
+        {err ? <InlineError msg={err} /> : null}
+        <div className="flex gap-2">
+          <Button className="flex-1 bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={!dirty} onClick={save}>
+            Guardar duraciones
+          </Button>
+          <Button variant="outline" className="rounded-2xl" disabled={!dirty} onClick={() => setDraft(structuredClone(saved))}>
+            Descartar
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Tramos de reintegro por anticipación y por no presentación (ver lib/tenis/refunds.js).
+function RefundPolicyCard({ api, admin, db }) {
+  const saved = db.config.refundPolicy;
+  const [draft, setDraft] = useState(() => structuredClone(saved));
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setDraft(structuredClone(saved));
+  }, [saved]);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved);
+  const setTier = (i, patch) => setDraft((x) => ({ ...x, tiers: x.tiers.map((t, j) => (j === i ? { ...t, ...patch } : t)) }));
+  const toInt = (v, max) => clamp(parseInt(v || "0", 10) || 0, 0, max);
+
+  async function save() {
+    setErr("");
+    try {
+      await api.setConfig(admin.id, { refundPolicy: draft });
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Cancelaciones y reintegros</CardTitle>
+        <div className="text-sm text-muted-foreground">
+          Al cancelar una reserva pagada se reintegra el porcentaje del primer tramo cuya anticipación se cumple; con menos anticipación que el
+          último, nada. Si el club bloquea el horario o deshabilita la cancha de una reserva, se cancela con reintegro del 100%. La regla aplicada queda guardada en el pago.
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {draft.tiers.map((tier, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-2 rounded-2xl border bg-card p-3 text-sm">
+            <span className="text-muted-foreground">Con</span>
+            <Input className="w-20 rounded-2xl" type="number" min={0} value={tier.minHours} onChange={(e) => setTier(i, { minHours: toInt(e.target.value, 720) })} />
+            <span className="text-muted-foreground">h o más de anticipación, reintegro</span>
+            <Input className="w-20 rounded-2xl" type="number" min={0} max={100} value={tier.percent} onChange={(e) => setTier(i, { percent: toInt(e.target.value, 100) })} />
+            <span className="text-muted-foreground">%</span>
+            <Button variant="outline" className="ml-auto rounded-2xl" onClick={() => setDraft((x) => ({ ...x, tiers: x.tiers.filter((_, j) => j !== i) }))}>
+              Quitar
+            </Button>
+          </div>
+        ))}
+
+        <Button variant="outline" className="rounded-2xl" onClick={() => setDraft((x) => ({ ...x, tiers: [...x.tiers, { minHours: 0, percent: 0 }] }))}>
+          Agregar tramo
+        </Button>
+
+        <div className="grid gap-2 md:w-64">
+          <Label>Reintegro por no presentación (%)</Label>
+          <Input
+            className="rounded-2xl"
+            type="number"
+            min={0}
+            max={100}
+            value={draft.noShowPercent}
+            onChange={(e) => setDraft((x) => ({ ...x, noShowPercent: toInt(e.target.value, 100) }))}
+          />
+        </div>
+
+        <PolicyBanner policy={saved} />
+
+        {err ? <InlineError msg={err} /> : null}
+        <div className="flex gap-2">
+          <Button className="flex-1 bg-red-600 hover:bg-red-700 text-white rounded-2xl" disabled={!dirty} onClick={save}>
+            Guardar política
+          </Button>
+          <Button variant="outline" className="rounded-2xl" disabled={!dirty} onClick={() => setDraft(structuredClone(saved))}>
+            Descartar
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Proveedor de validación de socios y revalidación (ver lib/tenis/socios.js).
+function SocioConfigCard({ api, admin, cfg }) {
+  const [provider, setProvider] = useState(cfg.socioProvider);
+  const [url, setUrl] = useState(cfg.socioProviderUrl);
+  const [hours, setHours] = useState(cfg.socioRevalidateHours);
+  const [policy, setPolicy] = useState(cfg.socioPricePolicy);
+  const [testDni, setTestDni] = useState("");
+  const [test, setTest] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setProvider(cfg.socioProvider);
+    setUrl(cfg.socioProviderUrl);
+    setHours(cfg.socioRevalidateHours);
+    setPolicy(cfg.socioPricePolicy);
+  }, [cfg]);
+
+  async function save() {
+    setErr("");
+    try {
+      await api.setConfig(admin.id, { socioProvider: provider, socioProviderUrl: url.trim(), socioRevalidateHours: hours, socioPricePolicy: policy });
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  async function runTest() {
+    setErr("");
+    setTest(null);
+    setBusy(true);
+    try {
+      setTest(await api.testSocioProvider(admin.id, testDni));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Condición de socio</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-4 md:grid-cols-2">
+        <div className="grid gap-2">
+          <Label>Fuente de validación</Label>
+          <Select value={provider} onValueChange={setProvider}>
+            <SelectTrigger className="rounded-2xl">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(SOCIO_PROVIDER_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="grid gap-2">
+          <Label>URL del sistema de socios</Label>
+          <Input
+            className="rounded-2xl"
+            value={url}
+            disabled={provider !== SOCIO_PROVIDERS.HTTP}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://socios.edlp.com/api/socios"
+          />
+          <div className="text-xs text-muted-foreground">Se consulta con GET ?dni=… y responde {"{ socioActivo: true | false }"}.</div>
+        </div>
+        <div className="grid gap-2">
+          <Label>Revalidar al ingresar o reservar cada (horas)</Label>
+          <Input
+            className="rounded-2xl"
+            type="number"
+            value={hours}
+            onChange={(e) => setHours(clamp(parseInt(e.target.value || "0", 10) || 0, 0, 8760))}
+          />
+          <div className="text-xs text-muted-foreground">0 = solo al registrarse o desde Admin → Usuarios.</div>
+        </div>
+        <div className="grid gap-2">
+          <Label>Reservas pendientes de pago si cambia la condición</Label>
+          <Select value={policy} onValueChange={setPolicy}>
+            <SelectTrigger className="rounded-2xl">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(SOCIO_PRICE_POLICY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl md:col-span-2" onClick={save}>
+          Guardar
+        </Button>
+
+        <div className="grid gap-2 md:col-span-2">
+          <Label>Probar la fuente guardada con un DNI</Label>
+          <div className="flex gap-2">
+            <Input className="rounded-2xl" value={testDni} onChange={(e) => setTestDni(e.target.value)} placeholder="DNI" />
+            <Button variant="outline" className="rounded-2xl" disabled={busy || !testDni.trim()} onClick={runTest}>
+              {busy ? "Consultando…" : "Probar"}
+            </Button>
+          </div>
+          {test ? (
+            <div
+              className={`rounded-2xl border p-3 text-sm ${
+                test.ok ? "border-emerald-200 bg-emerald-50 text-emerald-800" : "border-rose-200 bg-rose-50 text-rose-800"
+              }`}
+            >
+              {test.ok
+                ? `${test.socioActivo ? "Socio activo" : "No socio"} · fuente: ${test.source}${test.detail ? ` (${test.detail})` : ""}`
+                : `Error: ${test.error}`}
+            </div>
+          ) : null}
+        </div>
+        {err ? (
+          <div className="md:col-span-2">
+            <InlineError msg={err} />
+          </div>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Importación del padrón exportado por el sistema de socios (CSV / XLSX).
+function PadronCard({ api, admin }) {
+  const [summary, setSummary] = useState(null);
+  const [rows, setRows] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [done, setDone] = useState("");
+
+  useEffect(() => {
+    api.getPadronSummary(admin.id).then(setSummary, () => setSummary(null));
+  }, [api, admin.id]);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setErr("");
+    setDone("");
+    setPreview(null);
+    setRows(null);
+    setFileName(file.name);
+    try {
+      const parsed = await readSpreadsheet(file);
+      setPreview(await api.getPadronPreview(admin.id, parsed));
+      setRows(parsed);
+    } catch (ex) {
+      setErr(ex?.message || "No se pudo leer el archivo");
+    }
+  }
+
+  async function doImport() {
+    if (!window.confirm(`Se reemplaza el padrón actual por ${preview.valid} filas de ${fileName}. ¿Continuar?`)) return;
+    setErr("");
+    setBusy(true);
+    try {
+      const r = await api.importPadron(admin.id, rows, { fileName });
+      setDone(`Padrón importado: ${r.imported} filas${r.skipped ? `, ${r.skipped} con error omitidas` : ""}.`);
+      setRows(null);
+      setPreview(null);
+      setSummary(await api.getPadronSummary(admin.id));
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Padrón de socios</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="text-sm">
+          {summary?.total ? (
+            <>
+              <span className="font-semibold">{summary.total}</span> socios ({summary.active} activos) · importado el{" "}
+              {new Date(summary.importedAt).toLocaleString("es-AR")}
+            </>
+          ) : (
+            <span className="text-muted-foreground">Todavía no se importó ningún padrón.</span>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Label className="inline-flex cursor-pointer items-center rounded-2xl border px-4 py-2 text-sm hover:bg-muted/60">
+            Elegir archivo CSV / XLSX…
+            <input type="file" accept={SPREADSHEET_ACCEPT} className="hidden" onChange={onFile} />
+          </Label>
+          {fileName ? <span className="text-xs text-muted-foreground">{fileName}</span> : null}
+        </div>
+        <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+          Columnas: DNI, número de socio, estado (activo, al día, baja, moroso…) y vencimiento (opcional, AAAA-MM-DD o
+          DD/MM/AAAA). Solo se usa si la fuente de validación es &quot;Padrón importado&quot;.
+        </div>
+
+        {preview ? (
+          <div className="space-y-3">
+            <ListTable
+              cols={["Válidas", "Activas", "Con error", "Nuevas", "Quitadas", "Cambian de estado", "Usuarios afectados"]}
+              rows={[[preview.valid, preview.active, preview.errorCount, preview.added, preview.removed, preview.statusChanges, preview.affectedUsers]]}
+            />
+            {preview.errorCount ? (
+              <ListTable
+                cols={["Línea", "Error", "Contenido"]}
+                rows={preview.errors.map((e) => [e.line, e.reason, e.raw])}
+              />
+            ) : null}
+            {preview.errorCount > preview.errors.length ? (
+              <div className="text-xs text-muted-foreground">Se muestran los primeros {preview.errors.length} errores.</div>
+            ) : null}
+            <div className="text-xs text-muted-foreground">
+              &quot;Usuarios afectados&quot; son los registrados que cambiarían de condición al revalidarse con este padrón.
+            </div>
+            <Button className="w-full bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={doImport} disabled={busy || !preview.valid}>
+              {busy ? "Importando…" : `Importar ${preview.valid} filas${preview.errorCount ? " (se omiten las filas con error)" : ""}`}
+            </Button>
+          </div>
+        ) : null}
+
+        {done ? (
+          <div className="flex items-start gap-2 rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-800">
+            <CheckCircle2 className="mt-0.5 h-4 w-4" />
+            <div>{done}</div>
+          </div>
+        ) : null}
+        {err ? <InlineError msg={err} /> : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+const BACKUP_LABELS = {
+  users: "Usuarios",
+  reservations: "Reservas",
+  payments: "Pagos",
+  blocks: "Bloqueos",
+  courts: "Canchas",
+  audit: "Auditoría",
+  notifications: "Notificaciones",
+  series: "Turnos fijos",
+  waitlist: "Lista de espera",
+  padron: "Padrón de socios",
+};
+
+function BackupCard({ api, admin }) {
+  const [archive, setArchive] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [done, setDone] = useState("");
+
+  async function doExport() {
+    setErr("");
+    setDone("");
+    try {
+      const data = await api.exportBackup(admin.id);
+      downloadJSON(`edlp-tenis-backup-${formatDateISO(new Date())}.json`, data);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    }
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setErr("");
+    setDone("");
+    setPreview(null);
+    setArchive(null);
+    setFileName(file.name);
+    try {
+      const parsed = JSON.parse(await file.text());
+      setPreview(await api.getImportPreview(admin.id, parsed));
+      setArchive(parsed);
+    } catch (ex) {
+      setErr(ex instanceof SyntaxError ? "El archivo no es un JSON válido" : ex?.message || "Error");
+    }
+  }
+
+  async function doImport() {
+    if (mode === "replace" && !window.confirm("Se reemplazan TODOS los datos actuales por los del respaldo. ¿Continuar?")) return;
+    setErr("");
+    setBusy(true);
+    try {
+      await api.importBackup(admin.id, archive, mode);
+      setDone(`Respaldo importado (${mode === "replace" ? "reemplazo" : "fusión"}).`);
+      setArchive(null);
+      setPreview(null);
+    } catch (e) {
+      setErr(e?.message || "Error");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Card className="rounded-2xl shadow-sm md:col-span-2">
+      <CardHeader>
+        <CardTitle className="text-base">Respaldo de datos</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={doExport}>
+            Exportar respaldo
+          </Button>
+          <Label className="inline-flex cursor-pointer items-center rounded-2xl border px-4 py-2 text-sm hover:bg-muted/60">
+            Importar respaldo…
+            <input type="file" accept="application/json,.json" className="hidden" onChange={onFile} />
+          </Label>
+          {fileName ? <span className="text-xs text-muted-foreground">{fileName}</span> : null}
+        </div>
+        <div className="rounded-2xl border bg-muted/30 p-3 text-xs text-muted-foreground">
+          Incluye usuarios, reservas, pagos, bloqueos, canchas, configuración, auditoría, notificaciones, turnos fijos, lista de espera y padrón. El archivo
+          contiene credenciales: guardalo en un lugar seguro.
+        </div>
+
+        {preview ? (
+          <div className="space-y-3">
+            <div className="text-sm">
+              Respaldo del <span className="font-semibold">{preview.exportedAt ? new Date(preview.exportedAt).toLocaleString("es-AR") : "-"}</span>{" "}
+              · esquema v{preview.schemaVersion ?? "-"}
+            </div>
+            <ListTable
+              cols={["Colección", "Actual", "En respaldo", "Nuevos", "Iguales", "Conflictos (id)"]}
+              rows={Object.entries(preview.collections).map(([c, d]) => [
+                BACKUP_LABELS[c] || c,
+                d.current,
+                d.incoming,
+                d.added,
+                d.identical,
+                d.conflictCount ? `${d.conflictCount}: ${d.conflicts.join(", ")}${d.conflictCount > d.conflicts.length ? "…" : ""}` : "-",
+              ])}
+            />
+            <div className="text-xs text-muted-foreground">
+              Config: {preview.configChanges.length ? `difiere en ${preview.configChanges.join(", ")}` : "sin diferencias"}
+            </div>
+            <div className="grid gap-2 md:grid-cols-2">
+              <Select value={mode} onValueChange={setMode}>
+                <SelectTrigger className="rounded-2xl">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="merge">Fusionar (agrega nuevos; en conflicto gana el dato actual)</SelectItem>
+                  <SelectItem value="replace">Reemplazar todo por el respaldo</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button className="bg-red-600 hover:bg-red-700 text-white rounded-2xl" onClick={doImport} disabled={busy}>
+                {busy ? "Importando…" : "Importar"}
+              </Button>
+            </div>
+          </div>
+        ) : null}
+
+        {done ? (
+          <div className="flex items-start gap-2 rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-800">
+            <CheckCircle2 className="mt-0.5 h-4 w-4" />
+            <div>{done}</div>
+          </div>
+        ) : null}
+        {err ? <InlineError msg={err} /> : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+// -----------------------------
+// Helpers dominio
+// -----------------------------
+
+function courtName(db, courtId) {
+  return db.courts.find((c) => c.id === courtId)?.name || courtId;
+}
+
+// Los precios de config son por 60 minutos (igual que en el servicio).
+function bookingPrice(cfg, userType, durationMin) {
+  return Math.round(((userType === "Socio" ? cfg.priceSocio : cfg.priceNoSocio) * durationMin) / 60);
+}
+
+function formatMoney(amount, currency) {
+  const n = Number(amount || 0);
+  try {
+    return new Intl.NumberFormat("es-AR", { style: "currency", currency }).format(n);
+  } catch {
+    return `$${n.toLocaleString("es-AR")}`;
+  }
+}
@@ -0,0 +1,182 @@
+import { appendAudit } from "./audit";
+import { DomainError, SchemaError } from "./errors";
+import { SCHEMA_VERSION, UNIQUE_CONSTRAINTS, migrateState, validateState } from "./schema";
+import { COLLECTIONS } from "./storage";
+import { nowISOTime } from "./utils";
+
+// -----------------------------
+// Respaldo / restauración de datos del club
+// -----------------------------
+//
+// Archivo: { format, formatVersion, schemaVersion, exportedAt, exportedBy, data }.
+// `data` lleva las colecciones con la forma del esquema `schemaVersion`; al
+// importar se migra a la versión actual y se valida igual que al cargar.
+// Las credenciales de un solo uso, sesiones y bloqueos de login no viajan.
+// El formato 1 no traía turnos fijos, lista de espera ni padrón: al importarlo
+// esas colecciones llegan vacías.
+
+export const BACKUP_FORMAT = "edlp-tenis-backup";
+export const BACKUP_FORMAT_VERSION = 2;
+
+export const BACKUP_COLLECTIONS = [
+  "users",
+  "reservations",
+  "payments",
+  "blocks",
+  "courts",
+  "config",
+  "audit",
+  "notifications",
+  "series",
+  "waitlist",
+  "padron",
+];
+
+const LIST_COLLECTIONS = BACKUP_COLLECTIONS.filter((c) => c !== "config");
+const MAX_CONFLICT_IDS = 20;
+
+export function buildArchive(st, by) {
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: st.meta?.schemaVersion ?? SCHEMA_VERSION,
+    exportedAt: nowISOTime(),
+    exportedBy: by,
+    data: Object.fromEntries(BACKUP_COLLECTIONS.map((c) => [c, st[c]])),
+  };
+}
+
+// Valida el archivo y devuelve sus colecciones migradas a la versión actual.
+export function parseArchive(archive) {
+  if (!archive || archive.format !== BACKUP_FORMAT) throw new DomainError("El archivo no es un respaldo de EDLP Tenis");
+  if (archive.formatVersion > BACKUP_FORMAT_VERSION) throw new DomainError("Formato de respaldo más nuevo que esta aplicación");
+  if (!archive.data || typeof archive.data !== "object") throw new DomainError("El respaldo no tiene datos");
+
+  const data = { ...archive.data };
+  for (const c of LIST_COLLECTIONS) data[c] ??= [];
+  let state;
+  try {
+    ({ state } = migrateState({ ...data, meta: { schemaVersion: archive.schemaVersion } }));
+  } catch (e) {
+    if (e instanceof SchemaError) throw new DomainError(`Respaldo inválido: ${e.message}`);
+    throw e;
+  }
+  // Las colecciones que no viajan en el respaldo se validan vacías.
+  for (const c of COLLECTIONS) if (c !== "meta" && !BACKUP_COLLECTIONS.includes(c)) state[c] = [];
+  const issues = validateState(state);
+  if (issues.length) throw new DomainError(`Respaldo inválido: ${issues.slice(0, 3).join("; ")}`);
+  return Object.fromEntries(BACKUP_COLLECTIONS.map((c) => [c, state[c]]));
+}
+
+// Usuarios del respaldo que ya existen localmente con otro id (mismo email o DNI).
+function userIdMap(st, data) {
+  const map = new Map();
+  for (const u of data.users) {
+    const local = st.users.find((x) => x.id !== u.id && ((u.email && x.email === u.email) || (u.dni && x.dni === u.dni)));
+    if (local) map.set(u.id, local.id);
+  }
+  return map;
+}
+
+// Copia del respaldo sin los usuarios que ya existen localmente y con sus
+// reservas, turnos fijos y anotaciones asociadas al usuario local.
+function withLocalUsers(data, sameUser) {
+  const incoming = structuredClone(data);
+  incoming.users = incoming.users.filter((u) => !sameUser.has(u.id));
+  for (const c of ["reservations", "series", "waitlist"]) {
+    for (const x of incoming[c]) x.userId = sameUser.get(x.userId) || x.userId;
+  }
+  return incoming;
+}
+
+// Reservas nuevas del respaldo que ocupan una franja ya tomada (misma cancha,
+// o mismo usuario a la misma hora; ver UNIQUE_CONSTRAINTS) por una reserva
+// local o por otra del respaldo anterior en la lista. Devuelve sus ids.
+function slotClashes(st, reservations) {
+  const rules = UNIQUE_CONSTRAINTS.filter((c) => c.collection === "reservations");
+  const localIds = new Set(st.reservations.map((r) => r.id));
+  const taken = new Set();
+  const applies = (c, r) => !c.where || c.where(r);
+  const occupy = (r) => {
+    for (const c of rules) if (applies(c, r)) for (const k of c.keys(r)) taken.add(`${c.name}|${k}`);
+  };
+  st.reservations.forEach(occupy);
+  const clashes = new Set();
+  for (const r of reservations) {
+    if (localIds.has(r.id)) continue;
+    if (rules.some((c) => applies(c, r) && c.keys(r).some((k) => taken.has(`${c.name}|${k}`)))) clashes.add(r.id);
+    else occupy(r);
+  }
+  return clashes;
+}
+
+// Un registro nuevo que no entra en la fusión: una reserva que choca con otra
+// (o su pago).
+function isClashing(c, item, clashing) {
+  return (c === "reservations" && clashing.has(item.id)) || (c === "payments" && clashing.has(item.reservationId));
+}
+
+// Resumen por colección: cantidades y conflictos (mismo id con contenido
+// distinto; en usuarios, además, mismo email/DNI con otro id; en reservas y
+// pagos, además, una reserva nueva en una franja ya ocupada).
+export function diffArchive(st, data) {
+  const sameUser = userIdMap(st, data);
+  const clashing = slotClashes(st, withLocalUsers(data, sameUser).reservations);
+  const collections = {};
+  for (const c of LIST_COLLECTIONS) {
+    const current = new Map(st[c].map((x) => [x.id, JSON.stringify(x)]));
+    const summary = { current: st[c].length, incoming: data[c].length, added: 0, identical: 0, conflicts: [] };
+    for (const item of data[c]) {
+      const existing = current.get(item.id);
+      if (c === "users" && sameUser.has(item.id)) summary.conflicts.push(item.id);
+      else if (existing === undefined && isClashing(c, item, clashing)) summary.conflicts.push(item.id);
+      else if (existing === undefined) summary.added++;
+      else if (existing === JSON.stringify(item)) summary.identical++;
+      else summary.conflicts.push(item.id);
+    }
+    summary.conflictCount = summary.conflicts.length;
+    summary.conflicts = summary.conflicts.slice(0, MAX_CONFLICT_IDS);
+    collections[c] = summary;
+  }
+  const configChanges = Object.keys({ ...st.config, ...data.config }).filter(
+    (k) => JSON.stringify(st.config[k]) !== JSON.stringify(data.config[k])
+  );
+  return { collections, configChanges };
+}
+
+// "replace": el estado pasa a ser el del respaldo.
+// "merge": se agregan los registros nuevos; ante conflicto gana el dato local
+// (una reserva que choca con una local no se importa, ni su pago) y la
+// configuración actual se conserva. Las reservas, turnos fijos y
+// anotaciones en la lista de espera de un usuario que ya existe localmente
+// (mismo email/DNI) quedan asociadas al usuario local. El padrón es una foto
+// del sistema de socios: se conserva el local y solo se toma el del respaldo
+// si no hay ninguno.
+// La auditoría importada se encadena al final de la local (marcada `imported`,
+// con su hash original) para no romper la cadena existente.
+export function applyArchive(st, data, mode) {
+  if (mode === "replace") {
+    for (const c of BACKUP_COLLECTIONS) st[c] = structuredClone(data[c]);
+    return st;
+  }
+  if (mode !== "merge") throw new DomainError("Modo de importación inválido");
+  const incoming = withLocalUsers(data, userIdMap(st, data));
+  const clashing = slotClashes(st, incoming.reservations);
+  for (const c of LIST_COLLECTIONS) {
+    if (c === "padron") {
+      if (!st.padron.length) st.padron = incoming.padron;
+      continue;
+    }
+    const ids = new Set(st[c].map((x) => x.id));
+    const fresh = incoming[c].filter((x) => !ids.has(x.id) && !isClashing(c, x, clashing));
+    if (c === "audit") {
+      for (const { hash, ...entry } of fresh.reverse()) {
+        delete entry.prevHash;
+        appendAudit(st, { ...entry, imported: true, originalHash: hash });
+      }
+    } else st[c].push(...fresh);
+  }
+  // El historial se mantiene ordenado del más reciente al más antiguo.
+  st.notifications.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  return st;
+}
@@ -0,0 +1,200 @@
+import { CAPS, can } from "./permissions";
+import { createService } from "./service";
+import { createAdapter, createStore } from "./storage";
+import { createTabSync } from "./sync";
+
+// -----------------------------
+// Cliente HTTP de los route handlers (/api/*)
+// -----------------------------
+//
+// Expone la misma superficie que `createService` para que la UI no distinga
+// si las reglas corren en el servidor o localmente.
+
+async function request(path, { method = "GET", body } = {}) {
+  const res = await fetch(path, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    cache: "no-store",
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(data?.error || `Error ${res.status}`);
+    err.status = res.status;
+    err.code = data?.code;
+    err.issues = data?.issues;
+    throw err;
+  }
+  return data;
+}
+
+const enc = encodeURIComponent;
+
+export function createRemoteBackend(base = "/api") {
+  return {
+    // Server-Sent Events: cambios hechos desde cualquier dispositivo.
+    subscribe: (fn) => {
+      const es = new EventSource(`${base}/events`);
+      es.addEventListener("change", (e) => fn(JSON.parse(e.data)));
+      return () => es.close();
+    },
+
+    listUsers: () => request(`${base}/users`),
+    listCourts: () => request(`${base}/courts`),
+    listBlocks: () => request(`${base}/blocks`),
+    listReservations: () => request(`${base}/reservations`),
+    listPayments: () => request(`${base}/payments`),
+    listAudit: () => request(`${base}/audit`),
+    listNotifications: () => request(`${base}/notifications`),
+    listVerifications: () => request(`${base}/verifications`),
+    listThrottles: () => request(`${base}/throttles`),
+
+    verifyAudit: () => request(`${base}/audit/verify`, { method: "POST" }),
+
+    exportBackup: () => request(`${base}/backup`),
+    getImportPreview: (_by, archive) => request(`${base}/backup/preview`, { method: "POST", body: { archive } }),
+    importBackup: (_by, archive, mode) => request(`${base}/backup`, { method: "POST", body: { archive, mode } }),
+
+    testSocioProvider: (_by, dni) => request(`${base}/config/socios`, { method: "POST", body: { dni } }),
+    getPadronSummary: () => request(`${base}/padron`),
+    getPadronPreview: (_by, rows) => request(`${base}/padron/preview`, { method: "POST", body: { rows } }),
+    importPadron: (_by, rows, { fileName } = {}) => request(`${base}/padron`, { method: "POST", body: { rows, fileName } }),
+
+    getConfig: () => request(`${base}/config`),
+    setConfig: (_by, patch) => request(`${base}/config`, { method: "PATCH", body: { patch } }),
+    setSchedule: (_by, schedule) => request(`${base}/config/schedule`, { method: "PUT", body: { schedule } }),
+
+    // Login / registro devuelven { userId, sessionId, expiresAt }; el token
+    // queda en una cookie httpOnly y el servidor deduce el actor de ella.
+    register: (input) => request(`${base}/users`, { method: "POST", body: input }),
+    loginEmailPassword: (input) => request(`${base}/users/login`, { method: "POST", body: input }),
+    requestOtp: (input) => request(`${base}/users/otp`, { method: "POST", body: input }),
+    loginWithOtp: (input) => request(`${base}/users/login`, { method: "POST", body: input }),
+    requestPasswordReset: (input) => request(`${base}/users/reset`, { method: "POST", body: input }),
+    resetPassword: (input) => request(`${base}/users/reset/confirm`, { method: "POST", body: input }),
+    changePassword: (by, input) => request(`${base}/users/${enc(by)}/password`, { method: "POST", body: input }),
+    requestVerification: (_by, channel) => request(`${base}/verifications`, { method: "POST", body: { channel } }),
+    confirmVerification: (_by, channel, code) =>
+      request(`${base}/verifications/confirm`, { method: "POST", body: { channel, code } }),
+    overrideValidation: (_by, userId, flags) => request(`${base}/users/${enc(userId)}`, { method: "PATCH", body: flags }),
+    setUserRole: (_by, userId, role) => request(`${base}/users/${enc(userId)}/role`, { method: "PUT", body: { role } }),
+    updateUserContact: (_by, userId, contact) =>
+      request(`${base}/users/${enc(userId)}/contact`, { method: "PUT", body: contact }),
+    setUserActive: (_by, userId, input) => request(`${base}/users/${enc(userId)}/active`, { method: "PUT", body: input }),
+    revalidateSocio: (_by, userId) => request(`${base}/users/${enc(userId)}/socio`, { method: "POST" }),
+    revalidateAllSocios: () => request(`${base}/users/socios`, { method: "POST" }),
+    mergeUsers: (_by, input) => request(`${base}/users/merge`, { method: "POST", body: input }),
+
+    getSession: () => request(`${base}/sessions/current`),
+    touchSession: () => request(`${base}/sessions/current`, { method: "POST" }),
+    logout: () => request(`${base}/sessions/current`, { method: "DELETE" }),
+    listSessions: () => request(`${base}/sessions`),
+    revokeSession: (_by, sessionId) => request(`${base}/sessions/${enc(sessionId)}`, { method: "DELETE" }),
+    logoutAll: async () => (await request(`${base}/sessions`, { method: "DELETE" })).count,
+    unlockThrottle: (_by, throttleId) => request(`${base}/throttles/${enc(throttleId)}`, { method: "DELETE" }),
+
+    setCourtActive: (_by, courtId, isActive) =>
+      request(`${base}/courts/${enc(courtId)}`, { method: "PATCH", body: { isActive } }),
+
+    addBlock: async (_by, block) => (await request(`${base}/blocks`, { method: "POST", body: block })).id,
+    removeBlock: (_by, blockId) => request(`${base}/blocks/${enc(blockId)}`, { method: "DELETE" }),
+
+    createReservation: async (_by, input) => (await request(`${base}/reservations`, { method: "POST", body: input })).id,
+    adminCreateManualReservation: async (_by, input) =>
+      (await request(`${base}/reservations`, { method: "POST", body: { manual: true, ...input } })).id,
+    listSeries: () => request(`${base}/series`),
+    createSeries: (_by, input) => request(`${base}/series`, { method: "POST", body: input }),
+    updateSeries: (_by, seriesId, patch) => request(`${base}/series/${enc(seriesId)}`, { method: "PATCH", body: { action: "update", patch } }),
+    cancelSeries: (_by, seriesId, reason) => request(`${base}/series/${enc(seriesId)}`, { method: "PATCH", body: { action: "cancel", reason } }),
+    updateSeriesOccurrence: (_by, seriesId, dateISO, slot) =>
+      request(`${base}/series/${enc(seriesId)}`, { method: "PATCH", body: { action: "editDate", dateISO, slot } }),
+    skipSeriesOccurrence: (_by, seriesId, dateISO, reason) =>
+      request(`${base}/series/${enc(seriesId)}`, { method: "PATCH", body: { action: "skipDate", dateISO, reason } }),
+    materializeSeries: () => request(`${base}/series/materialize`, { method: "POST" }),
+    listWaitlist: () => request(`${base}/waitlist`),
+    joinWaitlist: async (_by, input) => (await request(`${base}/waitlist`, { method: "POST", body: input })).id,
+    acceptWaitlistOffer: async (_by, waitlistId) =>
+      (await request(`${base}/waitlist/${enc(waitlistId)}`, { method: "PATCH", body: { action: "accept" } })).id,
+    leaveWaitlist: (_by, waitlistId) => request(`${base}/waitlist/${enc(waitlistId)}`, { method: "PATCH", body: { action: "leave" } }),
+    cancelReservation: async (_by, reservationId, reason) =>
+      (await request(`${base}/reservations/${enc(reservationId)}`, { method: "PATCH", body: { action: "cancel", reason } })).refund,
+    markNoShow: async (_by, reservationId) =>
+      (await request(`${base}/reservations/${enc(reservationId)}`, { method: "PATCH", body: { action: "noShow" } })).refund,
+    rescheduleReservation: (_by, reservationId, input) =>
+      request(`${base}/reservations/${enc(reservationId)}`, { method: "PATCH", body: { ...input, action: "reschedule" } }),
+
+    payWithMercadoPago: (_by, reservationId) =>
+      request(`${base}/payments`, { method: "POST", body: { reservationId, method: "mercadopago" } }),
+    registerCashPayment: (_by, reservationId) =>
+      request(`${base}/payments`, { method: "POST", body: { reservationId, method: "cash" } }),
+  };
+}
+
+// Backend elegido al arrancar: "remote" (route handlers, default) o un
+// adaptador local ("localStorage", "indexeddb", "memory") que corre el mismo
+// dominio en el navegador (demo offline, kiosco, tests).
+export function createBackend(kind = "remote") {
+  if (kind === "remote") return createRemoteBackend();
+  const store = createStore(createAdapter(kind));
+  return { ...createService(store), subscribe: createTabSync(store) };
+}
+
+// Colecciones que trae `loadSnapshot`: un cambio en otras (sesiones, códigos)
+// no obliga a recargar la vista.
+export const SNAPSHOT_COLLECTIONS = [
+  "config",
+  "courts",
+  "users",
+  "reservations",
+  "payments",
+  "blocks",
+  "audit",
+  "notifications",
+  "verifications",
+  "throttles",
+  "series",
+  "waitlist",
+];
+
+// Un visitante (o una sesión que ya no es válida) solo ve la config y las canchas.
+const ANONYMOUS_SNAPSHOT = {
+  users: [],
+  reservations: [],
+  payments: [],
+  blocks: [],
+  audit: [],
+  notifications: [],
+  verifications: [],
+  throttles: [],
+  series: [],
+  waitlist: [],
+};
+
+// Estado que consume la UI (misma forma que el estado persistido), con solo lo
+// que puede ver `actorId`, el usuario de la sesión (null = visitante).
+export async function loadSnapshot(backend, actorId = null) {
+  const [config, courts] = await Promise.all([backend.getConfig(actorId), backend.listCourts()]);
+  if (!actorId) return { config, courts, ...ANONYMOUS_SNAPSHOT };
+  let users;
+  try {
+    users = await backend.listUsers(actorId);
+  } catch (e) {
+    if (e.status === 401) return { config, courts, ...ANONYMOUS_SNAPSHOT };
+    throw e;
+  }
+  const actor = users.find((u) => u.id === actorId);
+  // Hasta que cambie la contraseña solo ve su cuenta.
+  if (actor?.mustChangePassword) return { config, courts, ...ANONYMOUS_SNAPSHOT, users };
+  const [reservations, payments, blocks, audit, notifications, verifications, throttles, series, waitlist] = await Promise.all([
+    backend.listReservations(actorId),
+    backend.listPayments(actorId),
+    backend.listBlocks(actorId),
+    can(actor, CAPS.AUDIT_VIEW) ? backend.listAudit(actorId) : [],
+    backend.listNotifications(actorId),
+    backend.listVerifications(actorId),
+    can(actor, CAPS.SECURITY_MANAGE) ? backend.listThrottles(actorId) : [],
+    backend.listSeries(actorId),
+    backend.listWaitlist(actorId),
+  ]);
+  return { config, courts, users, reservations, payments, blocks, audit, notifications, verifications, throttles, series, waitlist };
+}
@@ -0,0 +1,90 @@
+import { DEFAULT_REFUND_POLICY } from "./refunds";
+import { DEFAULT_BOOKING_DURATIONS, DEFAULT_SCHEDULE } from "./schedule";
+
+// -----------------------------
+// Constantes de dominio (compartidas cliente/servidor)
+// -----------------------------
+
+export const COURTS_DEFAULT = [
+  { id: "c1", name: "Cancha 1", isActive: true },
+  { id: "c2", name: "Cancha 2", isActive: true },
+  { id: "c3", name: "Cancha 3", isActive: true },
+  { id: "c4", name: "Cancha 4", isActive: true },
+];
+
+export const RES_STATUS = {
+  PENDING_PAYMENT: "Pendiente de pago",
+  CONFIRMED: "Confirmada",
+  CANCELLED: "Cancelada",
+  NO_SHOW: "No presentación",
+};
+
+export const PAY_STATUS = {
+  PENDING: "Pendiente",
+  APPROVED: "Aprobado",
+  REJECTED: "Rechazado",
+  REFUNDED: "Reembolsado",
+  REFUNDED_PARTIAL: "Reembolsado (parcial)",
+  EXPIRED: "Vencido",
+};
+
+// Motivo de cancelación de las reservas que no se pagaron a tiempo (config.paymentHoldMinutes).
+export const PAYMENT_EXPIRED_REASON = "Venció el plazo para pagar";
+
+export const NOTIF_CHANNELS = ["Email", "WhatsApp Business"];
+
+export const AUTH_MODES = {
+  EMAIL_PASSWORD: "EMAIL_PASSWORD",
+  EMAIL_OTP: "EMAIL_OTP",
+  PHONE_OTP: "PHONE_OTP",
+};
+
+// Esquema de autenticación por defecto (el admin lo cambia en config.authMode)
+export const AUTH_MODE = AUTH_MODES.EMAIL_PASSWORD;
+
+export const APP_CONFIG_DEFAULT = {
+  authMode: AUTH_MODE,
+  requireEmailValidation: true,
+  requirePhoneValidation: true,
+  priceSocio: 0,
+  priceNoSocio: 8000,
+  currency: "ARS",
+  socioRevalidateHours: 24,
+  socioPricePolicy: "keep",
+  // Proveedor de validación de socios (ver socios.js): "mock" | "http" | "padron".
+  socioProvider: "mock",
+  socioProviderUrl: "",
+  // Horarios por temporada, día, cancha y feriados (ver schedule.js).
+  schedule: DEFAULT_SCHEDULE,
+  // Duraciones permitidas (60 / 90 / 120 min), por cancha y franja horaria.
+  bookingDurations: DEFAULT_BOOKING_DURATIONS,
+  // Minutos que se retiene un turno liberado para el primero de la lista de espera.
+  waitlistHoldMinutes: 30,
+  // Minutos para pagar una reserva con precio antes de que se libere (0 = no vence).
+  paymentHoldMinutes: 15,
+  // Horas antes del turno hasta las que el socio puede reprogramar su reserva.
+  rescheduleDeadlineHours: 24,
+  // Reintegro según la anticipación de la cancelación y por no presentación (ver refunds.js).
+  refundPolicy: DEFAULT_REFUND_POLICY,
+};
+
+// Qué pasa con las reservas pendientes de pago cuando cambia la condición de socio.
+export const SOCIO_PRICE_POLICIES = {
+  KEEP: "keep",
+  RECALCULATE: "recalculate",
+  FAVORABLE: "favorable",
+};
+
+export const SOCIO_PRICE_POLICY_LABELS = {
+  [SOCIO_PRICE_POLICIES.KEEP]: "Mantener el precio con el que se reservó",
+  [SOCIO_PRICE_POLICIES.RECALCULATE]: "Recalcular con el precio vigente",
+  [SOCIO_PRICE_POLICIES.FAVORABLE]: "Recalcular solo si el precio baja",
+};
+
+// Política de contraseña (registro)
+export const PASSWORD_REGEX = /^(?=.*[A-Z])(?=.*[^A-Za-z0-9]).{6,}$/;
+
+export const PASSWORD_POLICY_MSG = "La contraseña debe tener mínimo 6 caracteres, 1 mayúscula y 1 símbolo (@, -, etc)";
+
+// Vigencia del enlace de "Olvidé mi contraseña" (minutos)
+export const RESET_TOKEN_TTL_MIN = 30;
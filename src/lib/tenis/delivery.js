@@ -0,0 +1,16 @@
+// -----------------------------
+// Entrega de mensajes con secretos
+// -----------------------------
+//
+// Los enlaces de recuperación y los códigos de ingreso o verificación no se
+// guardan en la bandeja `notifications`, que puede leer el personal del club:
+// ahí queda solo un aviso sin el secreto. El mensaje completo sale por
+// `deliver({ channel, to, event, msg })` cuando la transacción se confirma.
+//
+// El proveedor real (email / WhatsApp Business) se conecta pasando su propio
+// `deliver` a `createService`. Mientras tanto se escribe en la consola del
+// proceso: la del servidor con el backend `remote`, la del navegador en la demo local.
+
+export function consoleDelivery({ channel, to, event, msg }) {
+  console.info(`[${channel}] ${event} → ${to}: ${msg}`);
+}
@@ -0,0 +1,19 @@
+// Error de regla de negocio: el mensaje es apto para mostrar al usuario.
+export class DomainError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "DomainError";
+    this.status = status;
+  }
+}
+
+// Estado persistido ilegible o con formato inesperado (requiere recuperación).
+export class SchemaError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "SchemaError";
+    this.code = "SCHEMA";
+    this.status = 503;
+    this.issues = issues;
+  }
+}
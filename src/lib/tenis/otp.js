@@ -0,0 +1,65 @@
+import { sha256 } from "./audit";
+import { AUTH_MODES } from "./constants";
+
+// -----------------------------
+// Códigos de un solo uso (login por Email+OTP / Teléfono+OTP)
+// -----------------------------
+//
+// Los códigos viven en la colección `otpCodes`, uno vigente por destino:
+//   { id, mode, destination, userId, codeHash, createdAt, expiresAt, attempts, usedAt, revokedAt }
+// Solo se guarda el hash del código; el código en claro viaja por la
+// notificación (Email o WhatsApp según el modo).
+
+export const OTP_LENGTH = 6;
+export const OTP_TTL_MIN = 5;
+export const OTP_MAX_ATTEMPTS = 5; // intentos fallidos por código
+export const OTP_RESEND_COOLDOWN_SEC = 60;
+export const OTP_MAX_SENDS_PER_HOUR = 5; // envíos por destino
+
+export const OTP_MODES = [AUTH_MODES.EMAIL_OTP, AUTH_MODES.PHONE_OTP];
+
+// Email en minúsculas; teléfono solo dígitos ("11-0000-0000" === "1100000000").
+export function otpDestination(mode, { email, phone }) {
+  if (mode === AUTH_MODES.PHONE_OTP) return String(phone || "").replace(/\D/g, "");
+  return String(email || "").trim().toLowerCase();
+}
+
+export function findUserByDestination(users, mode, destination) {
+  if (!destination) return null;
+  return mode === AUTH_MODES.PHONE_OTP
+    ? users.find((u) => String(u.phone || "").replace(/\D/g, "") === destination)
+    : users.find((u) => u.email === destination);
+}
+
+export function generateOtpCode() {
+  const [n] = globalThis.crypto.getRandomValues(new Uint32Array(1));
+  return String(n % 10 ** OTP_LENGTH).padStart(OTP_LENGTH, "0");
+}
+
+export function hashOtp(destination, code) {
+  return sha256(`otp:${destination}:${code}`);
+}
+
+// Código vigente (no usado, no reemplazado, no vencido) para el destino.
+export function activeOtp(codes, destination, nowISO) {
+  return codes.find((c) => c.destination === destination && !c.usedAt && !c.revokedAt && c.expiresAt > nowISO) || null;
+}
+
+// -----------------------------
+// Verificación de email / WhatsApp de la cuenta
+// -----------------------------
+//
+// Colección `verifications`, un código pendiente por usuario y canal:
+//   { id, userId, channel, destination, codeHash, createdAt, expiresAt, attempts, verifiedAt, revokedAt }
+// Comparte con el login por código el largo, los intentos y el reenvío.
+
+export const VERIFY_TTL_MIN = 30;
+
+export const VERIFY_CHANNELS = {
+  email: { flag: "isEmailValidated", notify: "Email", label: "email" },
+  phone: { flag: "isPhoneValidated", notify: "WhatsApp Business", label: "WhatsApp" },
+};
+
+export function hashVerificationCode(userId, channel, code) {
+  return sha256(`verify:${userId}:${channel}:${code}`);
+}
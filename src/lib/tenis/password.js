@@ -0,0 +1,74 @@
+import { sha256 } from "./audit";
+
+// -----------------------------
+// Contraseñas: PBKDF2-SHA256 con sal (WebCrypto)
+// -----------------------------
+//
+// `passwordHash` guarda "pbkdf2-sha256$<iteraciones>$<sal b64>$<hash b64>".
+// Cualquier otro valor es una contraseña heredada en texto plano: se acepta
+// una vez y el login la reemplaza por el hash (ver `needsRehash`).
+// WebCrypto existe en Node y en el navegador (solo en https o localhost).
+
+const SCHEME = "pbkdf2-sha256";
+export const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new Error("WebCrypto no disponible: abrí la app por https o localhost");
+  return s;
+}
+
+const toB64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromB64 = (text) => Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+
+async function derive(password, salt, iterations) {
+  const key = await subtle().importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await subtle().deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, KEY_BITS);
+  return new Uint8Array(bits);
+}
+
+// Comparación en tiempo constante respecto del contenido.
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function parse(stored) {
+  const [scheme, iterations, salt, hash] = String(stored || "").split("$");
+  if (scheme !== SCHEME || !hash) return null;
+  return { iterations: Number(iterations), salt: fromB64(salt), hash: fromB64(hash) };
+}
+
+// Token de un solo uso para restablecer la contraseña. Solo se guarda su hash.
+export function createResetToken() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(24));
+  const token = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return { token, tokenHash: hashResetToken(token) };
+}
+
+export function hashResetToken(token) {
+  return sha256(`reset:${token}`);
+}
+
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(String(password), salt, iterations);
+  return `${SCHEME}$${iterations}$${toB64(salt)}$${toB64(hash)}`;
+}
+
+// Devuelve { ok, needsRehash }: `needsRehash` si el registro es texto plano o
+// usa menos iteraciones que las actuales.
+export async function verifyPassword(password, stored) {
+  const parsed = parse(stored);
+  if (!parsed) {
+    const ok = Boolean(stored) && sameBytes(new TextEncoder().encode(String(password)), new TextEncoder().encode(String(stored)));
+    return { ok, needsRehash: ok };
+  }
+  const hash = await derive(String(password), parsed.salt, parsed.iterations);
+  const ok = sameBytes(hash, parsed.hash);
+  return { ok, needsRehash: ok && parsed.iterations < PBKDF2_ITERATIONS };
+}
@@ -0,0 +1,128 @@
+// -----------------------------
+// Roles y permisos
+// -----------------------------
+//
+// Cada rol tiene un conjunto de capacidades. El servicio exige la capacidad
+// dentro de cada operación (ver `requireCapability` en service.js); la UI usa
+// las mismas reglas para mostrar solo lo que el rol puede hacer.
+
+export const ROLES = {
+  USER: "user",
+  RECEPTION: "reception",
+  COACH: "coach",
+  ADMIN: "admin",
+  SUPER_ADMIN: "superadmin",
+};
+
+export const ROLE_LABELS = {
+  [ROLES.USER]: "Usuario",
+  [ROLES.RECEPTION]: "Recepción",
+  [ROLES.COACH]: "Profesor",
+  [ROLES.ADMIN]: "Admin",
+  [ROLES.SUPER_ADMIN]: "Super admin",
+};
+
+export const CAPS = {
+  AGENDA_VIEW: "agenda.view",
+  RESERVATIONS_MANAGE: "reservations.manage",
+  PAYMENTS_CASH: "payments.cash",
+  BLOCKS_MANAGE: "blocks.manage",
+  COURTS_MANAGE: "courts.manage",
+  CONFIG_MANAGE: "config.manage",
+  USERS_VERIFY: "users.verify",
+  USERS_MANAGE: "users.manage",
+  USERS_MERGE: "users.merge",
+  AUDIT_VIEW: "audit.view",
+  SECURITY_MANAGE: "security.manage",
+  ROLES_MANAGE: "roles.manage",
+  // Asignar o quitar los roles admin / super admin, gestionar esas cuentas e
+  // importar respaldos (que traen usuarios y roles).
+  ADMINS_MANAGE: "admins.manage",
+  BACKUP_MANAGE: "backup.manage",
+};
+
+// Completa "No tenés permiso para …".
+export const CAPABILITY_LABELS = {
+  [CAPS.AGENDA_VIEW]: "ver la agenda",
+  [CAPS.RESERVATIONS_MANAGE]: "gestionar reservas de otros usuarios",
+  [CAPS.PAYMENTS_CASH]: "registrar pagos en efectivo",
+  [CAPS.BLOCKS_MANAGE]: "bloquear canchas u horarios",
+  [CAPS.COURTS_MANAGE]: "activar o desactivar canchas",
+  [CAPS.CONFIG_MANAGE]: "cambiar precios y configuración",
+  [CAPS.USERS_VERIFY]: "validar cuentas manualmente",
+  [CAPS.USERS_MANAGE]: "editar, desactivar o revalidar usuarios",
+  [CAPS.USERS_MERGE]: "unificar cuentas duplicadas",
+  [CAPS.AUDIT_VIEW]: "ver el historial y la auditoría",
+  [CAPS.SECURITY_MANAGE]: "desbloquear accesos",
+  [CAPS.ROLES_MANAGE]: "asignar roles",
+  [CAPS.ADMINS_MANAGE]: "gestionar cuentas o roles de administración",
+  [CAPS.BACKUP_MANAGE]: "exportar o importar respaldos",
+};
+
+const ADMIN_CAPS = Object.values(CAPS).filter((c) => c !== CAPS.ADMINS_MANAGE && c !== CAPS.BACKUP_MANAGE);
+
+export const ROLE_CAPABILITIES = {
+  [ROLES.USER]: [],
+  [ROLES.RECEPTION]: [CAPS.AGENDA_VIEW, CAPS.RESERVATIONS_MANAGE, CAPS.PAYMENTS_CASH, CAPS.USERS_VERIFY, CAPS.USERS_MANAGE],
+  [ROLES.COACH]: [CAPS.AGENDA_VIEW, CAPS.BLOCKS_MANAGE],
+  [ROLES.ADMIN]: ADMIN_CAPS,
+  [ROLES.SUPER_ADMIN]: Object.values(CAPS),
+};
+
+// Roles con acceso de administración (admin / super admin).
+export const ADMIN_ROLES = [ROLES.ADMIN, ROLES.SUPER_ADMIN];
+
+export function can(user, cap) {
+  return Boolean(user) && (ROLE_CAPABILITIES[user.role] || []).includes(cap);
+}
+
+export function canAny(user, caps) {
+  return caps.some((c) => can(user, c));
+}
+
+// Personal del club: cualquier rol distinto de usuario.
+export function isStaff(user) {
+  return Boolean(user?.role) && user.role !== ROLES.USER;
+}
+
+export function permissionMessage(cap) {
+  return `No tenés permiso para ${CAPABILITY_LABELS[cap] || cap}`;
+}
+
+// Roles que `actor` puede otorgar.
+export function assignableRoles(actor) {
+  if (!can(actor, CAPS.ROLES_MANAGE)) return [];
+  return Object.values(ROLES).filter((r) => can(actor, CAPS.ADMINS_MANAGE) || !ADMIN_ROLES.includes(r));
+}
+
+// Capacidad fija que exige cada operación del servicio (los casos que dependen
+// del dueño de la reserva, como cancelar o pagar, los resuelve el servicio).
+export const METHOD_CAPABILITIES = {
+  setConfig: CAPS.CONFIG_MANAGE,
+  setSchedule: CAPS.CONFIG_MANAGE,
+  testSocioProvider: CAPS.CONFIG_MANAGE,
+  importPadron: CAPS.CONFIG_MANAGE,
+  exportBackup: CAPS.BACKUP_MANAGE,
+  importBackup: CAPS.BACKUP_MANAGE,
+  verifyAudit: CAPS.AUDIT_VIEW,
+  setCourtActive: CAPS.COURTS_MANAGE,
+  addBlock: CAPS.BLOCKS_MANAGE,
+  removeBlock: CAPS.BLOCKS_MANAGE,
+  createSeries: CAPS.RESERVATIONS_MANAGE,
+  updateSeries: CAPS.RESERVATIONS_MANAGE,
+  cancelSeries: CAPS.RESERVATIONS_MANAGE,
+  updateSeriesOccurrence: CAPS.RESERVATIONS_MANAGE,
+  skipSeriesOccurrence: CAPS.RESERVATIONS_MANAGE,
+  materializeSeries: CAPS.RESERVATIONS_MANAGE,
+  registerCashPayment: CAPS.PAYMENTS_CASH,
+  markNoShow: CAPS.RESERVATIONS_MANAGE,
+  adminCreateManualReservation: CAPS.RESERVATIONS_MANAGE,
+  overrideValidation: CAPS.USERS_VERIFY,
+  updateUserContact: CAPS.USERS_MANAGE,
+  setUserActive: CAPS.USERS_MANAGE,
+  revalidateSocio: CAPS.USERS_MANAGE,
+  revalidateAllSocios: CAPS.USERS_MANAGE,
+  mergeUsers: CAPS.USERS_MERGE,
+  unlockThrottle: CAPS.SECURITY_MANAGE,
+  setUserRole: CAPS.ROLES_MANAGE,
+};
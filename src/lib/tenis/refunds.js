@@ -0,0 +1,86 @@
+import { DomainError } from "./errors";
+
+// -----------------------------
+// Política de cancelación y reintegros
+// -----------------------------
+//
+// config.refundPolicy = { tiers: [{ minHours, percent }], noShowPercent }
+// - Una cancelación con al menos `minHours` de anticipación reintegra `percent`
+//   del monto pagado; gana el tramo de mayor anticipación que se cumple. Con
+//   menos anticipación que el último tramo (o con el turno ya empezado), 0%.
+// - `noShowPercent`: reintegro cuando el socio no se presenta.
+// - Si el club cierra la cancha o bloquea el horario de una reserva, la cancela
+//   con reintegro del 100%. Cuando el personal cancela a pedido del socio rigen los tramos.
+// El reintegro aplicado queda en `payment.meta.refund` con la regla que lo decidió.
+
+export const DEFAULT_REFUND_POLICY = {
+  tiers: [
+    { minHours: 24, percent: 100 },
+    { minHours: 2, percent: 50 },
+  ],
+  noShowPercent: 50,
+};
+
+export const REFUND_KINDS = {
+  CANCEL: "cancel",
+  CLUB_CANCEL: "clubCancel",
+  NO_SHOW: "noShow",
+};
+
+export function hoursBeforeStart(reservation, now = Date.now()) {
+  return (Date.parse(`${reservation.dateISO}T${reservation.time}:00`) - now) / 3600000;
+}
+
+// Tramo que corresponde a una cancelación con `hours` de anticipación (null = ninguno, 0%).
+export function tierFor(policy, hours) {
+  return policy.tiers.find((t) => hours >= t.minHours) || null;
+}
+
+// "Más de 24 h antes: 100%", "Entre 24 h y 2 h: 50%", "Menos de 2 h: 0%".
+function tierLabel(policy, i) {
+  const t = policy.tiers[i];
+  const prev = policy.tiers[i - 1];
+  if (!t) return prev ? `Menos de ${prev.minHours} h` : "En cualquier momento";
+  if (!prev) return t.minHours ? `Más de ${t.minHours} h antes` : "En cualquier momento";
+  return t.minHours ? `Entre ${prev.minHours} h y ${t.minHours} h` : `Menos de ${prev.minHours} h`;
+}
+
+export function describeTiers(policy) {
+  const out = policy.tiers.map((t, i) => ({ label: tierLabel(policy, i), percent: t.percent }));
+  const last = policy.tiers[policy.tiers.length - 1];
+  if (!last || last.minHours > 0) out.push({ label: tierLabel(policy, policy.tiers.length), percent: 0 });
+  return out;
+}
+
+// Reintegro de una cancelación o no presentación: { kind, percent, rule, hoursBefore }.
+export function refundRuleFor(policy, reservation, kind, now = Date.now()) {
+  const hoursBefore = Math.round(hoursBeforeStart(reservation, now) * 10) / 10;
+  if (kind === REFUND_KINDS.NO_SHOW) {
+    return { kind, percent: policy.noShowPercent, rule: `No presentación: ${policy.noShowPercent}%`, hoursBefore };
+  }
+  if (kind === REFUND_KINDS.CLUB_CANCEL) return { kind, percent: 100, rule: "Cancelada por el club: 100%", hoursBefore };
+  if (hoursBefore < 0) return { kind, percent: 0, rule: "Turno ya empezado: 0%", hoursBefore };
+  const tier = tierFor(policy, hoursBefore);
+  const percent = tier ? tier.percent : 0;
+  return { kind, percent, rule: `${tierLabel(policy, tier ? policy.tiers.indexOf(tier) : policy.tiers.length)}: ${percent}%`, hoursBefore };
+}
+
+function normalizePercent(value, where) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 100) throw new DomainError(`${where}: el reintegro va de 0 a 100%`);
+  return n;
+}
+
+// Valida config.refundPolicy (setConfig). Los tramos quedan de mayor a menor anticipación.
+export function normalizeRefundPolicy(input) {
+  const tiers = (Array.isArray(input?.tiers) ? input.tiers : [])
+    .map((t, i) => {
+      const minHours = Number(t.minHours);
+      if (!Number.isInteger(minHours) || minHours < 0) throw new DomainError(`Tramo ${i + 1}: las horas van en un número entero`);
+      return { minHours, percent: normalizePercent(t.percent, `Tramo ${i + 1}`) };
+    })
+    .sort((a, b) => b.minHours - a.minHours);
+  const dup = tiers.find((t, i) => i > 0 && tiers[i - 1].minHours === t.minHours);
+  if (dup) throw new DomainError(`Hay dos tramos de ${dup.minHours} h`);
+  return { tiers, noShowPercent: normalizePercent(input?.noShowPercent, "No presentación") };
+}
@@ -0,0 +1,256 @@
+import { DomainError } from "./errors";
+
+// -----------------------------
+// Horarios: temporadas, días de la semana, canchas y feriados
+// -----------------------------
+//
+// config.schedule = {
+//   seasons: [{ id, name, from, to, hours }],
+//   holidays: [{ dateISO, name, hours }],
+// }
+// - `from` / `to` son "MM-DD" (se repiten cada año; un rango puede cruzar el
+//   año nuevo, ej. 12-21 → 03-20). Una sola temporada va sin fechas: rige el
+//   resto del año. Si dos temporadas con fechas se superponen, gana la primera.
+// - `hours[scope][weekday]` = { open, close } ("HH:MM", en horas enteras) o null
+//   (cerrado). `scope` es "all" (el club) o el id de una cancha; weekday 0 = domingo.
+//   La fila de una cancha solo restringe el horario del club (abrir más tarde,
+//   cerrar antes —ej. canchas sin luz— o no abrir); si falta, rige la del club.
+// - Un feriado cierra el club (`hours` null) o lo abre con horario reducido;
+//   las restricciones por cancha de ese día de la semana se siguen aplicando.
+//
+// El día se divide en franjas de SLOT_MINUTES: un turno empieza en cualquier
+// franja y dura una de BOOKING_DURATIONS, siempre que termine antes del cierre.
+
+export const SLOT_MINUTES = 30;
+
+export const BOOKING_DURATIONS = [60, 90, 120];
+
+export const WEEKDAY_LABELS = ["Dom", "Lun", "Mar", "Mié", "Jue", "Vie", "Sáb"];
+
+const ALL = "all";
+
+const weekly = (open, close) => Object.fromEntries(WEEKDAY_LABELS.map((_, i) => [i, { open, close }]));
+
+export const DEFAULT_SCHEDULE = {
+  seasons: [{ id: "base", name: "Todo el año", from: null, to: null, hours: { [ALL]: weekly("08:00", "22:00") } }],
+  holidays: [],
+};
+
+export function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function fromMinutes(min) {
+  return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+function inSeason(season, mmdd) {
+  if (!season.from || !season.to) return false;
+  return season.from <= season.to ? mmdd >= season.from && mmdd <= season.to : mmdd >= season.from || mmdd <= season.to;
+}
+
+export function seasonFor(schedule, dateISO) {
+  const mmdd = dateISO.slice(5, 10);
+  return schedule.seasons.find((s) => inSeason(s, mmdd)) || schedule.seasons.find((s) => !s.from) || null;
+}
+
+export function holidayFor(schedule, dateISO) {
+  return schedule.holidays.find((h) => h.dateISO === dateISO) || null;
+}
+
+function weekdayOf(dateISO) {
+  const [y, m, d] = dateISO.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
+}
+
+// Horario { open, close } de una cancha en una fecha (null = cerrada).
+export function courtHours(schedule, courtId, dateISO) {
+  const season = seasonFor(schedule, dateISO);
+  if (!season) return null;
+  const weekday = weekdayOf(dateISO);
+  const holiday = holidayFor(schedule, dateISO);
+  const club = holiday ? holiday.hours : season.hours[ALL]?.[weekday];
+  if (!club) return null;
+  const courtRow = season.hours[courtId];
+  if (!courtRow || !(weekday in courtRow)) return club;
+  const own = courtRow[weekday];
+  if (!own) return null;
+  const open = own.open > club.open ? own.open : club.open;
+  const close = own.close < club.close ? own.close : club.close;
+  return open < close ? { open, close } : null;
+}
+
+// Franjas abiertas de una cancha en una fecha.
+export function courtSlotTimes(schedule, courtId, dateISO) {
+  const hours = courtHours(schedule, courtId, dateISO);
+  if (!hours) return [];
+  const out = [];
+  for (let t = toMinutes(hours.open); t + SLOT_MINUTES <= toMinutes(hours.close); t += SLOT_MINUTES) out.push(fromMinutes(t));
+  return out;
+}
+
+// Todas las franjas en que abre al menos una cancha (filas de la grilla / agenda).
+export function daySlotTimes(schedule, courts, dateISO) {
+  const set = new Set(courts.flatMap((c) => courtSlotTimes(schedule, c.id, dateISO)));
+  return [...set].sort();
+}
+
+export function isSlotOpen(schedule, courtId, dateISO, time) {
+  return courtSlotTimes(schedule, courtId, dateISO).includes(time);
+}
+
+// true si un turno de `durationMin` que empieza en `time` entra en el horario.
+export function fitsSchedule(schedule, courtId, dateISO, time, durationMin = 60) {
+  const hours = courtHours(schedule, courtId, dateISO);
+  return isSlotOpen(schedule, courtId, dateISO, time) && toMinutes(time) + durationMin <= toMinutes(hours.close);
+}
+
+// Motivo para mostrar cuando un turno no entra en el horario.
+export function closedReason(schedule, courtId, dateISO, time) {
+  const holiday = holidayFor(schedule, dateISO);
+  if (holiday && !holiday.hours) return `El club está cerrado por feriado (${holiday.name})`;
+  const hours = courtHours(schedule, courtId, dateISO);
+  if (!hours) return "La cancha no abre ese día";
+  if (time && isSlotOpen(schedule, courtId, dateISO, time)) return `El turno termina después del cierre de la cancha (${hours.close})`;
+  return "La cancha no tiene turnos en ese horario";
+}
+
+// -----------------------------
+// Duración de los turnos
+// -----------------------------
+
+// Reservas y bloqueos anteriores a las duraciones variables duran 60 min.
+export function durationOf(item) {
+  return Number(item?.durationMin) || 60;
+}
+
+export function endTime(time, durationMin) {
+  return fromMinutes(toMinutes(time) + durationMin);
+}
+
+// "08:00–09:30"
+export function timeRangeLabel(item) {
+  return `${item.time}–${endTime(item.time, durationOf(item))}`;
+}
+
+export function durationLabel(durationMin) {
+  const h = Math.floor(durationMin / 60);
+  const m = durationMin % 60;
+  return m ? `${h} h ${m}` : `${h} h`;
+}
+
+// Franjas que ocupa un turno (las claves de las restricciones de unicidad).
+export function coveredSlots(item) {
+  const start = toMinutes(item.time);
+  return Array.from({ length: Math.ceil(durationOf(item) / SLOT_MINUTES) }, (_, i) => fromMinutes(start + i * SLOT_MINUTES));
+}
+
+// true si dos turnos ({ dateISO, time, durationMin }) se pisan.
+export function overlaps(a, b) {
+  if (a.dateISO !== b.dateISO) return false;
+  const a0 = toMinutes(a.time);
+  const b0 = toMinutes(b.time);
+  return a0 < b0 + durationOf(b) && b0 < a0 + durationOf(a);
+}
+
+// config.bookingDurations = { default: [60, 90, 120], bands: [{ id, courtId, from, to, durations }] }
+// Una franja horaria (`from` ≤ inicio < `to`) de una cancha ("all" = todas)
+// restringe las duraciones; gana la primera que coincide, si no rige `default`.
+export const DEFAULT_BOOKING_DURATIONS = { default: BOOKING_DURATIONS, bands: [] };
+
+export function bandFor(rules, courtId, time) {
+  return (rules?.bands || []).find((b) => (b.courtId === "all" || b.courtId === courtId) && time >= b.from && time < b.to) || null;
+}
+
+export function allowedDurations(rules, courtId, time) {
+  const band = bandFor(rules, courtId, time);
+  return band ? band.durations : rules?.default || BOOKING_DURATIONS;
+}
+
+// -----------------------------
+// Validación (setSchedule)
+// -----------------------------
+
+const HHMM = /^([01]\d|2[0-4]):00$/;
+const MMDD = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizeHours(value, where) {
+  if (value == null) return null;
+  const open = String(value.open || "");
+  const close = String(value.close || "");
+  if (!HHMM.test(open) || !HHMM.test(close)) throw new DomainError(`${where}: los horarios van en horas enteras (HH:00)`);
+  if (toMinutes(open) + 60 > toMinutes(close)) throw new DomainError(`${where}: el cierre debe ser al menos una hora después de la apertura`);
+  return { open, close };
+}
+
+// Devuelve una copia válida del horario o lanza DomainError con el primer problema.
+export function normalizeSchedule(input, courts) {
+  const seasons = Array.isArray(input?.seasons) ? input.seasons : [];
+  const holidays = Array.isArray(input?.holidays) ? input.holidays : [];
+  const courtIds = new Set(courts.map((c) => c.id));
+  if (seasons.filter((s) => !s.from && !s.to).length !== 1) {
+    throw new DomainError("Tiene que haber exactamente una temporada sin fechas (rige el resto del año)");
+  }
+
+  const out = {
+    seasons: seasons.map((s, i) => {
+      const name = String(s.name || "").trim() || `Temporada ${i + 1}`;
+      const dated = Boolean(s.from || s.to);
+      if (dated && (!MMDD.test(s.from || "") || !MMDD.test(s.to || ""))) {
+        throw new DomainError(`${name}: las fechas de la temporada van como MM-DD`);
+      }
+      const hours = {};
+      for (const [scope, days] of Object.entries(s.hours || {})) {
+        if (scope !== ALL && !courtIds.has(scope)) throw new DomainError(`${name}: cancha inexistente (${scope})`);
+        hours[scope] = {};
+        for (const [weekday, value] of Object.entries(days || {})) {
+          if (!WEEKDAY_LABELS[weekday]) throw new DomainError(`${name}: día de la semana inválido (${weekday})`);
+          const where = `${name}, ${scope === ALL ? "club" : courts.find((c) => c.id === scope).name}, ${WEEKDAY_LABELS[weekday]}`;
+          hours[scope][weekday] = normalizeHours(value, where);
+        }
+      }
+      // El club define los 7 días (null = cerrado).
+      hours[ALL] = Object.fromEntries(WEEKDAY_LABELS.map((_, d) => [d, hours[ALL]?.[d] ?? null]));
+      return { id: String(s.id || `season_${i + 1}`), name, from: dated ? s.from : null, to: dated ? s.to : null, hours };
+    }),
+    holidays: holidays
+      .map((h) => {
+        const dateISO = String(h.dateISO || "");
+        if (!DATE.test(dateISO)) throw new DomainError(`Feriado con fecha inválida (${dateISO || "vacía"})`);
+        const name = String(h.name || "").trim() || "Feriado";
+        return { dateISO, name, hours: normalizeHours(h.hours, `Feriado ${dateISO}`) };
+      })
+      .sort((a, b) => a.dateISO.localeCompare(b.dateISO)),
+  };
+  const dates = out.holidays.map((h) => h.dateISO);
+  const dup = dates.find((d, i) => dates.indexOf(d) !== i);
+  if (dup) throw new DomainError(`El feriado ${dup} está cargado dos veces`);
+  return out;
+}
+
+function normalizeDurationList(value, where) {
+  const list = [...new Set((Array.isArray(value) ? value : []).map(Number))].sort((a, b) => a - b);
+  if (!list.length) throw new DomainError(`${where}: elegí al menos una duración`);
+  const bad = list.find((d) => !BOOKING_DURATIONS.includes(d));
+  if (bad !== undefined) throw new DomainError(`${where}: duración inválida (${bad} min)`);
+  return list;
+}
+
+// Valida config.bookingDurations (setConfig).
+export function normalizeDurations(input, courts) {
+  const courtIds = new Set(courts.map((c) => c.id));
+  return {
+    default: normalizeDurationList(input?.default, "Duraciones"),
+    bands: (Array.isArray(input?.bands) ? input.bands : []).map((b, i) => {
+      const where = `Franja ${i + 1}`;
+      const courtId = String(b.courtId || ALL);
+      if (courtId !== ALL && !courtIds.has(courtId)) throw new DomainError(`${where}: cancha inexistente (${courtId})`);
+      const from = String(b.from || "");
+      const to = String(b.to || "");
+      if (!HHMM.test(from) || !HHMM.test(to) || from >= to) throw new DomainError(`${where}: el horario va de HH:00 a HH:00 y debe terminar después de empezar`);
+      return { id: String(b.id || `band_${i + 1}`), courtId, from, to, durations: normalizeDurationList(b.durations, where) };
+    }),
+  };
+}
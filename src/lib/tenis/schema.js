@@ -0,0 +1,337 @@
+import { sealAuditLog } from "./audit";
+import { APP_CONFIG_DEFAULT, COURTS_DEFAULT, RES_STATUS } from "./constants";
+import { SchemaError } from "./errors";
+import { coveredSlots } from "./schedule";
+import { nowISOTime } from "./utils";
+
+// -----------------------------
+// Esquema del estado persistido: versión, migraciones y validación
+// -----------------------------
+//
+// La versión vive en la colección `meta` ({ schemaVersion, history }).
+// Para agregar un campo o colección: sumar una migración al final de
+// MIGRATIONS (nunca editar una ya publicada) y actualizar SHAPES.
+
+const LIST_COLLECTIONS = ["courts", "users", "reservations", "payments", "blocks", "audit", "notifications"];
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Estado inicial versionado (blob edlp_tenis_reservas_v1 sin versión)",
+    up: (st) => {
+      delete st.sessions;
+      for (const name of LIST_COLLECTIONS) if (st[name] == null) st[name] = [];
+      if (!st.courts.length) st.courts = structuredClone(COURTS_DEFAULT);
+      st.courts = st.courts.map((c) => ({ isActive: true, ...c }));
+      st.config = { ...APP_CONFIG_DEFAULT, ...(st.config || {}) };
+      return st;
+    },
+  },
+  {
+    version: 2,
+    description: "Auditoría encadenada por hash (prevHash/hash)",
+    up: (st) => {
+      st.audit = sealAuditLog(st.audit);
+      return st;
+    },
+  },
+  {
+    version: 3,
+    description: "Contraseñas con hash: el admin demo con la clave por defecto debe cambiarla",
+    up: (st) => {
+      for (const u of st.users) {
+        if (u.role === "admin" && u.passwordHash === "admin") u.mustChangePassword = true;
+      }
+      return st;
+    },
+  },
+  {
+    version: 4,
+    description: "Enlaces de recuperación de contraseña (passwordResets)",
+    up: (st) => {
+      st.passwordResets = st.passwordResets || [];
+      return st;
+    },
+  },
+  {
+    version: 5,
+    description: "Códigos de ingreso por Email/WhatsApp (otpCodes)",
+    up: (st) => {
+      st.otpCodes = st.otpCodes || [];
+      return st;
+    },
+  },
+  {
+    version: 6,
+    description: "Verificación de email/WhatsApp por código (verifications)",
+    up: (st) => {
+      st.verifications = st.verifications || [];
+      return st;
+    },
+  },
+  {
+    version: 7,
+    description: "Sesiones con vencimiento (sessions); reemplaza users[].sessionsRevokedAt",
+    up: (st) => {
+      st.sessions = Array.isArray(st.sessions) ? st.sessions : [];
+      for (const u of st.users) delete u.sessionsRevokedAt;
+      return st;
+    },
+  },
+  {
+    version: 8,
+    description: "Intentos fallidos de login / registro por cuenta y cliente (throttles)",
+    up: (st) => {
+      st.throttles = Array.isArray(st.throttles) ? st.throttles : [];
+      return st;
+    },
+  },
+  {
+    version: 9,
+    description: "Roles con permisos: el admin más antiguo pasa a super admin si no hay ninguno",
+    up: (st) => {
+      if (!st.users.some((u) => u.role === "superadmin")) {
+        const [first] = st.users
+          .filter((u) => u.role === "admin")
+          .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        if (first) first.role = "superadmin";
+      }
+      return st;
+    },
+  },
+  {
+    version: 10,
+    description: "Revalidación periódica de socios (config.socioRevalidateHours / socioPricePolicy)",
+    up: (st) => {
+      st.config = {
+        ...st.config,
+        socioRevalidateHours: st.config?.socioRevalidateHours ?? APP_CONFIG_DEFAULT.socioRevalidateHours,
+        socioPricePolicy: st.config?.socioPricePolicy ?? APP_CONFIG_DEFAULT.socioPricePolicy,
+      };
+      return st;
+    },
+  },
+  {
+    version: 11,
+    description: "Proveedor de validación de socios (config.socioProvider) y padrón importado (padron)",
+    up: (st) => {
+      st.padron = Array.isArray(st.padron) ? st.padron : [];
+      st.config = {
+        ...st.config,
+        socioProvider: st.config?.socioProvider ?? APP_CONFIG_DEFAULT.socioProvider,
+        socioProviderUrl: st.config?.socioProviderUrl ?? APP_CONFIG_DEFAULT.socioProviderUrl,
+      };
+      return st;
+    },
+  },
+  {
+    version: 12,
+    description: "Horarios configurables (config.schedule): hasta ahora, 08:00 a 22:00 todos los días",
+    up: (st) => {
+      st.config = { ...st.config, schedule: st.config?.schedule ?? structuredClone(APP_CONFIG_DEFAULT.schedule) };
+      return st;
+    },
+  },
+  {
+    version: 13,
+    description: "Turnos de duración variable: durationMin en reservas y bloqueos (60 los existentes) y config.bookingDurations",
+    up: (st) => {
+      st.reservations = st.reservations.map((r) => ({ ...r, durationMin: r.durationMin ?? 60 }));
+      st.blocks = st.blocks.map((b) => ({ ...b, durationMin: b.durationMin ?? 60 }));
+      st.config = { ...st.config, bookingDurations: st.config?.bookingDurations ?? structuredClone(APP_CONFIG_DEFAULT.bookingDurations) };
+      return st;
+    },
+  },
+  {
+    version: 14,
+    description: "Turnos fijos (series)",
+    up: (st) => {
+      st.series = Array.isArray(st.series) ? st.series : [];
+      return st;
+    },
+  },
+  {
+    version: 15,
+    description: "Lista de espera de turnos ocupados y config.waitlistHoldMinutes",
+    up: (st) => {
+      st.waitlist = Array.isArray(st.waitlist) ? st.waitlist : [];
+      st.config = { ...st.config, waitlistHoldMinutes: st.config?.waitlistHoldMinutes ?? APP_CONFIG_DEFAULT.waitlistHoldMinutes };
+      return st;
+    },
+  },
+  {
+    version: 16,
+    description: "Plazo de pago de las reservas pendientes (config.paymentHoldMinutes)",
+    up: (st) => {
+      // Las reservas pendientes existentes no tienen `payBy`: no vencen.
+      st.config = { ...st.config, paymentHoldMinutes: st.config?.paymentHoldMinutes ?? APP_CONFIG_DEFAULT.paymentHoldMinutes };
+      return st;
+    },
+  },
+  {
+    version: 17,
+    description: "Plazo para reprogramar reservas (config.rescheduleDeadlineHours)",
+    up: (st) => {
+      st.config = { ...st.config, rescheduleDeadlineHours: st.config?.rescheduleDeadlineHours ?? APP_CONFIG_DEFAULT.rescheduleDeadlineHours };
+      return st;
+    },
+  },
+  {
+    version: 18,
+    description: "Política de cancelación y reintegros por tramos (config.refundPolicy)",
+    up: (st) => {
+      // Los reintegros ya hechos (payment.meta.refund) quedan como estaban, sin regla.
+      st.config = { ...st.config, refundPolicy: st.config?.refundPolicy ?? APP_CONFIG_DEFAULT.refundPolicy };
+      return st;
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function createMeta() {
+  return { schemaVersion: SCHEMA_VERSION, history: [{ version: SCHEMA_VERSION, at: nowISOTime(), seed: true }] };
+}
+
+// Aplica en orden las migraciones pendientes. Devuelve `migrated: false` si ya estaba al día.
+export function migrateState(raw) {
+  const from = raw.meta?.schemaVersion ?? 0;
+  if (typeof from !== "number") throw new SchemaError("Versión de datos ilegible", ["meta.schemaVersion: se esperaba number"]);
+  if (from > SCHEMA_VERSION) {
+    throw new SchemaError("Los datos fueron guardados por una versión más nueva de la aplicación", [
+      `meta.schemaVersion: ${from} > ${SCHEMA_VERSION}`,
+    ]);
+  }
+  if (from === SCHEMA_VERSION) return { state: raw, migrated: false };
+
+  // Una colección corrupta no se migra: la validación la va a reportar.
+  if (Object.values(raw).some((v) => v?.__corrupt)) return { state: raw, migrated: false };
+
+  let st = structuredClone(raw);
+  const history = [...(st.meta?.history || [])];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    try {
+      st = m.up(st);
+    } catch (e) {
+      throw new SchemaError(`Falló la migración a v${m.version}`, [`${m.description}: ${e?.message || e}`]);
+    }
+    history.push({ version: m.version, at: nowISOTime() });
+  }
+  st.meta = { schemaVersion: SCHEMA_VERSION, history };
+  return { state: st, migrated: true };
+}
+
+// Campos obligatorios por colección: "string" | "number" | "boolean" | "object" | array de valores válidos.
+const SHAPES = {
+  courts: { id: "string", name: "string", isActive: "boolean" },
+  users: { id: "string", role: "string", userType: "string" },
+  reservations: {
+    id: "string",
+    userId: "string",
+    courtId: "string",
+    dateISO: "string",
+    time: "string",
+    durationMin: "number",
+    status: Object.values(RES_STATUS),
+  },
+  payments: { id: "string", reservationId: "string", status: "string" },
+  blocks: { id: "string", courtId: "string", dateISO: "string", time: "string", durationMin: "number" },
+  audit: { id: "string", at: "string", action: "string", prevHash: "string", hash: "string" },
+  notifications: { id: "string", at: "string", event: "string" },
+  passwordResets: { id: "string", userId: "string", tokenHash: "string", expiresAt: "string" },
+  otpCodes: { id: "string", destination: "string", codeHash: "string", expiresAt: "string", attempts: "number" },
+  verifications: { id: "string", userId: "string", channel: ["email", "phone"], codeHash: "string", expiresAt: "string" },
+  sessions: { id: "string", userId: "string", tokenHash: "string", lastSeenAt: "string", expiresAt: "string" },
+  throttles: { id: "string", kind: ["account", "client", "register"], key: "string", failures: "number", lastFailureAt: "string" },
+  padron: { id: "string", dni: "string", memberNumber: "string", active: "boolean", importedAt: "string" },
+  series: {
+    id: "string",
+    userId: "string",
+    courtId: "string",
+    startDate: "string",
+    time: "string",
+    durationMin: "number",
+    interval: [1, 2],
+    exceptions: "object",
+    overrides: "object",
+    conflicts: "object",
+    status: ["active", "cancelled"],
+  },
+  waitlist: {
+    id: "string",
+    userId: "string",
+    dateISO: "string",
+    time: "string",
+    durationMin: "number",
+    courtId: "string",
+    status: ["waiting", "offered", "accepted", "expired", "left"],
+  },
+};
+
+// Restricciones de unicidad que el store verifica antes de persistir cada
+// transacción (ver storage/createStore): si alguna se viola no se escribe nada.
+// `keys` devuelve una clave por franja ocupada, así dos turnos que se pisan
+// (ej. 08:00 de 90 min y 09:00) chocan aunque empiecen a distinta hora.
+const isActiveReservation = (r) => r.status !== RES_STATUS.CANCELLED;
+
+export const UNIQUE_CONSTRAINTS = [
+  {
+    collection: "reservations",
+    name: "court_slot",
+    where: isActiveReservation,
+    keys: (r) => coveredSlots(r).map((t) => `${r.courtId}|${r.dateISO}|${t}`),
+    message: "Ese turno ya está reservado",
+  },
+  {
+    collection: "reservations",
+    name: "user_slot",
+    where: isActiveReservation,
+    keys: (r) => coveredSlots(r).map((t) => `${r.userId}|${r.dateISO}|${t}`),
+    message: "Ya tenés una reserva en ese mismo horario",
+  },
+];
+
+const MAX_ISSUES = 20;
+
+function checkField(value, rule) {
+  if (Array.isArray(rule)) return rule.includes(value) ? null : `valor inválido (${JSON.stringify(value)})`;
+  if (rule === "object") return value && typeof value === "object" ? null : "se esperaba object";
+  return typeof value === rule ? null : `se esperaba ${rule}`;
+}
+
+// Devuelve la lista de problemas encontrados (vacía si el estado es válido).
+export function validateState(st) {
+  const issues = [];
+  const add = (msg) => issues.length < MAX_ISSUES && issues.push(msg);
+
+  for (const [name, value] of Object.entries(st)) {
+    if (value?.__corrupt) add(`${name}: contenido corrupto (JSON inválido)`);
+  }
+  if (issues.length) return issues;
+
+  if (!st.meta || typeof st.meta.schemaVersion !== "number") add("meta: falta la versión del esquema");
+
+  if (!st.config || typeof st.config !== "object") add("config: falta o no es un objeto");
+  else {
+    for (const [k, def] of Object.entries(APP_CONFIG_DEFAULT)) {
+      if (typeof st.config[k] !== typeof def) add(`config.${k}: se esperaba ${typeof def}`);
+    }
+  }
+
+  for (const [name, shape] of Object.entries(SHAPES)) {
+    const list = st[name];
+    if (!Array.isArray(list)) {
+      add(`${name}: falta o no es una lista`);
+      continue;
+    }
+    list.forEach((item, i) => {
+      if (!item || typeof item !== "object") return add(`${name}[${i}]: no es un objeto`);
+      for (const [field, rule] of Object.entries(shape)) {
+        const err = checkField(item[field], rule);
+        if (err) add(`${name}[${i}].${field}: ${err}`);
+      }
+    });
+  }
+  return issues;
+}
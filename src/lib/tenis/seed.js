@@ -0,0 +1,53 @@
+import { appendAudit } from "./audit";
+import { APP_CONFIG_DEFAULT, COURTS_DEFAULT } from "./constants";
+import { hashPassword } from "./password";
+import { ROLES } from "./permissions";
+import { createMeta } from "./schema";
+import { nowISOTime, uid } from "./utils";
+
+// Estado inicial de demo: configuración, canchas y usuario super admin.
+// El admin demo entra con "admin" y debe cambiarla en el primer ingreso.
+export async function createSeedState() {
+  const adminId = uid("usr");
+  const st = {
+    meta: createMeta(),
+    config: structuredClone(APP_CONFIG_DEFAULT),
+    courts: structuredClone(COURTS_DEFAULT),
+    users: [
+      {
+        id: adminId,
+        role: ROLES.SUPER_ADMIN,
+        email: "admin@edlp.com",
+        phone: "11-0000-0000",
+        dni: "12345678",
+        userType: "Socio",
+        createdAt: nowISOTime(),
+        passwordHash: await hashPassword("admin"), // DEMO
+        mustChangePassword: true,
+        isEmailValidated: true,
+        isPhoneValidated: true,
+      },
+    ],
+    reservations: [],
+    payments: [],
+    blocks: [], // {id, courtId, dateISO, time, reason, createdBy, createdAt}
+    audit: [], // ver ./audit (cadena de hashes)
+    notifications: [], // {id, at, channel, to, event, payload}
+    passwordResets: [], // {id, userId, tokenHash, createdAt, expiresAt, usedAt, revokedAt}
+    otpCodes: [], // ver ./otp
+    verifications: [], // ver ./otp (verificación de email / WhatsApp)
+    sessions: [], // ver ./sessions
+    throttles: [], // ver ./throttle
+    padron: [], // ver ./socios (padrón importado del sistema de socios)
+    series: [], // ver ./series (turnos fijos)
+    waitlist: [], // ver ./waitlist
+  };
+  appendAudit(st, {
+    id: uid("aud"),
+    at: nowISOTime(),
+    by: adminId,
+    action: "Seed",
+    detail: "Sistema inicializado con el usuario super admin demo",
+  });
+  return st;
+}
@@ -0,0 +1,80 @@
+import { DomainError } from "./errors";
+import { BOOKING_DURATIONS, SLOT_MINUTES, toMinutes } from "./schedule";
+import { addDays, formatDateISO } from "./utils";
+
+// -----------------------------
+// Turnos fijos: series de reservas semanales o quincenales
+// -----------------------------
+//
+// Serie: { id, userId, courtId, time, durationMin, startDate, endDate, interval,
+//          exceptions, overrides, conflicts, status, materializedThrough, ... }
+// - Las fechas son startDate + k × 7 × interval días, hasta endDate (null = sin fin).
+// - `exceptions`: fechas salteadas. `overrides`: [{ dateISO, courtId, time, durationMin }]
+//   cambian una sola fecha. `conflicts`: [{ dateISO, reason, at }] fechas que no se
+//   pudieron reservar (bloqueo, turno tomado, feriado…); se reintentan.
+// - Cada fecha se convierte en una reserva común (con `seriesId`) recién cuando
+//   entra en la ventana de 7 días de anticipación (ver service.materializeSeriesIn).
+
+export const SERIES_STATUS = {
+  ACTIVE: "active",
+  CANCELLED: "cancelled",
+};
+
+export const SERIES_INTERVALS = {
+  1: "Todas las semanas",
+  2: "Cada dos semanas",
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function isOccurrence(series, dateISO) {
+  if (dateISO < series.startDate || (series.endDate && dateISO > series.endDate)) return false;
+  const days = Math.round((parseDate(dateISO) - parseDate(series.startDate)) / 86400000);
+  return days % (7 * series.interval) === 0;
+}
+
+// Fechas de la serie entre `from` y `to` (inclusive), sin las salteadas.
+export function occurrenceDates(series, from, to) {
+  const out = [];
+  const last = series.endDate && series.endDate < to ? series.endDate : to;
+  for (let d = parseDate(series.startDate); formatDateISO(d) <= last; d = addDays(d, 7 * series.interval)) {
+    const iso = formatDateISO(d);
+    if (iso >= from && !series.exceptions.includes(iso)) out.push(iso);
+  }
+  return out;
+}
+
+// Cancha, horario y duración de una fecha (con su cambio puntual, si tiene).
+export function occurrenceSlot(series, dateISO) {
+  const o = series.overrides.find((x) => x.dateISO === dateISO);
+  return { dateISO, courtId: o?.courtId ?? series.courtId, time: o?.time ?? series.time, durationMin: o?.durationMin ?? series.durationMin };
+}
+
+export function weekdayName(dateISO) {
+  return parseDate(dateISO).toLocaleDateString("es-AR", { weekday: "long" });
+}
+
+// Valida cancha / horario / duración (alta, edición de la serie o de una fecha).
+export function normalizeSlotInput(input, courts) {
+  const courtId = String(input.courtId || "");
+  if (!courts.some((c) => c.id === courtId)) throw new DomainError("Cancha inexistente", 404);
+  const time = String(input.time || "");
+  if (!/^\d{2}:\d{2}$/.test(time) || toMinutes(time) % SLOT_MINUTES) throw new DomainError("Horario inválido");
+  const durationMin = Number(input.durationMin) || 60;
+  if (!BOOKING_DURATIONS.includes(durationMin)) throw new DomainError("Duración inválida");
+  return { courtId, time, durationMin };
+}
+
+export function normalizeSeriesDates({ startDate, endDate, interval }) {
+  if (!DATE.test(startDate || "")) throw new DomainError("Fecha de inicio inválida");
+  if (endDate && !DATE.test(endDate)) throw new DomainError("Fecha de fin inválida");
+  if (endDate && endDate < startDate) throw new DomainError("La fecha de fin es anterior al inicio");
+  const n = Number(interval) || 1;
+  if (!SERIES_INTERVALS[n]) throw new DomainError("Frecuencia inválida");
+  return { startDate, endDate: endDate || null, interval: n };
+}
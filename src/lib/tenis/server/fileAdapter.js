@@ -0,0 +1,47 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { decodeCollection } from "../storage/codec";
+
+// Adaptador en disco para los route handlers: un JSON por colección en `dir`.
+// Cada escritura es atómica (archivo temporal + rename).
+export function createFileAdapter({ dir }) {
+  const fileOf = (collection) => path.join(dir, `${collection}.json`);
+
+  async function get(collection) {
+    try {
+      return decodeCollection(await fs.readFile(fileOf(collection), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  return {
+    name: "file",
+    load: async () => {
+      let names;
+      try {
+        names = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -5));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+      if (!names.length) return null;
+      const values = await Promise.all(names.map(get));
+      return Object.fromEntries(names.map((n, i) => [n, values[i]]));
+    },
+    save: async (collection, value) => {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(collection)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+      await fs.rename(tmp, fileOf(collection));
+    },
+    remove: async (collection) => {
+      await fs.rm(fileOf(collection), { force: true });
+    },
+    query: async (collection, predicate = () => true) => {
+      const value = await get(collection);
+      return Array.isArray(value) ? value.filter(predicate) : [];
+    },
+  };
+}
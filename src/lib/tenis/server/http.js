@@ -0,0 +1,75 @@
+import { DomainError, SchemaError } from "../errors";
+
+// -----------------------------
+// Helpers HTTP de los route handlers
+// -----------------------------
+
+export function json(data, status = 200) {
+  return Response.json(data, { status });
+}
+
+export async function readBody(req) {
+  try {
+    return await req.json();
+  } catch {
+    throw new DomainError("Body JSON inválido");
+  }
+}
+
+// Envuelve un handler: errores de dominio -> 4xx con su mensaje; el resto -> 500.
+export function handle(fn) {
+  return async (req, ctx) => {
+    try {
+      return await fn(req, ctx);
+    } catch (e) {
+      if (e instanceof SchemaError) return json({ error: e.message, code: e.code, issues: e.issues }, e.status);
+      if (e instanceof DomainError) return json({ error: e.message }, e.status);
+      console.error(e);
+      return json({ error: "Error interno" }, 500);
+    }
+  };
+}
+
+// Respuesta Server-Sent Events: `subscribe(send)` registra la fuente y
+// devuelve la función para desuscribirse cuando el cliente se desconecta.
+export function eventStream(req, subscribe, { pingMs = 25000 } = {}) {
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (chunk) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          cleanup();
+        }
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const unsubscribe = subscribe(send);
+      const ping = setInterval(() => write(": ping\n\n"), pingMs);
+      cleanup = () => {
+        clearInterval(ping);
+        unsubscribe();
+      };
+      req.signal.addEventListener("abort", () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // ya cerrado
+        }
+      });
+      send("ready", { at: new Date().toISOString() });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
@@ -0,0 +1,19 @@
+import path from "path";
+import { createService } from "../service";
+import { createAdapter, createStore } from "../storage";
+import { createFileAdapter } from "./fileAdapter";
+
+// TENIS_STORAGE=file (default) | memory
+function createServerAdapter() {
+  const kind = process.env.TENIS_STORAGE || "file";
+  if (kind === "file") return createFileAdapter({ dir: process.env.TENIS_DATA_DIR || path.join(process.cwd(), "data") });
+  return createAdapter(kind);
+}
+
+// Una sola instancia por proceso (sobrevive al hot reload de `next dev`).
+export function getService() {
+  if (!globalThis.__tenisService) {
+    globalThis.__tenisService = createService(createStore(createServerAdapter()));
+  }
+  return globalThis.__tenisService;
+}
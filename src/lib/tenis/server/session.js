@@ -0,0 +1,84 @@
+import { DomainError } from "../errors";
+import { MUST_CHANGE_PASSWORD_MSG } from "../service";
+import { json } from "./http";
+import { getService } from "./index";
+
+// -----------------------------
+// Sesión de los route handlers (cookie httpOnly)
+// -----------------------------
+//
+// El token viaja solo en la cookie. El actor (`by`) de cada operación sale de
+// la sesión, nunca del body.
+
+export const SESSION_COOKIE = "edlp_tenis_session";
+
+export function sessionToken(req) {
+  for (const part of (req.headers.get("cookie") || "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// Id del usuario de la sesión (registra actividad). 401 si no hay sesión válida.
+// Quien todavía debe cambiar la contraseña (mustChangePassword) solo puede
+// hacerlo, leer su cuenta y cerrar sesión (`pendingPassword: true`); el resto, 403.
+export async function requireActor(req, { pendingPassword = false } = {}) {
+  const session = await getService().touchSession(sessionToken(req));
+  if (!session) throw new DomainError("Tu sesión venció o fue cerrada. Ingresá de nuevo.", 401);
+  if (session.mustChangePassword && !pendingPassword) throw new DomainError(MUST_CHANGE_PASSWORD_MSG, 403);
+  return session.userId;
+}
+
+// Id del usuario de la sesión o null (visitante), para lecturas públicas. No registra actividad.
+export async function sessionActor(req) {
+  const session = await getService().getSession(sessionToken(req));
+  return session?.userId ?? null;
+}
+
+function cookie(req, value, expires) {
+  const secure = new URL(req.url).protocol === "https:" ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Expires=${expires.toUTCString()}${secure}`;
+}
+
+// Respuesta de login / registro: setea la cookie y no expone el token.
+export function sessionResponse(req, session, status = 200) {
+  const res = json({ userId: session.userId, sessionId: session.sessionId, expiresAt: session.expiresAt }, status);
+  res.headers.append("Set-Cookie", cookie(req, encodeURIComponent(session.token), new Date(session.expiresAt)));
+  return res;
+}
+
+export function clearSessionCookie(req, res) {
+  res.headers.append("Set-Cookie", cookie(req, "", new Date(0)));
+  return res;
+}
+
+// User agent del request (los clientes remotos no lo mandan en el body).
+export function userAgentOf(req) {
+  return req.headers.get("user-agent") || "";
+}
+
+// Proxies propios delante de la app (TENIS_TRUSTED_PROXY_HOPS, default 0).
+function trustedProxyHops() {
+  const hops = Number(process.env.TENIS_TRUSTED_PROXY_HOPS);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+// Origen del request para limitar intentos. x-forwarded-for / x-real-ip solo
+// valen detrás de un proxy configurado: sin él, cualquiera los inventa para
+// esquivar el límite. Cada proxy agrega a la derecha la IP de quien le habló,
+// así que el cliente es la entrada `hops` lugares antes del final (la primera
+// la puede escribir el propio cliente). Los route handlers no exponen la
+// dirección del socket: sin proxy no hay forma de distinguir clientes y se
+// devuelve null, así el servicio no lleva la cuenta por cliente (una clave
+// compartida dejaría que cualquiera bloquee el ingreso y las altas de todos).
+// Los límites por cuenta y por código siguen valiendo.
+export function clientOf(req) {
+  const hops = trustedProxyHops();
+  if (!hops) return null;
+  const chain = (req.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((ip) => ip.trim())
+    .filter(Boolean);
+  return chain[chain.length - hops] || req.headers.get("x-real-ip") || null;
+}
@@ -0,0 +1,2273 @@
+import {
+  APP_CONFIG_DEFAULT,
+  AUTH_MODES,
+  NOTIF_CHANNELS,
+  PAYMENT_EXPIRED_REASON,
+  PASSWORD_POLICY_MSG,
+  PASSWORD_REGEX,
+  PAY_STATUS,
+  RESET_TOKEN_TTL_MIN,
+  RES_STATUS,
+  SOCIO_PRICE_POLICIES,
+} from "./constants";
+import { appendAudit, verifyAuditChain } from "./audit";
+import {
+  OTP_MAX_ATTEMPTS,
+  OTP_MAX_SENDS_PER_HOUR,
+  OTP_MODES,
+  OTP_RESEND_COOLDOWN_SEC,
+  OTP_TTL_MIN,
+  VERIFY_CHANNELS,
+  VERIFY_TTL_MIN,
+  activeOtp,
+  findUserByDestination,
+  generateOtpCode,
+  hashOtp,
+  hashVerificationCode,
+  otpDestination,
+} from "./otp";
+import { createResetToken, hashPassword, hashResetToken, verifyPassword } from "./password";
+import {
+  BOOKING_DURATIONS,
+  allowedDurations,
+  closedReason,
+  durationOf,
+  fitsSchedule,
+  normalizeDurations,
+  normalizeSchedule,
+  overlaps,
+  timeRangeLabel,
+} from "./schedule";
+import {
+  SERIES_STATUS,
+  isOccurrence,
+  normalizeSeriesDates,
+  normalizeSlotInput,
+  occurrenceDates,
+  occurrenceSlot,
+  weekdayName,
+} from "./series";
+import { ANY_COURT, WAITLIST_STATUS, isHoldActive, isWaitlistOpen, slotStart } from "./waitlist";
+import { REFUND_KINDS, normalizeRefundPolicy, refundRuleFor } from "./refunds";
+import { ADMIN_ROLES, CAPS, ROLES, ROLE_LABELS, can, canAny, isStaff, permissionMessage } from "./permissions";
+import {
+  SESSION_MAX_DAYS,
+  SESSION_TOUCH_SEC,
+  createSessionRecord,
+  hashSessionToken,
+  isSessionActive,
+  publicSession,
+} from "./sessions";
+import {
+  THROTTLE_MAX_DELAY_SEC,
+  THROTTLE_POLICIES,
+  clearThrottle,
+  findThrottle,
+  pruneThrottles,
+  recordFailure,
+  throttleWait,
+} from "./throttle";
+import { applyArchive, buildArchive, diffArchive, parseArchive } from "./backup";
+import { consoleDelivery } from "./delivery";
+import { DomainError } from "./errors";
+import { SOCIO_PROVIDERS, createSocioProvider, isPadronActive, normalizeDni, parsePadronRows } from "./socios";
+import { addDays, formatDateISO, nowISOTime, sleep, startOfDay, uid } from "./utils";
+
+// -----------------------------
+// Servicio de dominio (reglas de negocio + auditoría + notificaciones)
+// -----------------------------
+//
+// `store` es el de src/lib/tenis/storage (cualquier adaptador).
+// `store.transaction(mutator)` entrega una copia del estado más reciente;
+// todas las validaciones y escrituras de una operación ocurren dentro de la
+// misma transacción, así las reglas se evalúan contra datos frescos.
+
+// `change` = { entity: { type, id }, before, after }; before/after son mapas
+// tipo -> snapshot de las entidades afectadas (ver `snapshot`).
+function pushAudit(st, by, action, detail, change = {}) {
+  appendAudit(st, { id: uid("aud"), at: nowISOTime(), by, action, detail, ...change });
+}
+
+function snapshot(parts) {
+  return Object.fromEntries(
+    Object.entries(parts).map(([type, v]) => [type, v ? (type === "user" ? publicUser(v) : structuredClone(v)) : null])
+  );
+}
+
+function pushNotify(st, event, channels, to, payload) {
+  const created = channels.map((ch) => ({ id: uid("ntf"), at: nowISOTime(), channel: ch, to, event, payload }));
+  st.notifications.unshift(...created);
+}
+
+// Mensajes con secretos pendientes de entrega, por borrador de transacción.
+// No forman parte del estado: nunca se persisten (ver delivery.js).
+const pendingDeliveries = new WeakMap();
+
+// Deja en la bandeja el aviso `notice` (sin el secreto) y encola el mensaje
+// completo `msg`, que se entrega solo si la transacción se confirma.
+function pushSecret(st, event, channel, to, { notice, msg, ...payload }) {
+  pushNotify(st, event, [channel], to, { msg: notice, ...payload });
+  const queued = pendingDeliveries.get(st) || [];
+  queued.push({ channel, to, event, msg });
+  pendingDeliveries.set(st, queued);
+}
+
+function findOwner(st, reservationId) {
+  const r = st.reservations.find((x) => x.id === reservationId);
+  return r ? st.users.find((x) => x.id === r.userId) : null;
+}
+
+// Genera y envía un código de verificación para el canal ("email" | "phone"),
+// reemplazando el pendiente anterior. Los vencidos hace más de 7 días se descartan.
+function issueVerification(st, u, channel) {
+  const ch = VERIFY_CHANNELS[channel];
+  const now = new Date();
+  const nowISO = now.toISOString();
+  const cutoff = addDays(now, -7).toISOString();
+  st.verifications = st.verifications.filter((v) => v.verifiedAt || v.expiresAt > cutoff);
+  for (const v of st.verifications) {
+    if (v.userId === u.id && v.channel === channel && !v.verifiedAt && !v.revokedAt) v.revokedAt = nowISO;
+  }
+  const code = generateOtpCode();
+  const destination = channel === "phone" ? u.phone : u.email;
+  const expiresAt = new Date(now.getTime() + VERIFY_TTL_MIN * 60000).toISOString();
+  st.verifications.push({
+    id: uid("ver"),
+    userId: u.id,
+    channel,
+    destination,
+    codeHash: hashVerificationCode(u.id, channel, code),
+    createdAt: nowISO,
+    expiresAt,
+    attempts: 0,
+    verifiedAt: null,
+    revokedAt: null,
+  });
+  pushSecret(st, "Código de verificación", ch.notify, destination, {
+    notice: `Te enviamos un código para verificar tu ${ch.label} (vence en ${VERIFY_TTL_MIN} minutos).`,
+    msg: `Tu código para verificar tu ${ch.label} es ${code}. Vence en ${VERIFY_TTL_MIN} minutos.`,
+  });
+  pushAudit(st, u.id, "Verificación", `Código enviado por ${ch.notify}`, { entity: { type: "user", id: u.id } });
+  return { expiresAt, resendAfterSec: OTP_RESEND_COOLDOWN_SEC };
+}
+
+// Abre una sesión para `u` (login / registro). Las vencidas o cerradas hace
+// más de SESSION_MAX_DAYS se descartan. Devuelve lo que necesita el cliente.
+function openSession(st, u, userAgent) {
+  const cutoff = addDays(new Date(), -SESSION_MAX_DAYS).toISOString();
+  st.sessions = st.sessions.filter((s) => (s.revokedAt || s.lastSeenAt) > cutoff);
+  const { record, token } = createSessionRecord(u.id, userAgent, uid("ses"));
+  st.sessions.push(record);
+  return { userId: u.id, sessionId: record.id, token, expiresAt: record.expiresAt };
+}
+
+function revokeSessions(st, predicate, reason) {
+  const nowISO = nowISOTime();
+  const revoked = st.sessions.filter((s) => predicate(s) && isSessionActive(s, nowISO));
+  for (const s of revoked) {
+    s.revokedAt = nowISO;
+    s.revokedReason = reason;
+  }
+  return revoked.length;
+}
+
+function publicVerification(v) {
+  const rest = { ...v };
+  delete rest.codeHash;
+  return rest;
+}
+
+// Reserva de otro usuario vista por un socio: solo lo que necesita la grilla para marcar el turno ocupado.
+function occupiedSlot(r) {
+  return { id: r.id, courtId: r.courtId, dateISO: r.dateISO, time: r.time, durationMin: r.durationMin, status: r.status, userId: null };
+}
+
+// Oferta vigente de la lista de espera a otro socio: el turno se ve retenido, sin saber para quién.
+function heldSlot(w) {
+  return {
+    id: w.id,
+    dateISO: w.dateISO,
+    time: w.time,
+    durationMin: w.durationMin,
+    courtId: w.courtId,
+    status: w.status,
+    userId: null,
+    offer: { courtId: w.offer.courtId, expiresAt: w.offer.expiresAt },
+  };
+}
+
+// Config sin los datos de conexión al sistema de socios (solo para quien la administra).
+function publicConfig(cfg) {
+  const rest = { ...cfg };
+  delete rest.socioProvider;
+  delete rest.socioProviderUrl;
+  return rest;
+}
+
+// El modo de ingreso lo define config.authMode. El personal del club puede
+// entrar siempre con contraseña, para no quedar afuera si cambia el modo.
+// Se revisa después del límite de intentos y, en el login con contraseña,
+// falla igual que una contraseña incorrecta: no revela qué cuentas son del personal.
+function authModeAllowed(st, mode, u) {
+  return st.config.authMode === mode || (mode === AUTH_MODES.EMAIL_PASSWORD && isStaff(u));
+}
+
+const AUTH_MODE_DISABLED_MSG = "Ese método de ingreso no está habilitado";
+
+// El actor (`by`) debe tener la capacidad `cap` según su rol (ver permissions.js).
+function requireCapability(st, by, cap) {
+  const actor = st.users.find((x) => x.id === by);
+  if (!can(actor, cap)) throw new DomainError(permissionMessage(cap), 403);
+  return actor;
+}
+
+// Cuentas con rol de administración: solo las gestiona quien puede otorgar esos roles.
+function requireManageable(st, by, u) {
+  if (ADMIN_ROLES.includes(u.role)) requireCapability(st, by, CAPS.ADMINS_MANAGE);
+}
+
+// `isActive` ausente = activa (usuarios anteriores a la desactivación).
+function isActiveUser(u) {
+  return u.isActive !== false;
+}
+
+const INACTIVE_MSG = "Tu cuenta está desactivada. Comunicate con el club.";
+
+export const MUST_CHANGE_PASSWORD_MSG = "Cambiá tu contraseña para continuar.";
+
+// Consultas simultáneas al sistema de socios en la revalidación masiva.
+const SOCIO_BATCH_SIZE = 5;
+
+// Errores que devuelve la vista previa del padrón (el total va en errorCount).
+const PADRON_PREVIEW_ERRORS = 200;
+
+// Los precios de config son por 60 minutos; un turno de 90 paga 1,5 veces.
+function priceFor(cfg, userType, durationMin = 60) {
+  return Math.round(((userType === "Socio" ? cfg.priceSocio : cfg.priceNoSocio) * durationMin) / 60);
+}
+
+// true si el último chequeo de socio tiene más de config.socioRevalidateHours (0 = no revalidar solo).
+function isSocioStale(u, cfg, now = new Date()) {
+  const hours = Number(cfg.socioRevalidateHours) || 0;
+  if (!hours) return false;
+  return !u.socioCheckedAt || now.getTime() - Date.parse(u.socioCheckedAt) >= hours * 3600000;
+}
+
+// Aplica config.socioPricePolicy a las reservas pendientes de pago del usuario.
+// Devuelve las reservas cuyo precio cambió.
+function repricePending(st, by, u) {
+  const policy = st.config.socioPricePolicy;
+  if (policy === SOCIO_PRICE_POLICIES.KEEP) return [];
+  const repriced = [];
+  for (const r of st.reservations) {
+    const price = priceFor(st.config, u.userType, durationOf(r));
+    if (r.userId !== u.id || r.status !== RES_STATUS.PENDING_PAYMENT || r.price === price) continue;
+    if (policy === SOCIO_PRICE_POLICIES.FAVORABLE && price > r.price) continue;
+    const p = st.payments.find((x) => x.reservationId === r.id && x.status === PAY_STATUS.PENDING);
+    const before = snapshot({ reservation: r, payment: p || null });
+    r.price = price;
+    r.updatedAt = nowISOTime();
+    if (!price) delete r.payBy; // sin precio no hay plazo de pago
+    if (p) {
+      p.amount = price;
+      p.updatedAt = nowISOTime();
+    }
+    pushAudit(st, by, "Precio", `Reserva ${r.id}: ${before.reservation.price} → ${price} (${u.userType})`, {
+      entity: { type: "reservation", id: r.id },
+      before,
+      after: snapshot({ reservation: r, payment: p || null }),
+    });
+    repriced.push(r);
+  }
+  return repriced;
+}
+
+// Anticipación máxima 7 días (y nunca en fechas pasadas).
+function assertBookableDate(dateISO) {
+  const today = startOfDay(new Date());
+  const target = startOfDay(new Date(dateISO + "T00:00:00"));
+  const max = startOfDay(addDays(today, 7));
+  if (Number.isNaN(target.getTime())) throw new DomainError("Fecha inválida");
+  if (target < today) throw new DomainError("No podés reservar en fechas pasadas");
+  if (target > max) throw new DomainError("Solo podés reservar con hasta 7 días de anticipación");
+}
+
+// Reglas de disponibilidad de un turno (cancha, duración, horario, bloqueos y
+// superposición con otras reservas de la cancha o del usuario). `ignoreId`
+// excluye a la reserva que se está moviendo.
+function assertSlotAvailable(st, { dateISO, time, courtId, durationMin, userId }, { ignoreId = null } = {}) {
+  // Cancha activa
+  const c = st.courts.find((x) => x.id === courtId);
+  if (!c || !c.isActive) throw new DomainError("Cancha no disponible");
+
+  // Duración permitida para esa cancha y franja
+  if (!BOOKING_DURATIONS.includes(durationMin)) throw new DomainError("Duración inválida");
+  const allowed = allowedDurations(st.config.bookingDurations, courtId, time);
+  if (!allowed.includes(durationMin)) {
+    throw new DomainError(`En ese horario la cancha admite turnos de ${allowed.join(" / ")} minutos`);
+  }
+
+  // Horario del club / cancha / feriados
+  if (!fitsSchedule(st.config.schedule, courtId, dateISO, time, durationMin)) {
+    throw new DomainError(closedReason(st.config.schedule, courtId, dateISO, time));
+  }
+
+  // Bloqueos
+  const slot = { dateISO, time, durationMin };
+  const blocked = st.blocks.some((b) => b.courtId === courtId && overlaps(b, slot));
+  if (blocked) throw new DomainError("Horario bloqueado por mantenimiento");
+
+  // Disponibilidad: los turnos de una cancha no se pisan
+  const others = st.reservations.filter((r) => r.id !== ignoreId && r.status !== RES_STATUS.CANCELLED && overlaps(r, slot));
+  const conflictCourt = others.find((r) => r.courtId === courtId);
+  if (conflictCourt) {
+    throw new DomainError(
+      conflictCourt.time === time ? "Ese turno ya está reservado" : `Se superpone con una reserva de ${timeRangeLabel(conflictCourt)}`
+    );
+  }
+
+  // Turno retenido por una oferta vigente de la lista de espera a otro socio
+  const held = st.waitlist.some((w) => w.userId !== userId && w.offer?.courtId === courtId && isHoldActive(w) && overlaps(w, slot));
+  if (held) throw new DomainError("Ese turno está ofrecido a la lista de espera");
+
+  // Reglas clave: usuario no puede reservar más de una cancha en el mismo horario
+  const conflictUser = others.some((r) => r.userId === userId);
+  if (conflictUser) throw new DomainError("Ya tenés una reserva en ese mismo horario");
+}
+
+// Origen del dato de socio para la auditoría: "padrón del 2026-10-01 (socio n.º 123, Activo)".
+function describeSocioCheck(check) {
+  return check.detail ? `${check.source} (${check.detail})` : check.source;
+}
+
+// Actualiza el tipo (Socio / No Socio) con la respuesta `check` del proveedor
+// de socios. Los cambios se auditan, se notifican y recalculan las reservas
+// pendientes según la política configurada; un chequeo sin cambios solo se
+// audita si se pide. Devuelve { changed, repriced } (repriced = reservas con precio nuevo).
+function applySocioStatus(st, by, u, check, reason, { auditUnchanged = false } = {}) {
+  const userType = check.socioActivo ? "Socio" : "No Socio";
+  const before = snapshot({ user: u });
+  const changed = u.userType !== userType;
+  u.userType = userType;
+  u.socioCheckedAt = nowISOTime();
+  u.socioSource = check.source;
+  if (!changed && !auditUnchanged) return { changed, repriced: 0 };
+  const detail = changed ? `${before.user.userType} → ${userType}` : `sin cambios (${userType})`;
+  pushAudit(st, by, "Socio", `${u.email}: ${detail} · ${reason} · fuente: ${describeSocioCheck(check)}`, {
+    entity: { type: "user", id: u.id },
+    before,
+    after: snapshot({ user: u }),
+  });
+  if (!changed) return { changed, repriced: 0 };
+  const repriced = repricePending(st, by, u);
+  const note = repriced.length ? ` Actualizamos el precio de ${repriced.length} reserva(s) pendiente(s) de pago.` : "";
+  pushNotify(st, "Condición de socio", ["Email"], u.email, {
+    msg: `Tu cuenta figura ahora como ${userType}.${note}`,
+    reservationIds: repriced.map((r) => r.id),
+  });
+  return { changed, repriced: repriced.length };
+}
+
+// Mensaje único para email inexistente y contraseña incorrecta (no revela qué cuentas existen).
+const LOGIN_FAILED_MSG = "Email o contraseña incorrectos";
+
+// Alta con email o DNI ya registrado (tampoco revela cuál).
+const REGISTER_REJECTED_MSG = "No pudimos crear la cuenta con esos datos. Si ya estás registrado, ingresá o recuperá tu contraseña.";
+
+// Hash de referencia para emails inexistentes: el login tarda lo mismo exista o no la cuenta.
+let timingHash = null;
+const referenceHash = () => (timingHash ||= hashPassword("edlp-tenis-referencia"));
+
+// Mensaje de espera si alguno de los registros [kind, key] está demorado o bloqueado.
+// Las claves vacías (cliente sin identificar) no se controlan.
+function throttleMessage(st, checks) {
+  const now = new Date();
+  pruneThrottles(st, now);
+  const wait = Math.max(0, ...checks.filter(([, key]) => key).map(([kind, key]) => throttleWait(findThrottle(st.throttles, kind, key), now)));
+  if (!wait) return null;
+  return wait > THROTTLE_MAX_DELAY_SEC
+    ? `Demasiados intentos fallidos. Probá de nuevo en ${Math.ceil(wait / 60)} minutos.`
+    : `Demasiados intentos. Esperá ${wait} s antes de volver a intentar.`;
+}
+
+// Cuenta el fallo para la cuenta (si hay email) y el cliente (si se lo identificó), y audita intento y bloqueos.
+function recordLoginFailure(st, { action = "Login", reason, email, client, u }) {
+  const origin = client ? recordFailure(st, "client", client, { id: uid("thr") }) : null;
+  const account = email ? recordFailure(st, "account", email, { id: uid("thr"), userId: u?.id ?? null }) : null;
+  const counts = [account && `cuenta ${account.throttle.failures}`, origin && `cliente ${origin.throttle.failures}`].filter(Boolean);
+  pushAudit(st, u?.id ?? null, action, `${reason} · ${email || "-"} desde ${client || "origen sin identificar"} · fallos: ${counts.join(", ")}`, {
+    ...(u ? { entity: { type: "user", id: u.id } } : {}),
+  });
+  for (const { throttle, locked } of [account, origin].filter(Boolean)) {
+    if (!locked) continue;
+    const policy = THROTTLE_POLICIES[throttle.kind];
+    pushAudit(st, null, "Bloqueo", `Bloqueo de ${policy.label} ${throttle.key} por ${policy.lockMinutes} minutos tras ${throttle.failures} intentos fallidos`, {
+      entity: { type: "throttle", id: throttle.id },
+    });
+  }
+  if (account?.locked && u) {
+    pushNotify(st, "Cuenta bloqueada", ["Email"], u.email, {
+      msg: `Bloqueamos el ingreso a tu cuenta por ${THROTTLE_POLICIES.account.lockMinutes} minutos tras varios intentos fallidos. Si no fuiste vos, cambiá tu contraseña.`,
+    });
+  }
+}
+
+// Los usuarios se exponen sin credenciales.
+export function publicUser(u) {
+  const rest = { ...u };
+  delete rest.passwordHash;
+  return rest;
+}
+
+// `deliver` envía los mensajes con secretos (ver delivery.js).
+export function createService(store, { deliver = consoleDelivery } = {}) {
+  async function tx(mutator) {
+    let draft = null;
+    const result = await store.transaction((st) => mutator((draft = st)));
+    for (const message of pendingDeliveries.get(draft) || []) {
+      try {
+        await deliver(message);
+      } catch (e) {
+        // La operación ya se confirmó: el usuario puede pedir otro envío.
+        console.error(e);
+      }
+    }
+    return result;
+  }
+
+  async function read(collection) {
+    const st = await store.read();
+    return st[collection];
+  }
+
+  const list = (collection) => store.query(collection);
+
+  // Consulta el proveedor de socios configurado (config.socioProvider, ver socios.js).
+  async function checkSocio(dni) {
+    const provider = createSocioProvider(await read("config"), {
+      readPadron: async (key) => (await store.query("padron", (p) => p.dni === key))[0] || null,
+    });
+    return provider.validate(dni);
+  }
+
+  // Revalidación automática (al ingresar y al reservar) cuando el último chequeo
+  // venció. Si el sistema de socios no responde se mantiene la condición anterior.
+  async function refreshSocioIfStale(userId, reason) {
+    const st = await store.read();
+    const target = st.users.find((x) => x.id === userId);
+    if (!target?.dni || !isSocioStale(target, st.config)) return;
+    let check;
+    try {
+      check = await checkSocio(target.dni);
+    } catch {
+      return;
+    }
+    await tx((next) => {
+      const u = next.users.find((x) => x.id === userId);
+      if (u) applySocioStatus(next, null, u, check, reason);
+    });
+  }
+
+  // `seriesId` no viene en los datos del pedido: solo lo asigna materializeSeriesIn.
+  function createReservationIn(st, by, { dateISO, time, courtId, durationMin = 60, forUserId }, { seriesId = null } = {}) {
+    const u = st.users.find((x) => x.id === (forUserId || by));
+    if (!u) throw new DomainError("Usuario inválido");
+    if (!isActiveUser(u)) throw new DomainError("La cuenta está desactivada", 403);
+
+    // Reglas: cuenta validada obligatorio
+    const cfg = st.config;
+    if (cfg.requireEmailValidation && !u.isEmailValidated) throw new DomainError("Debés validar tu email antes de reservar");
+    if (cfg.requirePhoneValidation && !u.isPhoneValidated) throw new DomainError("Debés validar tu WhatsApp antes de reservar");
+
+    assertBookableDate(dateISO);
+
+    durationMin = Number(durationMin);
+    assertSlotAvailable(st, { dateISO, time, courtId, durationMin, userId: u.id });
+
+    const id = uid("res");
+    const price = priceFor(cfg, u.userType, durationMin);
+    // Plazo para pagar: solo las reservas con precio que hace el propio socio
+    // (las que carga el club o genera un turno fijo no vencen).
+    const payBy =
+      price > 0 && cfg.paymentHoldMinutes > 0 && by === u.id ? new Date(Date.now() + cfg.paymentHoldMinutes * 60000).toISOString() : null;
+
+    const reservation = {
+      id,
+      userId: u.id,
+      createdBy: by,
+      dateISO,
+      time,
+      durationMin,
+      courtId,
+      status: RES_STATUS.PENDING_PAYMENT,
+      price,
+      ...(payBy ? { payBy } : {}),
+      ...(seriesId ? { seriesId } : {}),
+      createdAt: nowISOTime(),
+      updatedAt: nowISOTime(),
+    };
+    // payment record
+    const payment = {
+      id: uid("pay"),
+      reservationId: id,
+      method: null,
+      status: PAY_STATUS.PENDING,
+      amount: price,
+      createdAt: nowISOTime(),
+      updatedAt: nowISOTime(),
+      meta: {},
+    };
+    st.reservations.push(reservation);
+    st.payments.push(payment);
+
+    const origin = seriesId ? `, turno fijo ${seriesId}` : "";
+    pushAudit(st, by, "Reserva", `Creada ${id} (${dateISO} ${timeRangeLabel(reservation)} ${courtId}${origin})`, {
+      entity: { type: "reservation", id },
+      before: snapshot({ reservation: null, payment: null }),
+      after: snapshot({ reservation, payment }),
+    });
+    pushNotify(st, "Reserva creada", NOTIF_CHANNELS, u.email, { reservationId: id, dateISO, time, durationMin, courtId, price });
+    return id;
+  }
+
+  // Cancela una reserva. Si estaba pagada se reintegra según config.refundPolicy:
+  // por tramo de anticipación si cancela el socio, 100% si la cancela el club.
+  // El reintegro es por tramos (CANCEL) aunque cancele el personal a pedido del
+  // socio; CLUB_CANCEL (100%) queda para cuando el club cierra la cancha o el horario.
+  function cancelReservationIn(st, by, r, reason, kind = REFUND_KINDS.CANCEL) {
+    const p = st.payments.find((x) => x.reservationId === r.id);
+    const before = snapshot({ reservation: r, payment: p || null });
+    r.status = RES_STATUS.CANCELLED;
+    r.updatedAt = nowISOTime();
+    r.cancelReason = reason || "";
+    const u = findOwner(st, r.id);
+    if (u) pushNotify(st, "Cancelación", NOTIF_CHANNELS, u.email, { reservationId: r.id, reason });
+    const refund = refundPaymentIn(st, by, r, kind);
+    pushAudit(st, by, "Reserva", `Cancelada ${r.id} (${reason || "sin motivo"})${refund ? ` · reintegro ${refund.amount} (${refund.rule})` : ""}`, {
+      entity: { type: "reservation", id: r.id },
+      before,
+      after: snapshot({ reservation: r, payment: p || null }),
+    });
+    offerWaitlistIn(st);
+  }
+
+  // El club cierra la cancha o un horario: las reservas activas que caen ahí
+  // (`match`) se cancelan con reintegro total. Devuelve cuántas.
+  function clubCancelIn(st, by, match, reason) {
+    const affected = st.reservations.filter((r) => (r.status === RES_STATUS.PENDING_PAYMENT || r.status === RES_STATUS.CONFIRMED) && match(r));
+    for (const r of affected) cancelReservationIn(st, by, r, reason, REFUND_KINDS.CLUB_CANCEL);
+    return affected.length;
+  }
+
+  // Reintegro de un pago aprobado según la regla que corresponde (ver ./refunds).
+  // La regla aplicada queda en payment.meta.refund para poder rastrear reclamos.
+  function refundPaymentIn(st, by, r, kind) {
+    const p = st.payments.find((x) => x.reservationId === r.id);
+    const paid = (p?.amount || 0) - (p?.balanceDue || 0);
+    if (!p || p.status !== PAY_STATUS.APPROVED || paid <= 0) return null;
+    const rule = refundRuleFor(st.config.refundPolicy, r, kind);
+    const amount = Math.round((paid * rule.percent) / 100);
+    if (rule.percent === 100) p.status = PAY_STATUS.REFUNDED;
+    else if (rule.percent > 0) p.status = PAY_STATUS.REFUNDED_PARTIAL;
+    p.balanceDue = 0;
+    p.updatedAt = nowISOTime();
+    const refund = { ...rule, paid, amount, method: p.method, by, at: nowISOTime() };
+    p.meta = { ...p.meta, refund };
+    const u = findOwner(st, r.id);
+    if (u && amount) pushNotify(st, "Reintegros", NOTIF_CHANNELS, u.email, { reservationId: r.id, refundPercent: rule.percent, amount, rule: rule.rule });
+    return refund;
+  }
+
+  // Mueve una reserva activa a otra fecha / cancha / horario / duración, con las
+  // mismas reglas que al reservar. Conserva el pago: si cambia el precio de una
+  // reserva pendiente se actualiza el monto; si ya estaba pagada, la diferencia
+  // queda como saldo a pagar o se reintegra (ver applyPriceChangeIn).
+  function moveReservationIn(st, by, r, { dateISO = r.dateISO, courtId, time, durationMin }, reason) {
+    if (r.dateISO === dateISO && r.courtId === courtId && r.time === time && durationOf(r) === durationMin) return false;
+    if (dateISO !== r.dateISO) assertBookableDate(dateISO);
+    assertSlotAvailable(st, { dateISO, time, courtId, durationMin, userId: r.userId }, { ignoreId: r.id });
+    const p = st.payments.find((x) => x.reservationId === r.id);
+    const before = snapshot({ reservation: r, payment: p || null });
+    const u = findOwner(st, r.id);
+    const from = { dateISO: r.dateISO, time: r.time, durationMin: durationOf(r), courtId: r.courtId };
+    Object.assign(r, { dateISO, courtId, time, durationMin, updatedAt: nowISOTime() });
+    const change = p && u ? applyPriceChangeIn(st, by, r, p, priceFor(st.config, u.userType, durationMin)) : null;
+
+    // Una fecha de turno fijo que pasa a otro día deja de ser parte de la serie.
+    if (r.seriesId && dateISO !== from.dateISO) {
+      const s = st.series.find((x) => x.id === r.seriesId);
+      if (s) s.exceptions = [...new Set([...s.exceptions, from.dateISO])].sort();
+      delete r.seriesId;
+    }
+
+    pushAudit(st, by, "Reserva", `Modificada ${r.id}: ${from.dateISO} ${timeRangeLabel(from)} ${from.courtId} → ${dateISO} ${timeRangeLabel(r)} ${courtId} (${reason})`, {
+      entity: { type: "reservation", id: r.id },
+      before,
+      after: snapshot({ reservation: r, payment: p || null }),
+    });
+    if (u) {
+      pushNotify(st, "Reserva modificada", NOTIF_CHANNELS, u.email, {
+        reservationId: r.id,
+        from,
+        to: { dateISO, time, durationMin, courtId },
+        price: r.price,
+        ...(change ? { [change.kind]: change.amount } : {}),
+      });
+    }
+    offerWaitlistIn(st);
+    return true;
+  }
+
+  // Nuevo precio de una reserva que se movió. Pendiente: cambia el monto a
+  // pagar. Pagada: la diferencia a favor del club queda en `balanceDue` (se
+  // cobra con Mercado Pago o en efectivo); la diferencia a favor del socio
+  // primero descuenta el saldo y el resto se reintegra por el mismo medio.
+  // Cada ajuste queda en `payment.adjustments`. Devuelve { kind, amount } o null.
+  function applyPriceChangeIn(st, by, r, p, price) {
+    const diff = price - r.price;
+    if (!diff) return null;
+    r.price = price;
+    p.amount = price;
+    p.updatedAt = nowISOTime();
+    if (r.status === RES_STATUS.PENDING_PAYMENT) {
+      if (!price) delete r.payBy;
+      return null;
+    }
+    const due = p.balanceDue || 0;
+    const kind = diff > 0 ? "charge" : "credit";
+    const amount = Math.abs(diff);
+    const refunded = kind === "credit" ? Math.max(0, amount - due) : 0;
+    p.balanceDue = kind === "charge" ? due + amount : Math.max(0, due - amount);
+    p.adjustments = [...(p.adjustments || []), { at: nowISOTime(), by, kind, amount, refunded, method: p.method }];
+    if (refunded) {
+      const u = findOwner(st, r.id);
+      if (u) pushNotify(st, "Reintegros", NOTIF_CHANNELS, u.email, { reservationId: r.id, amount: refunded, method: p.method });
+    }
+    return { kind, amount };
+  }
+
+  // Cobra el saldo que dejó una reprogramación a un turno más caro.
+  function payBalanceIn(st, by, r, p, method) {
+    const before = snapshot({ reservation: r, payment: p });
+    const amount = p.balanceDue;
+    p.adjustments = [...(p.adjustments || []), { at: nowISOTime(), by, kind: "payment", amount, method }];
+    p.balanceDue = 0;
+    p.updatedAt = nowISOTime();
+    pushAudit(st, by, "Pago", `Saldo ${amount} cobrado por ${method} (res=${r.id})`, {
+      entity: { type: "reservation", id: r.id },
+      before,
+      after: snapshot({ reservation: r, payment: p }),
+    });
+    const u = findOwner(st, r.id);
+    if (u) pushNotify(st, "Pago confirmado", NOTIF_CHANNELS, u.email, { reservationId: r.id, amount, method });
+  }
+
+  // -----------------------------
+  // Lista de espera (ver ./waitlist)
+  // -----------------------------
+
+  // Primera cancha en la que la entrada entra ahora mismo (null si ninguna).
+  function freeCourtFor(st, w) {
+    const courtIds = w.courtId === ANY_COURT ? st.courts.map((c) => c.id) : [w.courtId];
+    for (const courtId of courtIds) {
+      try {
+        assertSlotAvailable(st, { ...w, courtId });
+        return courtId;
+      } catch (e) {
+        if (!(e instanceof DomainError)) throw e;
+      }
+    }
+    return null;
+  }
+
+  function findWaitlistEntry(st, by, waitlistId) {
+    const w = st.waitlist.find((x) => x.id === waitlistId);
+    if (!w) throw new DomainError("Entrada de lista de espera inexistente", 404);
+    if (w.userId !== by) requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+    return w;
+  }
+
+  // Ofrece los turnos libres a las entradas en espera, por orden de llegada. La
+  // oferta retiene el turno config.waitlistHoldMinutes (nunca más allá del inicio).
+  function offerWaitlistIn(st) {
+    const now = new Date();
+    const waiting = st.waitlist
+      .filter((w) => w.status === WAITLIST_STATUS.WAITING && slotStart(w) > now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const w of waiting) {
+      const u = st.users.find((x) => x.id === w.userId);
+      if (!u || !isActiveUser(u)) continue;
+      const courtId = freeCourtFor(st, w);
+      if (!courtId) continue;
+      const expiresAt = new Date(Math.min(now.getTime() + st.config.waitlistHoldMinutes * 60000, slotStart(w).getTime())).toISOString();
+      Object.assign(w, { status: WAITLIST_STATUS.OFFERED, offer: { courtId, offeredAt: now.toISOString(), expiresAt }, updatedAt: nowISOTime() });
+      pushAudit(st, null, "Lista de espera", `Turno ${w.dateISO} ${timeRangeLabel(w)} ${courtId} ofrecido a ${u.email} hasta ${expiresAt}`, {
+        entity: { type: "waitlist", id: w.id },
+      });
+      pushNotify(st, "Turno disponible", NOTIF_CHANNELS, u.email, {
+        waitlistId: w.id,
+        dateISO: w.dateISO,
+        time: w.time,
+        durationMin: w.durationMin,
+        courtId,
+        expiresAt,
+      });
+    }
+  }
+
+  function isWaitlistDue(w, now) {
+    return isWaitlistOpen(w) && (slotStart(w) <= now || (w.status === WAITLIST_STATUS.OFFERED && !isHoldActive(w, now.toISOString())));
+  }
+
+  // Vence las ofertas no aceptadas a tiempo (el turno pasa al siguiente) y las
+  // entradas de turnos que ya empezaron.
+  function expireWaitlistIn(st) {
+    const now = new Date();
+    const due = st.waitlist.filter((w) => isWaitlistDue(w, now));
+    for (const w of due) {
+      const lapsed = w.status === WAITLIST_STATUS.OFFERED;
+      Object.assign(w, { status: WAITLIST_STATUS.EXPIRED, updatedAt: nowISOTime() });
+      if (!lapsed) continue;
+      const u = st.users.find((x) => x.id === w.userId);
+      pushAudit(st, null, "Lista de espera", `Venció la oferta ${w.id} (${w.dateISO} ${timeRangeLabel(w)} ${w.offer.courtId})`, {
+        entity: { type: "waitlist", id: w.id },
+      });
+      if (u) pushNotify(st, "Oferta vencida", ["Email"], u.email, { waitlistId: w.id, dateISO: w.dateISO, time: w.time, courtId: w.offer.courtId });
+    }
+    if (due.length) offerWaitlistIn(st);
+    return due.length;
+  }
+
+  // -----------------------------
+  // Vencimientos
+  // -----------------------------
+
+  function isUnpaidExpired(r, nowISO) {
+    return r.status === RES_STATUS.PENDING_PAYMENT && Boolean(r.payBy) && r.payBy <= nowISO;
+  }
+
+  // Cancela las reservas que no se pagaron dentro del plazo (`payBy`) y ofrece
+  // los turnos liberados a la lista de espera.
+  function expireUnpaidIn(st) {
+    const nowISO = new Date().toISOString();
+    const due = st.reservations.filter((r) => isUnpaidExpired(r, nowISO));
+    for (const r of due) {
+      const p = st.payments.find((x) => x.reservationId === r.id && x.status === PAY_STATUS.PENDING);
+      const before = snapshot({ reservation: r, payment: p || null });
+      Object.assign(r, { status: RES_STATUS.CANCELLED, cancelReason: PAYMENT_EXPIRED_REASON, updatedAt: nowISOTime() });
+      if (p) Object.assign(p, { status: PAY_STATUS.EXPIRED, updatedAt: nowISOTime() });
+      pushAudit(st, null, "Pago vencido", `Cancelada ${r.id} (${r.dateISO} ${timeRangeLabel(r)} ${r.courtId}): sin pago al ${r.payBy}`, {
+        entity: { type: "reservation", id: r.id },
+        before,
+        after: snapshot({ reservation: r, payment: p || null }),
+      });
+      const u = findOwner(st, r.id);
+      if (u) {
+        pushNotify(st, "Reserva vencida", NOTIF_CHANNELS, u.email, {
+          reservationId: r.id,
+          dateISO: r.dateISO,
+          time: r.time,
+          courtId: r.courtId,
+          reason: PAYMENT_EXPIRED_REASON,
+        });
+      }
+    }
+    if (due.length) offerWaitlistIn(st);
+    return due.length;
+  }
+
+  // Reservas impagas y lista de espera. Se llama al ingresar, al reservar y en
+  // cada revisión de sesión: solo escribe si hay algo que vencer.
+  async function sweepExpired() {
+    const now = new Date();
+    const [unpaid, waiting] = await Promise.all([
+      store.query("reservations", (r) => isUnpaidExpired(r, now.toISOString())),
+      store.query("waitlist", (w) => isWaitlistDue(w, now)),
+    ]);
+    if (!unpaid.length && !waiting.length) return;
+    await tx((st) => {
+      expireUnpaidIn(st);
+      expireWaitlistIn(st);
+    });
+  }
+
+  // -----------------------------
+  // Turnos fijos (ver ./series)
+  // -----------------------------
+
+  // Reserva las fechas de las series que ya entraron en la ventana de 7 días.
+  // Las que no se pueden reservar quedan en `conflicts` (y se avisa al socio);
+  // se reintentan en la próxima pasada. Devuelve { created, conflicts }.
+  function materializeSeriesIn(st, list) {
+    const today = formatDateISO(new Date());
+    const windowEnd = formatDateISO(addDays(startOfDay(new Date()), 7));
+    let created = 0;
+    const conflicts = [];
+    for (const s of list) {
+      if (s.status !== SERIES_STATUS.ACTIVE) continue;
+      s.conflicts = s.conflicts.filter((c) => c.dateISO >= today);
+      for (const dateISO of occurrenceDates(s, today, windowEnd)) {
+        if (st.reservations.some((r) => r.seriesId === s.id && r.dateISO === dateISO)) continue;
+        const slot = occurrenceSlot(s, dateISO);
+        const prev = s.conflicts.find((c) => c.dateISO === dateISO);
+        try {
+          createReservationIn(st, null, { ...slot, forUserId: s.userId }, { seriesId: s.id });
+          s.conflicts = s.conflicts.filter((c) => c !== prev);
+          created++;
+        } catch (e) {
+          if (!(e instanceof DomainError)) throw e;
+          conflicts.push({ seriesId: s.id, dateISO, reason: e.message });
+          if (prev?.reason === e.message) continue;
+          s.conflicts = [...s.conflicts.filter((c) => c !== prev), { dateISO, reason: e.message, at: nowISOTime() }];
+          pushAudit(st, null, "Turno fijo", `${s.id}: no se pudo reservar el ${dateISO} (${e.message})`, { entity: { type: "series", id: s.id } });
+          const u = st.users.find((x) => x.id === s.userId);
+          if (u) pushNotify(st, "Turno fijo sin reservar", ["Email"], u.email, { seriesId: s.id, dateISO, reason: e.message });
+        }
+      }
+      s.materializedThrough = windowEnd;
+    }
+    return { created, conflicts };
+  }
+
+  // Se llama al ingresar y al reservar: solo escribe si alguna serie activa
+  // todavía no cubre la ventana de hoy.
+  async function materializeDueSeries() {
+    const windowEnd = formatDateISO(addDays(startOfDay(new Date()), 7));
+    const due = await store.query("series", (s) => s.status === SERIES_STATUS.ACTIVE && (s.materializedThrough || "") < windowEnd);
+    if (!due.length) return;
+    await tx((st) => {
+      materializeSeriesIn(st, st.series.filter((s) => due.some((d) => d.id === s.id)));
+    });
+  }
+
+  function findSeries(st, seriesId) {
+    const s = st.series.find((x) => x.id === seriesId);
+    if (!s) throw new DomainError("Turno fijo inexistente", 404);
+    return s;
+  }
+
+  // Reservas ya generadas de la serie desde hoy (sin las canceladas).
+  function upcomingOccurrences(st, s) {
+    const today = formatDateISO(new Date());
+    return st.reservations.filter((r) => r.seriesId === s.id && r.dateISO >= today && r.status !== RES_STATUS.CANCELLED);
+  }
+
+  function registerCashPaymentIn(st, by, reservationId) {
+    const r = st.reservations.find((x) => x.id === reservationId);
+    const p = st.payments.find((x) => x.reservationId === reservationId);
+    if (!r || !p) throw new DomainError("Reserva inexistente", 404);
+    if (r.status === RES_STATUS.CONFIRMED && p.balanceDue > 0) return payBalanceIn(st, by, r, p, "Efectivo (recepción)");
+    const before = snapshot({ reservation: r, payment: p });
+    p.method = "Efectivo (recepción)";
+    p.status = PAY_STATUS.APPROVED;
+    p.updatedAt = nowISOTime();
+    p.meta = { cash: { by, at: nowISOTime() } };
+    r.status = RES_STATUS.CONFIRMED;
+    r.updatedAt = nowISOTime();
+    pushAudit(st, by, "Pago", `Efectivo aprobado (res=${reservationId})`, {
+      entity: { type: "reservation", id: reservationId },
+      before,
+      after: snapshot({ reservation: r, payment: p }),
+    });
+    const u = findOwner(st, reservationId);
+    if (u) pushNotify(st, "Pago confirmado", NOTIF_CHANNELS, u.email, { reservationId, method: "cash" });
+  }
+
+  // Estado y actor de una lectura: las listas devuelven solo lo que `by` puede
+  // ver. 401 si no hay un usuario activo; 403 si todavía debe cambiar la contraseña.
+  async function readAs(by, { pendingPassword = false } = {}) {
+    const st = await store.read();
+    const actor = st.users.find((x) => x.id === by);
+    if (!actor || !isActiveUser(actor)) throw new DomainError("Ingresá para ver esta información", 401);
+    if (actor.mustChangePassword && !pendingPassword) throw new DomainError(MUST_CHANGE_PASSWORD_MSG, 403);
+    return { st, actor };
+  }
+
+  // Estado para una lectura que exige la capacidad `cap` (403 si el actor no la tiene).
+  async function readRequiring(by, cap) {
+    const { st } = await readAs(by);
+    requireCapability(st, by, cap);
+    return st;
+  }
+
+  return {
+    // El personal con agenda ve a todos los usuarios; un socio (o quien todavía
+    // debe cambiar la contraseña), solo su cuenta.
+    listUsers: async (by) => {
+      const { st, actor } = await readAs(by, { pendingPassword: true });
+      return (can(actor, CAPS.AGENDA_VIEW) && !actor.mustChangePassword ? st.users : [actor]).map(publicUser);
+    },
+    listCourts: () => list("courts"),
+    listBlocks: async (by) => (await readAs(by)).st.blocks,
+    // Un socio ve sus reservas completas y, de las demás, solo el turno que ocupan.
+    listReservations: async (by) => {
+      const { st, actor } = await readAs(by);
+      if (can(actor, CAPS.AGENDA_VIEW)) return st.reservations;
+      return st.reservations
+        .filter((r) => r.userId === actor.id || r.status !== RES_STATUS.CANCELLED)
+        .map((r) => (r.userId === actor.id ? r : occupiedSlot(r)));
+    },
+    listPayments: async (by) => {
+      const { st, actor } = await readAs(by);
+      if (canAny(actor, [CAPS.PAYMENTS_CASH, CAPS.RESERVATIONS_MANAGE, CAPS.USERS_MANAGE, CAPS.AUDIT_VIEW])) return st.payments;
+      const own = new Set(st.reservations.filter((r) => r.userId === actor.id).map((r) => r.id));
+      return st.payments.filter((p) => own.has(p.reservationId));
+    },
+    listAudit: async (by) => (await readRequiring(by, CAPS.AUDIT_VIEW)).audit,
+    // El personal que ve el historial o gestiona usuarios ve toda la bandeja; el
+    // resto, solo lo que se le envió a su email o teléfono.
+    listNotifications: async (by) => {
+      const { st, actor } = await readAs(by);
+      if (canAny(actor, [CAPS.AUDIT_VIEW, CAPS.USERS_MANAGE])) return st.notifications;
+      return st.notifications.filter((n) => n.to === actor.email || (actor.phone && n.to === actor.phone));
+    },
+    listVerifications: async (by) => {
+      const { st, actor } = await readAs(by);
+      const visible = can(actor, CAPS.USERS_VERIFY) ? st.verifications : st.verifications.filter((v) => v.userId === actor.id);
+      return visible.map(publicVerification);
+    },
+
+    // Cambios confirmados en el store ({ collections, at }).
+    subscribe: (fn) => store.subscribe(fn),
+
+    // Recuperación de un backend local (el del navegador). Con el backend `remote`
+    // no se expone por HTTP: se usa `npm run recovery` en el servidor.
+    getRecovery: () => store.recovery(),
+
+    // Verifica la cadena de auditoría y deja constancia del resultado.
+    verifyAudit: (by) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.AUDIT_VIEW);
+        const result = verifyAuditChain(st.audit);
+        const detail = result.ok
+          ? `Integridad OK (${result.total} entradas)`
+          : `Cadena rota en la entrada #${result.brokenAt.position} (${result.brokenAt.id}): ${result.brokenAt.reason}`;
+        pushAudit(st, by, "Integridad", detail, { entity: { type: "audit", id: null } });
+        return result;
+      }),
+    resetState: () => store.reset(),
+
+    // Pública (la pantalla de ingreso necesita el modo de ingreso); la conexión
+    // con el sistema de socios solo la ve quien administra la config.
+    getConfig: async (by = null) => {
+      const st = await store.read();
+      const actor = st.users.find((x) => x.id === by);
+      return can(actor, CAPS.CONFIG_MANAGE) && !actor.mustChangePassword ? st.config : publicConfig(st.config);
+    },
+    setConfig: (by, patch) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.CONFIG_MANAGE);
+        if (!patch || typeof patch !== "object") throw new DomainError("Configuración inválida");
+        for (const [k, v] of Object.entries(patch)) {
+          if (!(k in APP_CONFIG_DEFAULT)) throw new DomainError(`Opción de configuración desconocida: ${k}`);
+          if (typeof v !== typeof APP_CONFIG_DEFAULT[k] || v === null) throw new DomainError(`config.${k}: se esperaba ${typeof APP_CONFIG_DEFAULT[k]}`);
+        }
+        for (const k of ["priceSocio", "priceNoSocio"]) {
+          if (patch[k] !== undefined && !(Number.isFinite(patch[k]) && patch[k] >= 0)) throw new DomainError("Los precios deben ser un número mayor o igual a 0");
+        }
+        if (patch.currency !== undefined && !patch.currency.trim()) throw new DomainError("Falta la moneda");
+        if (patch.schedule !== undefined) throw new DomainError("Los horarios se cambian con setSchedule");
+        if (patch.bookingDurations !== undefined) patch = { ...patch, bookingDurations: normalizeDurations(patch.bookingDurations, st.courts) };
+        if (patch.refundPolicy !== undefined) patch = { ...patch, refundPolicy: normalizeRefundPolicy(patch.refundPolicy) };
+        if (patch.authMode !== undefined && !Object.values(AUTH_MODES).includes(patch.authMode)) {
+          throw new DomainError("Modo de autenticación inválido");
+        }
+        if (patch.socioPricePolicy !== undefined && !Object.values(SOCIO_PRICE_POLICIES).includes(patch.socioPricePolicy)) {
+          throw new DomainError("Política de precios inválida");
+        }
+        if (patch.socioProvider !== undefined && !Object.values(SOCIO_PROVIDERS).includes(patch.socioProvider)) {
+          throw new DomainError("Proveedor de socios inválido");
+        }
+        if (patch.socioProviderUrl !== undefined && patch.socioProviderUrl !== "" && !/^https?:\/\/\S+$/.test(patch.socioProviderUrl)) {
+          throw new DomainError("La URL del sistema de socios debe empezar con http:// o https://");
+        }
+        if (patch.socioRevalidateHours !== undefined && !(Number.isInteger(patch.socioRevalidateHours) && patch.socioRevalidateHours >= 0)) {
+          throw new DomainError("Las horas de revalidación deben ser un número entero (0 = no revalidar)");
+        }
+        if (patch.paymentHoldMinutes !== undefined && !(Number.isInteger(patch.paymentHoldMinutes) && patch.paymentHoldMinutes >= 0)) {
+          throw new DomainError("El plazo de pago debe ser un número entero de minutos (0 = no vence)");
+        }
+        if (patch.rescheduleDeadlineHours !== undefined && !(Number.isInteger(patch.rescheduleDeadlineHours) && patch.rescheduleDeadlineHours >= 0)) {
+          throw new DomainError("El plazo para reprogramar debe ser un número entero de horas");
+        }
+        if (patch.waitlistHoldMinutes !== undefined && !(Number.isInteger(patch.waitlistHoldMinutes) && patch.waitlistHoldMinutes >= 1)) {
+          throw new DomainError("Los minutos de retención de la lista de espera deben ser un número entero mayor a 0");
+        }
+        const before = snapshot({ config: st.config });
+        st.config = { ...st.config, ...patch };
+        pushAudit(st, by, "Config", JSON.stringify(patch), {
+          entity: { type: "config", id: "config" },
+          before,
+          after: snapshot({ config: st.config }),
+        });
+        return st.config;
+      }),
+
+    // Reemplaza el horario completo. Las reservas ya tomadas que quedan fuera del
+    // horario nuevo no se cancelan: se devuelven para que el admin las resuelva.
+    setSchedule: (by, schedule) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.CONFIG_MANAGE);
+        const next = normalizeSchedule(schedule, st.courts);
+        const before = snapshot({ schedule: st.config.schedule });
+        st.config = { ...st.config, schedule: next };
+        const today = formatDateISO(new Date());
+        const outside = st.reservations
+          .filter((r) => r.status !== RES_STATUS.CANCELLED && r.dateISO >= today && !fitsSchedule(next, r.courtId, r.dateISO, r.time, durationOf(r)))
+          .map((r) => r.id);
+        const summary = `${next.seasons.length} temporada(s), ${next.holidays.length} feriado(s)`;
+        pushAudit(st, by, "Horarios", outside.length ? `${summary}; ${outside.length} reserva(s) fuera de horario` : summary, {
+          entity: { type: "config", id: "schedule" },
+          before,
+          after: snapshot({ schedule: next }),
+        });
+        return { schedule: next, outside };
+      }),
+
+    // Consulta de prueba al proveedor configurado (no cambia ningún usuario).
+    testSocioProvider: async (by, dni) => {
+      await tx((st) => requireCapability(st, by, CAPS.CONFIG_MANAGE));
+      const cfg = await read("config");
+      let result;
+      try {
+        result = { ok: true, ...(await checkSocio(dni)) };
+      } catch (e) {
+        result = { ok: false, error: e?.message || "Error" };
+      }
+      await tx((st) => {
+        const outcome = result.ok
+          ? `${result.socioActivo ? "socio activo" : "no socio"} · fuente: ${describeSocioCheck(result)}`
+          : `error: ${result.error}`;
+        pushAudit(st, by, "Socio", `Prueba del proveedor ${cfg.socioProvider} con DNI ${normalizeDni(dni)}: ${outcome}`, {
+          entity: { type: "config", id: "config" },
+        });
+      });
+      return { provider: cfg.socioProvider, ...result };
+    },
+
+    // Padrón importado: cantidad de filas, activas y datos de la última importación.
+    getPadronSummary: async (by) => {
+      const rows = (await readRequiring(by, CAPS.CONFIG_MANAGE)).padron;
+      const today = formatDateISO(new Date());
+      const last = rows.reduce((a, r) => (!a || r.importedAt > a.importedAt ? r : a), null);
+      return {
+        total: rows.length,
+        active: rows.filter((r) => isPadronActive(r, today)).length,
+        importedAt: last?.importedAt || null,
+        importedBy: last?.importedBy || null,
+      };
+    },
+
+    // Vista previa de un padrón (filas de la planilla, la primera con encabezados):
+    // filas válidas, errores por línea y diferencias con el padrón actual. No escribe.
+    getPadronPreview: async (by, rows) => {
+      const st = await readRequiring(by, CAPS.CONFIG_MANAGE);
+      const { entries, errors } = parsePadronRows(rows);
+      const today = formatDateISO(new Date());
+      const current = new Map(st.padron.map((r) => [r.dni, r]));
+      const next = new Map(entries.map((r) => [r.dni, r]));
+      const activeNow = (dni) => isPadronActive(current.get(dni), today);
+      const activeNext = (dni) => isPadronActive(next.get(dni), today);
+      return {
+        valid: entries.length,
+        active: entries.filter((r) => isPadronActive(r, today)).length,
+        errors: errors.slice(0, PADRON_PREVIEW_ERRORS),
+        errorCount: errors.length,
+        added: entries.filter((r) => !current.has(r.dni)).length,
+        removed: st.padron.filter((r) => !next.has(r.dni)).length,
+        statusChanges: entries.filter((r) => current.has(r.dni) && activeNow(r.dni) !== activeNext(r.dni)).length,
+        // Usuarios registrados que cambiarían de condición al revalidarse con este padrón.
+        affectedUsers: entries.length
+          ? st.users.filter((u) => u.dni && (u.userType === "Socio") !== activeNext(normalizeDni(u.dni))).length
+          : 0,
+        sample: entries.slice(0, 5),
+      };
+    },
+
+    // Reemplaza el padrón por las filas válidas del archivo (las filas con error se omiten).
+    importPadron: (by, rows, { fileName } = {}) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.CONFIG_MANAGE);
+        const { entries, errors } = parsePadronRows(rows);
+        if (!entries.length) throw new DomainError("El archivo no tiene filas válidas para importar");
+        const importedAt = nowISOTime();
+        const previous = st.padron.length;
+        st.padron = entries.map((r) => ({ id: uid("pad"), ...r, importedAt, importedBy: by }));
+        pushAudit(
+          st,
+          by,
+          "Padrón",
+          `Importado ${fileName || "padrón"}: ${entries.length} filas (antes ${previous}), ${errors.length} con error omitidas`,
+          { entity: { type: "padron", id: null } }
+        );
+        return { imported: entries.length, skipped: errors.length };
+      }),
+
+    // Respaldo completo (incluye credenciales: solo para administradores).
+    exportBackup: (by) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.BACKUP_MANAGE);
+        pushAudit(st, by, "Backup", "Exportación de respaldo", { entity: { type: "backup", id: null } });
+        return buildArchive(st, by);
+      }),
+
+    getImportPreview: async (by, archive) => {
+      const st = await readRequiring(by, CAPS.BACKUP_MANAGE);
+      const data = parseArchive(archive);
+      return { exportedAt: archive.exportedAt, schemaVersion: archive.schemaVersion, ...diffArchive(st, data) };
+    },
+
+    importBackup: (by, archive, mode) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.BACKUP_MANAGE);
+        const data = parseArchive(archive);
+        const diff = diffArchive(st, data);
+        applyArchive(st, data, mode);
+        const counts = Object.entries(diff.collections)
+          .map(([c, d]) => `${c}: +${d.added}${d.conflictCount ? ` / ${d.conflictCount} conflictos` : ""}`)
+          .join(", ");
+        const label = mode === "replace" ? "reemplazo" : "fusión";
+        pushAudit(st, by, "Backup", `Importación (${label}) del respaldo ${archive.exportedAt || "-"} · ${counts}`, {
+          entity: { type: "backup", id: null },
+        });
+        return diff;
+      }),
+
+    // `client` identifica el origen del pedido (IP en el servidor) para limitar intentos.
+    // Sin él (null) no hay límite por cliente: una clave compartida bloquearía a todos.
+    register: async ({ email, phone, dni, password, userAgent, client }) => {
+      const dniClean = String(dni || "").trim();
+      const emailClean = String(email || "").trim().toLowerCase();
+      const phoneClean = String(phone || "").trim();
+      const pass = String(password || "");
+
+      if (!dniClean || dniClean.length < 6) throw new DomainError("DNI inválido");
+      if (!emailClean.includes("@")) throw new DomainError("Email inválido");
+      if (!phoneClean) throw new DomainError("Teléfono obligatorio");
+
+      // 🔐 Política de contraseña
+      if (!PASSWORD_REGEX.test(pass)) throw new DomainError(PASSWORD_POLICY_MSG);
+
+      // Si el sistema de socios no responde, el alta sigue como No Socio y se
+      // revalida en el próximo ingreso o reserva (socioCheckedAt vacío).
+      const check = await checkSocio(dniClean).catch(() => null);
+      const userType = check?.socioActivo ? "Socio" : "No Socio";
+      const passwordHash = await hashPassword(pass);
+      const clientKey = client ? String(client) : null;
+
+      // Las altas rechazadas se cuentan y auditan, por eso el error se lanza fuera de la transacción.
+      const result = await tx((st) => {
+        const blocked = throttleMessage(st, [["register", clientKey]]);
+        if (blocked) return { error: blocked, status: 429 };
+        const exists = st.users.some((u) => u.email === emailClean || u.dni === dniClean);
+        if (exists) {
+          if (!clientKey) {
+            pushAudit(st, null, "Register", "Alta rechazada: email o DNI ya registrado (origen sin identificar)");
+            return { error: REGISTER_REJECTED_MSG, status: 409 };
+          }
+          const { throttle, locked } = recordFailure(st, "register", clientKey, { id: uid("thr") });
+          pushAudit(st, null, "Register", `Alta rechazada: email o DNI ya registrado (desde ${clientKey}, fallo ${throttle.failures})`);
+          if (locked) {
+            const policy = THROTTLE_POLICIES.register;
+            pushAudit(st, null, "Bloqueo", `Bloqueo de ${policy.label} ${clientKey} por ${policy.lockMinutes} minutos tras ${throttle.failures} altas rechazadas`, {
+              entity: { type: "throttle", id: throttle.id },
+            });
+          }
+          return { error: REGISTER_REJECTED_MSG, status: 409 };
+        }
+
+        const id = uid("usr");
+        const user = {
+          id,
+          role: ROLES.USER,
+          email: emailClean,
+          phone: phoneClean,
+          dni: dniClean,
+          userType,
+          socioCheckedAt: check ? nowISOTime() : null,
+          socioSource: check?.source || null,
+          createdAt: nowISOTime(),
+          passwordHash,
+          isEmailValidated: false,
+          isPhoneValidated: false,
+        };
+        st.users.push(user);
+        const source = check ? describeSocioCheck(check) : "sistema de socios sin respuesta";
+        pushAudit(st, id, "Register", `Alta usuario (${userType} · fuente: ${source})`, {
+          entity: { type: "user", id },
+          before: snapshot({ user: null }),
+          after: snapshot({ user }),
+        });
+        pushNotify(st, "Validación de cuenta", NOTIF_CHANNELS, emailClean, {
+          msg: "Tu cuenta fue creada. Validá email/WhatsApp para reservar.",
+        });
+        issueVerification(st, user, "email");
+        issueVerification(st, user, "phone");
+        return { session: openSession(st, user, userAgent) };
+      });
+      if (result.error) throw new DomainError(result.error, result.status);
+      return result.session;
+    },
+
+    // Mismo error para email inexistente y contraseña incorrecta; los fallos
+    // demoran y bloquean la cuenta y el cliente (ver throttle.js).
+    // PBKDF2 es lento a propósito: la contraseña se verifica (y se rehashea si
+    // hace falta) fuera de la transacción, para no frenar las demás escrituras.
+    // Al volver a entrar se revisa de nuevo el bloqueo y se descarta la
+    // verificación si el hash cambió mientras tanto.
+    loginEmailPassword: async ({ email, password, userAgent, client }) => {
+      const e = String(email || "").trim().toLowerCase();
+      const clientKey = client ? String(client) : null;
+      const checks = [["account", e], ["client", clientKey]];
+      const fallback = await referenceHash();
+
+      const pre = await store.read();
+      const blocked = throttleMessage(pre, checks);
+      if (blocked) throw new DomainError(blocked, 429);
+      const found = pre.users.find((x) => x.email === e);
+      const checkedHash = found?.passwordHash || fallback;
+      const { ok, needsRehash } = await verifyPassword(String(password || ""), checkedHash);
+      const rehashed = ok && needsRehash ? await hashPassword(String(password)) : null;
+
+      const result = await tx((st) => {
+        const blockedNow = throttleMessage(st, checks);
+        if (blockedNow) return { error: blockedNow, status: 429 };
+        const u = st.users.find((x) => x.email === e);
+        // La contraseña cambió mientras se verificaba: se rechaza sin contar el intento.
+        if (u && u.passwordHash !== checkedHash) return { error: LOGIN_FAILED_MSG, status: 401 };
+        const allowed = authModeAllowed(st, AUTH_MODES.EMAIL_PASSWORD, u);
+        if (!u || !ok || !allowed) {
+          const reason = u && ok ? "Ingreso rechazado: Email+Password no habilitado" : "Intento fallido (Email+Password)";
+          recordLoginFailure(st, { reason, email: e, client: clientKey, u });
+          return { error: LOGIN_FAILED_MSG, status: 401 };
+        }
+        clearThrottle(st, "account", e);
+        if (!isActiveUser(u)) {
+          pushAudit(st, u.id, "Login", "Ingreso rechazado: cuenta desactivada", { entity: { type: "user", id: u.id } });
+          return { error: INACTIVE_MSG, status: 403 };
+        }
+        // Registros en texto plano (o con menos iteraciones) se actualizan al primer login válido.
+        if (rehashed) {
+          u.passwordHash = rehashed;
+          pushAudit(st, u.id, "Password", "Hash de contraseña actualizado", { entity: { type: "user", id: u.id } });
+        }
+        pushAudit(st, u.id, "Login", "Email+Password", { entity: { type: "user", id: u.id } });
+        return { session: openSession(st, u, userAgent) };
+      });
+      if (result.error) throw new DomainError(result.error, result.status);
+      await refreshSocioIfStale(result.session.userId, "ingreso");
+      await materializeDueSeries();
+      await sweepExpired();
+      return result.session;
+    },
+
+    changePassword: async (by, { currentPassword, newPassword }) => {
+      const next = String(newPassword || "");
+      if (!PASSWORD_REGEX.test(next)) throw new DomainError(PASSWORD_POLICY_MSG);
+      if (next === String(currentPassword || "")) throw new DomainError("La nueva contraseña debe ser distinta de la actual");
+      const passwordHash = await hashPassword(next);
+
+      // Igual que en el login, PBKDF2 corre fuera de la transacción.
+      const found = (await store.read()).users.find((x) => x.id === by);
+      if (!found) throw new DomainError("Usuario inválido", 404);
+      const { ok } = await verifyPassword(String(currentPassword || ""), found.passwordHash);
+      if (!ok) throw new DomainError("La contraseña actual no es correcta", 401);
+
+      return tx((st) => {
+        const u = st.users.find((x) => x.id === by);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        if (u.passwordHash !== found.passwordHash) throw new DomainError("La contraseña cambió mientras tanto. Probá de nuevo.", 409);
+        const before = snapshot({ user: u });
+        u.passwordHash = passwordHash;
+        u.mustChangePassword = false;
+        u.passwordChangedAt = nowISOTime();
+        pushAudit(st, by, "Password", "Cambio de contraseña", {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        return true;
+      });
+    },
+
+    // "Olvidé mi contraseña": la respuesta es la misma exista o no el email.
+    requestPasswordReset: ({ email }) => {
+      const e = String(email || "").trim().toLowerCase();
+      const { token, tokenHash } = createResetToken();
+
+      return tx((st) => {
+        const now = new Date();
+        const u = st.users.find((x) => x.email === e);
+        if (!u) {
+          pushAudit(st, null, "Password", `Recuperación solicitada para un email no registrado (${e || "-"})`);
+          return { ok: true };
+        }
+        // Un solo enlace vigente por usuario; los vencidos hace más de un día se descartan.
+        const cutoff = addDays(now, -1).toISOString();
+        st.passwordResets = st.passwordResets.filter((r) => r.expiresAt > cutoff);
+        for (const r of st.passwordResets) {
+          if (r.userId === u.id && !r.usedAt && !r.revokedAt) r.revokedAt = now.toISOString();
+        }
+        const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MIN * 60000).toISOString();
+        st.passwordResets.push({
+          id: uid("rst"),
+          userId: u.id,
+          tokenHash,
+          createdAt: now.toISOString(),
+          expiresAt,
+          usedAt: null,
+          revokedAt: null,
+        });
+        pushSecret(st, "Recuperación de contraseña", "Email", u.email, {
+          notice: `Te enviamos un enlace para elegir una nueva contraseña (vence en ${RESET_TOKEN_TTL_MIN} minutos).`,
+          msg: `Para elegir una nueva contraseña abrí /?reset=${token} (vence en ${RESET_TOKEN_TTL_MIN} minutos).`,
+          expiresAt,
+        });
+        pushAudit(st, u.id, "Password", "Recuperación solicitada: enlace enviado por email", {
+          entity: { type: "user", id: u.id },
+        });
+        return { ok: true };
+      });
+    },
+
+    // Consume el token (un solo uso), cambia la contraseña y cierra todas las sesiones.
+    resetPassword: async ({ token, newPassword }) => {
+      const next = String(newPassword || "");
+      if (!PASSWORD_REGEX.test(next)) throw new DomainError(PASSWORD_POLICY_MSG);
+      const passwordHash = await hashPassword(next);
+      const tokenHash = hashResetToken(String(token || "").trim());
+
+      // Los intentos fallidos también se auditan, por eso no se lanza dentro de la transacción.
+      const failure = await tx((st) => {
+        const now = nowISOTime();
+        const r = st.passwordResets.find((x) => x.tokenHash === tokenHash);
+        const u = r && st.users.find((x) => x.id === r.userId);
+        const reason = !r
+          ? "inexistente"
+          : r.usedAt
+            ? "ya utilizado"
+            : r.revokedAt
+              ? "reemplazado por uno más nuevo"
+              : r.expiresAt < now
+                ? "vencido"
+                : !u
+                  ? "de un usuario inexistente"
+                  : null;
+        if (reason) {
+          pushAudit(st, r?.userId ?? null, "Password", `Restablecimiento rechazado: enlace ${reason}`);
+          return reason;
+        }
+
+        const before = snapshot({ user: u });
+        r.usedAt = now;
+        u.passwordHash = passwordHash;
+        u.mustChangePassword = false;
+        u.passwordChangedAt = now;
+        revokeSessions(st, (s) => s.userId === u.id, "password_reset");
+        pushAudit(st, u.id, "Password", "Contraseña restablecida con enlace de recuperación; sesiones cerradas", {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        pushNotify(st, "Contraseña restablecida", NOTIF_CHANNELS, u.email, {
+          msg: "Tu contraseña fue cambiada. Si no fuiste vos, comunicate con el club.",
+        });
+        return null;
+      });
+      if (failure) throw new DomainError("El enlace de recuperación no es válido o ya venció. Pedí uno nuevo.");
+      return true;
+    },
+
+    // Envía un código por Email o WhatsApp (según el modo). Para un destino sin
+    // usuario se responde igual y se registra el pedido, pero no se envía nada.
+    requestOtp: async ({ mode, email, phone }) => {
+      const result = await tx((st) => {
+        if (!OTP_MODES.includes(mode)) throw new DomainError("Modo de ingreso inválido");
+        const isPhone = mode === AUTH_MODES.PHONE_OTP;
+        const destination = otpDestination(mode, { email, phone });
+        if (isPhone ? destination.length < 8 : !destination.includes("@")) {
+          throw new DomainError(isPhone ? "Teléfono inválido" : "Email inválido");
+        }
+
+        const now = new Date();
+        const nowISO = now.toISOString();
+        st.otpCodes = st.otpCodes.filter((c) => c.createdAt > addDays(now, -1).toISOString());
+        const sent = st.otpCodes.filter((c) => c.destination === destination);
+        const lastAt = sent.reduce((max, c) => (c.createdAt > max ? c.createdAt : max), "");
+        const wait = lastAt ? Math.ceil((Date.parse(lastAt) + OTP_RESEND_COOLDOWN_SEC * 1000 - now.getTime()) / 1000) : 0;
+        if (wait > 0) throw new DomainError(`Esperá ${wait} s para pedir otro código`, 429);
+        const hourAgo = new Date(now.getTime() - 3600000).toISOString();
+        if (sent.filter((c) => c.createdAt > hourAgo).length >= OTP_MAX_SENDS_PER_HOUR) {
+          throw new DomainError("Se pidieron demasiados códigos para este destino. Probá de nuevo en una hora.", 429);
+        }
+        if (!authModeAllowed(st, mode)) {
+          pushAudit(st, null, "OTP", `Código pedido con un método no habilitado (${mode}, ${destination})`);
+          return { error: AUTH_MODE_DISABLED_MSG };
+        }
+
+        for (const c of sent) if (!c.usedAt && !c.revokedAt) c.revokedAt = nowISO;
+        const u = findUserByDestination(st.users, mode, destination);
+        const code = generateOtpCode();
+        const expiresAt = new Date(now.getTime() + OTP_TTL_MIN * 60000).toISOString();
+        st.otpCodes.push({
+          id: uid("otp"),
+          mode,
+          destination,
+          userId: u?.id ?? null,
+          codeHash: hashOtp(destination, code),
+          createdAt: nowISO,
+          expiresAt,
+          attempts: 0,
+          usedAt: null,
+          revokedAt: null,
+        });
+
+        if (u) {
+          const channel = isPhone ? "WhatsApp Business" : "Email";
+          pushSecret(st, "Código de ingreso", channel, isPhone ? u.phone : u.email, {
+            notice: `Te enviamos un código de ingreso (vence en ${OTP_TTL_MIN} minutos).`,
+            msg: `Tu código de ingreso es ${code}. Vence en ${OTP_TTL_MIN} minutos.`,
+          });
+          pushAudit(st, u.id, "OTP", `Código de ingreso enviado por ${channel}`, { entity: { type: "user", id: u.id } });
+        } else {
+          pushAudit(st, null, "OTP", `Código pedido para un destino no registrado (${destination})`);
+        }
+        return { ok: true, expiresAt, resendAfterSec: OTP_RESEND_COOLDOWN_SEC };
+      });
+      if (result.error) throw new DomainError(result.error);
+      return result;
+    },
+
+    // Los intentos fallidos se cuentan y auditan, por eso el error se lanza fuera de la transacción.
+    // El cliente también acumula fallos, para frenar la prueba de códigos sobre muchos destinos.
+    loginWithOtp: async ({ mode, email, phone, otp, userAgent, client }) => {
+      const clientKey = client ? String(client) : null;
+      const result = await tx((st) => {
+        if (!OTP_MODES.includes(mode)) throw new DomainError("Modo de ingreso inválido");
+        const blocked = throttleMessage(st, [["client", clientKey]]);
+        if (blocked) return { error: blocked, status: 429 };
+        if (!authModeAllowed(st, mode)) {
+          recordLoginFailure(st, { action: "OTP", reason: `Ingreso rechazado: ${mode} no habilitado`, client: clientKey });
+          return { error: AUTH_MODE_DISABLED_MSG, status: 400 };
+        }
+        const destination = otpDestination(mode, { email, phone });
+        const nowISO = nowISOTime();
+        const c = activeOtp(st.otpCodes, destination, nowISO);
+        if (!c) {
+          recordLoginFailure(st, { action: "OTP", reason: `Ingreso rechazado: sin código vigente (${destination || "-"})`, client: clientKey });
+          return { error: "El código venció o no existe. Pedí uno nuevo." };
+        }
+        if (c.codeHash !== hashOtp(destination, String(otp || "").trim())) {
+          c.attempts += 1;
+          const left = OTP_MAX_ATTEMPTS - c.attempts;
+          if (left <= 0) c.revokedAt = nowISO;
+          recordLoginFailure(st, {
+            action: "OTP",
+            reason: `Código incorrecto (intento ${c.attempts} de ${OTP_MAX_ATTEMPTS})`,
+            client: clientKey,
+            u: st.users.find((x) => x.id === c.userId),
+          });
+          return {
+            error: left > 0 ? `Código incorrecto. Te quedan ${left} intentos.` : "Demasiados intentos fallidos. Pedí un nuevo código.",
+          };
+        }
+        c.usedAt = nowISO;
+        const u = st.users.find((x) => x.id === c.userId);
+        if (!u) return { error: "El código venció o no existe. Pedí uno nuevo." };
+        if (!isActiveUser(u)) {
+          pushAudit(st, u.id, "Login", "Ingreso rechazado: cuenta desactivada", { entity: { type: "user", id: u.id } });
+          return { error: INACTIVE_MSG, status: 403 };
+        }
+        pushAudit(st, u.id, "Login", mode, { entity: { type: "user", id: u.id } });
+        return { session: openSession(st, u, userAgent) };
+      });
+      if (result.error) throw new DomainError(result.error, result.status || 401);
+      await refreshSocioIfStale(result.session.userId, "ingreso");
+      await materializeDueSeries();
+      await sweepExpired();
+      return result.session;
+    },
+
+    // Sesión del token (null si no existe, venció o fue cerrada). No escribe.
+    getSession: async (token) => {
+      if (!token) return null;
+      const tokenHash = hashSessionToken(String(token));
+      const [s] = await store.query("sessions", (x) => x.tokenHash === tokenHash);
+      return isSessionActive(s, nowISOTime()) ? publicSession(s) : null;
+    },
+
+    // Igual que getSession, pero registra actividad (renueva el vencimiento por
+    // inactividad) e informa si el usuario todavía debe cambiar la contraseña.
+    // Como corre periódicamente, también procesa los vencimientos (reservas
+    // impagas y lista de espera).
+    touchSession: async (token) => {
+      if (!token) return null;
+      await sweepExpired();
+      const tokenHash = hashSessionToken(String(token));
+      return tx((st) => {
+        const s = st.sessions.find((x) => x.tokenHash === tokenHash);
+        const now = new Date();
+        if (!isSessionActive(s, now.toISOString())) return null;
+        if (now.getTime() - Date.parse(s.lastSeenAt) >= SESSION_TOUCH_SEC * 1000) s.lastSeenAt = now.toISOString();
+        const u = st.users.find((x) => x.id === s.userId);
+        return { ...publicSession(s), mustChangePassword: Boolean(u?.mustChangePassword) };
+      });
+    },
+
+    logout: async (token) => {
+      if (!token) return false;
+      const tokenHash = hashSessionToken(String(token));
+      return tx((st) => {
+        const s = st.sessions.find((x) => x.tokenHash === tokenHash);
+        if (!s || !revokeSessions(st, (x) => x === s, "logout")) return false;
+        pushAudit(st, s.userId, "Sesión", "Cierre de sesión", { entity: { type: "session", id: s.id } });
+        return true;
+      });
+    },
+
+    // Sesiones activas del usuario ("Dispositivos" en el perfil).
+    listSessions: async (by) => {
+      const nowISO = nowISOTime();
+      const sessions = await store.query("sessions", (s) => s.userId === by && isSessionActive(s, nowISO));
+      return sessions.map(publicSession).sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    },
+
+    revokeSession: (by, sessionId) =>
+      tx((st) => {
+        const s = st.sessions.find((x) => x.id === sessionId && x.userId === by);
+        if (!s) throw new DomainError("Sesión inexistente", 404);
+        revokeSessions(st, (x) => x === s, "revoked");
+        pushAudit(st, by, "Sesión", "Sesión cerrada desde otro dispositivo", { entity: { type: "session", id: s.id } });
+        return true;
+      }),
+
+    // "Cerrar sesión en todos": incluye la sesión actual.
+    logoutAll: (by) =>
+      tx((st) => {
+        const count = revokeSessions(st, (s) => s.userId === by, "logout_all");
+        pushAudit(st, by, "Sesión", `Cierre de sesión en todos los dispositivos (${count})`, { entity: { type: "user", id: by } });
+        return count;
+      }),
+
+    // Verificación de email / WhatsApp: se envía un código y solo al ingresarlo
+    // se marca el canal como validado.
+    requestVerification: (by, channel) =>
+      tx((st) => {
+        const ch = VERIFY_CHANNELS[channel];
+        if (!ch) throw new DomainError("Canal inválido");
+        const u = st.users.find((x) => x.id === by);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        if (u[ch.flag]) throw new DomainError(`Tu ${ch.label} ya está validado`, 409);
+        const lastAt = st.verifications
+          .filter((v) => v.userId === u.id && v.channel === channel)
+          .reduce((max, v) => (v.createdAt > max ? v.createdAt : max), "");
+        const wait = lastAt ? Math.ceil((Date.parse(lastAt) + OTP_RESEND_COOLDOWN_SEC * 1000 - Date.now()) / 1000) : 0;
+        if (wait > 0) throw new DomainError(`Esperá ${wait} s para pedir otro código`, 429);
+        return issueVerification(st, u, channel);
+      }),
+
+    // Los intentos fallidos se cuentan y auditan, por eso el error se lanza fuera de la transacción.
+    confirmVerification: async (by, channel, code) => {
+      const result = await tx((st) => {
+        const ch = VERIFY_CHANNELS[channel];
+        if (!ch) throw new DomainError("Canal inválido");
+        const u = st.users.find((x) => x.id === by);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        const nowISO = nowISOTime();
+        const v = st.verifications.find(
+          (x) => x.userId === u.id && x.channel === channel && !x.verifiedAt && !x.revokedAt && x.expiresAt > nowISO
+        );
+        if (!v) return { error: "El código venció o no existe. Pedí uno nuevo." };
+        if (v.codeHash !== hashVerificationCode(u.id, channel, String(code || "").trim())) {
+          v.attempts += 1;
+          const left = OTP_MAX_ATTEMPTS - v.attempts;
+          if (left <= 0) v.revokedAt = nowISO;
+          pushAudit(st, u.id, "Verificación", `Código de ${ch.label} incorrecto (intento ${v.attempts} de ${OTP_MAX_ATTEMPTS})`);
+          return {
+            error: left > 0 ? `Código incorrecto. Te quedan ${left} intentos.` : "Demasiados intentos fallidos. Pedí un nuevo código.",
+          };
+        }
+        const before = snapshot({ user: u });
+        v.verifiedAt = nowISO;
+        u[ch.flag] = true;
+        pushAudit(st, u.id, "Verificación", `Verificación de ${ch.label} con código`, {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        pushNotify(st, "Validación de cuenta", [ch.notify], v.destination, { msg: `Tu ${ch.label} quedó validado.` });
+        return { ok: true };
+      });
+      if (result.error) throw new DomainError(result.error);
+      return true;
+    },
+
+    // Cuentas y clientes con intentos fallidos (Admin → Historial).
+    listThrottles: async (by) => (await readRequiring(by, CAPS.SECURITY_MANAGE)).throttles,
+
+    unlockThrottle: (by, throttleId) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.SECURITY_MANAGE);
+        const t = st.throttles.find((x) => x.id === throttleId);
+        if (!t) throw new DomainError("Bloqueo inexistente", 404);
+        clearThrottle(st, t.kind, t.key);
+        pushAudit(st, by, "Bloqueo", `Desbloqueo de ${THROTTLE_POLICIES[t.kind].label} ${t.key} (${t.failures} intentos fallidos)`, {
+          entity: { type: "throttle", id: t.id },
+          before: snapshot({ throttle: t }),
+          after: snapshot({ throttle: null }),
+        });
+        return true;
+      }),
+
+    // Validación manual por el personal del club (con motivo, queda auditada).
+    overrideValidation: (by, userId, { emailOk, phoneOk, reason }) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.USERS_VERIFY);
+        const why = String(reason || "").trim();
+        if (!why) throw new DomainError("Indicá el motivo de la validación manual");
+        const u = st.users.find((x) => x.id === userId);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+
+        const before = snapshot({ user: u });
+        const nowISO = nowISOTime();
+        for (const [channel, value] of [["email", emailOk], ["phone", phoneOk]]) {
+          if (typeof value !== "boolean") continue;
+          u[VERIFY_CHANNELS[channel].flag] = value;
+          for (const v of st.verifications) {
+            if (v.userId === u.id && v.channel === channel && !v.verifiedAt && !v.revokedAt) {
+              v.revokedAt = nowISO;
+              v.overriddenBy = by;
+            }
+          }
+        }
+        pushAudit(st, by, "Verificación", `Validación manual: email=${emailOk ?? "-"}, whatsapp=${phoneOk ?? "-"} (motivo: ${why})`, {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        pushNotify(st, "Validación de cuenta", NOTIF_CHANNELS, u.email, { emailOk, phoneOk });
+      }),
+
+    // Asigna el rol de un usuario. Los roles de administración solo los cambia
+    // un super admin, y nadie cambia el propio (evita quedarse sin administradores).
+    setUserRole: (by, userId, role) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.ROLES_MANAGE);
+        if (!Object.values(ROLES).includes(role)) throw new DomainError("Rol inválido");
+        const u = st.users.find((x) => x.id === userId);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        if (u.id === by) throw new DomainError("No podés cambiar tu propio rol", 409);
+        if (ADMIN_ROLES.includes(role) || ADMIN_ROLES.includes(u.role)) requireCapability(st, by, CAPS.ADMINS_MANAGE);
+        if (u.role === role) return true;
+        const before = snapshot({ user: u });
+        u.role = role;
+        pushAudit(st, by, "Rol", `${u.email}: ${ROLE_LABELS[before.user.role] || before.user.role} → ${ROLE_LABELS[role]}`, {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        pushNotify(st, "Cambio de rol", ["Email"], u.email, { msg: `Tu rol en el sistema ahora es: ${ROLE_LABELS[role]}.` });
+        return true;
+      }),
+
+    // Edición de email / teléfono por el personal. Un dato nuevo vuelve a
+    // quedar pendiente de verificación y se le envía el código.
+    updateUserContact: (by, userId, { email, phone }) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.USERS_MANAGE);
+        const u = st.users.find((x) => x.id === userId);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        requireManageable(st, by, u);
+        const emailClean = String(email ?? u.email).trim().toLowerCase();
+        const phoneClean = String(phone ?? u.phone).trim();
+        if (!emailClean.includes("@")) throw new DomainError("Email inválido");
+        if (!phoneClean) throw new DomainError("Teléfono obligatorio");
+        if (st.users.some((x) => x.id !== u.id && x.email === emailClean)) {
+          throw new DomainError("Ya existe otro usuario con ese email", 409);
+        }
+        const emailChanged = emailClean !== u.email;
+        const phoneChanged = phoneClean !== u.phone;
+        if (!emailChanged && !phoneChanged) return false;
+
+        const before = snapshot({ user: u });
+        const previousEmail = u.email;
+        u.email = emailClean;
+        u.phone = phoneClean;
+        if (emailChanged) {
+          u.isEmailValidated = false;
+          // Un enlace de recuperación enviado al email anterior deja de servir.
+          for (const r of st.passwordResets) if (r.userId === u.id && !r.usedAt && !r.revokedAt) r.revokedAt = nowISOTime();
+        }
+        if (phoneChanged) u.isPhoneValidated = false;
+        pushAudit(st, by, "Usuario", `Datos de contacto de ${u.email} actualizados`, {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        if (emailChanged) {
+          pushNotify(st, "Datos de contacto", ["Email"], previousEmail, {
+            msg: `El club cambió el email de tu cuenta a ${u.email}. Si no lo pediste, comunicate con el club.`,
+          });
+          issueVerification(st, u, "email");
+        }
+        if (phoneChanged) issueVerification(st, u, "phone");
+        return true;
+      }),
+
+    // Desactivar cierra las sesiones e impide ingresar y reservar.
+    setUserActive: (by, userId, { active, reason }) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.USERS_MANAGE);
+        const u = st.users.find((x) => x.id === userId);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        if (u.id === by) throw new DomainError("No podés desactivar tu propia cuenta", 409);
+        requireManageable(st, by, u);
+        if (active && u.mergedInto) throw new DomainError("La cuenta fue unificada con otra y no se puede reactivar", 409);
+        const why = String(reason || "").trim();
+        if (!active && !why) throw new DomainError("Indicá el motivo de la desactivación");
+        if (isActiveUser(u) === Boolean(active)) return false;
+
+        const before = snapshot({ user: u });
+        if (active) {
+          u.isActive = true;
+          u.deactivatedAt = null;
+          u.deactivatedBy = null;
+          u.deactivationReason = null;
+        } else {
+          u.isActive = false;
+          u.deactivatedAt = nowISOTime();
+          u.deactivatedBy = by;
+          u.deactivationReason = why;
+          revokeSessions(st, (s) => s.userId === u.id, "deactivated");
+        }
+        pushAudit(st, by, "Usuario", `${u.email} ${active ? "reactivado" : `desactivado (motivo: ${why})`}`, {
+          entity: { type: "user", id: u.id },
+          before,
+          after: snapshot({ user: u }),
+        });
+        pushNotify(st, active ? "Cuenta reactivada" : "Cuenta desactivada", ["Email"], u.email, {
+          msg: active ? "Tu cuenta fue reactivada." : "Tu cuenta fue desactivada. Para más información comunicate con el club.",
+        });
+        return true;
+      }),
+
+    // Vuelve a consultar el sistema de socios con el DNI del usuario.
+    // El permiso se exige antes de consultar al proveedor.
+    revalidateSocio: async (by, userId) => {
+      const pre = await readRequiring(by, CAPS.USERS_MANAGE);
+      const target = pre.users.find((x) => x.id === userId);
+      if (!target) throw new DomainError("Usuario inválido", 404);
+      requireManageable(pre, by, target);
+      const check = await checkSocio(target.dni);
+      return tx((st) => {
+        requireCapability(st, by, CAPS.USERS_MANAGE);
+        const u = st.users.find((x) => x.id === userId);
+        if (!u) throw new DomainError("Usuario inválido", 404);
+        requireManageable(st, by, u);
+        applySocioStatus(st, by, u, check, "revalidación manual", { auditUnchanged: true });
+        return { userType: u.userType, source: check.source };
+      });
+    },
+
+    // Revalidación masiva: consulta el sistema de socios por cada cuenta activa
+    // con DNI (de a SOCIO_BATCH_SIZE consultas en paralelo) y aplica todos los
+    // resultados en una sola transacción. Las consultas que fallan no cambian nada.
+    revalidateAllSocios: async (by) => {
+      await tx((st) => requireCapability(st, by, CAPS.USERS_MANAGE));
+      const targets = await store.query("users", (u) => isActiveUser(u) && Boolean(u.dni));
+      const results = new Map();
+      let failed = 0;
+      let firstError = null;
+      for (let i = 0; i < targets.length; i += SOCIO_BATCH_SIZE) {
+        const batch = targets.slice(i, i + SOCIO_BATCH_SIZE);
+        const answers = await Promise.allSettled(batch.map((t) => checkSocio(t.dni)));
+        answers.forEach((a, j) => {
+          if (a.status === "fulfilled") results.set(batch[j].id, a.value);
+          else {
+            failed += 1;
+            firstError ||= a.reason?.message || "Error";
+          }
+        });
+      }
+      return tx((st) => {
+        requireCapability(st, by, CAPS.USERS_MANAGE);
+        let changed = 0;
+        let repriced = 0;
+        for (const [userId, check] of results) {
+          const u = st.users.find((x) => x.id === userId);
+          if (!u) continue;
+          const result = applySocioStatus(st, by, u, check, "revalidación masiva");
+          if (result.changed) changed += 1;
+          repriced += result.repriced;
+        }
+        pushAudit(
+          st,
+          by,
+          "Socio",
+          `Revalidación masiva: ${results.size} consultadas, ${changed} con cambio de condición, ${repriced} reservas con precio nuevo, ${failed} sin respuesta${firstError ? ` (${firstError})` : ""}`,
+          { entity: { type: "user", id: null } }
+        );
+        return { checked: results.size, changed, repriced, failed, error: firstError };
+      });
+    },
+
+    // Unifica una cuenta duplicada (`dropId`) en `keepId`: las reservas pasan a
+    // `keepId` y la duplicada queda desactivada con `mergedInto` (no se borra,
+    // para que la auditoría la siga referenciando).
+    mergeUsers: (by, { keepId, dropId, reason }) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.USERS_MERGE);
+        const keep = st.users.find((x) => x.id === keepId);
+        const drop = st.users.find((x) => x.id === dropId);
+        if (!keep || !drop) throw new DomainError("Usuario inválido", 404);
+        if (keep.id === drop.id) throw new DomainError("Elegí dos cuentas distintas");
+        if (drop.mergedInto) throw new DomainError("Esa cuenta ya fue unificada", 409);
+        if (keep.mergedInto) throw new DomainError("La cuenta que se conserva ya fue unificada con otra", 409);
+        if (!isActiveUser(keep)) throw new DomainError("La cuenta que se conserva está desactivada: reactivala antes de unificar", 409);
+        if (isStaff(drop)) throw new DomainError("Quitá el rol de personal de la cuenta duplicada antes de unificarla", 409);
+        const why = String(reason || "").trim();
+        if (!why) throw new DomainError("Indicá el motivo de la unificación");
+
+        const active = (r) => r.status !== RES_STATUS.CANCELLED;
+        const keepRes = st.reservations.filter((r) => r.userId === keep.id && active(r));
+        const clash = st.reservations.find((r) => r.userId === drop.id && active(r) && keepRes.some((k) => overlaps(k, r)));
+        if (clash) {
+          throw new DomainError(`Las dos cuentas tienen reservas el ${clash.dateISO} de ${timeRangeLabel(clash)}: cancelá una antes de unificar`, 409);
+        }
+
+        const before = snapshot({ user: drop });
+        const moved = st.reservations.filter((r) => r.userId === drop.id);
+        for (const r of moved) r.userId = keep.id;
+        for (const x of st.series) if (x.userId === drop.id) x.userId = keep.id;
+        for (const x of st.waitlist) if (x.userId === drop.id) x.userId = keep.id;
+        drop.isActive = false;
+        drop.mergedInto = keep.id;
+        drop.deactivatedAt = nowISOTime();
+        drop.deactivatedBy = by;
+        drop.deactivationReason = `Unificada con ${keep.email}: ${why}`;
+        revokeSessions(st, (s) => s.userId === drop.id, "merged");
+        st.passwordResets = st.passwordResets.filter((r) => r.userId !== drop.id);
+        st.verifications = st.verifications.filter((v) => v.userId !== drop.id);
+        pushAudit(st, by, "Usuario", `Cuenta ${drop.email} unificada con ${keep.email} (${moved.length} reservas movidas; motivo: ${why})`, {
+          entity: { type: "user", id: drop.id },
+          before,
+          after: snapshot({ user: drop }),
+        });
+        pushNotify(st, "Cuentas unificadas", ["Email"], keep.email, {
+          msg: `Unificamos tu cuenta con la registrada como ${drop.email}. Sus reservas ahora están en esta cuenta.`,
+        });
+        return { moved: moved.length };
+      }),
+
+    setCourtActive: (by, courtId, isActive) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.COURTS_MANAGE);
+        const c = st.courts.find((x) => x.id === courtId);
+        if (!c) throw new DomainError("Cancha inexistente", 404);
+        const before = snapshot({ court: c });
+        c.isActive = Boolean(isActive);
+        pushAudit(st, by, "Court", `${courtId} active=${c.isActive}`, {
+          entity: { type: "court", id: courtId },
+          before,
+          after: snapshot({ court: c }),
+        });
+        // Las reservas que quedan en una cancha deshabilitada las cancela el club.
+        const now = new Date();
+        const cancelled = c.isActive ? 0 : clubCancelIn(st, by, (r) => r.courtId === courtId && slotStart(r) > now, `Cancha ${c.name} deshabilitada`);
+        return { cancelled };
+      }),
+
+    addBlock: (by, { courtId, dateISO, time, durationMin = 60, reason }) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.BLOCKS_MANAGE);
+        if (!st.courts.some((c) => c.id === courtId)) throw new DomainError("Cancha inexistente", 404);
+        durationMin = Number(durationMin);
+        if (!BOOKING_DURATIONS.includes(durationMin)) throw new DomainError("Duración inválida");
+        if (!fitsSchedule(st.config.schedule, courtId, dateISO, time, durationMin)) {
+          throw new DomainError(closedReason(st.config.schedule, courtId, dateISO, time));
+        }
+        const id = uid("blk");
+        const block = { id, courtId, dateISO, time, durationMin, reason, createdBy: by, createdAt: nowISOTime() };
+        st.blocks.push(block);
+        pushAudit(st, by, "Block", `${courtId} ${dateISO} ${timeRangeLabel(block)} (${reason || "s/reason"})`, {
+          entity: { type: "block", id },
+          before: snapshot({ block: null }),
+          after: snapshot({ block }),
+        });
+        // Las reservas que ya ocupaban el horario las cancela el club.
+        clubCancelIn(st, by, (r) => r.courtId === courtId && overlaps(r, block), `Cancha bloqueada: ${reason || "sin motivo"}`);
+        return id;
+      }),
+
+    removeBlock: (by, blockId) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.BLOCKS_MANAGE);
+        const block = st.blocks.find((b) => b.id === blockId);
+        st.blocks = st.blocks.filter((b) => b.id !== blockId);
+        pushAudit(st, by, "Unblock", blockId, {
+          entity: { type: "block", id: blockId },
+          before: snapshot({ block }),
+          after: snapshot({ block: null }),
+        });
+        offerWaitlistIn(st);
+      }),
+
+    // Reservar para otro usuario requiere gestionar reservas (se controla antes
+    // de consultar al sistema de socios por esa cuenta).
+    // El precio sale de la condición de socio, que se revalida antes si venció.
+    // Antes se generan los turnos fijos que entraron en la ventana (tienen
+    // prioridad) y se liberan las reservas impagas y las ofertas vencidas.
+    createReservation: async (by, input) => {
+      if (input?.forUserId && input.forUserId !== by) await readRequiring(by, CAPS.RESERVATIONS_MANAGE);
+      await refreshSocioIfStale(input?.forUserId || by, "reserva");
+      await materializeDueSeries();
+      await sweepExpired();
+      return tx((st) => {
+        if (input?.forUserId && input.forUserId !== by) requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        return createReservationIn(st, by, input);
+      });
+    },
+
+    payWithMercadoPago: async (by, reservationId) => {
+      // DEMO: aprobación inmediata
+      await sleep(650);
+      return tx((st) => {
+        const r = st.reservations.find((x) => x.id === reservationId);
+        const p = st.payments.find((x) => x.reservationId === reservationId);
+        if (!r || !p) throw new DomainError("Reserva inexistente", 404);
+        if (r.userId !== by) requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        if (r.status === RES_STATUS.CONFIRMED && p.balanceDue > 0) {
+          payBalanceIn(st, by, r, p, "Mercado Pago");
+          return true;
+        }
+        if (r.status !== RES_STATUS.PENDING_PAYMENT) throw new DomainError("La reserva no está pendiente de pago", 409);
+        if (isUnpaidExpired(r, new Date().toISOString())) throw new DomainError("Venció el plazo para pagar esta reserva", 409);
+        const before = snapshot({ reservation: r, payment: p });
+        p.method = "Mercado Pago";
+        p.status = PAY_STATUS.APPROVED;
+        p.updatedAt = nowISOTime();
+        p.meta = { mp: { status: "approved", operationId: uid("mp"), at: nowISOTime() } };
+        r.status = RES_STATUS.CONFIRMED;
+        r.updatedAt = nowISOTime();
+        pushAudit(st, by, "Pago", `MP aprobado (res=${reservationId})`, {
+          entity: { type: "reservation", id: reservationId },
+          before,
+          after: snapshot({ reservation: r, payment: p }),
+        });
+        const u = findOwner(st, reservationId);
+        if (u) pushNotify(st, "Pago confirmado", NOTIF_CHANNELS, u.email, { reservationId });
+        return true;
+      });
+    },
+
+    registerCashPayment: (by, reservationId) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.PAYMENTS_CASH);
+        registerCashPaymentIn(st, by, reservationId);
+      }),
+
+    cancelReservation: (by, reservationId, reason) =>
+      tx((st) => {
+        const r = st.reservations.find((x) => x.id === reservationId);
+        if (!r) throw new DomainError("Reserva inexistente", 404);
+        if (r.userId !== by) requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        if (r.status === RES_STATUS.CANCELLED || r.status === RES_STATUS.NO_SHOW) throw new DomainError("La reserva ya no está activa", 409);
+        cancelReservationIn(st, by, r, reason);
+        return st.payments.find((x) => x.reservationId === r.id)?.meta?.refund || null;
+      }),
+
+    // Reprogramar (otra fecha / horario / cancha / duración) conservando el pago.
+    // El socio puede hasta config.rescheduleDeadlineHours antes del turno; quien
+    // gestiona reservas, siempre.
+    rescheduleReservation: async (by, reservationId, input) => {
+      await sweepExpired();
+      return tx((st) => {
+        const r = st.reservations.find((x) => x.id === reservationId);
+        if (!r) throw new DomainError("Reserva inexistente", 404);
+        if (r.userId !== by) requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        if (r.status !== RES_STATUS.PENDING_PAYMENT && r.status !== RES_STATUS.CONFIRMED) {
+          throw new DomainError("Solo se pueden reprogramar reservas pendientes o confirmadas", 409);
+        }
+        const staff = can(st.users.find((x) => x.id === by), CAPS.RESERVATIONS_MANAGE);
+        const hours = st.config.rescheduleDeadlineHours;
+        if (!staff && Date.parse(`${r.dateISO}T${r.time}:00`) - Date.now() < hours * 3600000) {
+          throw new DomainError(`Las reservas se pueden reprogramar hasta ${hours} h antes del turno`, 409);
+        }
+        const dateISO = String(input?.dateISO || r.dateISO);
+        const slot = normalizeSlotInput(input, st.courts);
+        if (!moveReservationIn(st, by, r, { dateISO, ...slot }, staff && r.userId !== by ? "reprogramada por el club" : "reprogramada por el socio")) {
+          throw new DomainError("La reserva ya es en ese turno");
+        }
+        const p = st.payments.find((x) => x.reservationId === r.id);
+        return { price: r.price, balanceDue: p?.balanceDue || 0 };
+      });
+    },
+
+    // No presentación: reintegra config.refundPolicy.noShowPercent del pago.
+    markNoShow: (by, reservationId) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const r = st.reservations.find((x) => x.id === reservationId);
+        const p = st.payments.find((x) => x.reservationId === reservationId);
+        if (!r || !p) throw new DomainError("Reserva inexistente", 404);
+        if (r.status !== RES_STATUS.CONFIRMED) throw new DomainError("Solo se marcan como no presentación las reservas confirmadas", 409);
+        if (slotStart(r) > new Date()) throw new DomainError("El turno todavía no empezó: no se puede marcar la no presentación", 409);
+        const before = snapshot({ reservation: r, payment: p });
+        r.status = RES_STATUS.NO_SHOW;
+        r.updatedAt = nowISOTime();
+        const refund = refundPaymentIn(st, by, r, REFUND_KINDS.NO_SHOW);
+        const u = findOwner(st, reservationId);
+        if (u) pushNotify(st, "No presentación", NOTIF_CHANNELS, u.email, { reservationId, ...(refund?.amount ? { refundPercent: refund.percent } : {}) });
+        pushAudit(st, by, "NoShow", `No presentación (res=${reservationId})${refund ? ` · reintegro ${refund.amount} (${refund.rule})` : ""}`, {
+          entity: { type: "reservation", id: reservationId },
+          before,
+          after: snapshot({ reservation: r, payment: p }),
+        });
+        return refund;
+      }),
+
+    adminCreateManualReservation: async (by, { userId, dateISO, time, courtId, durationMin, markPaidCash }) => {
+      await readRequiring(by, CAPS.RESERVATIONS_MANAGE);
+      await refreshSocioIfStale(userId, "reserva");
+      await materializeDueSeries();
+      await sweepExpired();
+      return tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        if (markPaidCash) requireCapability(st, by, CAPS.PAYMENTS_CASH);
+        const resId = createReservationIn(st, by, { dateISO, time, courtId, durationMin, forUserId: userId });
+        if (markPaidCash) registerCashPaymentIn(st, by, resId);
+        pushAudit(st, by, "Admin", `Reserva manual ${resId}`, { entity: { type: "reservation", id: resId } });
+        return resId;
+      });
+    },
+
+    listSeries: async (by) => {
+      const { st, actor } = await readAs(by);
+      return can(actor, CAPS.RESERVATIONS_MANAGE) ? st.series : st.series.filter((x) => x.userId === actor.id);
+    },
+
+    createSeries: (by, input) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const u = st.users.find((x) => x.id === input?.userId);
+        if (!u || !isActiveUser(u)) throw new DomainError("Usuario inválido");
+        const slot = normalizeSlotInput(input, st.courts);
+        const dates = normalizeSeriesDates(input);
+        if (dates.startDate < formatDateISO(new Date())) throw new DomainError("El turno fijo no puede empezar en una fecha pasada");
+        const s = {
+          id: uid("ser"),
+          userId: u.id,
+          ...slot,
+          ...dates,
+          exceptions: [],
+          overrides: [],
+          conflicts: [],
+          status: SERIES_STATUS.ACTIVE,
+          materializedThrough: null,
+          createdBy: by,
+          createdAt: nowISOTime(),
+          updatedAt: nowISOTime(),
+        };
+        st.series.push(s);
+        pushAudit(st, by, "Turno fijo", `Alta ${s.id}: ${weekdayName(s.startDate)} ${s.time} (${s.durationMin} min, ${s.courtId}) para ${u.email}`, {
+          entity: { type: "series", id: s.id },
+          before: snapshot({ series: null }),
+          after: snapshot({ series: s }),
+        });
+        pushNotify(st, "Turno fijo", ["Email"], u.email, { seriesId: s.id, time: s.time, courtId: s.courtId, startDate: s.startDate, endDate: s.endDate });
+        return { id: s.id, ...materializeSeriesIn(st, [s]) };
+      }),
+
+    // Cambia la serie completa (cancha, horario, duración, frecuencia o fin).
+    // Las reservas ya generadas se mueven; las que no se pueden mover quedan
+    // como estaban y se devuelven en `kept`.
+    updateSeries: (by, seriesId, patch) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const s = findSeries(st, seriesId);
+        if (s.status !== SERIES_STATUS.ACTIVE) throw new DomainError("El turno fijo está cancelado", 409);
+        const slot = normalizeSlotInput({ ...s, ...patch }, st.courts);
+        const dates = normalizeSeriesDates({
+          startDate: s.startDate,
+          endDate: patch?.endDate !== undefined ? patch.endDate : s.endDate,
+          interval: patch?.interval ?? s.interval,
+        });
+        const before = snapshot({ series: s });
+        Object.assign(s, slot, dates, { updatedAt: nowISOTime() });
+        s.overrides = s.overrides.filter((o) => isOccurrence(s, o.dateISO));
+        s.exceptions = s.exceptions.filter((d) => isOccurrence(s, d));
+
+        let moved = 0;
+        let cancelled = 0;
+        const kept = [];
+        for (const r of upcomingOccurrences(st, s)) {
+          if (!isOccurrence(s, r.dateISO) || s.exceptions.includes(r.dateISO)) {
+            cancelReservationIn(st, by, r, "Turno fijo modificado");
+            cancelled++;
+            continue;
+          }
+          try {
+            if (moveReservationIn(st, by, r, occurrenceSlot(s, r.dateISO), "turno fijo modificado")) moved++;
+          } catch (e) {
+            if (!(e instanceof DomainError)) throw e;
+            kept.push({ reservationId: r.id, dateISO: r.dateISO, reason: e.message });
+          }
+        }
+        pushAudit(st, by, "Turno fijo", `Modificado ${s.id}: ${s.time} (${s.durationMin} min, ${s.courtId}), cada ${s.interval} semana(s)`, {
+          entity: { type: "series", id: s.id },
+          before,
+          after: snapshot({ series: s }),
+        });
+        return { moved, cancelled, kept, ...materializeSeriesIn(st, [s]) };
+      }),
+
+    // Cancela la serie y las reservas que ya generó desde hoy.
+    cancelSeries: (by, seriesId, reason) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const s = findSeries(st, seriesId);
+        if (s.status !== SERIES_STATUS.ACTIVE) throw new DomainError("El turno fijo ya está cancelado", 409);
+        const before = snapshot({ series: s });
+        const upcoming = upcomingOccurrences(st, s);
+        for (const r of upcoming) cancelReservationIn(st, by, r, reason || "Turno fijo cancelado");
+        Object.assign(s, { status: SERIES_STATUS.CANCELLED, cancelReason: reason || "", cancelledAt: nowISOTime(), updatedAt: nowISOTime() });
+        pushAudit(st, by, "Turno fijo", `Cancelado ${s.id} (${reason || "sin motivo"}); ${upcoming.length} reserva(s) cancelada(s)`, {
+          entity: { type: "series", id: s.id },
+          before,
+          after: snapshot({ series: s }),
+        });
+        const u = st.users.find((x) => x.id === s.userId);
+        if (u) pushNotify(st, "Turno fijo cancelado", ["Email"], u.email, { seriesId: s.id, reason });
+        return { cancelled: upcoming.length };
+      }),
+
+    // Cambia una sola fecha (cancha / horario / duración). Si ya está reservada
+    // se mueve la reserva; si no, el cambio se usa cuando entre en la ventana.
+    updateSeriesOccurrence: (by, seriesId, dateISO, input) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const s = findSeries(st, seriesId);
+        if (s.status !== SERIES_STATUS.ACTIVE) throw new DomainError("El turno fijo está cancelado", 409);
+        if (!isOccurrence(s, dateISO) || dateISO < formatDateISO(new Date())) throw new DomainError("Esa fecha no es parte del turno fijo");
+        if (s.exceptions.includes(dateISO)) throw new DomainError("Esa fecha está salteada");
+        const slot = normalizeSlotInput(input, st.courts);
+        const r = upcomingOccurrences(st, s).find((x) => x.dateISO === dateISO);
+        if (r) moveReservationIn(st, by, r, slot, "cambio puntual del turno fijo");
+        const before = snapshot({ series: s });
+        s.overrides = [...s.overrides.filter((o) => o.dateISO !== dateISO), { dateISO, ...slot }];
+        s.updatedAt = nowISOTime();
+        pushAudit(st, by, "Turno fijo", `${s.id}: el ${dateISO} pasa a ${slot.time} (${slot.durationMin} min, ${slot.courtId})`, {
+          entity: { type: "series", id: s.id },
+          before,
+          after: snapshot({ series: s }),
+        });
+        return { moved: Boolean(r), ...materializeSeriesIn(st, [s]) };
+      }),
+
+    // Saltea una fecha (y cancela su reserva, si ya se generó).
+    skipSeriesOccurrence: (by, seriesId, dateISO, reason) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        const s = findSeries(st, seriesId);
+        if (!isOccurrence(s, dateISO)) throw new DomainError("Esa fecha no es parte del turno fijo");
+        const before = snapshot({ series: s });
+        const r = upcomingOccurrences(st, s).find((x) => x.dateISO === dateISO);
+        if (r) cancelReservationIn(st, by, r, reason || "Fecha salteada del turno fijo");
+        s.exceptions = [...new Set([...s.exceptions, dateISO])].sort();
+        s.conflicts = s.conflicts.filter((c) => c.dateISO !== dateISO);
+        s.updatedAt = nowISOTime();
+        pushAudit(st, by, "Turno fijo", `${s.id}: se saltea el ${dateISO} (${reason || "sin motivo"})`, {
+          entity: { type: "series", id: s.id },
+          before,
+          after: snapshot({ series: s }),
+        });
+        return { cancelled: Boolean(r) };
+      }),
+
+    // Genera ya las fechas pendientes de todas las series (y reintenta los conflictos).
+    materializeSeries: (by) =>
+      tx((st) => {
+        requireCapability(st, by, CAPS.RESERVATIONS_MANAGE);
+        return materializeSeriesIn(st, st.series);
+      }),
+
+    // Un socio ve sus anotaciones y, de las demás, solo las ofertas que retienen un turno.
+    listWaitlist: async (by) => {
+      const { st, actor } = await readAs(by);
+      if (can(actor, CAPS.RESERVATIONS_MANAGE)) return st.waitlist;
+      return st.waitlist.filter((w) => w.userId === actor.id || isHoldActive(w)).map((w) => (w.userId === actor.id ? w : heldSlot(w)));
+    },
+
+    // Anotarse en la lista de espera de un turno ocupado, en una cancha o en
+    // cualquiera (ANY_COURT). Si el turno está libre hay que reservarlo directo.
+    joinWaitlist: async (by, input) => {
+      await sweepExpired();
+      return tx((st) => {
+        const u = st.users.find((x) => x.id === by);
+        if (!u || !isActiveUser(u)) throw new DomainError("Usuario inválido");
+        const dateISO = String(input?.dateISO || "");
+        const time = String(input?.time || "");
+        const durationMin = Number(input?.durationMin) || 60;
+        const courtId = String(input?.courtId || ANY_COURT);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateISO) || !/^\d{2}:\d{2}$/.test(time)) throw new DomainError("Turno inválido");
+        if (courtId !== ANY_COURT && !st.courts.some((c) => c.id === courtId)) throw new DomainError("Cancha inexistente", 404);
+        const entry = { userId: u.id, dateISO, time, durationMin, courtId };
+
+        if (slotStart(entry) <= new Date()) throw new DomainError("Ese turno ya empezó");
+        if (dateISO > formatDateISO(addDays(startOfDay(new Date()), 7))) {
+          throw new DomainError("Solo podés anotarte en turnos de los próximos 7 días");
+        }
+        const courtIds = courtId === ANY_COURT ? st.courts.filter((c) => c.isActive).map((c) => c.id) : [courtId];
+        const offered = courtIds.some(
+          (c) =>
+            fitsSchedule(st.config.schedule, c, dateISO, time, durationMin) &&
+            allowedDurations(st.config.bookingDurations, c, time).includes(durationMin)
+        );
+        if (!offered) throw new DomainError("No hay turnos de esa duración en ese horario");
+        if (st.reservations.some((r) => r.userId === u.id && r.status !== RES_STATUS.CANCELLED && overlaps(r, entry))) {
+          throw new DomainError("Ya tenés una reserva en ese mismo horario");
+        }
+        const dup = st.waitlist.some(
+          (w) => w.userId === u.id && isWaitlistOpen(w) && w.dateISO === dateISO && w.time === time && w.courtId === courtId
+        );
+        if (dup) throw new DomainError("Ya estás en la lista de espera de ese turno", 409);
+        if (freeCourtFor(st, entry)) throw new DomainError("Ese turno está libre: reservalo directamente", 409);
+
+        const w = { id: uid("wl"), ...entry, status: WAITLIST_STATUS.WAITING, offer: null, reservationId: null, createdAt: nowISOTime(), updatedAt: nowISOTime() };
+        st.waitlist.push(w);
+        const where = courtId === ANY_COURT ? "cualquier cancha" : courtId;
+        pushAudit(st, by, "Lista de espera", `${u.email} se anotó para ${dateISO} ${timeRangeLabel(w)} (${where})`, {
+          entity: { type: "waitlist", id: w.id },
+        });
+        return w.id;
+      });
+    },
+
+    // Acepta la oferta: reserva (pendiente de pago) el turno retenido.
+    acceptWaitlistOffer: async (by, waitlistId) => {
+      await refreshSocioIfStale(by, "reserva");
+      return tx((st) => {
+        const w = findWaitlistEntry(st, by, waitlistId);
+        if (w.status !== WAITLIST_STATUS.OFFERED) throw new DomainError("No hay un turno ofrecido para esa entrada", 409);
+        if (!isHoldActive(w)) throw new DomainError("La oferta venció", 409);
+        const resId = createReservationIn(st, by, { ...w, courtId: w.offer.courtId, forUserId: w.userId });
+        Object.assign(w, { status: WAITLIST_STATUS.ACCEPTED, reservationId: resId, updatedAt: nowISOTime() });
+        pushAudit(st, by, "Lista de espera", `Oferta ${w.id} aceptada: reserva ${resId}`, { entity: { type: "waitlist", id: w.id } });
+        return resId;
+      });
+    },
+
+    // Salir de la lista (o rechazar la oferta: el turno pasa al siguiente).
+    leaveWaitlist: (by, waitlistId) =>
+      tx((st) => {
+        const w = findWaitlistEntry(st, by, waitlistId);
+        if (!isWaitlistOpen(w)) throw new DomainError("La entrada ya no está en la lista de espera", 409);
+        const declined = w.status === WAITLIST_STATUS.OFFERED;
+        Object.assign(w, { status: WAITLIST_STATUS.LEFT, updatedAt: nowISOTime() });
+        pushAudit(st, by, "Lista de espera", `${declined ? "Oferta rechazada" : "Baja de la lista"} ${w.id}`, {
+          entity: { type: "waitlist", id: w.id },
+        });
+        if (declined) offerWaitlistIn(st);
+      }),
+  };
+}
@@ -0,0 +1,59 @@
+import { sha256 } from "./audit";
+
+// -----------------------------
+// Sesiones
+// -----------------------------
+//
+// Colección `sessions`:
+//   { id, userId, tokenHash, userAgent, createdAt, lastSeenAt, expiresAt, revokedAt, revokedReason }
+// El token (secreto) lo guarda el cliente; acá solo queda su hash. Una sesión
+// vence por inactividad (SESSION_IDLE_HOURS sin actividad) o por edad
+// (`expiresAt`, SESSION_MAX_DAYS desde el ingreso), lo que ocurra primero.
+
+export const SESSION_IDLE_HOURS = 72;
+export const SESSION_MAX_DAYS = 30;
+// `lastSeenAt` se actualiza como mucho una vez por minuto.
+export const SESSION_TOUCH_SEC = 60;
+
+export function hashSessionToken(token) {
+  return sha256(`session:${token}`);
+}
+
+export function createSessionRecord(userId, userAgent, id) {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  const token = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  const now = new Date();
+  const record = {
+    id,
+    userId,
+    tokenHash: hashSessionToken(token),
+    userAgent: String(userAgent || "").slice(0, 300),
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_MAX_DAYS * 86400000).toISOString(),
+    revokedAt: null,
+    revokedReason: null,
+  };
+  return { record, token };
+}
+
+export function idleExpiresAt(s) {
+  return new Date(Date.parse(s.lastSeenAt) + SESSION_IDLE_HOURS * 3600000).toISOString();
+}
+
+export function isSessionActive(s, nowISO) {
+  return Boolean(s) && !s.revokedAt && s.expiresAt > nowISO && idleExpiresAt(s) > nowISO;
+}
+
+// Forma que ve el cliente (sin el hash del token).
+export function publicSession(s) {
+  return {
+    sessionId: s.id,
+    userId: s.userId,
+    userAgent: s.userAgent,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    expiresAt: s.expiresAt,
+    idleExpiresAt: idleExpiresAt(s),
+  };
+}
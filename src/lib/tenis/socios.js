@@ -0,0 +1,193 @@
+import { DomainError } from "./errors";
+import { formatDateISO, sleep } from "./utils";
+
+// -----------------------------
+// Sistema de socios: proveedores de validación por DNI
+// -----------------------------
+//
+// Un proveedor responde `validate(dni)` con { socioActivo, source, detail }:
+// `source` identifica de dónde salió el dato (queda en la auditoría). El admin
+// elige el proveedor en config.socioProvider:
+//   - "mock":   demo, DNI terminado en par = socio activo.
+//   - "http":   GET <config.socioProviderUrl>?dni=<dni> → 200 { socioActivo, numeroSocio?, vencimiento? };
+//               404 = el DNI no es socio. Ver scripts/socios-stub.mjs para probarlo en local.
+//   - "padron": colección `padron`, importada desde el export (CSV / XLSX) del sistema de socios.
+
+export const SOCIO_PROVIDERS = {
+  MOCK: "mock",
+  HTTP: "http",
+  PADRON: "padron",
+};
+
+export const SOCIO_PROVIDER_LABELS = {
+  [SOCIO_PROVIDERS.MOCK]: "Demo (DNI par = socio)",
+  [SOCIO_PROVIDERS.HTTP]: "Sistema de socios (HTTP)",
+  [SOCIO_PROVIDERS.PADRON]: "Padrón importado",
+};
+
+export const SOCIO_HTTP_TIMEOUT_MS = 5000;
+
+export function normalizeDni(dni) {
+  return String(dni ?? "").replace(/[.\s-]/g, "");
+}
+
+export function createMockProvider() {
+  return {
+    kind: SOCIO_PROVIDERS.MOCK,
+    async validate(dni) {
+      // Simula integración online: input DNI, output flag socio activo.
+      await sleep(450);
+      const last = normalizeDni(dni).slice(-1);
+      const n = Number(last);
+      const socioActivo = last !== "" && Number.isFinite(n) && n % 2 === 0;
+      return { socioActivo, source: "demo", detail: null };
+    },
+  };
+}
+
+export function createHttpProvider(url, fetchImpl = globalThis.fetch) {
+  return {
+    kind: SOCIO_PROVIDERS.HTTP,
+    async validate(dni) {
+      if (!url) throw new DomainError("Falta la URL del sistema de socios", 503);
+      let target;
+      try {
+        target = new URL(url);
+      } catch {
+        throw new DomainError("La URL del sistema de socios no es válida", 503);
+      }
+      target.searchParams.set("dni", normalizeDni(dni));
+      let res;
+      try {
+        res = await fetchImpl(target.toString(), {
+          headers: { Accept: "application/json" },
+          cache: "no-store",
+          signal: AbortSignal.timeout(SOCIO_HTTP_TIMEOUT_MS),
+        });
+      } catch {
+        throw new DomainError("El sistema de socios no respondió", 502);
+      }
+      const source = `http ${target.host}`;
+      if (res.status === 404) return { socioActivo: false, source, detail: "DNI no registrado" };
+      const data = res.ok ? await res.json().catch(() => null) : null;
+      if (typeof data?.socioActivo !== "boolean") {
+        throw new DomainError(`El sistema de socios respondió con un formato inesperado (HTTP ${res.status})`, 502);
+      }
+      const detail = [data.numeroSocio && `socio n.º ${data.numeroSocio}`, data.vencimiento && `vence ${data.vencimiento}`]
+        .filter(Boolean)
+        .join(", ");
+      return { socioActivo: data.socioActivo, source, detail: detail || null };
+    },
+  };
+}
+
+// `readPadron(dni)` devuelve la fila del padrón del DNI (o null).
+export function createPadronProvider(readPadron) {
+  return {
+    kind: SOCIO_PROVIDERS.PADRON,
+    async validate(dni) {
+      const row = await readPadron(normalizeDni(dni));
+      if (!row) return { socioActivo: false, source: "padrón", detail: "DNI no figura en el padrón" };
+      const source = `padrón del ${row.importedAt.slice(0, 10)}`;
+      const detail = [`socio n.º ${row.memberNumber}`, row.rawStatus, row.expiresOn && `vence ${row.expiresOn}`].filter(Boolean).join(", ");
+      return { socioActivo: isPadronActive(row), source, detail };
+    },
+  };
+}
+
+export function createSocioProvider(config, { readPadron, fetchImpl } = {}) {
+  switch (config?.socioProvider) {
+    case SOCIO_PROVIDERS.HTTP:
+      return createHttpProvider(config.socioProviderUrl, fetchImpl);
+    case SOCIO_PROVIDERS.PADRON:
+      return createPadronProvider(readPadron);
+    default:
+      return createMockProvider();
+  }
+}
+
+// -----------------------------
+// Padrón (CSV / XLSX del sistema de socios)
+// -----------------------------
+//
+// Fila guardada: { id, dni, memberNumber, active, rawStatus, expiresOn, importedAt, importedBy }.
+// Es socio activo si el estado es activo y el vencimiento (si tiene) no pasó.
+
+const PADRON_COLUMNS = {
+  dni: ["dni", "documento", "nro documento", "numero de documento"],
+  memberNumber: ["numero de socio", "nro de socio", "n de socio", "nro socio", "n socio", "socio", "numero"],
+  status: ["estado", "situacion"],
+  expiresOn: ["vencimiento", "vence", "fecha de vencimiento", "vigencia"],
+};
+
+const ACTIVE_STATUSES = ["activo", "activa", "al dia", "vigente", "habilitado"];
+const INACTIVE_STATUSES = ["inactivo", "inactiva", "baja", "moroso", "morosa", "suspendido", "suspendida", "vencido"];
+
+function normalizeHeader(v) {
+  return String(v ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[º°.#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Fecha del export: AAAA-MM-DD, DD/MM/AAAA o número de serie de Excel.
+function parseExpiry(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return { value: null };
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return { value: `${m[1]}-${m[2]}-${m[3]}` };
+  m = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (m) return { value: `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}` };
+  if (/^\d{5}(\.\d+)?$/.test(s)) {
+    const d = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(s)) * 86400000);
+    return { value: d.toISOString().slice(0, 10) };
+  }
+  return { error: `vencimiento inválido (${s})` };
+}
+
+// `rows` = filas de la planilla (la primera, encabezados). Devuelve las filas
+// válidas y los errores con su número de línea en el archivo.
+export function parsePadronRows(rows) {
+  const [header = [], ...body] = Array.isArray(rows) ? rows : [];
+  const names = header.map(normalizeHeader);
+  const col = Object.fromEntries(
+    Object.entries(PADRON_COLUMNS).map(([field, aliases]) => [field, names.findIndex((n) => aliases.includes(n))])
+  );
+  const missing = Object.entries(col)
+    .filter(([field, i]) => i < 0 && field !== "expiresOn")
+    .map(([field]) => PADRON_COLUMNS[field][0]);
+  if (missing.length) {
+    return { entries: [], errors: [{ line: 1, reason: `Faltan columnas: ${missing.join(", ")}`, raw: header.join(" | ") }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  body.forEach((row, i) => {
+    const line = i + 2;
+    const cell = (field) => (col[field] >= 0 ? String(row[col[field]] ?? "").trim() : "");
+    if (row.every((v) => String(v ?? "").trim() === "")) return;
+    const raw = row.join(" | ");
+    const dni = normalizeDni(cell("dni"));
+    const rawStatus = cell("status");
+    const status = normalizeHeader(rawStatus);
+    const expiry = parseExpiry(cell("expiresOn"));
+    let reason = null;
+    if (!/^\d{7,8}$/.test(dni)) reason = `DNI inválido (${cell("dni") || "vacío"})`;
+    else if (seen.has(dni)) reason = `DNI repetido (ya figura en la línea ${seen.get(dni)})`;
+    else if (!cell("memberNumber")) reason = "Falta el número de socio";
+    else if (!ACTIVE_STATUSES.includes(status) && !INACTIVE_STATUSES.includes(status)) reason = `Estado desconocido (${rawStatus || "vacío"})`;
+    else if (expiry.error) reason = expiry.error;
+    if (reason) return errors.push({ line, reason, raw });
+    seen.set(dni, line);
+    entries.push({ dni, memberNumber: cell("memberNumber"), active: ACTIVE_STATUSES.includes(status), rawStatus, expiresOn: expiry.value });
+  });
+  return { entries, errors };
+}
+
+export function isPadronActive(row, today = formatDateISO(new Date())) {
+  return Boolean(row?.active) && (!row.expiresOn || row.expiresOn >= today);
+}
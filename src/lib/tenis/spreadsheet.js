@@ -0,0 +1,150 @@
+// -----------------------------
+// Lectura de planillas (CSV / XLSX) para importaciones
+// -----------------------------
+//
+// Devuelven la primera hoja como filas de texto (string[][]). El XLSX es un ZIP
+// con XML: se lee el directorio del ZIP, se descomprime con DecompressionStream
+// ("deflate-raw", disponible en navegadores y Node 18+) y se toman las celdas
+// de la primera hoja. Fórmulas, estilos y fechas con formato no se interpretan:
+// una fecha llega como número de serie de Excel.
+
+export const SPREADSHEET_ACCEPT = ".csv,.txt,.xlsx";
+
+// CSV con comillas dobles; el separador (",", ";" o tab) sale de la primera línea.
+export function parseCSV(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = [";", "\t", ","].reduce((a, c) => (firstLine.split(c).length > firstLine.split(a).length ? c : a), ",");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Archivos del ZIP por nombre (solo sin compresión o deflate).
+async function unzip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("El archivo no es un XLSX válido");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  const decoder = new TextDecoder();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("El archivo no es un XLSX válido");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const offset = view.getUint32(p + 42, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    files.set(name, { method, data: bytes.subarray(start, start + size) });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return {
+    names: [...files.keys()],
+    async text(name) {
+      const f = files.get(name);
+      if (!f) return null;
+      if (f.method !== 0 && f.method !== 8) throw new Error("Compresión del XLSX no soportada");
+      return decoder.decode(f.method === 8 ? await inflateRaw(f.data) : f.data);
+    },
+  };
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Texto de un nodo con runs (<t>…</t>), como los de sharedStrings o inlineStr.
+function runsText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+// "C7" → 2. Sin referencia, la celda sigue a la anterior.
+function columnIndex(ref, fallback) {
+  const letters = String(ref || "").match(/^[A-Z]+/)?.[0];
+  if (!letters) return fallback;
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+export async function parseXLSX(buffer) {
+  const zip = await unzip(buffer);
+  const sheetName = zip.names.includes("xl/worksheets/sheet1.xml")
+    ? "xl/worksheets/sheet1.xml"
+    : zip.names.filter((n) => /^xl\/worksheets\/sheet\d+\.xml$/.test(n)).sort()[0];
+  if (!sheetName) throw new Error("El XLSX no tiene hojas");
+  const shared = [...((await zip.text("xl/sharedStrings.xml")) || "").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => runsText(m[1]));
+  const sheet = await zip.text(sheetName);
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const c of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1];
+      const body = c[2] || "";
+      const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+      const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let text = "";
+      if (type === "s") text = shared[Number(value)] ?? "";
+      else if (type === "inlineStr") text = runsText(body);
+      else if (type === "b") text = value === "1" ? "TRUE" : "FALSE";
+      else text = value != null ? decodeXml(value) : "";
+      row[columnIndex(attrs.match(/\br="([^"]+)"/)?.[1], row.length)] = text;
+    }
+    rows.push(Array.from(row, (v) => v ?? ""));
+  }
+  return rows;
+}
+
+// Lee un File del input (CSV o XLSX según la extensión).
+export async function readSpreadsheet(file) {
+  if (/\.xlsx$/i.test(file.name)) return parseXLSX(await file.arrayBuffer());
+  return parseCSV(await file.text());
+}
@@ -0,0 +1,11 @@
+// Decodifica una colección serializada. Si el JSON está roto se conserva el
+// texto original marcado como corrupto, para que la validación lo reporte y
+// la pantalla de recuperación pueda ofrecerlo en la copia de respaldo.
+export function decodeCollection(text) {
+  if (text == null) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { __corrupt: true, raw: text };
+  }
+}
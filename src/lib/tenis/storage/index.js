@@ -0,0 +1,228 @@
+import { DomainError, SchemaError } from "../errors";
+import { UNIQUE_CONSTRAINTS, migrateState, validateState } from "../schema";
+import { createSeedState } from "../seed";
+import { createIndexedDbAdapter } from "./indexedDb";
+import { createLocalStorageAdapter } from "./localStorage";
+import { createMemoryAdapter } from "./memory";
+
+// -----------------------------
+// Storage: contrato de adaptadores + store transaccional
+// -----------------------------
+//
+// Un adaptador persiste el estado separado por colección:
+//
+//   name                          identificador ("memory", "localStorage", ...)
+//   load()                        -> Promise<{ [coleccion]: valor } | null>  (null = vacío)
+//   save(coleccion, valor)        -> Promise<void>
+//   remove(coleccion)             -> Promise<void>
+//   query(coleccion, predicado?)  -> Promise<valor[]>  (filtra colecciones tipo lista)
+//
+// `createStore` agrega encima las transacciones que usa el dominio
+// (`createService`), así el dominio no sabe dónde viven los datos.
+// Al cargar, el estado se migra a la versión actual y se valida (ver ../schema).
+// Cada `save` tiene que ser atómico para su colección; la atomicidad entre
+// colecciones la da el diario de escritura (ver persistState).
+
+export const COLLECTIONS = [
+  "meta",
+  "config",
+  "courts",
+  "users",
+  "reservations",
+  "payments",
+  "blocks",
+  "audit",
+  "notifications",
+  "passwordResets",
+  "otpCodes",
+  "verifications",
+  "sessions",
+  "throttles",
+  "padron",
+  "series",
+  "waitlist",
+];
+
+export const STORAGE_KINDS = {
+  memory: createMemoryAdapter,
+  localStorage: createLocalStorageAdapter,
+  indexeddb: createIndexedDbAdapter,
+};
+
+export function createAdapter(kind, options) {
+  const factory = STORAGE_KINDS[kind];
+  if (!factory) throw new Error(`Storage desconocido: ${kind}`);
+  return factory(options);
+}
+
+// Hashes de contraseñas, tokens y códigos: no salen en la copia de recuperación.
+const CREDENTIAL_FIELDS = ["passwordHash", "tokenHash", "codeHash"];
+const CREDENTIAL_TEXT = new RegExp(`"(${CREDENTIAL_FIELDS.join("|")})"\\s*:\\s*"[^"]*"`, "g");
+
+function withoutCredentials(value) {
+  if (Array.isArray(value)) return value.map(withoutCredentials);
+  if (!value || typeof value !== "object") return value;
+  // Colección ilegible (ver ./codec): se conserva el texto, sin las credenciales.
+  if (value.__corrupt) return { ...value, raw: String(value.raw).replace(CREDENTIAL_TEXT, '"$1":"[omitido]"') };
+  const out = { ...value };
+  for (const field of CREDENTIAL_FIELDS) if (field in out) out[field] = "[omitido]";
+  return out;
+}
+
+// Diario de escritura: colección auxiliar con todo lo que una transacción va a
+// guardar. No forma parte del estado.
+export const JOURNAL = "_journal";
+
+async function seedAll(adapter) {
+  const seed = await createSeedState();
+  await persistState(adapter, {}, seed);
+  return seed;
+}
+
+// Termina una escritura que quedó a mitad de camino: vuelve a guardar lo que
+// dice el diario. Un diario ilegible no llegó a escribirse entero y, por lo
+// tanto, ninguna colección se había tocado todavía: se descarta.
+async function replayJournal(adapter, loaded) {
+  if (!loaded || !(JOURNAL in loaded)) return loaded;
+  const { [JOURNAL]: journal, ...rest } = loaded;
+  if (journal?.collections && !journal.__corrupt) {
+    for (const [name, value] of Object.entries(journal.collections)) {
+      await adapter.save(name, value);
+      rest[name] = value;
+    }
+  }
+  await adapter.remove(JOURNAL);
+  return Object.keys(rest).length ? rest : null;
+}
+
+export async function bootstrapState(adapter) {
+  const loaded = await replayJournal(adapter, await adapter.load());
+  // Seed demo
+  if (!loaded) return seedAll(adapter);
+
+  const { state, migrated } = migrateState(loaded);
+  const issues = validateState(state);
+  if (issues.length) throw new SchemaError("Los datos guardados no tienen el formato esperado", issues);
+  if (migrated) await persistState(adapter, loaded, state);
+  return state;
+}
+
+// Solo se reescriben las colecciones que cambiaron. Devuelve sus nombres.
+// Cada colección se guarda por separado (el adaptador `file` escribe un archivo
+// por colección), así que cuando cambia más de una primero se escribe el diario
+// con todas y recién después las colecciones. Si el proceso cae a mitad de
+// camino, la próxima carga completa la escritura desde el diario: nunca queda,
+// por ejemplo, la reserva guardada y su pago no.
+export async function persistState(adapter, prev, next) {
+  const changed = COLLECTIONS.filter((name) => JSON.stringify(prev[name]) !== JSON.stringify(next[name]));
+  const journaled = changed.length > 1;
+  if (journaled) await adapter.save(JOURNAL, { collections: Object.fromEntries(changed.map((name) => [name, next[name]])) });
+  for (const name of changed) await adapter.save(name, next[name]);
+  if (journaled) await adapter.remove(JOURNAL);
+  return changed;
+}
+
+function duplicateKeys(list, c) {
+  const seen = new Set();
+  const dup = new Set();
+  for (const item of list || []) {
+    if (c.where && !c.where(item)) continue;
+    for (const k of c.keys ? c.keys(item) : [c.key(item)]) {
+      if (seen.has(k)) dup.add(k);
+      seen.add(k);
+    }
+  }
+  return dup;
+}
+
+// Verifica las restricciones de unicidad. Solo falla por duplicados nuevos:
+// datos heredados que ya los tuvieran no bloquean el resto de las operaciones.
+export function checkConstraints(prev, next, constraints = UNIQUE_CONSTRAINTS) {
+  for (const c of constraints) {
+    const before = duplicateKeys(prev[c.collection], c);
+    for (const k of duplicateKeys(next[c.collection], c)) {
+      if (!before.has(k)) throw new DomainError(c.message, 409);
+    }
+  }
+}
+
+// Las transacciones se serializan dentro del proceso con una cola y, si el
+// navegador tiene Web Locks, también entre pestañas que comparten el storage.
+// Cada escritura se anuncia a los suscriptores como { collections, at }.
+export function createStore(adapter, { constraints = UNIQUE_CONSTRAINTS } = {}) {
+  let queue = Promise.resolve();
+  const locks = globalThis.navigator?.locks;
+  const listeners = new Set();
+
+  function emit(collections) {
+    if (!collections.length) return;
+    const evt = { collections, at: new Date().toISOString() };
+    for (const fn of listeners) fn(evt);
+  }
+
+  function enqueue(job) {
+    const run = queue.then(() => (locks ? locks.request(`edlp_tenis:${adapter.name}`, job) : job()));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    adapter,
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    read: () => enqueue(() => bootstrapState(adapter)),
+    query: (collection, predicate) =>
+      enqueue(async () => {
+        await bootstrapState(adapter);
+        return adapter.query(collection, predicate);
+      }),
+    // Diagnóstico para la pantalla de recuperación: el contenido crudo (sin
+    // credenciales) solo se entrega cuando el estado no es válido.
+    recovery: () =>
+      enqueue(async () => {
+        try {
+          await bootstrapState(adapter);
+          return { ok: true };
+        } catch (e) {
+          if (!(e instanceof SchemaError)) throw e;
+          const raw = (await adapter.load()) || {};
+          return {
+            ok: false,
+            error: e.message,
+            issues: e.issues,
+            raw: Object.fromEntries(Object.entries(raw).map(([name, value]) => [name, withoutCredentials(value)])),
+          };
+        }
+      }),
+    // Vuelve al estado inicial. Solo permitido si los datos actuales no son válidos.
+    reset: () =>
+      enqueue(async () => {
+        try {
+          await bootstrapState(adapter);
+        } catch (e) {
+          if (!(e instanceof SchemaError)) throw e;
+          const raw = (await adapter.load()) || {};
+          for (const name of Object.keys(raw)) if (!COLLECTIONS.includes(name)) await adapter.remove(name);
+          await seedAll(adapter);
+          emit(COLLECTIONS);
+          return true;
+        }
+        throw new DomainError("Los datos son válidos: no se reinician", 409);
+      }),
+    // El mutador recibe una copia del estado más reciente; si lanza, no se persiste nada.
+    // Tampoco se persiste un estado que no pasaría la validación al volver a cargarlo.
+    transaction: (mutator) =>
+      enqueue(async () => {
+        const prev = await bootstrapState(adapter);
+        const draft = structuredClone(prev);
+        const result = await mutator(draft);
+        checkConstraints(prev, draft, constraints);
+        const issues = validateState(draft);
+        if (issues.length) throw new DomainError(`No se guardó: los datos quedarían con un formato inválido (${issues.slice(0, 3).join("; ")})`, 500);
+        emit(await persistState(adapter, prev, draft));
+        return result;
+      }),
+  };
+}
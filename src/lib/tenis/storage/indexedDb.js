@@ -0,0 +1,52 @@
+// Adaptador IndexedDB: un registro por colección en el object store `collections`.
+export function createIndexedDbAdapter({ dbName = "edlp_tenis", indexedDB = globalThis.indexedDB } = {}) {
+  const STORE = "collections";
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode);
+      const req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req.result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  return {
+    name: "indexeddb",
+    load: async () => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, "readonly");
+        const out = {};
+        const req = t.objectStore(STORE).openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          out[cursor.key] = cursor.value;
+          cursor.continue();
+        };
+        t.oncomplete = () => resolve(Object.keys(out).length ? out : null);
+        t.onerror = () => reject(t.error);
+      });
+    },
+    save: (collection, value) => run("readwrite", (s) => s.put(value, collection)).then(() => undefined),
+    remove: (collection) => run("readwrite", (s) => s.delete(collection)).then(() => undefined),
+    query: async (collection, predicate = () => true) =>
+      ((await run("readonly", (s) => s.get(collection))) || []).filter(predicate),
+  };
+}
@@ -0,0 +1,56 @@
+import { safeParseJSON } from "../utils";
+import { decodeCollection } from "./codec";
+
+export const LS_KEY = "edlp_tenis_reservas_v1";
+
+// Adaptador localStorage: una clave por colección (`<prefix>:<coleccion>`).
+export function createLocalStorageAdapter({ prefix = LS_KEY, storage = globalThis.localStorage } = {}) {
+  const keyOf = (collection) => `${prefix}:${collection}`;
+  const get = (collection) => decodeCollection(storage.getItem(keyOf(collection)));
+
+  function keys() {
+    const out = [];
+    for (let i = 0; i < storage.length; i++) {
+      const k = storage.key(i);
+      if (k.startsWith(`${prefix}:`)) out.push(k.slice(prefix.length + 1));
+    }
+    return out;
+  }
+
+  // Instalaciones previas guardaban todo el estado en un único blob bajo `prefix`.
+  // Si el blob está corrupto se conserva como colección `legacy` para que la
+  // pantalla de recuperación lo reporte y permita descargarlo.
+  function splitLegacyBlob() {
+    const legacy = storage.getItem(prefix);
+    if (!legacy) return;
+    const state = safeParseJSON(legacy, null);
+    if (state && typeof state === "object") {
+      for (const [collection, value] of Object.entries(state)) {
+        if (collection !== "sessions") storage.setItem(keyOf(collection), JSON.stringify(value));
+      }
+    } else {
+      storage.setItem(keyOf("legacy"), legacy);
+    }
+    storage.removeItem(prefix);
+  }
+
+  return {
+    name: "localStorage",
+    load: async () => {
+      splitLegacyBlob();
+      const names = keys();
+      if (!names.length) return null;
+      return Object.fromEntries(names.map((n) => [n, get(n)]));
+    },
+    save: async (collection, value) => {
+      storage.setItem(keyOf(collection), JSON.stringify(value));
+    },
+    remove: async (collection) => {
+      storage.removeItem(keyOf(collection));
+    },
+    query: async (collection, predicate = () => true) => {
+      const value = get(collection);
+      return Array.isArray(value) ? value.filter(predicate) : [];
+    },
+  };
+}
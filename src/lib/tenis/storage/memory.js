@@ -0,0 +1,16 @@
+// Adaptador en memoria: demo efímera y tests.
+export function createMemoryAdapter({ initial } = {}) {
+  const data = new Map(initial ? Object.entries(structuredClone(initial)) : []);
+
+  return {
+    name: "memory",
+    load: async () => (data.size ? structuredClone(Object.fromEntries(data)) : null),
+    save: async (collection, value) => {
+      data.set(collection, structuredClone(value));
+    },
+    remove: async (collection) => {
+      data.delete(collection);
+    },
+    query: async (collection, predicate = () => true) => structuredClone((data.get(collection) || []).filter(predicate)),
+  };
+}
@@ -0,0 +1,30 @@
+import { LS_KEY } from "./storage/localStorage";
+
+// -----------------------------
+// Sincronización entre pestañas (backends locales)
+// -----------------------------
+//
+// Cada pestaña anuncia sus escrituras por BroadcastChannel; si el navegador no
+// lo soporta, el adaptador localStorage igual se entera por el evento `storage`.
+
+const CHANNEL = "edlp_tenis_sync";
+
+export function createTabSync(store) {
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL) : null;
+  if (channel) store.subscribe((evt) => channel.postMessage(evt));
+
+  return function subscribe(fn) {
+    const offStore = store.subscribe(fn);
+    const onMessage = (e) => fn(e.data);
+    const onStorage = (e) => {
+      if (e.key?.startsWith(`${LS_KEY}:`)) fn({ collections: [e.key.slice(LS_KEY.length + 1)], at: new Date().toISOString() });
+    };
+    if (channel) channel.addEventListener("message", onMessage);
+    else if (store.adapter.name === "localStorage") window.addEventListener("storage", onStorage);
+    return () => {
+      offStore();
+      channel?.removeEventListener("message", onMessage);
+      window.removeEventListener("storage", onStorage);
+    };
+  };
+}
@@ -0,0 +1,70 @@
+// -----------------------------
+// Protección contra fuerza bruta (login y registro)
+// -----------------------------
+//
+// Colección `throttles`, un registro por cuenta o cliente con intentos fallidos:
+//   { id, kind, key, userId, failures, firstFailureAt, lastFailureAt, nextAttemptAt, lockedUntil }
+// `kind` es "account" (email del login, exista o no), "client" (IP / navegador)
+// o "register" (altas desde un mismo cliente). Pasados `freeAttempts` fallos,
+// cada intento exige esperar el doble que el anterior; al llegar a `lockAfter`
+// queda bloqueado `lockMinutes`. Los fallos se olvidan tras THROTTLE_WINDOW_MIN
+// sin intentos fallidos. Si el origen no se puede identificar (sin proxy de
+// confianza, ver server/session.js) no hay registros "client" ni "register".
+
+export const THROTTLE_WINDOW_MIN = 15;
+export const THROTTLE_MAX_DELAY_SEC = 60;
+
+export const THROTTLE_POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 5, lockMinutes: 15, label: "cuenta" },
+  client: { freeAttempts: 10, lockAfter: 20, lockMinutes: 15, label: "cliente" },
+  register: { freeAttempts: 3, lockAfter: 10, lockMinutes: 60, label: "altas del cliente" },
+};
+
+export function findThrottle(throttles, kind, key) {
+  return throttles.find((t) => t.kind === kind && t.key === key) || null;
+}
+
+export function isLocked(t, nowISO) {
+  return Boolean(t?.lockedUntil) && t.lockedUntil > nowISO;
+}
+
+// Segundos que faltan para poder intentar de nuevo (0 = puede intentar).
+export function throttleWait(t, now = new Date()) {
+  const until = [t?.lockedUntil, t?.nextAttemptAt].filter(Boolean).sort().pop();
+  return until ? Math.max(0, Math.ceil((Date.parse(until) - now.getTime()) / 1000)) : 0;
+}
+
+// Suma un fallo (crea el registro si hace falta). Devuelve el registro y si quedó bloqueado.
+export function recordFailure(st, kind, key, { id, userId = null } = {}) {
+  const policy = THROTTLE_POLICIES[kind];
+  const now = new Date();
+  const nowISO = now.toISOString();
+  let t = findThrottle(st.throttles, kind, key);
+  if (!t) {
+    t = { id, kind, key, userId, failures: 0, firstFailureAt: nowISO, lastFailureAt: nowISO, nextAttemptAt: null, lockedUntil: null };
+    st.throttles.push(t);
+  }
+  t.userId = t.userId || userId;
+  t.failures += 1;
+  t.lastFailureAt = nowISO;
+  const locked = t.failures >= policy.lockAfter;
+  if (locked) {
+    t.lockedUntil = new Date(now.getTime() + policy.lockMinutes * 60000).toISOString();
+    t.nextAttemptAt = null;
+  } else if (t.failures >= policy.freeAttempts) {
+    const delay = Math.min(THROTTLE_MAX_DELAY_SEC, 2 ** (t.failures - policy.freeAttempts + 1));
+    t.nextAttemptAt = new Date(now.getTime() + delay * 1000).toISOString();
+  }
+  return { throttle: t, locked };
+}
+
+export function clearThrottle(st, kind, key) {
+  st.throttles = st.throttles.filter((t) => !(t.kind === kind && t.key === key));
+}
+
+// Descarta los registros sin bloqueo vigente ni fallos recientes.
+export function pruneThrottles(st, now = new Date()) {
+  const nowISO = now.toISOString();
+  const cutoff = new Date(now.getTime() - THROTTLE_WINDOW_MIN * 60000).toISOString();
+  st.throttles = st.throttles.filter((t) => isLocked(t, nowISO) || t.lastFailureAt > cutoff);
+}
@@ -0,0 +1,42 @@
+// -----------------------------
+// Lista de espera de turnos ocupados
+// -----------------------------
+//
+// Entrada: { id, userId, dateISO, time, durationMin, courtId, status, offer, reservationId, createdAt, updatedAt }
+// - `courtId` es una cancha o ANY_COURT ("cualquier cancha a ese horario").
+// - Cuando se libera un turno (cancelación, oferta vencida…) se ofrece a la
+//   primera entrada en espera que entra: `offer` = { courtId, offeredAt, expiresAt }.
+//   Mientras la oferta está vigente el turno queda retenido para ese socio; si
+//   no la acepta a tiempo vence y pasa al siguiente (ver service.offerWaitlistIn).
+
+export const ANY_COURT = "any";
+
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  OFFERED: "offered",
+  ACCEPTED: "accepted",
+  EXPIRED: "expired",
+  LEFT: "left",
+};
+
+export const WAITLIST_STATUS_LABELS = {
+  [WAITLIST_STATUS.WAITING]: "En espera",
+  [WAITLIST_STATUS.OFFERED]: "Turno ofrecido",
+  [WAITLIST_STATUS.ACCEPTED]: "Aceptado",
+  [WAITLIST_STATUS.EXPIRED]: "Vencido",
+  [WAITLIST_STATUS.LEFT]: "Salió de la lista",
+};
+
+export function isWaitlistOpen(entry) {
+  return entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED;
+}
+
+// Oferta vigente: retiene el turno para el socio hasta `expiresAt`.
+export function isHoldActive(entry, nowISO = new Date().toISOString()) {
+  return entry.status === WAITLIST_STATUS.OFFERED && entry.offer?.expiresAt > nowISO;
+}
+
+// Inicio del turno como Date local (las ofertas no pueden vencer después).
+export function slotStart(entry) {
+  return new Date(`${entry.dateISO}T${entry.time}:00`);
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { sha256 } from "../src/lib/tenis/audit";
+import { addUser, createTestService, firstCourtId, inDays, seedAdmin } from "./helpers";
+
+// Club con algunas entradas de auditoría (la primera es la del seed).
+async function auditedClub() {
+  const { store, service } = createTestService();
+  const admin = await seedAdmin(store);
+  const courtId = await firstCourtId(service);
+  const member = await addUser(store);
+  const id = await service.createReservation(member, { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 });
+  await service.cancelReservation(member, id, "No puedo");
+  return { store, service, admin };
+}
+
+describe("auditoría encadenada", () => {
+  it("sha256 coincide con el vector de prueba estándar", () => {
+    expect(sha256("abc")).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  });
+
+  it("una cadena sin tocar verifica bien", async () => {
+    const { service, admin } = await auditedClub();
+    const result = await service.verifyAudit(admin);
+    expect(result.ok).toBe(true);
+    expect(result.total).toBeGreaterThan(2);
+  });
+
+  it("detecta una entrada modificada", async () => {
+    const { store, service, admin } = await auditedClub();
+    const tampered = await store.transaction((st) => {
+      const entry = st.audit[1];
+      entry.detail = "otra cosa";
+      return entry.id;
+    });
+    const result = await service.verifyAudit(admin);
+    expect(result.ok).toBe(false);
+    expect(result.brokenAt).toMatchObject({ id: tampered, reason: expect.stringContaining("modificada") });
+  });
+
+  it("detecta una entrada borrada", async () => {
+    const { store, service, admin } = await auditedClub();
+    await store.transaction((st) => {
+      st.audit.splice(1, 1);
+    });
+    const result = await service.verifyAudit(admin);
+    expect(result.ok).toBe(false);
+    expect(result.brokenAt.reason).toContain("borrada");
+  });
+
+  it("verificarla exige permiso de auditoría", async () => {
+    const { store, service } = await auditedClub();
+    const member = await addUser(store);
+    await expect(service.verifyAudit(member)).rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { addUser, createTestService, firstCourtId, inDays, seedAdmin } from "./helpers";
+
+const PADRON = [
+  ["DNI", "Número de socio", "Estado"],
+  ["30111222", "1001", "Activo"],
+  ["30111223", "1002", "Baja"],
+];
+
+// Club con un turno fijo, una anotación en la lista de espera y un padrón importado.
+async function clubWithData() {
+  const { store, service } = createTestService();
+  const admin = await seedAdmin(store);
+  const courtId = await firstCourtId(service);
+  const holder = await addUser(store, { email: "titular@test.com" });
+  const waiting = await addUser(store, { email: "espera@test.com" });
+  const slot = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 };
+  await service.createReservation(holder, slot);
+  await service.joinWaitlist(waiting, slot);
+  await service.createSeries(admin, { userId: holder, courtId, time: "18:00", durationMin: 60, startDate: inDays(3), interval: 1 });
+  await service.importPadron(admin, PADRON, { fileName: "padron.csv" });
+  return { store, service, admin, holder, waiting };
+}
+
+describe("respaldos", () => {
+  it("exporta turnos fijos, lista de espera y padrón", async () => {
+    const { service, admin } = await clubWithData();
+    const { data } = await service.exportBackup(admin);
+    expect(data.series).toHaveLength(1);
+    expect(data.waitlist).toHaveLength(1);
+    expect(data.padron).toHaveLength(2);
+  });
+
+  it("la vista previa los compara con los datos locales", async () => {
+    const source = await clubWithData();
+    const archive = await source.service.exportBackup(source.admin);
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+
+    const { collections } = await service.getImportPreview(admin, archive);
+    expect(collections.series).toMatchObject({ current: 0, incoming: 1, added: 1 });
+    expect(collections.waitlist).toMatchObject({ current: 0, incoming: 1, added: 1 });
+    expect(collections.padron).toMatchObject({ current: 0, incoming: 2, added: 2 });
+  });
+
+  it("el reemplazo los restaura tal cual", async () => {
+    const source = await clubWithData();
+    const archive = await source.service.exportBackup(source.admin);
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+
+    await service.importBackup(admin, archive, "replace");
+    const st = await store.read();
+    expect(st.series).toEqual(archive.data.series);
+    expect(st.waitlist).toEqual(archive.data.waitlist);
+    expect(st.padron).toEqual(archive.data.padron);
+  });
+
+  it("la fusión asocia turnos fijos y lista de espera al usuario local y conserva el padrón local", async () => {
+    const source = await clubWithData();
+    const archive = await source.service.exportBackup(source.admin);
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+    const localHolder = await addUser(store, { email: "titular@test.com" });
+    await service.importPadron(admin, [PADRON[0], ["30999888", "2001", "Activo"]]);
+
+    await service.importBackup(admin, archive, "merge");
+    const st = await store.read();
+    expect(st.series.map((s) => s.userId)).toEqual([localHolder]);
+    expect(st.waitlist.map((w) => w.userId)).toEqual([source.waiting]);
+    expect(st.padron.map((p) => p.dni)).toEqual(["30999888"]);
+  });
+
+  it("un respaldo del formato 1 (sin esas colecciones) se importa con ellas vacías", async () => {
+    const source = await clubWithData();
+    const archive = await source.service.exportBackup(source.admin);
+    const { series, waitlist, padron, ...data } = archive.data;
+    expect([series, waitlist, padron].every((c) => c.length)).toBe(true);
+    const legacy = { ...archive, formatVersion: 1, data };
+
+    const { collections } = await source.service.getImportPreview(source.admin, legacy);
+    expect(collections.series).toMatchObject({ current: 1, incoming: 0 });
+  });
+});
+
+describe("fusión con reservas que se pisan", () => {
+  it("la vista previa las marca como conflicto y la fusión conserva la local sin fallar", async () => {
+    const source = await clubWithData();
+    const archive = await source.service.exportBackup(source.admin);
+    const incoming = archive.data.reservations[0];
+
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+    const local = await addUser(store);
+    const localId = await service.createReservation(local, {
+      dateISO: incoming.dateISO,
+      time: incoming.time,
+      courtId: incoming.courtId,
+      durationMin: 60,
+    });
+
+    const { collections } = await service.getImportPreview(admin, archive);
+    expect(collections.reservations.conflicts).toContain(incoming.id);
+    expect(collections.payments.conflicts).toHaveLength(1);
+
+    await service.importBackup(admin, archive, "merge");
+    const st = await store.read();
+    const sameSlot = st.reservations.filter((r) => r.dateISO === incoming.dateISO && r.time === incoming.time && r.courtId === incoming.courtId);
+    expect(sameSlot.map((r) => r.id)).toEqual([localId]);
+    expect(st.payments.some((p) => p.reservationId === incoming.id)).toBe(false);
+  });
+});
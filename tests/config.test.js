@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { createTestService, seedAdmin } from "./helpers";
+
+describe("setConfig", () => {
+  it("rechaza valores con otro tipo y el estado sigue legible", async () => {
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+
+    await expect(service.setConfig(admin, { priceSocio: "100" })).rejects.toThrow("config.priceSocio: se esperaba number");
+    await expect(service.setConfig(admin, { requireEmailValidation: "no" })).rejects.toThrow("se esperaba boolean");
+    await expect(service.setConfig(admin, { currency: 1 })).rejects.toThrow("se esperaba string");
+    await expect(service.setConfig(admin, { priceNoSocio: -1 })).rejects.toThrow("mayor o igual a 0");
+    await expect(service.setConfig(admin, { otraCosa: 1 })).rejects.toThrow("desconocida");
+
+    expect((await store.read()).config.priceSocio).toBe(0);
+    await service.setConfig(admin, { priceSocio: 100 });
+    expect((await store.read()).config.priceSocio).toBe(100);
+  });
+
+  it("el store no persiste una escritura que dejaría el estado inválido", async () => {
+    const { store } = createTestService();
+    await expect(
+      store.transaction((st) => {
+        st.config.priceSocio = "100";
+      }),
+    ).rejects.toMatchObject({ status: 500 });
+    expect((await store.read()).config.priceSocio).toBe(0);
+  });
+});
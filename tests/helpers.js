@@ -0,0 +1,53 @@
+import { ROLES } from "../src/lib/tenis/permissions";
+import { createService } from "../src/lib/tenis/service";
+import { createAdapter, createStore } from "../src/lib/tenis/storage";
+import { addDays, formatDateISO, nowISOTime, uid } from "../src/lib/tenis/utils";
+
+// Servicio sobre el store en memoria. Los mensajes con secretos quedan en `sent`.
+export function createTestService() {
+  const store = createStore(createAdapter("memory"));
+  const sent = [];
+  const service = createService(store, { deliver: (message) => sent.push(message) });
+  return { store, service, sent };
+}
+
+// Alta directa de un usuario validado (sin pasar por register, que hashea con PBKDF2).
+export async function addUser(store, overrides = {}) {
+  const id = uid("usr");
+  await store.transaction((st) => {
+    st.users.push({
+      id,
+      role: ROLES.USER,
+      email: `${id}@test.com`,
+      phone: `11-${id.slice(-8)}`,
+      dni: String(30000000 + st.users.length),
+      userType: "No Socio",
+      socioCheckedAt: nowISOTime(),
+      socioSource: "test",
+      createdAt: nowISOTime(),
+      passwordHash: "sin-uso",
+      isEmailValidated: true,
+      isPhoneValidated: true,
+      ...overrides,
+    });
+  });
+  return id;
+}
+
+// Id del super admin del seed, ya con la contraseña cambiada.
+export async function seedAdmin(store) {
+  return store.transaction((st) => {
+    const admin = st.users.find((u) => u.email === "admin@edlp.com");
+    admin.mustChangePassword = false;
+    return admin.id;
+  });
+}
+
+export async function firstCourtId(service) {
+  return (await service.listCourts())[0].id;
+}
+
+// Fecha a `days` días de hoy (AAAA-MM-DD).
+export function inDays(days) {
+  return formatDateISO(addDays(new Date(), days));
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { AUTH_MODES } from "../src/lib/tenis/constants";
+import { OTP_MAX_ATTEMPTS, OTP_MAX_SENDS_PER_HOUR, OTP_RESEND_COOLDOWN_SEC } from "../src/lib/tenis/otp";
+import { addUser, createTestService } from "./helpers";
+
+const mode = AUTH_MODES.EMAIL_OTP;
+const email = "socio@test.com";
+
+async function otpClub() {
+  const { store, service, sent } = createTestService();
+  await store.transaction((st) => {
+    st.config.authMode = mode;
+  });
+  const userId = await addUser(store, { email });
+  return { store, service, sent, userId };
+}
+
+// Pide un código y devuelve el que salió por el canal de entrega.
+async function requestCode(service, sent) {
+  await service.requestOtp({ mode, email });
+  return sent.at(-1).msg.match(/\d{6}/)[0];
+}
+
+// Corre hacia atrás la hora de los códigos emitidos (para saltear la espera entre envíos).
+const age = (store, seconds) =>
+  store.transaction((st) => {
+    for (const c of st.otpCodes) c.createdAt = new Date(Date.parse(c.createdAt) - seconds * 1000).toISOString();
+  });
+
+const wrong = (code) => String((Number(code) + 1) % 1000000).padStart(6, "0");
+
+describe("ingreso con código", () => {
+  it("el código sirve una sola vez y no queda en la bandeja", async () => {
+    const { store, service, sent, userId } = await otpClub();
+    const code = await requestCode(service, sent);
+    expect(JSON.stringify((await store.read()).notifications)).not.toContain(code);
+
+    await expect(service.loginWithOtp({ mode, email, otp: code })).resolves.toMatchObject({ userId });
+    await expect(service.loginWithOtp({ mode, email, otp: code })).rejects.toThrow("venció o no existe");
+  });
+
+  it(`tras ${OTP_MAX_ATTEMPTS} intentos fallidos el código se anula`, async () => {
+    const { service, sent } = await otpClub();
+    const code = await requestCode(service, sent);
+    for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+      await expect(service.loginWithOtp({ mode, email, otp: wrong(code) })).rejects.toThrow(`Te quedan ${OTP_MAX_ATTEMPTS - i} intentos`);
+    }
+    await expect(service.loginWithOtp({ mode, email, otp: wrong(code) })).rejects.toThrow("Pedí un nuevo código");
+    await expect(service.loginWithOtp({ mode, email, otp: code })).rejects.toThrow("venció o no existe");
+  });
+
+  it("un código vencido no sirve", async () => {
+    const { store, service, sent } = await otpClub();
+    const code = await requestCode(service, sent);
+    await store.transaction((st) => {
+      st.otpCodes[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+    await expect(service.loginWithOtp({ mode, email, otp: code })).rejects.toMatchObject({ status: 401 });
+  });
+
+  it("hay que esperar entre envíos y hay un máximo por hora", async () => {
+    const { store, service, sent } = await otpClub();
+    const first = await requestCode(service, sent);
+    await expect(service.requestOtp({ mode, email })).rejects.toMatchObject({ status: 429 });
+
+    for (let i = 1; i < OTP_MAX_SENDS_PER_HOUR; i++) {
+      await age(store, OTP_RESEND_COOLDOWN_SEC);
+      await service.requestOtp({ mode, email });
+    }
+    await age(store, OTP_RESEND_COOLDOWN_SEC);
+    await expect(service.requestOtp({ mode, email })).rejects.toThrow("demasiados códigos");
+
+    // Cada envío anula el código anterior.
+    await expect(service.loginWithOtp({ mode, email, otp: first })).rejects.toThrow();
+    expect(sent).toHaveLength(OTP_MAX_SENDS_PER_HOUR);
+  });
+});
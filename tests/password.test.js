@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { PBKDF2_ITERATIONS, hashPassword, verifyPassword } from "../src/lib/tenis/password";
+import { addUser, createTestService } from "./helpers";
+
+// PBKDF2 con las iteraciones reales tarda: cada login verifica (y a veces rehashea).
+const SLOW = 60000;
+
+const storedHash = async (store, id) => (await store.read()).users.find((u) => u.id === id).passwordHash;
+
+describe("contraseñas", () => {
+  it(
+    "una contraseña heredada en texto plano se reemplaza por PBKDF2 en el primer login",
+    async () => {
+      const { store, service } = createTestService();
+      const id = await addUser(store, { email: "viejo@test.com", passwordHash: "Clave#1" });
+
+      await service.loginEmailPassword({ email: "viejo@test.com", password: "Clave#1" });
+      const hash = await storedHash(store, id);
+      expect(hash).toMatch(new RegExp(`^pbkdf2-sha256\\$${PBKDF2_ITERATIONS}\\$`));
+      expect(hash).not.toContain("Clave#1");
+      expect((await store.read()).audit.some((a) => a.detail === "Hash de contraseña actualizado")).toBe(true);
+
+      // La clave sigue sirviendo con el hash nuevo.
+      await expect(service.loginEmailPassword({ email: "viejo@test.com", password: "Clave#1" })).resolves.toMatchObject({ userId: id });
+    },
+    SLOW,
+  );
+
+  it(
+    "un hash con menos iteraciones se actualiza; uno incorrecto no",
+    async () => {
+      const { store, service } = createTestService();
+      const weak = await hashPassword("Clave#1", 1000);
+      const id = await addUser(store, { email: "debil@test.com", passwordHash: weak });
+
+      await expect(service.loginEmailPassword({ email: "debil@test.com", password: "Otra#1" })).rejects.toMatchObject({ status: 401 });
+      expect(await storedHash(store, id)).toBe(weak);
+
+      await service.loginEmailPassword({ email: "debil@test.com", password: "Clave#1" });
+      const hash = await storedHash(store, id);
+      expect(hash).not.toBe(weak);
+      expect(await verifyPassword("Clave#1", hash)).toEqual({ ok: true, needsRehash: false });
+    },
+    SLOW,
+  );
+
+  it("verifyPassword rechaza una contraseña vacía contra un registro vacío", async () => {
+    expect(await verifyPassword("", "")).toEqual({ ok: false, needsRehash: false });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { addUser, createTestService } from "./helpers";
+
+const SLOW = 60000;
+
+// Pide un enlace y devuelve el token que salió por el canal de entrega.
+async function requestToken(service, sent, email) {
+  await service.requestPasswordReset({ email });
+  return sent.at(-1).msg.match(/reset=([0-9a-f]+)/)[1];
+}
+
+describe("recuperación de contraseña", () => {
+  it(
+    "el enlace es de un solo uso y cierra las sesiones abiertas",
+    async () => {
+      const { store, service, sent } = createTestService();
+      await addUser(store, { email: "socio@test.com", passwordHash: "Vieja#1" });
+      const session = await service.loginEmailPassword({ email: "socio@test.com", password: "Vieja#1" });
+      expect(await service.getSession(session.token)).not.toBeNull();
+      const token = await requestToken(service, sent, "socio@test.com");
+
+      // En la bandeja queda el aviso, nunca el token; en disco, solo su hash.
+      const st = await store.read();
+      expect(JSON.stringify(st.notifications)).not.toContain(token);
+      expect(JSON.stringify(st.passwordResets)).not.toContain(token);
+
+      await service.resetPassword({ token, newPassword: "Nueva#1" });
+      expect(await service.getSession(session.token)).toBeNull();
+      await expect(service.resetPassword({ token, newPassword: "Otra#1" })).rejects.toThrow("no es válido o ya venció");
+      await expect(service.loginEmailPassword({ email: "socio@test.com", password: "Nueva#1" })).resolves.toBeTruthy();
+    },
+    SLOW,
+  );
+
+  it("un enlace vencido o reemplazado por uno más nuevo no sirve", async () => {
+    const { store, service, sent } = createTestService();
+    await addUser(store, { email: "socio@test.com" });
+    const first = await requestToken(service, sent, "socio@test.com");
+    const second = await requestToken(service, sent, "socio@test.com");
+
+    await expect(service.resetPassword({ token: first, newPassword: "Nueva#1" })).rejects.toMatchObject({ status: 400 });
+
+    await store.transaction((st) => {
+      for (const r of st.passwordResets) r.expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+    await expect(service.resetPassword({ token: second, newPassword: "Nueva#1" })).rejects.toThrow("ya venció");
+
+    const reasons = (await store.read()).audit.filter((a) => a.detail.startsWith("Restablecimiento rechazado")).map((a) => a.detail);
+    expect(reasons).toEqual(["Restablecimiento rechazado: enlace vencido", "Restablecimiento rechazado: enlace reemplazado por uno más nuevo"]);
+  });
+
+  it("un email no registrado recibe la misma respuesta y no se envía nada", async () => {
+    const { service, sent } = createTestService();
+    await expect(service.requestPasswordReset({ email: "nadie@test.com" })).resolves.toEqual({ ok: true });
+    expect(sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { METHOD_CAPABILITIES, ROLES, can, permissionMessage } from "../src/lib/tenis/permissions";
+import { addUser, createTestService, firstCourtId, inDays } from "./helpers";
+
+// Argumentos mínimos de cada operación (además de `by`); la capacidad se
+// revisa antes de mirar los datos, así que no hace falta que existan.
+const slot = (courtId) => ({ courtId, dateISO: inDays(2), time: "10:00", durationMin: 60 });
+
+const ARGS = {
+  setConfig: () => [{ priceSocio: 1000 }],
+  setSchedule: () => [{}],
+  testSocioProvider: () => ["30111222"],
+  importPadron: () => [[{ dni: "30111222" }]],
+  exportBackup: () => [],
+  importBackup: () => [{}, "merge"],
+  verifyAudit: () => [],
+  setCourtActive: ({ courtId }) => [courtId, false],
+  addBlock: ({ courtId }) => [{ ...slot(courtId), reason: "Torneo" }],
+  removeBlock: () => ["blk_x"],
+  createSeries: ({ courtId, userId }) => [{ ...slot(courtId), userId }],
+  updateSeries: () => ["ser_x", {}],
+  cancelSeries: () => ["ser_x", "motivo"],
+  updateSeriesOccurrence: () => ["ser_x", inDays(2), {}],
+  skipSeriesOccurrence: () => ["ser_x", inDays(2), "motivo"],
+  materializeSeries: () => [],
+  registerCashPayment: () => ["res_x"],
+  markNoShow: () => ["res_x"],
+  adminCreateManualReservation: ({ courtId, userId }) => [{ ...slot(courtId), userId }],
+  overrideValidation: ({ userId }) => [userId, { emailOk: true, reason: "presencial" }],
+  updateUserContact: ({ userId }) => [userId, { email: "nuevo@test.com" }],
+  setUserActive: ({ userId }) => [userId, { active: false, reason: "baja" }],
+  revalidateSocio: ({ userId }) => [userId],
+  revalidateAllSocios: () => [],
+  mergeUsers: ({ userId, otherId }) => [{ keepId: userId, dropId: otherId, reason: "duplicada" }],
+  unlockThrottle: () => ["thr_x"],
+  setUserRole: ({ userId }) => [userId, ROLES.COACH],
+};
+
+describe("capacidades por rol", () => {
+  it("cada operación restringida tiene sus argumentos de prueba", () => {
+    expect(Object.keys(ARGS).sort()).toEqual(Object.keys(METHOD_CAPABILITIES).sort());
+  });
+
+  for (const role of Object.values(ROLES)) {
+    const denied = Object.entries(METHOD_CAPABILITIES).filter(([, cap]) => !can({ role }, cap));
+    if (!denied.length) continue;
+
+    it(`${role}: se rechazan con 403 las operaciones sin permiso, sin tocar los datos`, async () => {
+      const { store, service } = createTestService();
+      const by = await addUser(store, { role });
+      const ctx = {
+        courtId: await firstCourtId(service),
+        userId: await addUser(store),
+        otherId: await addUser(store),
+      };
+      const before = await store.read();
+
+      for (const [method, cap] of denied) {
+        const e = await service[method](by, ...ARGS[method](ctx)).catch((err) => err);
+        expect(e, method).toBeInstanceOf(Error);
+        expect({ method, status: e.status, message: e.message }).toEqual({ method, status: 403, message: permissionMessage(cap) });
+      }
+
+      const after = await store.read();
+      for (const k of ["config", "courts", "blocks", "series", "reservations", "payments", "users", "throttles"]) {
+        expect(after[k], k).toEqual(before[k]);
+      }
+    });
+  }
+
+  it("las lecturas de auditoría y bloqueos también exigen su capacidad", async () => {
+    const { store, service } = createTestService();
+    for (const role of [ROLES.USER, ROLES.RECEPTION, ROLES.COACH]) {
+      const by = await addUser(store, { role });
+      await expect(service.listAudit(by)).rejects.toMatchObject({ status: 403 });
+      await expect(service.listThrottles(by)).rejects.toMatchObject({ status: 403 });
+    }
+  });
+
+  it("solo el super admin puede exportar respaldos o nombrar administradores", async () => {
+    const { store, service } = createTestService();
+    const admin = await addUser(store, { role: ROLES.ADMIN });
+    const target = await addUser(store);
+
+    await expect(service.exportBackup(admin)).rejects.toMatchObject({ status: 403 });
+    await expect(service.setUserRole(admin, target, ROLES.ADMIN)).rejects.toMatchObject({ status: 403 });
+    await expect(service.setUserRole(admin, target, ROLES.RECEPTION)).resolves.toBeTruthy();
+  });
+});
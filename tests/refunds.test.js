@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { PAY_STATUS, RES_STATUS } from "../src/lib/tenis/constants";
+import { REFUND_KINDS } from "../src/lib/tenis/refunds";
+import { addUser, createTestService, firstCourtId, inDays, seedAdmin } from "./helpers";
+
+// Política donde una reserva a dos días reintegra solo el 50%.
+const POLICY = { tiers: [{ minHours: 72, percent: 100 }, { minHours: 0, percent: 50 }], noShowPercent: 50 };
+
+async function paidReservation({ pay = true } = {}) {
+  const { store, service } = createTestService();
+  const admin = await seedAdmin(store);
+  await service.setConfig(admin, { refundPolicy: POLICY });
+  const courtId = await firstCourtId(service);
+  const member = await addUser(store, { userType: "No Socio" });
+  const slot = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 };
+  const id = await service.createReservation(member, slot);
+  if (pay) await service.registerCashPayment(admin, id);
+  return { store, service, admin, member, slot, id };
+}
+
+const paymentOf = async (store, id) => (await store.read()).payments.find((p) => p.reservationId === id);
+
+describe("reintegros", () => {
+  it("el personal que cancela a pedido del socio aplica los tramos", async () => {
+    const { store, service, admin, id } = await paidReservation();
+    const refund = await service.cancelReservation(admin, id, "Pedido del socio");
+    expect(refund).toMatchObject({ kind: REFUND_KINDS.CANCEL, percent: 50 });
+    expect((await paymentOf(store, id)).status).toBe(PAY_STATUS.REFUNDED_PARTIAL);
+  });
+
+  it("bloquear el horario cancela la reserva con reintegro total", async () => {
+    const { store, service, admin, slot, id } = await paidReservation();
+    await service.addBlock(admin, { ...slot, reason: "Lluvia" });
+    const p = await paymentOf(store, id);
+    expect(p.meta.refund).toMatchObject({ kind: REFUND_KINDS.CLUB_CANCEL, percent: 100 });
+    expect(p.status).toBe(PAY_STATUS.REFUNDED);
+  });
+
+  it("deshabilitar la cancha cancela sus reservas futuras con reintegro total", async () => {
+    const { store, service, admin, slot, id } = await paidReservation();
+    expect(await service.setCourtActive(admin, slot.courtId, false)).toEqual({ cancelled: 1 });
+    expect((await paymentOf(store, id)).meta.refund).toMatchObject({ kind: REFUND_KINDS.CLUB_CANCEL, percent: 100 });
+  });
+
+  it("la no presentación de una reserva impaga no anuncia reintegro", async () => {
+    const { store, service, admin, id } = await paidReservation({ pay: false });
+    await store.transaction((st) => {
+      const r = st.reservations.find((x) => x.id === id);
+      Object.assign(r, { status: RES_STATUS.CONFIRMED, dateISO: inDays(-1) });
+    });
+    expect(await service.markNoShow(admin, id)).toBeNull();
+    const [notice] = (await store.read()).notifications.filter((n) => n.event === "No presentación");
+    expect(notice.payload).not.toHaveProperty("refundPercent");
+  });
+});
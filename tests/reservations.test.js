@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { RES_STATUS } from "../src/lib/tenis/constants";
+import { addUser, createTestService, firstCourtId, inDays, seedAdmin } from "./helpers";
+
+describe("createReservation", () => {
+  it("con pedidos simultáneos por el mismo turno, solo uno lo reserva", async () => {
+    const { store, service } = createTestService();
+    const courtId = await firstCourtId(service);
+    const users = await Promise.all(Array.from({ length: 5 }, () => addUser(store)));
+    const slot = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 };
+
+    const results = await Promise.allSettled(users.map((by) => service.createReservation(by, slot)));
+
+    const won = results.filter((r) => r.status === "fulfilled");
+    expect(won).toHaveLength(1);
+    for (const r of results.filter((x) => x.status === "rejected")) {
+      expect(r.reason.message).toBe("Ese turno ya está reservado");
+    }
+    const st = await store.read();
+    expect(st.reservations).toHaveLength(1);
+    expect(st.reservations[0].id).toBe(won[0].value);
+  });
+});
+
+describe("markNoShow", () => {
+  it("rechaza con 409 un turno que todavía no empezó y lo acepta una vez empezado", async () => {
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+    const courtId = await firstCourtId(service);
+    const by = await addUser(store);
+    const id = await service.createReservation(by, { dateISO: inDays(1), time: "10:00", courtId, durationMin: 60 });
+    await service.registerCashPayment(admin, id);
+
+    await expect(service.markNoShow(admin, id)).rejects.toMatchObject({ status: 409 });
+    expect((await store.read()).reservations[0].status).toBe(RES_STATUS.CONFIRMED);
+
+    await store.transaction((st) => {
+      st.reservations[0].dateISO = inDays(-1);
+    });
+    await service.markNoShow(admin, id);
+    expect((await store.read()).reservations[0].status).toBe(RES_STATUS.NO_SHOW);
+  });
+});
+
+describe("turnos fijos", () => {
+  it("una reserva del socio no se puede asociar a un turno fijo ajeno", async () => {
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+    const courtId = await firstCourtId(service);
+    const holder = await addUser(store);
+    const intruder = await addUser(store);
+    const { id: seriesId } = await service.createSeries(admin, { userId: holder, courtId, time: "18:00", durationMin: 60, startDate: inDays(8), interval: 1 });
+
+    const id = await service.createReservation(intruder, { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60, seriesId });
+    const st = await store.read();
+    expect(seriesId).toEqual(expect.any(String));
+    expect(st.reservations.find((r) => r.id === id).seriesId).toBeUndefined();
+  });
+});
@@ -0,0 +1,67 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { hashPassword } from "../src/lib/tenis/password";
+import { SESSION_IDLE_HOURS, hashSessionToken } from "../src/lib/tenis/sessions";
+import { addUser, createTestService } from "./helpers";
+
+const email = "socio@test.com";
+const password = "Clave#1";
+let passwordHash;
+
+beforeAll(async () => {
+  passwordHash = await hashPassword(password);
+});
+
+async function member() {
+  const { store, service } = createTestService();
+  const userId = await addUser(store, { email, passwordHash });
+  const login = (userAgent) => service.loginEmailPassword({ email, password, userAgent });
+  return { store, service, userId, login };
+}
+
+describe("sesiones", () => {
+  it("solo se guarda el hash del token y el listado no lo expone", async () => {
+    const { store, service, userId, login } = await member();
+    const { token, sessionId } = await login("Firefox");
+
+    const [record] = (await store.read()).sessions;
+    expect(record.tokenHash).toBe(hashSessionToken(token));
+    expect(JSON.stringify(record)).not.toContain(token);
+    const [listed] = await service.listSessions(userId);
+    expect(listed).toMatchObject({ sessionId, userAgent: "Firefox" });
+    expect(listed).not.toHaveProperty("tokenHash");
+  });
+
+  it("cerrar un dispositivo desde otro deja activa la sesión actual", async () => {
+    const { store, service, userId, login } = await member();
+    const phone = await login("Teléfono");
+    const laptop = await login("Notebook");
+    const intruder = await addUser(store);
+
+    await expect(service.revokeSession(intruder, phone.sessionId)).rejects.toMatchObject({ status: 404 });
+    await service.revokeSession(userId, phone.sessionId);
+    expect(await service.getSession(phone.token)).toBeNull();
+    expect(await service.getSession(laptop.token)).toMatchObject({ userId });
+  });
+
+  it("cerrar sesión en todos revoca también la actual", async () => {
+    const { service, userId, login } = await member();
+    const a = await login("A");
+    const b = await login("B");
+    expect(await service.logoutAll(userId)).toBe(2);
+    expect(await service.getSession(a.token)).toBeNull();
+    expect(await service.getSession(b.token)).toBeNull();
+  });
+
+  it("vence por inactividad y por edad", async () => {
+    const { store, service, login } = await member();
+    const idle = await login("Inactiva");
+    const old = await login("Vieja");
+    await store.transaction((st) => {
+      const [a, b] = st.sessions;
+      a.lastSeenAt = new Date(Date.now() - (SESSION_IDLE_HOURS * 3600 + 60) * 1000).toISOString();
+      b.expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+    expect(await service.getSession(idle.token)).toBeNull();
+    expect(await service.touchSession(old.token)).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { addUser, createTestService, firstCourtId, inDays } from "./helpers";
+
+// Proveedor HTTP apuntando a un servidor que no existe: cada consulta pasa por fetch.
+async function withHttpProvider(store) {
+  await store.transaction((st) => {
+    st.config.socioProvider = "http";
+    st.config.socioProviderUrl = "https://socios.invalid/api";
+  });
+  return vi.spyOn(globalThis, "fetch").mockRejectedValue(new Error("sin red"));
+}
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("consultas al sistema de socios", () => {
+  it("un socio no puede revalidar a otro usuario ni averiguar qué ids existen", async () => {
+    const { store, service } = createTestService();
+    const member = await addUser(store);
+    const other = await addUser(store, { socioCheckedAt: null });
+    const fetch = await withHttpProvider(store);
+
+    await expect(service.revalidateSocio(member, other)).rejects.toMatchObject({ status: 403 });
+    await expect(service.revalidateSocio(member, "usr_inexistente")).rejects.toMatchObject({ status: 403 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("reservar para otro sin permiso no consulta su condición de socio", async () => {
+    const { store, service } = createTestService();
+    const courtId = await firstCourtId(service);
+    const member = await addUser(store);
+    const other = await addUser(store, { socioCheckedAt: null });
+    const fetch = await withHttpProvider(store);
+
+    const input = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60, forUserId: other };
+    await expect(service.createReservation(member, input)).rejects.toMatchObject({ status: 403 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
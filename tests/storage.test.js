@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { createService } from "../src/lib/tenis/service";
+import { JOURNAL, createAdapter, createStore } from "../src/lib/tenis/storage";
+import { addUser, firstCourtId, inDays } from "./helpers";
+
+// Adaptador que "se cae" (lanza) al guardar la colección `crashOn`.
+function crashingAdapter(inner, crashOn) {
+  return {
+    ...inner,
+    save: async (collection, value) => {
+      if (collection === crashOn) throw new Error(`caída guardando ${collection}`);
+      return inner.save(collection, value);
+    },
+  };
+}
+
+// Reserva para un socio nuevo con el store que se cae al guardar `crashOn`.
+async function bookWithCrash(crashOn) {
+  const disk = createAdapter("memory");
+  const setup = createStore(disk);
+  const userId = await addUser(setup);
+  const courtId = await firstCourtId(createService(setup));
+  const service = createService(createStore(crashingAdapter(disk, crashOn)));
+  const slot = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 };
+  await expect(service.createReservation(userId, slot)).rejects.toThrow("caída");
+  return { disk, userId };
+}
+
+describe("escritura entre colecciones", () => {
+  it("si se cae después del diario, la próxima carga completa reserva y pago", async () => {
+    const { disk } = await bookWithCrash("payments");
+    expect(Object.keys(await disk.load())).toContain(JOURNAL);
+
+    const st = await createStore(disk).read();
+    expect(st.reservations).toHaveLength(1);
+    expect(st.payments.map((p) => p.reservationId)).toEqual([st.reservations[0].id]);
+    expect(Object.keys(await disk.load())).not.toContain(JOURNAL);
+  });
+
+  it("si se cae antes de terminar el diario, no queda nada a medias", async () => {
+    const { disk } = await bookWithCrash(JOURNAL);
+
+    const st = await createStore(disk).read();
+    expect(st.reservations).toHaveLength(0);
+    expect(st.payments).toHaveLength(0);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { AUTH_MODES } from "../src/lib/tenis/constants";
+import { THROTTLE_POLICIES, THROTTLE_WINDOW_MIN, findThrottle } from "../src/lib/tenis/throttle";
+import { addUser, createTestService, seedAdmin } from "./helpers";
+
+const SLOW = 60000;
+
+const fail = (service, email, client) =>
+  service.loginEmailPassword({ email, password: "incorrecta", client }).catch((e) => e);
+
+// Fallo barato (sin PBKDF2): código de ingreso inexistente.
+const failOtp = (service, email, client) =>
+  service.loginWithOtp({ mode: AUTH_MODES.EMAIL_OTP, email, otp: "000000", client }).catch((e) => e);
+
+const emailOtpMode = (store) =>
+  store.transaction((st) => {
+    st.config.authMode = AUTH_MODES.EMAIL_OTP;
+  });
+
+// Adelanta el reloj de un registro: corre hacia atrás sus marcas de tiempo.
+const rewind = (store, kind, key, minutes) =>
+  store.transaction((st) => {
+    const t = findThrottle(st.throttles, kind, key);
+    const back = (iso) => iso && new Date(Date.parse(iso) - minutes * 60000).toISOString();
+    Object.assign(t, {
+      firstFailureAt: back(t.firstFailureAt),
+      lastFailureAt: back(t.lastFailureAt),
+      nextAttemptAt: back(t.nextAttemptAt),
+      lockedUntil: back(t.lockedUntil),
+    });
+  });
+
+const throttleOf = async (store, kind, key) => findThrottle((await store.read()).throttles, kind, key);
+
+describe("límite de intentos por cuenta", () => {
+  it(
+    "tras los intentos libres hay demora, y al quinto fallo la cuenta queda bloqueada hasta que vence",
+    async () => {
+      const { store, service } = createTestService();
+      await addUser(store, { email: "socio@test.com", passwordHash: "Clave#1" });
+      const { freeAttempts, lockAfter, lockMinutes } = THROTTLE_POLICIES.account;
+
+      for (let i = 0; i < freeAttempts; i++) expect((await fail(service, "socio@test.com")).status).toBe(401);
+      const early = await fail(service, "socio@test.com");
+      expect(early.status).toBe(429);
+      expect(early.message).toMatch(/Esperá \d+ s/);
+      expect((await throttleOf(store, "account", "socio@test.com")).failures).toBe(freeAttempts);
+
+      for (let i = freeAttempts; i < lockAfter; i++) {
+        await rewind(store, "account", "socio@test.com", 1);
+        expect((await fail(service, "socio@test.com")).status).toBe(401);
+      }
+      const t = await throttleOf(store, "account", "socio@test.com");
+      expect(Date.parse(t.lockedUntil) - Date.now()).toBeGreaterThan((lockMinutes - 1) * 60000);
+
+      // Bloqueada, ni la contraseña correcta entra.
+      const locked = await service.loginEmailPassword({ email: "socio@test.com", password: "Clave#1" }).catch((e) => e);
+      expect(locked.status).toBe(429);
+      expect(locked.message).toMatch(/minutos/);
+
+      await rewind(store, "account", "socio@test.com", lockMinutes);
+      await expect(service.loginEmailPassword({ email: "socio@test.com", password: "Clave#1" })).resolves.toHaveProperty("token");
+      expect(await throttleOf(store, "account", "socio@test.com")).toBeNull();
+    },
+    SLOW,
+  );
+
+  it(
+    "los fallos se olvidan pasada la ventana sin intentos",
+    async () => {
+      const { store, service } = createTestService();
+      for (let i = 0; i < 2; i++) await fail(service, "nadie@test.com");
+      await rewind(store, "account", "nadie@test.com", THROTTLE_WINDOW_MIN + 1);
+
+      await fail(service, "nadie@test.com");
+      expect((await throttleOf(store, "account", "nadie@test.com")).failures).toBe(1);
+    },
+    SLOW,
+  );
+
+  it(
+    "seguridad puede levantar un bloqueo antes de que venza",
+    async () => {
+      const { store, service } = createTestService();
+      const adminId = await seedAdmin(store);
+      await addUser(store, { email: "socio@test.com", passwordHash: "Clave#1" });
+      const { lockAfter } = THROTTLE_POLICIES.account;
+      for (let i = 0; i < lockAfter; i++) {
+        await fail(service, "socio@test.com");
+        await rewind(store, "account", "socio@test.com", 1);
+      }
+      const t = await throttleOf(store, "account", "socio@test.com");
+      expect(t.lockedUntil).toBeTruthy();
+
+      await service.unlockThrottle(adminId, t.id);
+      await expect(service.loginEmailPassword({ email: "socio@test.com", password: "Clave#1" })).resolves.toHaveProperty("token");
+      const { audit } = await store.read();
+      expect(audit.some((a) => a.action === "Bloqueo" && a.detail.startsWith("Desbloqueo de cuenta socio@test.com"))).toBe(true);
+    },
+    SLOW,
+  );
+});
+
+describe("límite de altas por cliente", () => {
+  it(
+    "las altas repetidas desde un mismo cliente se demoran; otro cliente no se ve afectado",
+    async () => {
+      const { store, service } = createTestService();
+      await addUser(store, { email: "socio@test.com", dni: "30111222" });
+      const dup = (client) =>
+        service
+          .register({ email: "socio@test.com", phone: "221555", dni: "30111222", password: "Clave#1", client })
+          .catch((e) => e);
+
+      const { freeAttempts } = THROTTLE_POLICIES.register;
+      for (let i = 0; i < freeAttempts; i++) expect((await dup("10.0.0.1")).status).toBe(409);
+      expect((await dup("10.0.0.1")).status).toBe(429);
+      expect((await dup("10.0.0.2")).status).toBe(409);
+      expect((await throttleOf(store, "register", "10.0.0.1")).failures).toBe(freeAttempts);
+    },
+    SLOW,
+  );
+});
+
+describe("límite de intentos por cliente", () => {
+  it("sin cliente identificado no hay una cuenta compartida que bloquee a todos", async () => {
+    const { store, service } = createTestService();
+    await emailOtpMode(store);
+    for (let i = 0; i < 25; i++) expect((await failOtp(service, `otro${i}@test.com`, null)).status).toBe(401);
+
+    const st = await store.read();
+    expect(st.throttles.filter((t) => t.kind === "client")).toHaveLength(0);
+    const e = await fail(service, "admin@edlp.com", null);
+    expect(e.status).toBe(401);
+  });
+
+  it("con cliente identificado, los fallos de muchas cuentas lo frenan solo a él", async () => {
+    const { store, service } = createTestService();
+    await emailOtpMode(store);
+    for (let i = 0; i < 10; i++) await failOtp(service, `otro${i}@test.com`, "10.0.0.1");
+
+    expect((await fail(service, "admin@edlp.com", "10.0.0.1")).status).toBe(429);
+    expect((await fail(service, "admin@edlp.com", "10.0.0.2")).status).toBe(401);
+  });
+});
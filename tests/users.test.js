@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { addUser, createTestService, seedAdmin } from "./helpers";
+
+describe("unificar cuentas", () => {
+  it("no pasa los datos a una cuenta desactivada ni a una ya unificada", async () => {
+    const { store, service } = createTestService();
+    const admin = await seedAdmin(store);
+    const inactive = await addUser(store, { isActive: false });
+    const first = await addUser(store);
+    const second = await addUser(store);
+    const third = await addUser(store);
+    const merge = (keepId, dropId) => service.mergeUsers(admin, { keepId, dropId, reason: "Duplicada" });
+
+    await expect(merge(inactive, first)).rejects.toMatchObject({ status: 409 });
+    await merge(first, second);
+    await expect(merge(second, third)).rejects.toThrow("ya fue unificada con otra");
+
+    const st = await store.read();
+    expect(st.users.find((u) => u.id === first).isActive).not.toBe(false);
+    expect(st.users.find((u) => u.id === third).mergedInto).toBeUndefined();
+  });
+});
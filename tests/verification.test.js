@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { addUser, createTestService, firstCourtId, inDays, seedAdmin } from "./helpers";
+
+async function unverifiedMember() {
+  const { store, service, sent } = createTestService();
+  const courtId = await firstCourtId(service);
+  const userId = await addUser(store, { isEmailValidated: false });
+  const slot = { dateISO: inDays(2), time: "10:00", courtId, durationMin: 60 };
+  return { store, service, sent, userId, slot };
+}
+
+const emailValidated = async (store, id) => (await store.read()).users.find((u) => u.id === id).isEmailValidated;
+
+describe("verificación de email", () => {
+  it("sin email verificado no se puede reservar; con el código, sí", async () => {
+    const { store, service, sent, userId, slot } = await unverifiedMember();
+    await expect(service.createReservation(userId, slot)).rejects.toThrow("Debés validar tu email antes de reservar");
+
+    await service.requestVerification(userId, "email");
+    const code = sent.at(-1).msg.match(/\d{6}/)[0];
+    expect(JSON.stringify((await store.read()).notifications)).not.toContain(code);
+
+    await service.confirmVerification(userId, "email", code);
+    expect(await emailValidated(store, userId)).toBe(true);
+    await expect(service.createReservation(userId, slot)).resolves.toEqual(expect.any(String));
+  });
+
+  it("un código incorrecto o de otro usuario no valida", async () => {
+    const { store, service, sent, userId } = await unverifiedMember();
+    const other = await addUser(store, { isEmailValidated: false });
+    await service.requestVerification(other, "email");
+    const otherCode = sent.at(-1).msg.match(/\d{6}/)[0];
+    await service.requestVerification(userId, "email");
+
+    await expect(service.confirmVerification(userId, "email", otherCode)).rejects.toThrow("Código incorrecto");
+    expect(await emailValidated(store, userId)).toBe(false);
+  });
+
+  it("si el club no la exige, se reserva sin verificar", async () => {
+    const { store, service, userId, slot } = await unverifiedMember();
+    const admin = await seedAdmin(store);
+    await service.setConfig(admin, { requireEmailValidation: false });
+    await expect(service.createReservation(userId, slot)).resolves.toEqual(expect.any(String));
+  });
+});